@@ -0,0 +1,87 @@
+// Kaspa Pattern CLI Arguments
+// Option definitions and value parsers for kaspa-pattern.mjs, kept apart from the commands so they load without
+// kaspa-wasm or a node connection.
+
+import { parseArgs } from 'util';
+
+export const OPTIONS = {
+  bits: { type: 'string' },
+  pattern: { type: 'string' },
+  'max-iterations': { type: 'string' },
+  to: { type: 'string' },
+  amount: { type: 'string' },
+  fee: { type: 'string', default: '0.00001' },
+  change: { type: 'string' },
+  key: { type: 'string' },
+  network: { type: 'string', default: 'testnet-10' },
+  rpc: { type: 'string' },
+  'nonce-strategy': { type: 'string', default: 'payload' },
+  'payload-prefix': { type: 'string' },
+  'max-lock-time': { type: 'string' },
+  'coin-selection': { type: 'string', default: 'smallestSufficient' },
+  utxos: { type: 'string' },
+  envelope: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  sdk: { type: 'string' },
+  hashrate: { type: 'string' },
+  'contract-type': { type: 'string', default: '0x01' },
+  data: { type: 'string' },
+  codec: { type: 'string' },
+  recipient: { type: 'string' },
+  sign: { type: 'boolean', default: false },
+  txid: { type: 'string' },
+  'rest-api': { type: 'string', default: 'https://api-tn10.kaspa.org' },
+  json: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', default: false }
+};
+
+export class UsageError extends Error {}
+
+/**
+ * Parse the command line against OPTIONS
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { values, positionals } from util.parseArgs (throws on unknown options or missing values)
+ */
+export function parseCommandLine(argv) {
+  return parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+}
+
+/**
+ * Convert a KAS amount string to sompi without floating-point rounding
+ * @param {string} value - Amount in KAS, e.g. "1.5"
+ * @param {string} name - Option name for error messages
+ * @returns {number} Amount in sompi
+ */
+export function parseKas(value, name) {
+  const match = /^(\d+)(?:\.(\d{1,8}))?$/.exec(value || '');
+  if (!match) throw new UsageError(`--${name} must be a KAS amount with at most 8 decimals`);
+  const sompi = Number(match[1]) * 100000000 + Number((match[2] || '').padEnd(8, '0'));
+  if (!Number.isSafeInteger(sompi)) throw new UsageError(`--${name} is too large`);
+  return sompi;
+}
+
+/**
+ * Parse a positive integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name for error messages
+ * @param {number} fallback - Value when the option is absent
+ * @returns {number} Parsed integer
+ */
+export function parsePositiveInteger(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  if (!Number.isSafeInteger(parsed) || parsed <= 0) throw new UsageError(`--${name} must be a positive integer`);
+  return parsed;
+}
+
+/**
+ * Pattern spec from --pattern or --bits
+ * @param {Object} values - Parsed options
+ * @returns {number|string} Pattern accepted by pattern-spec.js
+ */
+export function getPattern(values) {
+  if (values.pattern) return values.pattern;
+  if (values.bits) return parsePositiveInteger(values.bits, 'bits');
+  throw new UsageError('A pattern is required (--bits or --pattern)');
+}
@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+import { UsageError, parseCommandLine, parseKas, parsePositiveInteger, getPattern } from './args.mjs';
+
+describe('CLI arguments', () => {
+  test('parse the command, its options and the defaults', () => {
+    const { values, positionals } = parseCommandLine(['mine', '--bits', '16', '--amount', '1.5', '--dry-run', '--utxos', 'utxos.json']);
+
+    expect(positionals).toEqual(['mine']);
+    expect(values).toMatchObject({
+      bits: '16',
+      amount: '1.5',
+      utxos: 'utxos.json',
+      'dry-run': true,
+      fee: '0.00001',
+      network: 'testnet-10',
+      'nonce-strategy': 'payload',
+      'coin-selection': 'smallestSufficient',
+      json: false,
+      help: false
+    });
+    expect(values.to).toBeUndefined();
+  });
+
+  test('reject unknown options and options without a value', () => {
+    expect(() => parseCommandLine(['mine', '--bogus'])).toThrow(/--bogus/);
+    expect(() => parseCommandLine(['estimate', '--bits'])).toThrow(/--bits/);
+  });
+
+  test('convert KAS amounts to sompi without rounding', () => {
+    expect(parseKas('1', 'amount')).toBe(100000000);
+    expect(parseKas('1.5', 'amount')).toBe(150000000);
+    expect(parseKas('0.00001', 'fee')).toBe(1000);
+    expect(parseKas('0.00000001', 'fee')).toBe(1);
+    expect(parseKas('0.29', 'amount')).toBe(29000000);
+
+    ['', '-1', '1e3', '.5', '1.123456789', 'one'].forEach(value => {
+      expect(() => parseKas(value, 'amount')).toThrow('--amount must be a KAS amount with at most 8 decimals');
+    });
+    expect(() => parseKas(undefined, 'amount')).toThrow(UsageError);
+    expect(() => parseKas('100000000000', 'amount')).toThrow('--amount is too large');
+  });
+
+  test('parse positive integers, falling back when absent', () => {
+    expect(parsePositiveInteger(undefined, 'max-iterations', 1000000)).toBe(1000000);
+    expect(parsePositiveInteger('250', 'max-iterations', 1000000)).toBe(250);
+
+    ['0', '-3', '1.5', 'abc', '9007199254740993'].forEach(value => {
+      expect(() => parsePositiveInteger(value, 'max-lock-time')).toThrow('--max-lock-time must be a positive integer');
+    });
+  });
+
+  test('take the pattern from --pattern before --bits', () => {
+    expect(getPattern({ pattern: 'prefix:cafe', bits: '16' })).toBe('prefix:cafe');
+    expect(getPattern({ bits: '16' })).toBe(16);
+    expect(() => getPattern({ bits: '0' })).toThrow('--bits must be a positive integer');
+    expect(() => getPattern({})).toThrow(UsageError);
+    expect(() => getPattern({})).toThrow('A pattern is required (--bits or --pattern)');
+  });
+});
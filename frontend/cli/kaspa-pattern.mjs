@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+// Kaspa Pattern CLI
+// Headless pattern mining and broadcasting for CI and servers, built on the same kaspa-utils modules as the web app.
+//
+//   kaspa-pattern mine --bits 16 --to kaspatest:... --amount 1          (key from KASPA_PRIVATE_KEY)
+//   kaspa-pattern mine --pattern prefix:cafe --to kaspatest:... --amount 1 --dry-run --utxos utxos.json
+//   kaspa-pattern estimate --bits 20 --hashrate 50000
+//   kaspa-pattern envelope --contract-type 0x01 --data "hello"
+//   kaspa-pattern read --txid <id>
+//
+// Library logging goes to stderr; stdout only carries the command result (use --json for machine-readable output).
+
+import { UsageError, parseCommandLine, parseKas, parsePositiveInteger, getPattern } from './args.mjs';
+
+const USAGE = `Usage: kaspa-pattern <command> [options]
+
+Commands:
+  mine       Mine a transaction whose TxID matches a pattern, sign it with a local testnet key and submit it
+  estimate   Estimate attempts and time-to-find for a pattern
+  envelope   Build a data envelope (hex)
+  read       Read and verify the envelope embedded in a confirmed transaction
+
+Pattern options (mine, estimate):
+  --bits <n>               Trailing zero bits
+  --pattern <spec>         Pattern spec, e.g. "tz:12", "prefix:cafe", "lz:8&suffix:00" (overrides --bits)
+  --max-iterations <n>     Attempt budget (default: 1000000)
+
+mine:
+  --to <address>           Recipient address (default: the key's own address)
+  --amount <KAS>           Amount to send in KAS
+  --fee <KAS>              Priority fee in KAS (default: 0.00001)
+  --change <address>       Change address (default: the key's address)
+  --key <hex>              Testnet private key (prefer the KASPA_PRIVATE_KEY environment variable)
+  --network <id>           Network ID (default: testnet-10)
+  --rpc <url>              kaspad wRPC (Borsh) URL (default: $KASPA_RPC_URL, else the SDK's public resolver)
+  --nonce-strategy <name>  payload | sequence | lockTime | changeAmount | outputAmount (default: payload)
+  --payload-prefix <hex>   Fixed payload bytes before the nonce (payload strategy)
+  --max-lock-time <n>      Nonces stay below this DAA score (lockTime strategy; default: the node's virtual DAA score)
+  --coin-selection <name>  smallestSufficient | largestFirst | branchAndBound | random | consumeDust (default: smallestSufficient)
+  --utxos <file>           Spend UTXOs from a JSON file instead of querying the node
+  --envelope <hex>         Embed an envelope (see the envelope command) in the transaction payload
+  --dry-run                Mine only; print the unsigned transaction instead of submitting
+  --sdk <path>             kaspa-wasm Node.js SDK module (default: $KASPA_WASM_SDK or "kaspa")
+
+estimate:
+  --hashrate <n>           Attempts per second to convert attempts into time
+
+envelope:
+  --contract-type <id>     Contract type identifier (default: 0x01)
+  --data <text>            Payload data (JSON for the json and cbor codecs)
+  --codec <name>           Payload codec: raw, json, cbor, deflate, json+deflate, cbor+deflate (default: none, v0x02)
+  --recipient <pubkey>     Encrypt the payload to this x-only or compressed public key (hex)
+  --sign                   Sign the envelope as its author with --key or KASPA_PRIVATE_KEY
+
+read:
+  --txid <id>              Transaction ID
+  --rest-api <url>         Kaspa REST API URL (default: https://api-tn10.kaspa.org)
+  --key <hex>              Private key that decrypts an encrypted envelope
+
+Global:
+  --json                   Print the result as JSON
+  --verbose                Detailed mining logs (stderr)
+  --help                   Show this help
+`;
+
+/**
+ * JSON.stringify that writes BigInt values (amounts, DAA scores) as decimal strings
+ * @param {*} value - Value to serialize
+ * @param {number} space - Indentation (optional)
+ * @returns {string} JSON text
+ */
+function toJson(value, space) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), space);
+}
+
+/**
+ * Write the command result to stdout
+ * @param {Object} result - Result object
+ * @param {boolean} asJson - Print JSON instead of text lines
+ * @param {Array<string>} lines - Human-readable lines
+ */
+function printResult(result, asJson, lines) {
+  if (asJson) {
+    process.stdout.write(`${toJson(result, 2)}\n`);
+  } else {
+    process.stdout.write(`${lines.join('\n')}\n`);
+  }
+}
+
+async function runEstimate(values) {
+  const { estimatePatternSearch, formatEstimateDuration } = await import('../src/kaspa-utils/pattern-estimator.js');
+  const estimate = estimatePatternSearch(getPattern(values), {
+    hashrate: values.hashrate ? Number(values.hashrate) : null,
+    maxIterations: parsePositiveInteger(values['max-iterations'], 'max-iterations', 1000000)
+  });
+  printResult(estimate, values.json, [
+    `Pattern: ${estimate.description} (${estimate.bits.toFixed(1)} bits)`,
+    `Expected attempts: ${Math.round(estimate.expectedAttempts).toLocaleString()}`,
+    ...estimate.percentiles.map(p => `${p.confidence * 100}%: ${p.attempts.toLocaleString()} attempts${p.seconds !== null ? ` (${formatEstimateDuration(p.seconds)})` : ''}`),
+    `Chance within ${estimate.maxIterations.toLocaleString()} attempts: ${(estimate.successProbability * 100).toFixed(2)}%`
+  ]);
+  return 0;
+}
+
+/**
+ * Private key for signing envelopes
+ * @param {Object} values - Parsed CLI options
+ * @returns {string} Private key hex
+ */
+function requireAuthorKey(values) {
+  const key = values.key || process.env.KASPA_PRIVATE_KEY;
+  if (!key) throw new UsageError('--sign needs --key or KASPA_PRIVATE_KEY');
+  return key;
+}
+
+async function runEnvelope(values) {
+  const { constructEnvelope } = await import('../src/kaspa-utils/envelope.js');
+  if (!values.data) throw new UsageError('--data is required');
+  let payloadData = values.data;
+  if (values.codec && /^(json|cbor)/.test(values.codec)) {
+    try {
+      payloadData = JSON.parse(values.data);
+    } catch (error) {
+      throw new UsageError(`--data must be JSON for the ${values.codec} codec: ${error.message}`);
+    }
+  }
+  const result = constructEnvelope({
+    contractTypeId: values['contract-type'],
+    payloadData,
+    codec: values.codec,
+    recipientPublicKey: values.recipient || null,
+    authorPrivateKey: values.sign ? requireAuthorKey(values) : null,
+    networkId: values.network
+  });
+  if (!result.success) throw new Error(result.error);
+  const envelopeHex = result.envelope.toString('hex');
+  printResult({ success: true, envelope: envelopeHex, metadata: result.metadata }, values.json, [envelopeHex]);
+  return 0;
+}
+
+async function runRead(values) {
+  const { fetchTransactionEnvelope } = await import('../src/kaspa-utils/envelope-reader.js');
+  if (!values.txid) throw new UsageError('--txid is required');
+  const result = await fetchTransactionEnvelope(values.txid, {
+    restApiUrl: values['rest-api'],
+    recipientPrivateKey: values.key || null,
+    networkId: values.network
+  });
+  if (!result.success) throw new Error(result.error);
+  const { envelope } = result;
+  printResult({
+    success: true,
+    txId: result.txId,
+    accepted: result.accepted,
+    envelope: result.envelopeHex,
+    version: envelope.version,
+    contractTypeId: envelope.contractTypeId,
+    codec: envelope.codec,
+    encrypted: envelope.encrypted,
+    author: envelope.author?.address || null,
+    payloadRootHash: envelope.payloadRootHash,
+    payloadText: envelope.payloadText
+  }, values.json, [
+    `Envelope v0x${envelope.version.toString(16).padStart(2, '0')} in ${result.txId}: contract 0x${envelope.contractTypeId}, ${envelope.encodedPayloadLength} payload bytes (${envelope.codec}${envelope.encrypted ? ', encrypted' : ''})`,
+    ...(envelope.author ? [`Signed by ${envelope.author.address}`] : []),
+    envelope.payloadText ?? '(encrypted; pass --key to decrypt)'
+  ]);
+  return 0;
+}
+
+async function runMine(values) {
+  const { mineWasmPatternTransaction } = await import('../src/kaspa-utils/wasm-pattern-miner.js');
+  const { getPatternDifficulty } = await import('../src/kaspa-utils/pattern-spec.js');
+  const { selectCoins } = await import('../src/kaspa-utils/coin-selection.js');
+  const { readUtxoFile } = await import('./utxo-file.mjs');
+  const nodeSdk = await import('./node-sdk.mjs');
+
+  const pattern = getPattern(values);
+  const networkId = values.network;
+  const amount = parseKas(values.amount, 'amount');
+  const fee = parseKas(values.fee, 'fee');
+  if (amount <= 0) throw new UsageError('--amount must be greater than zero');
+  const maxIterations = parsePositiveInteger(values['max-iterations'], 'max-iterations', 1000000);
+  const difficulty = getPatternDifficulty(pattern);
+
+  const kaspaWasm = nodeSdk.loadKaspaNodeSdk(values.sdk);
+  const { privateKey, address } = nodeSdk.loadSigningKey(kaspaWasm, values.key || process.env.KASPA_PRIVATE_KEY, networkId);
+  const toAddress = values.to || address;
+
+  const rpcUrl = values.rpc || process.env.KASPA_RPC_URL;
+  const needsRpc = !values['dry-run'] || !values.utxos;
+  const rpc = needsRpc ? await nodeSdk.connectRpc(kaspaWasm, { url: rpcUrl, networkId }) : null;
+
+  // Ctrl+C stops the search and still reports the best pattern found
+  const abortController = new AbortController();
+  const onSigint = () => abortController.abort(new Error('Interrupted'));
+  process.once('SIGINT', onSigint);
+
+  try {
+    const utxos = values.utxos ? readUtxoFile(values.utxos, { networkId }) : await nodeSdk.fetchUtxos(rpc, address);
+    if (utxos.length === 0) throw new Error(`No UTXOs available for ${address}`);
+    const changeAddress = values.change || address;
+    const nonceOptions = values['payload-prefix'] ? { payloadPrefix: values['payload-prefix'] } : {};
+    if (values['nonce-strategy'] === 'lockTime') {
+      // A lockTime at or above the virtual DAA score makes the mined transaction non-final
+      if (values['max-lock-time']) {
+        nonceOptions.maxLockTime = parsePositiveInteger(values['max-lock-time'], 'max-lock-time');
+      } else if (rpc) {
+        nonceOptions.maxLockTime = await nodeSdk.fetchVirtualDaaScore(rpc);
+        console.error(`🔒 lockTime nonces stay below the virtual DAA score ${nonceOptions.maxLockTime}`);
+      } else {
+        throw new UsageError('--nonce-strategy lockTime needs --max-lock-time when mining offline (--dry-run --utxos)');
+      }
+    }
+    const coinSelection = selectCoins(utxos, {
+      strategy: values['coin-selection'],
+      toAddress,
+      changeAddress,
+      amount,
+      fee,
+      payload: values.envelope ? values.envelope.replace(/^0x/, '').toLowerCase() : null,
+      nonceStrategy: values['nonce-strategy'],
+      nonceOptions,
+      networkId
+    });
+    console.error(`🪙 ${coinSelection.strategy}${coinSelection.fallback ? ` (fell back to ${coinSelection.fallback})` : ''}: ${coinSelection.inputCount} of ${utxos.length} UTXO(s), ${coinSelection.totalInput} sompi in, ${coinSelection.change} sompi change, ${coinSelection.fee} sompi fee`);
+    coinSelection.warnings.forEach(warning => console.error(`⚠️ ${warning}`));
+    console.error(`⛏️ Mining ${difficulty.description} (~${Math.round(difficulty.expectedAttempts).toLocaleString()} attempts) from ${address}...`);
+
+    const mined = await mineWasmPatternTransaction(kaspaWasm, {
+      utxos: coinSelection.inputs,
+      coinSelection,
+      toAddress,
+      amount,
+      fee,
+      changeAddress,
+      zeroBits: pattern,
+      maxIterations,
+      networkId,
+      nonceStrategy: values['nonce-strategy'],
+      nonceOptions,
+      envelope: values.envelope || null,
+      signal: abortController.signal,
+      verbose: values.verbose
+    });
+
+    if (!mined.success) {
+      const best = mined.bestPatternFound;
+      printResult({ ...mined, transaction: undefined }, values.json, [
+        `${mined.cancelled ? 'Cancelled' : 'Failed'}: ${mined.error}`,
+        ...(best?.txId ? [`Best pattern: ${best.zeroBits} bits (${best.txId})`] : [])
+      ]);
+      return mined.cancelled ? 130 : 1;
+    }
+
+    const summary = {
+      success: true,
+      txId: mined.txId,
+      nonce: mined.nonce,
+      nonceStrategy: mined.nonceStrategy,
+      attempts: mined.attempts,
+      duration: mined.duration,
+      fastTxId: mined.fastTxId,
+      coinSelection: {
+        strategy: coinSelection.strategy,
+        inputs: coinSelection.inputs.map(utxo => `${utxo.transactionId}:${utxo.index}`),
+        change: coinSelection.change,
+        fee: coinSelection.fee
+      },
+      networkId,
+      from: address,
+      to: toAddress
+    };
+
+    if (values['dry-run']) {
+      const unsignedTransaction = nodeSdk.serializeUnsignedTransaction(mined.transaction);
+      printResult({ ...summary, submitted: false, unsignedTransaction }, values.json, [
+        `Mined ${mined.txId} after ${mined.attempts.toLocaleString()} attempts (${mined.duration} ms); not submitted (--dry-run)`,
+        toJson(unsignedTransaction)
+      ]);
+      return 0;
+    }
+
+    const submittedTxId = await nodeSdk.signAndSubmitTransaction(kaspaWasm, rpc, mined.transaction, privateKey);
+    if (submittedTxId !== mined.txId) {
+      throw new Error(`Node accepted ${submittedTxId}, which differs from the mined TxID ${mined.txId}`);
+    }
+    printResult({ ...summary, submitted: true }, values.json, [
+      `Submitted ${submittedTxId} after ${mined.attempts.toLocaleString()} attempts (${mined.duration} ms)`
+    ]);
+    return 0;
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+    if (rpc) await rpc.disconnect();
+  }
+}
+
+const COMMANDS = { mine: runMine, estimate: runEstimate, envelope: runEnvelope, read: runRead };
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+  const command = COMMANDS[positionals[0]];
+  if (values.help || !command) {
+    (values.help ? process.stdout : process.stderr).write(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  // Keep stdout for results: the kaspa-utils modules log progress with console.log
+  console.log = console.error;
+  try {
+    return await command(values);
+  } catch (error) {
+    process.stderr.write(`❌ ${error.message}\n`);
+    if (error instanceof UsageError) process.stderr.write(`\n${USAGE}`);
+    return error instanceof UsageError ? 2 : 1;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
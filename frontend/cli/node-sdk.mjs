@@ -0,0 +1,128 @@
+// Kaspa Node.js SDK Adapter (headless CLI)
+// Provides what the browser gets from sdk-init.js and the Kastle wallet: a kaspa-wasm instance, a kaspad wRPC
+// connection, UTXO lookup, and signing with a locally supplied private key.
+
+import { createRequire } from 'module';
+import path from 'path';
+import { normalizeUtxos } from '../src/kaspa-utils/utxo.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Load the Node.js build of kaspa-wasm
+ * @param {string} sdkPath - Module name or path of the Node.js SDK (default: $KASPA_WASM_SDK or "kaspa")
+ * @returns {Object} kaspa-wasm module
+ */
+export function loadKaspaNodeSdk(sdkPath = process.env.KASPA_WASM_SDK || 'kaspa') {
+  const resolved = sdkPath.startsWith('.') || path.isAbsolute(sdkPath) ? path.resolve(process.cwd(), sdkPath) : sdkPath;
+  try {
+    const kaspaWasm = require(resolved);
+    kaspaWasm.initConsolePanicHook?.();
+    return kaspaWasm;
+  } catch (error) {
+    throw new Error(`Could not load the kaspa-wasm Node.js SDK from "${sdkPath}" (set --sdk or KASPA_WASM_SDK): ${error.message}`);
+  }
+}
+
+/**
+ * Load a testnet signing key and derive its address
+ * @param {Object} kaspaWasm - kaspa-wasm module
+ * @param {string} privateKeyHex - 32-byte private key in hex
+ * @param {string} networkId - Network ID (must be a testnet)
+ * @returns {Object} { privateKey, address }
+ */
+export function loadSigningKey(kaspaWasm, privateKeyHex, networkId) {
+  if (!networkId.startsWith('testnet')) {
+    throw new Error(`Refusing to sign on ${networkId}: the CLI only accepts locally supplied testnet keys`);
+  }
+  if (!/^[0-9a-fA-F]{64}$/.test(privateKeyHex || '')) {
+    throw new Error('Private key must be 64 hex characters (use --key or KASPA_PRIVATE_KEY)');
+  }
+  const privateKey = new kaspaWasm.PrivateKey(privateKeyHex);
+  const address = privateKey.toKeypair().toAddress(networkId).toString();
+  return { privateKey, address };
+}
+
+/**
+ * Connect to a kaspad wRPC endpoint
+ * @param {Object} kaspaWasm - kaspa-wasm module
+ * @param {Object} options - Connection options
+ * @param {string} options.url - wRPC URL, e.g. ws://127.0.0.1:17210 (default: public resolver when the SDK has one)
+ * @param {string} options.networkId - Network ID
+ * @returns {Promise<Object>} Connected RpcClient
+ */
+export async function connectRpc(kaspaWasm, options = {}) {
+  const { url = null, networkId } = options;
+
+  // RpcClient needs a W3C WebSocket global; Node.js 22+ ships one
+  if (typeof WebSocket === 'undefined') {
+    try {
+      global.WebSocket = require('websocket').w3cwebsocket;
+    } catch (error) {
+      throw new Error('No WebSocket implementation available: use Node.js 22+ or install the "websocket" package');
+    }
+  }
+
+  let rpcOptions;
+  if (url) {
+    rpcOptions = { url, encoding: kaspaWasm.Encoding.Borsh, networkId };
+  } else if (kaspaWasm.Resolver) {
+    rpcOptions = { resolver: new kaspaWasm.Resolver(), networkId };
+  } else {
+    throw new Error('No wRPC URL given (use --rpc or KASPA_RPC_URL)');
+  }
+  const rpc = new kaspaWasm.RpcClient(rpcOptions);
+  await rpc.connect();
+  return rpc;
+}
+
+/**
+ * Fetch the spendable UTXOs of an address through wRPC
+ * @param {Object} rpc - Connected RpcClient
+ * @param {string} address - Address to query
+ * @returns {Promise<Array>} Canonical UTXOs (see utxo.js)
+ */
+export async function fetchUtxos(rpc, address) {
+  const { entries = [] } = await rpc.getUtxosByAddresses({ addresses: [address] });
+  return normalizeUtxos(entries, { address });
+}
+
+/**
+ * Read the node's current virtual DAA score
+ * @param {Object} rpc - Connected RpcClient
+ * @returns {Promise<number>} Virtual DAA score
+ */
+export async function fetchVirtualDaaScore(rpc) {
+  const { virtualDaaScore } = await rpc.getBlockDagInfo();
+  return Number(virtualDaaScore);
+}
+
+/**
+ * Serialize a mined transaction without signing it
+ * @param {Object} transaction - PendingTransaction or Transaction
+ * @returns {Object} Safe JSON object
+ */
+export function serializeUnsignedTransaction(transaction) {
+  const inner = transaction.transaction || transaction;
+  const json = inner.serializeToSafeJSON ? inner.serializeToSafeJSON() : inner.toJSON();
+  return typeof json === 'string' ? JSON.parse(json) : json;
+}
+
+/**
+ * Sign a mined transaction with a local key and submit it
+ * Signature scripts are not part of the TxID, so the submitted ID must equal the mined one.
+ * @param {Object} kaspaWasm - kaspa-wasm module
+ * @param {Object} rpc - Connected RpcClient
+ * @param {Object} transaction - PendingTransaction (payload/amount nonces) or mutated Transaction (sequence/lockTime)
+ * @param {Object} privateKey - kaspa-wasm PrivateKey
+ * @returns {Promise<string>} Submitted transaction ID
+ */
+export async function signAndSubmitTransaction(kaspaWasm, rpc, transaction, privateKey) {
+  if (typeof transaction.sign === 'function' && typeof transaction.submit === 'function') {
+    transaction.sign([privateKey]);
+    return transaction.submit(rpc);
+  }
+  const signed = kaspaWasm.signTransaction(transaction, [privateKey], true);
+  const { transactionId } = await rpc.submitTransaction({ transaction: signed, allowOrphan: false });
+  return transactionId;
+}
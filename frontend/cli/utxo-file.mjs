@@ -0,0 +1,22 @@
+// Kaspa Pattern CLI UTXO Files
+// Reads the UTXOs that `mine --utxos` spends instead of querying the node.
+
+import { readFileSync } from 'fs';
+import { normalizeUtxos } from '../src/kaspa-utils/utxo.js';
+
+/**
+ * Read UTXOs from a JSON file (an array of UTXOs in any form utxo.js accepts, or a getUtxosByAddresses response)
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} options - normalizeUtxo() options, e.g. networkId to fill in missing addresses (optional)
+ * @returns {Array} Canonical UTXOs (see utxo.js)
+ */
+export function readUtxoFile(filePath, options = {}) {
+  const parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed.entries;
+  if (!Array.isArray(entries)) throw new Error(`${filePath} must contain a UTXO array or { entries: [...] }`);
+  try {
+    return normalizeUtxos(entries, options);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
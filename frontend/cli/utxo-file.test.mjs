@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { readUtxoFile } from './utxo-file.mjs';
+
+const PUBLIC_KEY = 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659';
+const ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+const TX_ID = '11'.repeat(32);
+
+const CANONICAL = {
+  transactionId: TX_ID,
+  index: 1,
+  amount: BigInt(500000),
+  scriptPublicKey: `000020${PUBLIC_KEY}ac`,
+  address: ADDRESS,
+  blockDaaScore: BigInt(7),
+  isCoinbase: false
+};
+
+// A UTXO as the REST API returns it; JSON files carry amounts and DAA scores as strings
+const REST_UTXO = {
+  address: ADDRESS,
+  outpoint: { transactionId: TX_ID, index: 1 },
+  utxoEntry: { amount: '500000', scriptPublicKey: { version: 0, scriptPublicKey: `20${PUBLIC_KEY}ac` }, blockDaaScore: '7', isCoinbase: false }
+};
+
+let directory;
+
+// Write contents (JSON unless already a string) to a file in the test directory
+function writeUtxoFile(name, contents) {
+  const filePath = path.join(directory, name);
+  writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return filePath;
+}
+
+beforeAll(() => {
+  directory = mkdtempSync(path.join(tmpdir(), 'kaspa-pattern-utxos-'));
+});
+
+afterAll(() => rmSync(directory, { recursive: true, force: true }));
+
+describe('CLI UTXO files', () => {
+  test('read a UTXO array', () => {
+    expect(readUtxoFile(writeUtxoFile('array.json', [REST_UTXO]))).toEqual([CANONICAL]);
+  });
+
+  test('read a getUtxosByAddresses response, filling in addresses from the network', () => {
+    const { address, ...withoutAddress } = REST_UTXO;
+    const filePath = writeUtxoFile('response.json', { entries: [withoutAddress] });
+
+    expect(readUtxoFile(filePath, { networkId: 'testnet-10' })).toEqual([CANONICAL]);
+    expect(readUtxoFile(filePath)).toEqual([{ ...CANONICAL, address: null }]);
+  });
+
+  test('reject files without UTXOs and name the file on a bad UTXO', () => {
+    const noEntries = writeUtxoFile('no-entries.json', { utxos: [REST_UTXO] });
+    expect(() => readUtxoFile(noEntries)).toThrow(`${noEntries} must contain a UTXO array or { entries: [...] }`);
+
+    const badUtxo = writeUtxoFile('bad-utxo.json', [{ ...REST_UTXO, outpoint: { transactionId: 'abc', index: 1 } }]);
+    expect(() => readUtxoFile(badUtxo)).toThrow(new RegExp(`^${badUtxo}: .*invalid transaction ID: abc`));
+
+    expect(() => readUtxoFile(writeUtxoFile('broken.json', '[{'))).toThrow(SyntaxError);
+    expect(() => readUtxoFile(path.join(directory, 'missing.json'))).toThrow(/ENOENT/);
+  });
+});
@@ -1,42 +1,57 @@
 const { override, addWebpackModuleRule, addWebpackResolve } = require('customize-cra');
 
-module.exports = override(
-  // Add polyfills for Node.js modules
-  addWebpackResolve({
-    fallback: {
-      "crypto": require.resolve("crypto-browserify"),
-      "stream": require.resolve("stream-browserify"),
-      "buffer": require.resolve("buffer"),
-      "process": require.resolve("process/browser"),
-      "os": require.resolve("os-browserify/browser"),
-      "path": require.resolve("path-browserify"),
-      "assert": require.resolve("assert"),
-      "util": require.resolve("util"),
-      "url": require.resolve("url"),
-      "querystring": require.resolve("querystring"),
-      "vm": require.resolve("vm-browserify"),
-      "events": require.resolve("events"),
-      "fs": false,
-      "net": false,
-      "tls": false,
-      "child_process": false
-    }
-  }),
-  
-  // Provide global variables that Node.js modules expect
-  (config) => {
-    config.plugins.push(
-      new (require('webpack')).ProvidePlugin({
-        Buffer: ['buffer', 'Buffer'],
-        process: 'process/browser'
-      })
+module.exports = {
+  webpack: override(
+    // Add polyfills for Node.js modules
+    addWebpackResolve({
+      fallback: {
+        "crypto": require.resolve("crypto-browserify"),
+        "stream": require.resolve("stream-browserify"),
+        "buffer": require.resolve("buffer"),
+        "process": require.resolve("process/browser"),
+        "os": require.resolve("os-browserify/browser"),
+        "path": require.resolve("path-browserify"),
+        "assert": require.resolve("assert"),
+        "util": require.resolve("util"),
+        "url": require.resolve("url"),
+        "querystring": require.resolve("querystring"),
+        "vm": require.resolve("vm-browserify"),
+        "events": require.resolve("events"),
+        "fs": false,
+        "net": false,
+        "tls": false,
+        "child_process": false
+      }
+    }),
+
+    // Provide global variables that Node.js modules expect
+    (config) => {
+      config.plugins.push(
+        new (require('webpack')).ProvidePlugin({
+          Buffer: ['buffer', 'Buffer'],
+          process: 'process/browser'
+        })
+      );
+      return config;
+    },
+
+    // Handle WASM files
+    addWebpackModuleRule({
+      test: /\.wasm$/,
+      type: 'webassembly/async'
+    })
+  ),
+
+  // Compile the ESM-only @webbuf packages, which Jest would otherwise load untransformed from node_modules
+  jest: (config) => {
+    config.transformIgnorePatterns = config.transformIgnorePatterns.map(pattern =>
+      pattern.replace('node_modules[/\\\\]', 'node_modules[/\\\\](?!@webbuf[/\\\\])')
     );
-    return config;
-  },
 
-  // Handle WASM files
-  addWebpackModuleRule({
-    test: /\.wasm$/,
-    type: 'webassembly/async'
-  })
-); 
\ No newline at end of file
+    // The headless CLI (cli/*.mjs) keeps its tests next to it
+    config.roots.push('<rootDir>/cli');
+    config.testMatch.push('<rootDir>/cli/**/*.test.mjs');
+    config.moduleFileExtensions.push('mjs');
+    return config;
+  }
+};
@@ -1,16 +1,105 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import {
   initialiseKaspaFramework,
-  getKastleWalletStatus,
-  connectKastleWallet,
-  disconnectKastleWallet,
+  connectWallet,
+  disconnectWallet,
+  listWalletAdapters,
+  setActiveWalletAdapter,
+  getActiveWalletAdapterId,
+  subscribeToWalletEvents,
+  refreshWalletState,
+  LOCAL_KEYSTORE_WALLET_ID,
+  KEYSTORE_MIN_PASSWORD_LENGTH,
+  createLocalKeystore,
+  listLocalKeystores,
+  unlockLocalKeystore,
+  deleteLocalKeystore,
   getKaspaWasmModule,
-  executeKaspaFiveStepWorkflow
+  executeKaspaFiveStepWorkflow,
+  listMiningSessions,
+  deleteMiningSession,
+  estimatePatternSearch,
+  formatEstimateDuration,
+  measureMiningHashrate,
+  getDefaultWorkerCount,
+  constructEnvelope,
+  estimatePayloadFeeImpact,
+  ENVELOPE_VERSION_CODEC,
+  ENVELOPE_AUTHOR_KEY_LENGTH,
+  ENVELOPE_SIGNATURE_LENGTH,
+  SIGHASH_TYPE_NAMES,
+  DEFAULT_SIGHASH_TYPE,
+  describeSighashType,
+  inspectTransaction,
+  COIN_SELECTION_STRATEGY_NAMES,
+  DEFAULT_COIN_SELECTION_STRATEGY,
+  getCoinSelectionStrategy
 } from './kaspa-utils.js';
 
+// Mining budget for workflow runs; the difficulty estimate reports the chance of success within it
+const WORKFLOW_MAX_PATTERN_ITERATIONS = 100000;
+
+/**
+ * Sighash selection for the workflow from the sighash form fields
+ * @param {string} defaultType - Sighash type for every input
+ * @param {string} overrides - Per-input overrides as typed, e.g. "1:SingleAnyOneCanPay, 2:None"
+ * @returns {Object|string} The default type alone, or { default, [inputIndex]: type } when there are overrides
+ */
+const buildWorkflowSighashTypes = (defaultType, overrides) => {
+  const entries = overrides.split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) return defaultType;
+  return entries.reduce((types, entry) => {
+    const match = entry.match(/^(\d+)\s*:\s*(\w+)$/);
+    if (!match) throw new Error(`Invalid sighash override "${entry}": use inputIndex:Type, e.g. 1:SingleAnyOneCanPay`);
+    describeSighashType(match[2]); // Throws for unknown types
+    return { ...types, [match[1]]: match[2] };
+  }, { default: defaultType });
+};
+
+/**
+ * Envelope options for the workflow from the envelope form fields
+ * json/cbor codecs read the data field as JSON; raw keeps the v0x02 format without a codec tag.
+ * @param {string} contractTypeId - Contract type ID (hex)
+ * @param {string} data - Envelope data as typed
+ * @param {string} codec - Payload codec name
+ * @returns {Object|null} constructEnvelope() options, or null without data
+ */
+const buildWorkflowEnvelopeOptions = (contractTypeId, data, codec) => {
+  if (!data) return null;
+  const structured = codec.startsWith('json') || codec.startsWith('cbor');
+  let payloadData = data;
+  if (structured) {
+    try {
+      payloadData = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Envelope data must be JSON for the ${codec} codec: ${error.message}`);
+    }
+  }
+  return {
+    contractTypeId: contractTypeId.trim(),
+    payloadData,
+    ...(codec === 'raw' ? {} : { codec })
+  };
+};
+
+/**
+ * Format a sompi amount as KAS without losing precision
+ * @param {BigInt|null} sompi - Amount in sompi
+ * @returns {string} e.g. "1.00000000 KAS", or "unknown"
+ */
+const formatSompi = (sompi) => {
+  if (sompi === null || sompi === undefined) return 'unknown';
+  const negative = sompi < BigInt(0);
+  const absolute = negative ? -sompi : sompi;
+  const whole = absolute / BigInt(100000000);
+  const fraction = (absolute % BigInt(100000000)).toString().padStart(8, '0');
+  return `${negative ? '-' : ''}${whole}.${fraction} KAS`;
+};
+
 const PatternTransactionGenerator = () => {
   // Framework and wallet state
   const [frameworkReady, setFrameworkReady] = useState(false);
+  const [walletId, setWalletId] = useState(getActiveWalletAdapterId());
   const [walletStatus, setWalletStatus] = useState({
     installed: false,
     connected: false,
@@ -29,7 +118,34 @@ const PatternTransactionGenerator = () => {
   const [workflowFeeKas, setWorkflowFeeKas] = useState('1');
   const [workflowPatternBits, setWorkflowPatternBits] = useState(10);
   const [workflowNetworkId, setWorkflowNetworkId] = useState('testnet-10');
+  const [workflowNonceStrategy, setWorkflowNonceStrategy] = useState('payload');
+  const [workflowCoinSelection, setWorkflowCoinSelection] = useState(DEFAULT_COIN_SELECTION_STRATEGY);
+  const [workflowEnvelopeContractType, setWorkflowEnvelopeContractType] = useState('0x01');
+  const [workflowEnvelopeData, setWorkflowEnvelopeData] = useState('');
+  const [workflowEnvelopeCodec, setWorkflowEnvelopeCodec] = useState('raw');
+  const [workflowSignEnvelope, setWorkflowSignEnvelope] = useState(false);
+  const [workflowSighashType, setWorkflowSighashType] = useState(DEFAULT_SIGHASH_TYPE);
+  const [workflowSighashOverrides, setWorkflowSighashOverrides] = useState('');
+  const [workflowAcceptSighashRisk, setWorkflowAcceptSighashRisk] = useState(false);
   const [isExecutingFiveStepWorkflow, setIsExecutingFiveStepWorkflow] = useState(false);
+  const workflowAbortControllerRef = useRef(null);
+  const [miningSessions, setMiningSessions] = useState([]);
+  // Attempts/sec per nonce strategy, from a benchmark or the latest mining progress
+  const [measuredHashrates, setMeasuredHashrates] = useState({});
+  const [isMeasuringHashrate, setIsMeasuringHashrate] = useState(false);
+  // Transaction inspector: a pasted PSKT/transaction, or the workflow's unsigned transaction
+  const [inspectorInput, setInspectorInput] = useState('');
+  const [inspectorNetworkId, setInspectorNetworkId] = useState('testnet-10');
+  const [inspectorPattern, setInspectorPattern] = useState('');
+  // Local testnet keystore (the 'local' wallet)
+  const [localKeystores, setLocalKeystores] = useState([]);
+  const [localKeystoreId, setLocalKeystoreId] = useState('');
+  const [localKeystorePassword, setLocalKeystorePassword] = useState('');
+  const [localKeystoreName, setLocalKeystoreName] = useState('Testnet keystore');
+  const [localKeystoreImport, setLocalKeystoreImport] = useState('');
+  const [localKeystoreNetworkId, setLocalKeystoreNetworkId] = useState('testnet-10');
+  // Shown once after generating, for the user to write down
+  const [generatedMnemonic, setGeneratedMnemonic] = useState(null);
 
   const kaspaWasm = getKaspaWasmModule(); // Get module for kaspaToSompi etc.
 
@@ -41,6 +157,20 @@ const PatternTransactionGenerator = () => {
     ].slice(0, 200));
   }, []);
 
+  const refreshMiningSessions = useCallback(async () => {
+    const result = await listMiningSessions({ status: 'active' });
+    if (result.success) {
+      setMiningSessions(result.sessions);
+    } else {
+      addLog(`⚠️ Could not load saved mining sessions: ${result.error}`, 'warning');
+    }
+  }, [addLog]);
+
+  // Load resumable mining sessions on mount
+  useEffect(() => {
+    refreshMiningSessions();
+  }, [refreshMiningSessions]);
+
   // Initialize framework on mount
   useEffect(() => {
     const initializeFramework = async () => {
@@ -61,36 +191,45 @@ const PatternTransactionGenerator = () => {
     initializeFramework();
   }, []);
 
-  // Check wallet status periodically
-  useEffect(() => {
-    if (frameworkReady) {
-      checkWalletStatus();
-      const interval = setInterval(checkWalletStatus, 5000);
-      return () => clearInterval(interval);
-    }
-  }, [frameworkReady]);
+  const walletAdapters = listWalletAdapters();
+  const walletName = walletAdapters.find(adapter => adapter.id === walletId)?.name || walletId;
 
-  const checkWalletStatus = async () => {
+  const checkWalletStatus = useCallback(async () => {
     try {
-      const status = await getKastleWalletStatus(false);
-      if (status.success) {
-        setWalletStatus({
-          installed: status.walletInstalled,
-          connected: status.connected,
-          address: status.walletAddress,
-          network: status.network,
-          balance: status.balance
-        });
-      }
+      setWalletStatus(await refreshWalletState(walletId));
     } catch (error) {
       console.warn('Error checking wallet status:', error);
     }
+  }, [walletId]);
+
+  // Follow the wallet's account, network and balance through wallet events
+  useEffect(() => {
+    if (!frameworkReady) return undefined;
+    const unsubscribe = subscribeToWalletEvents((event) => {
+      setWalletStatus(event.state);
+      if (event.type === 'accountChanged') {
+        addLog(`👛 Wallet account changed to ${event.current || 'none'}`, 'info');
+      } else if (event.type === 'networkChanged') {
+        addLog(`🌐 Wallet network changed to ${event.current || 'unknown'}`, 'warning');
+      } else if (event.type === 'disconnected') {
+        addLog('🔌 Wallet disconnected', 'warning');
+      }
+    }, { walletId });
+    checkWalletStatus();
+    return unsubscribe;
+  }, [frameworkReady, walletId, checkWalletStatus, addLog]);
+
+  const handleWalletChange = (nextWalletId) => {
+    setActiveWalletAdapter(nextWalletId);
+    setWalletId(nextWalletId);
+    setWalletStatus({ installed: false, connected: false, address: null, network: null, balance: null });
+    addLog(`👛 Using ${walletAdapters.find(adapter => adapter.id === nextWalletId)?.name || nextWalletId} wallet`, 'info');
   };
 
   const handleWalletConnect = async () => {
     try {
-      addLog('Connecting to Kastle Wallet (PatternTxGenerator)...', 'info');
-      const result = await connectKastleWallet(true);
+      addLog(`Connecting to ${walletName} Wallet (PatternTxGenerator)...`, 'info');
+      const result = await connectWallet(walletId, true);
       if (result.success) {
         addLog('✅ Wallet connected successfully (PatternTxGenerator)', 'success');
         await checkWalletStatus();
@@ -104,8 +243,8 @@ const PatternTransactionGenerator = () => {
 
   const handleWalletDisconnect = async () => {
     try {
-      addLog('Disconnecting from Kastle Wallet (PatternTxGenerator)...', 'info');
-      const result = await disconnectKastleWallet(true);
+      addLog(`Disconnecting from ${walletName} Wallet (PatternTxGenerator)...`, 'info');
+      const result = await disconnectWallet(walletId, true);
       if (result.success) {
         addLog('✅ Wallet disconnected successfully (PatternTxGenerator)', 'success');
         await checkWalletStatus();
@@ -117,6 +256,66 @@ const PatternTransactionGenerator = () => {
     }
   };
 
+  const refreshLocalKeystores = useCallback(async () => {
+    const result = await listLocalKeystores();
+    if (result.success) {
+      setLocalKeystores(result.keystores);
+      setLocalKeystoreId(currentId => (
+        result.keystores.some(keystore => keystore.id === currentId) ? currentId : (result.keystores[0]?.id || '')
+      ));
+    } else {
+      addLog(`⚠️ Could not load local keystores: ${result.error}`, 'warning');
+    }
+  }, [addLog]);
+
+  // Load saved keystores when the local wallet is picked
+  useEffect(() => {
+    if (walletId === LOCAL_KEYSTORE_WALLET_ID) refreshLocalKeystores();
+  }, [walletId, refreshLocalKeystores]);
+
+  const handleCreateLocalKeystore = async () => {
+    addLog(localKeystoreImport.trim() ? '🔐 Importing mnemonic into a local keystore...' : '🔐 Generating a local keystore...', 'info');
+    const result = await createLocalKeystore({
+      name: localKeystoreName || 'Testnet keystore',
+      password: localKeystorePassword,
+      mnemonic: localKeystoreImport.trim() || null,
+      networkId: localKeystoreNetworkId
+    });
+    if (result.success) {
+      addLog(`✅ Local keystore saved: ${result.keystore.addresses[0]}`, 'success');
+      setGeneratedMnemonic(result.mnemonic);
+      setLocalKeystoreImport('');
+      await refreshLocalKeystores();
+      setLocalKeystoreId(result.keystore.id);
+    } else {
+      addLog(`❌ Local keystore not created: ${result.error}`, 'error');
+    }
+  };
+
+  const handleUnlockLocalKeystore = async () => {
+    const result = await unlockLocalKeystore(localKeystoreId, localKeystorePassword);
+    if (result.success) {
+      setLocalKeystorePassword('');
+      addLog(`🔓 Local keystore "${result.keystore.name}" unlocked`, 'success');
+      await handleWalletConnect();
+    } else {
+      addLog(`❌ Could not unlock local keystore: ${result.error}`, 'error');
+    }
+  };
+
+  const handleDeleteLocalKeystore = async () => {
+    const keystore = localKeystores.find(entry => entry.id === localKeystoreId);
+    if (!keystore || !window.confirm(`Delete "${keystore.name}" (${keystore.addresses[0]})? Only its mnemonic can restore it.`)) return;
+    const result = await deleteLocalKeystore(keystore.id);
+    if (result.success) {
+      addLog(`🗑️ Local keystore "${keystore.name}" deleted`, 'info');
+      await refreshLocalKeystores();
+      await checkWalletStatus();
+    } else {
+      addLog(`❌ Could not delete local keystore: ${result.error}`, 'error');
+    }
+  };
+
   const handleExecuteFiveStepWorkflow = async () => {
     addLog('🚀 Initiating 5-Step Kaspa Pattern Transaction Workflow...', 'title');
     setIsExecutingFiveStepWorkflow(true);
@@ -150,24 +349,73 @@ const PatternTransactionGenerator = () => {
         setIsExecutingFiveStepWorkflow(false);
         return;
       }
+      if (sighashPreview.error) {
+        addLog(sighashPreview.error, 'error');
+        setIsExecutingFiveStepWorkflow(false);
+        return;
+      }
+      if (sighashPreview.highRisk && !workflowAcceptSighashRisk) {
+        addLog('The selected sighash types let others redirect funds. Confirm the risk to continue.', 'error');
+        setIsExecutingFiveStepWorkflow(false);
+        return;
+      }
 
-      const options = {
+      await runFiveStepWorkflow({
         network: workflowNetworkId,
         recipientAddress: workflowRecipientAddress,
         amountKas: amountKasNum,
         feeKas: feeKasNum,
         patternBits: patternBitsNum,
+        nonceStrategy: workflowNonceStrategy,
+        coinSelection: workflowCoinSelection,
+        maxPatternIterations: WORKFLOW_MAX_PATTERN_ITERATIONS,
+        envelope: buildWorkflowEnvelopeOptions(workflowEnvelopeContractType, workflowEnvelopeData, workflowEnvelopeCodec),
+        signEnvelope: workflowSignEnvelope,
+        sighashTypes: sighashPreview.sighashTypes
+      });
+    } catch (error) {
+      addLog(`❌ Critical error during 5-step workflow execution: ${error.message}`, 'error', { name: error.name, stack: error.stack });
+      setIsExecutingFiveStepWorkflow(false);
+    }
+  };
+
+  // Shared by fresh runs and resumed mining sessions; clears the executing flag when done
+  const runFiveStepWorkflow = async (workflowOptions) => {
+    const abortController = new AbortController();
+    workflowAbortControllerRef.current = abortController;
+    try {
+      const options = {
+        ...workflowOptions,
+        walletId,
         verbose: true, // Or make this configurable
+        signal: abortController.signal,
         progressCallback: (progress) => {
           if (progress.type === 'log') {
             addLog(`[Workflow] ${progress.payload.message}`, 'info', progress.payload.data);
           } else if (progress.type === 'status') {
             addLog(`[Workflow Status][Step ${progress.step}] ${progress.message}`, 'system');
+          } else if (progress.type === 'mining_progress') {
+            const { attempts, iterationsPerSecond, bestPattern, workerCount } = progress.payload;
+            addLog(`[Mining] ${attempts.toLocaleString()} attempts across ${workerCount} workers (${iterationsPerSecond.toLocaleString()}/sec), best ${bestPattern.zeroBits} bits`, 'info');
+            if (workflowOptions.nonceStrategy && iterationsPerSecond > 0) {
+              setMeasuredHashrates(prev => ({ ...prev, [workflowOptions.nonceStrategy]: { hashrate: iterationsPerSecond, source: 'live' } }));
+            }
+          } else if (progress.type === 'coin_selection') {
+            const { strategy, fallback, inputCount, totalInput, change, fee, warnings } = progress.payload;
+            addLog(`🪙 ${strategy || 'Session'} inputs: ${inputCount} UTXO(s), ${Number(totalInput) / 100000000} KAS in, ${Number(change) / 100000000} KAS change, ${fee.toString()} sompi fee${fallback ? ` (fell back to ${fallback})` : ''}`, warnings.length ? 'warning' : 'info');
+          } else if (progress.type === 'unsigned_transaction') {
+            const { transaction, txId } = progress.payload;
+            setInspectorInput(typeof transaction === 'string' ? transaction : JSON.stringify(transaction, null, 2));
+            setInspectorNetworkId(workflowOptions.network);
+            if (workflowOptions.patternBits) setInspectorPattern(String(workflowOptions.patternBits));
+            addLog(`🔎 Unsigned pattern transaction ${txId} is in the Inspect Transaction tab`, 'info');
           } else if (progress.type === 'broadcast_log') {
             addLog(`[Broadcast] ${progress.payload.stage}: ${progress.payload.status}`, 'info', progress.payload);
           } else if (progress.type === 'final_result'){
             if(progress.payload.success){
               addLog(`✅🎉 Workflow Complete: ${progress.payload.message}`, 'success', progress.payload);
+            } else if (progress.payload.cancelled) {
+              addLog(`🛑 ${progress.payload.message}`, 'warning', progress.payload);
             } else {
               addLog(`❌ Workflow Failed: ${progress.payload.message}`, 'error', progress.payload);
             }
@@ -182,10 +430,19 @@ const PatternTransactionGenerator = () => {
 
       if (result.success) {
         addLog(`✅🎉 5-Step Workflow Succeeded! Final TxID: ${result.finalTxId}`, 'success', result);
+        (result.sighashWarnings || []).forEach(warning => addLog(`   ⚠️ ${warning.message}`, 'warning'));
         addLog(`   Pattern TxID: ${result.originalPatternTxId}`, 'info');
         addLog(`   TxID Preserved: ${result.txIdPreserved}`, result.txIdPreserved ? 'success' : 'warning');
+        if (result.envelope) {
+          addLog(`   Envelope embedded in payload: ${result.envelope.length / 2} bytes`, 'info');
+        }
         addLog(`   Attempts: ${result.attempts}`, 'info');
         addLog(`   Total Duration: ${(result.durationMs / 1000).toFixed(2)}s`, 'info');
+      } else if (result.cancelled) {
+        addLog(`🛑 5-Step Workflow Cancelled after ${result.attempts.toLocaleString()} attempts`, 'warning', result);
+        if (result.bestPatternFound && result.bestPatternFound.txId) {
+          addLog(`   Best pattern so far: ${result.bestPatternFound.zeroBits} bits (${result.bestPatternFound.txId})`, 'info');
+        }
       } else {
         addLog(`❌ 5-Step Workflow Failed: ${result.error}`, 'error', result);
       }
@@ -200,12 +457,61 @@ const PatternTransactionGenerator = () => {
     } catch (error) {
       addLog(`❌ Critical error during 5-step workflow execution: ${error.message}`, 'error', { name: error.name, stack: error.stack });
     }
+    workflowAbortControllerRef.current = null;
     setIsExecutingFiveStepWorkflow(false);
+    refreshMiningSessions();
+  };
+
+  const handleResumeMiningSession = async (session) => {
+    addLog(`⏯️ Resuming mining session ${session.id} (${session.patternDescription})...`, 'title');
+    setIsExecutingFiveStepWorkflow(true);
+    // The session fixes the transaction, not how it is signed, so the current sighash choice applies
+    if (sighashPreview.error || (sighashPreview.highRisk && !workflowAcceptSighashRisk)) {
+      addLog(sighashPreview.error || 'The selected sighash types let others redirect funds. Confirm the risk to continue.', 'error');
+      setIsExecutingFiveStepWorkflow(false);
+      return;
+    }
+    await runFiveStepWorkflow({ network: session.networkId, resumeSessionId: session.id, sighashTypes: sighashPreview.sighashTypes });
+  };
+
+  const handleDiscardMiningSession = async (session) => {
+    const result = await deleteMiningSession(session.id);
+    if (result.success) {
+      addLog(`🗑️ Discarded mining session ${session.id}`, 'info');
+    } else {
+      addLog(`❌ Failed to discard mining session: ${result.error}`, 'error');
+    }
+    refreshMiningSessions();
+  };
+
+  const handleMeasureHashrate = async () => {
+    setIsMeasuringHashrate(true);
+    const workerCount = getDefaultWorkerCount();
+    addLog(`⏱️ Measuring mining speed for the ${workflowNonceStrategy} nonce strategy...`, 'info');
+    const result = await measureMiningHashrate({
+      address: workflowRecipientAddress.trim(),
+      networkId: workflowNetworkId,
+      nonceStrategy: workflowNonceStrategy,
+      workerCount
+    });
+    if (result.success) {
+      setMeasuredHashrates(prev => ({ ...prev, [workflowNonceStrategy]: { hashrate: result.hashrate, source: 'benchmark' } }));
+      addLog(`⏱️ ~${Math.round(result.hashrate).toLocaleString()} attempts/sec across ${workerCount} workers${result.fastTxId ? ' (local TxID fast path)' : ''}`, 'success', result);
+    } else {
+      addLog(`❌ Could not measure mining speed: ${result.error}`, 'error');
+    }
+    setIsMeasuringHashrate(false);
+  };
+
+  const handleCancelFiveStepWorkflow = () => {
+    if (!workflowAbortControllerRef.current) return;
+    addLog('🛑 Cancelling workflow...', 'warning');
+    workflowAbortControllerRef.current.abort(new Error('Cancelled by user'));
   };
 
   const formatBalance = (balance) => {
     if (!balance) return 'N/A';
-    // Handle BigInt values from Kastle Wallet
+    // Handle BigInt values from the wallet
     const balanceNumber = typeof balance === 'bigint' ? Number(balance) : balance;
     return `${(balanceNumber / 100000000).toFixed(8)} KAS`;
   };
@@ -215,6 +521,48 @@ const PatternTransactionGenerator = () => {
     return `${address.slice(0, 12)}...${address.slice(-8)}`;
   };
 
+  const patternEstimate = estimatePatternSearch(workflowPatternBits, {
+    hashrate: measuredHashrates[workflowNonceStrategy]?.hashrate,
+    maxIterations: WORKFLOW_MAX_PATTERN_ITERATIONS
+  });
+
+  // What the chosen sighash types leave unsigned; the exact per-input warnings come back with the workflow result
+  const sighashPreview = useMemo(() => {
+    try {
+      const sighashTypes = buildWorkflowSighashTypes(workflowSighashType, workflowSighashOverrides);
+      const selected = typeof sighashTypes === 'string'
+        ? [['Every input', sighashTypes]]
+        : Object.entries(sighashTypes).map(([key, type]) => [key === 'default' ? 'Other inputs' : `Input ${key}`, type]);
+      const descriptions = selected.map(([label, type]) => ({ label, ...describeSighashType(type) }));
+      return { sighashTypes, descriptions, highRisk: descriptions.some(description => description.risk === 'high') };
+    } catch (error) {
+      return { error: error.message, descriptions: [], highRisk: false };
+    }
+  }, [workflowSighashType, workflowSighashOverrides]);
+
+  const inspection = useMemo(() => {
+    if (!inspectorInput.trim()) return null;
+    const pattern = /^\d+$/.test(inspectorPattern.trim()) ? Number(inspectorPattern) : inspectorPattern.trim();
+    return inspectTransaction(inspectorInput, { networkId: inspectorNetworkId, pattern });
+  }, [inspectorInput, inspectorNetworkId, inspectorPattern]);
+
+  // Size of the envelope as it will go on-chain, compared with the uncompressed v0x02 envelope of the same text
+  const envelopePreview = useMemo(() => {
+    if (!workflowEnvelopeData) return null;
+    try {
+      const envelopeOptions = buildWorkflowEnvelopeOptions(workflowEnvelopeContractType, workflowEnvelopeData, workflowEnvelopeCodec);
+      // The wallet signs during the workflow; account for the author key and signature it adds
+      const encoded = constructEnvelope(workflowSignEnvelope ? { version: ENVELOPE_VERSION_CODEC, ...envelopeOptions } : envelopeOptions);
+      if (!encoded.success) return { error: encoded.error };
+      const signatureLength = workflowSignEnvelope ? ENVELOPE_AUTHOR_KEY_LENGTH + ENVELOPE_SIGNATURE_LENGTH : 0;
+      const raw = constructEnvelope({ contractTypeId: envelopeOptions.contractTypeId, payloadData: workflowEnvelopeData });
+      const rawLength = raw.success ? raw.metadata.totalLength : encoded.metadata.totalLength;
+      return estimatePayloadFeeImpact(rawLength, encoded.metadata.totalLength + signatureLength);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [workflowEnvelopeContractType, workflowEnvelopeData, workflowEnvelopeCodec, workflowSignEnvelope]);
+
   return (
     <div style={{ 
       minHeight: '100vh', 
@@ -247,7 +595,7 @@ const PatternTransactionGenerator = () => {
             color: '#666',
             margin: 0
           }}>
-            Generate, Sign & Broadcast Kaspa transactions with TxID patterns via Kastle Wallet.
+            Generate, Sign & Broadcast Kaspa transactions with TxID patterns via Kastle, KasWare or another injected Kaspa wallet.
           </p>
         </div>
 
@@ -274,6 +622,17 @@ const PatternTransactionGenerator = () => {
             </span>
           </div>
           <div style={{ display: 'flex', gap: '10px' }}>
+            <select
+              value={walletId}
+              onChange={(e) => handleWalletChange(e.target.value)}
+              disabled={isExecutingFiveStepWorkflow}
+              title="Wallet to connect, fetch UTXOs and sign with"
+              style={{ padding: '8px', borderRadius: '5px', border: '1px solid #ccc', fontSize: '14px' }}
+            >
+              {walletAdapters.map(adapter => (
+                <option key={adapter.id} value={adapter.id}>{adapter.name}</option>
+              ))}
+            </select>
             {walletStatus.installed && (
               <>
                 {!walletStatus.connected ? (
@@ -336,6 +695,115 @@ const PatternTransactionGenerator = () => {
           </div>
         )}
 
+        {/* Local testnet keystore */}
+        {walletId === LOCAL_KEYSTORE_WALLET_ID && (
+          <div style={{
+            backgroundColor: '#f8f9fa',
+            padding: '15px',
+            borderRadius: '10px',
+            marginBottom: '30px',
+            border: '1px solid #dee2e6'
+          }}>
+            <h3 style={{ margin: '0 0 10px 0', color: '#333' }}>🔐 Local Testnet Keystore</h3>
+            <p style={{ margin: '0 0 10px 0', fontSize: '13px', color: '#666' }}>
+              Keys are encrypted with your password and kept in this browser only. Testnets only; never put mainnet funds here.
+            </p>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '10px', alignItems: 'end' }}>
+              <div>
+                <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Password:</label>
+                <input
+                  type="password"
+                  value={localKeystorePassword}
+                  onChange={(e) => setLocalKeystorePassword(e.target.value)}
+                  placeholder={`At least ${KEYSTORE_MIN_PASSWORD_LENGTH} characters`}
+                  style={{ width: '100%', padding: '8px', borderRadius: '5px', border: '1px solid #ccc' }}
+                />
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Saved keystore:</label>
+                <select
+                  value={localKeystoreId}
+                  onChange={(e) => setLocalKeystoreId(e.target.value)}
+                  style={{ width: '100%', padding: '8px', borderRadius: '5px', border: '1px solid #ccc' }}
+                >
+                  {localKeystores.length === 0 && <option value="">None yet</option>}
+                  {localKeystores.map(keystore => (
+                    <option key={keystore.id} value={keystore.id}>
+                      {keystore.name} ({keystore.networkId}, {formatAddress(keystore.addresses[0])})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div style={{ display: 'flex', gap: '10px' }}>
+                <button
+                  onClick={handleUnlockLocalKeystore}
+                  disabled={!localKeystoreId || !localKeystorePassword || !frameworkReady}
+                  style={{ padding: '8px 16px', backgroundColor: '#4CAF50', color: 'white', border: 'none', borderRadius: '5px', cursor: 'pointer', fontWeight: 'bold' }}
+                >
+                  Unlock & Connect
+                </button>
+                <button
+                  onClick={handleDeleteLocalKeystore}
+                  disabled={!localKeystoreId}
+                  style={{ padding: '8px 16px', backgroundColor: '#f44336', color: 'white', border: 'none', borderRadius: '5px', cursor: 'pointer' }}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '10px', marginTop: '15px', alignItems: 'end' }}>
+              <div>
+                <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>New keystore name:</label>
+                <input
+                  type="text"
+                  value={localKeystoreName}
+                  onChange={(e) => setLocalKeystoreName(e.target.value)}
+                  style={{ width: '100%', padding: '8px', borderRadius: '5px', border: '1px solid #ccc' }}
+                />
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Network:</label>
+                <select
+                  value={localKeystoreNetworkId}
+                  onChange={(e) => setLocalKeystoreNetworkId(e.target.value)}
+                  style={{ width: '100%', padding: '8px', borderRadius: '5px', border: '1px solid #ccc' }}
+                >
+                  <option value="testnet-10">testnet-10</option>
+                  <option value="testnet-11">testnet-11</option>
+                </select>
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Import mnemonic (optional):</label>
+                <input
+                  type="password"
+                  value={localKeystoreImport}
+                  onChange={(e) => setLocalKeystoreImport(e.target.value)}
+                  placeholder="Leave empty to generate one"
+                  style={{ width: '100%', padding: '8px', borderRadius: '5px', border: '1px solid #ccc' }}
+                />
+              </div>
+              <div>
+                <button
+                  onClick={handleCreateLocalKeystore}
+                  disabled={localKeystorePassword.length < KEYSTORE_MIN_PASSWORD_LENGTH || !frameworkReady}
+                  style={{ padding: '8px 16px', backgroundColor: '#667eea', color: 'white', border: 'none', borderRadius: '5px', cursor: 'pointer', fontWeight: 'bold' }}
+                >
+                  {localKeystoreImport.trim() ? 'Import Keystore' : 'Generate Keystore'}
+                </button>
+              </div>
+            </div>
+            {generatedMnemonic && (
+              <div style={{ marginTop: '15px', padding: '10px', backgroundColor: '#fff3cd', border: '1px solid #ffc107', borderRadius: '5px' }}>
+                <strong>⚠️ Write this mnemonic down. It is the only backup and will not be shown again:</strong>
+                <div style={{ fontFamily: 'monospace', margin: '8px 0', wordBreak: 'break-word' }}>{generatedMnemonic}</div>
+                <button onClick={() => setGeneratedMnemonic(null)} style={{ padding: '4px 12px', cursor: 'pointer' }}>
+                  I have written it down
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Tab Navigation */}
         <div style={{ 
           display: 'flex',
@@ -344,6 +812,7 @@ const PatternTransactionGenerator = () => {
         }}>
           {[
             { id: 'workflow', label: '⚙️ Create & Broadcast Transaction', icon: '⚙️' },
+            { id: 'inspector', label: '🔎 Inspect Transaction', icon: '🔎' },
             { id: 'logs', label: '📋 Activity Logs', icon: '📋' }
           ].map(tab => (
             <button
@@ -383,7 +852,7 @@ const PatternTransactionGenerator = () => {
                   border: '1px solid #ffeaa7'
                 }}>
                   <p style={{ margin: 0, fontWeight: 'bold' }}>
-                    ⚠️ Please connect your Kastle Wallet to run the workflow.
+                    ⚠️ Please connect your {walletName} wallet to run the workflow.
                   </p>
                 </div>
               )}
@@ -484,6 +953,216 @@ const PatternTransactionGenerator = () => {
                     >
                       {[4, 6, 8, 10].map(bits => <option key={bits} value={bits}>{bits} bits</option>)}
                     </select>
+                    <div style={{ marginTop: '8px', fontSize: '13px', color: '#555' }}>
+                      <div>
+                        ~{Math.round(patternEstimate.expectedAttempts).toLocaleString()} attempts expected,{' '}
+                        {(patternEstimate.successProbability * 100).toFixed(1)}% chance within {WORKFLOW_MAX_PATTERN_ITERATIONS.toLocaleString()}
+                      </div>
+                      {patternEstimate.hashrate ? (
+                        <div>
+                          50% / 90% / 99%: {patternEstimate.percentiles.map(p => formatEstimateDuration(p.seconds)).join(' / ')}
+                          {' '}at {Math.round(patternEstimate.hashrate).toLocaleString()}/sec ({measuredHashrates[workflowNonceStrategy].source})
+                        </div>
+                      ) : (
+                        <div>Measure speed to see time-to-find estimates</div>
+                      )}
+                      <button
+                        onClick={handleMeasureHashrate}
+                        disabled={!frameworkReady || isMeasuringHashrate || isExecutingFiveStepWorkflow || !workflowRecipientAddress.trim()}
+                        style={{
+                          marginTop: '5px',
+                          padding: '4px 10px',
+                          fontSize: '13px',
+                          border: '1px solid #ccc',
+                          borderRadius: '5px',
+                          backgroundColor: 'white',
+                          cursor: (!frameworkReady || isMeasuringHashrate || isExecutingFiveStepWorkflow) ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {isMeasuringHashrate ? '⏱️ Measuring...' : '⏱️ Measure speed'}
+                      </button>
+                    </div>
+                  </div>
+                  <div>
+                    <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>
+                      Nonce Strategy:
+                    </label>
+                    <select
+                      value={workflowNonceStrategy}
+                      onChange={(e) => setWorkflowNonceStrategy(e.target.value)}
+                      style={{
+                        width: '100%',
+                        padding: '8px',
+                        borderRadius: '5px',
+                        border: '1px solid #ccc',
+                        fontSize: '16px'
+                      }}
+                    >
+                      <option value="payload">Payload (recommended)</option>
+                      <option value="sequence">Input sequence</option>
+                      <option value="lockTime">Lock time</option>
+                      <option value="changeAmount">Change amount (costs extra fee)</option>
+                      <option value="outputAmount">Output amount (legacy, changes amount sent)</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>
+                      Coin Selection:
+                    </label>
+                    <select
+                      value={workflowCoinSelection}
+                      onChange={(e) => setWorkflowCoinSelection(e.target.value)}
+                      title="Which UTXOs fund the transaction; the inputs, change and fee are logged before mining starts"
+                      style={{
+                        width: '100%',
+                        padding: '8px',
+                        borderRadius: '5px',
+                        border: '1px solid #ccc',
+                        fontSize: '16px'
+                      }}
+                    >
+                      {COIN_SELECTION_STRATEGY_NAMES.map(name => (
+                        <option key={name} value={name}>{getCoinSelectionStrategy(name).description}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>
+                      Signature Hash Type:
+                    </label>
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                      <select
+                        value={workflowSighashType}
+                        onChange={(e) => setWorkflowSighashType(e.target.value)}
+                        title="Sighash type for every input"
+                        style={{
+                          flex: 1,
+                          padding: '8px',
+                          borderRadius: '5px',
+                          border: '1px solid #ccc',
+                          fontSize: '16px'
+                        }}
+                      >
+                        {SIGHASH_TYPE_NAMES.map(name => (
+                          <option key={name} value={name}>{name}{name === DEFAULT_SIGHASH_TYPE ? ' (recommended)' : ''}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={workflowSighashOverrides}
+                        onChange={(e) => setWorkflowSighashOverrides(e.target.value)}
+                        placeholder="Per input, e.g. 1:SingleAnyOneCanPay"
+                        title="Per-input overrides: inputIndex:Type, comma separated"
+                        style={{
+                          flex: 1,
+                          padding: '8px',
+                          borderRadius: '5px',
+                          border: '1px solid #ccc',
+                          fontSize: '16px'
+                        }}
+                      />
+                    </div>
+                    <div style={{ marginTop: '8px', fontSize: '13px', color: sighashPreview.error ? '#c62828' : '#555' }}>
+                      {sighashPreview.error || sighashPreview.descriptions.map(description => (
+                        <div
+                          key={description.label}
+                          style={{ color: description.risk === 'high' ? '#c62828' : (description.risk === 'low' ? '#ef6c00' : '#555') }}
+                        >
+                          {description.risk === 'high' ? '⚠️ ' : ''}{description.label} ({description.name}): {description.summary}
+                          {description.outputs === 'none' && ' — anyone who sees the transaction before it confirms can redirect the funds'}
+                          {description.outputs === 'matching' && ' — other outputs, including change, can be changed by anyone'}
+                          {description.risk === 'low' && ' — others can add inputs, which changes the TxID and loses the pattern'}
+                        </div>
+                      ))}
+                    </div>
+                    {sighashPreview.highRisk && (
+                      <label style={{ display: 'block', marginTop: '8px', fontSize: '14px', color: '#c62828' }}>
+                        <input
+                          type="checkbox"
+                          checked={workflowAcceptSighashRisk}
+                          onChange={(e) => setWorkflowAcceptSighashRisk(e.target.checked)}
+                          style={{ marginRight: '6px' }}
+                        />
+                        I understand that outputs left unsigned can be redirected by anyone
+                      </label>
+                    )}
+                  </div>
+                  <div>
+                    <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>
+                      Envelope Data (optional):
+                    </label>
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                      <input
+                        type="text"
+                        value={workflowEnvelopeContractType}
+                        onChange={(e) => setWorkflowEnvelopeContractType(e.target.value)}
+                        placeholder="0x01"
+                        title="Contract type ID (hex)"
+                        style={{
+                          width: '70px',
+                          padding: '8px',
+                          borderRadius: '5px',
+                          border: '1px solid #ccc',
+                          fontSize: '16px'
+                        }}
+                      />
+                      <input
+                        type="text"
+                        value={workflowEnvelopeData}
+                        onChange={(e) => setWorkflowEnvelopeData(e.target.value)}
+                        placeholder="Written on-chain in the transaction payload"
+                        style={{
+                          flex: 1,
+                          padding: '8px',
+                          borderRadius: '5px',
+                          border: '1px solid #ccc',
+                          fontSize: '16px'
+                        }}
+                      />
+                      <select
+                        value={workflowEnvelopeCodec}
+                        onChange={(e) => setWorkflowEnvelopeCodec(e.target.value)}
+                        title="Payload codec"
+                        style={{
+                          padding: '8px',
+                          borderRadius: '5px',
+                          border: '1px solid #ccc',
+                          fontSize: '16px'
+                        }}
+                      >
+                        <option value="raw">Raw text</option>
+                        <option value="deflate">Deflate</option>
+                        <option value="json">JSON</option>
+                        <option value="json+deflate">JSON + deflate</option>
+                        <option value="cbor">CBOR</option>
+                        <option value="cbor+deflate">CBOR + deflate</option>
+                      </select>
+                    </div>
+                    <label style={{ display: 'block', marginTop: '8px', fontSize: '14px' }}>
+                      <input
+                        type="checkbox"
+                        checked={workflowSignEnvelope}
+                        onChange={(e) => setWorkflowSignEnvelope(e.target.checked)}
+                        style={{ marginRight: '6px' }}
+                      />
+                      Sign envelope as the connected wallet (shows you as its author)
+                    </label>
+                    {envelopePreview && (
+                      <div style={{ marginTop: '8px', fontSize: '13px', color: envelopePreview.error ? '#c62828' : '#555' }}>
+                        {envelopePreview.error ? envelopePreview.error : (
+                          <>
+                            Envelope: {envelopePreview.encodedLength.toLocaleString()} bytes
+                            {envelopePreview.savedBytes !== 0 && (
+                              <> (raw {envelopePreview.rawLength.toLocaleString()} bytes, {envelopePreview.savedBytes > 0 ? '-' : '+'}{Math.abs(Math.round((1 - envelopePreview.ratio) * 100))}%)</>
+                            )}
+                            {' '}· adds ~{envelopePreview.encodedFeeSompi.toLocaleString()} sompi at the minimum fee rate
+                            {envelopePreview.feeSavedSompi !== 0 && (
+                              <>, {envelopePreview.feeSavedSompi > 0 ? 'saves' : 'costs'} {Math.abs(envelopePreview.feeSavedSompi).toLocaleString()} sompi vs raw</>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -491,7 +1170,7 @@ const PatternTransactionGenerator = () => {
               {/* Workflow Button */}
               <button
                 onClick={handleExecuteFiveStepWorkflow}
-                disabled={isExecutingFiveStepWorkflow || !frameworkReady || !walletStatus.connected}
+                disabled={isExecutingFiveStepWorkflow || !frameworkReady || !walletStatus.connected || (sighashPreview.highRisk && !workflowAcceptSighashRisk)}
                 style={{
                   width: '100%',
                   padding: '15px',
@@ -507,6 +1186,243 @@ const PatternTransactionGenerator = () => {
               >
                 {isExecutingFiveStepWorkflow ? '⚙️ Processing...' : '⚙️ Create & Broadcast Transaction'}
               </button>
+
+              {isExecutingFiveStepWorkflow && (
+                <button
+                  onClick={handleCancelFiveStepWorkflow}
+                  style={{
+                    width: '100%',
+                    padding: '12px',
+                    fontSize: '16px',
+                    fontWeight: 'bold',
+                    backgroundColor: '#607d8b',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '10px',
+                    cursor: 'pointer',
+                    marginBottom: '20px'
+                  }}
+                >
+                  🛑 Cancel
+                </button>
+              )}
+
+              {/* Resumable Mining Sessions */}
+              {miningSessions.length > 0 && (
+                <div style={{
+                  backgroundColor: '#f8f9fa',
+                  padding: '20px',
+                  borderRadius: '10px',
+                  marginBottom: '20px'
+                }}>
+                  <h3 style={{ margin: '0 0 15px 0' }}>⏸️ Resumable Mining Sessions</h3>
+                  {miningSessions.map(session => (
+                    <div key={session.id} style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      padding: '10px',
+                      borderBottom: '1px solid #e0e0e0',
+                      gap: '10px'
+                    }}>
+                      <div style={{ fontSize: '14px' }}>
+                        <div style={{ fontWeight: 'bold' }}>{session.patternDescription} on {session.networkId}</div>
+                        <div style={{ color: '#666' }}>
+                          {(session.outputs[0].amount / 100000000).toString()} KAS → {session.outputs[0].address.slice(0, 24)}...
+                        </div>
+                        <div style={{ color: '#666' }}>
+                          {session.attempts.toLocaleString()} attempts, best {session.bestPattern.zeroBits} bits, saved {new Date(session.updatedAt).toLocaleString()}
+                        </div>
+                      </div>
+                      <div style={{ display: 'flex', gap: '8px' }}>
+                        <button
+                          onClick={() => handleResumeMiningSession(session)}
+                          disabled={isExecutingFiveStepWorkflow || !frameworkReady || !walletStatus.connected}
+                          style={{
+                            padding: '8px 14px',
+                            backgroundColor: '#ff5722',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '6px',
+                            cursor: (isExecutingFiveStepWorkflow || !frameworkReady || !walletStatus.connected) ? 'not-allowed' : 'pointer'
+                          }}
+                        >
+                          ⏯️ Resume
+                        </button>
+                        <button
+                          onClick={() => handleDiscardMiningSession(session)}
+                          disabled={isExecutingFiveStepWorkflow}
+                          style={{
+                            padding: '8px 14px',
+                            backgroundColor: '#9e9e9e',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '6px',
+                            cursor: isExecutingFiveStepWorkflow ? 'not-allowed' : 'pointer'
+                          }}
+                        >
+                          🗑️ Discard
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Transaction Inspector Tab */}
+          {activeTab === 'inspector' && (
+            <div>
+              <h2 style={{ color: '#333', marginBottom: '20px' }}>🔎 Inspect Transaction</h2>
+              <p style={{ color: '#555', fontSize: '14px', marginTop: 0 }}>
+                Paste a PSKT/PSKB (hex, base64 or JSON) or an unsigned transaction's safe JSON to see what it spends and pays
+                before anyone signs it. No wallet is needed. Workflow runs fill this in once the pattern is mined.
+              </p>
+              <textarea
+                value={inspectorInput}
+                onChange={(e) => setInspectorInput(e.target.value)}
+                placeholder="PSKB7b22676c6f62616c22... or { &quot;inputs&quot;: [...], &quot;outputs&quot;: [...] }"
+                rows={6}
+                style={{
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  padding: '8px',
+                  borderRadius: '5px',
+                  border: '1px solid #ccc',
+                  fontSize: '13px',
+                  fontFamily: 'monospace'
+                }}
+              />
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '15px', margin: '10px 0 20px 0' }}>
+                <div>
+                  <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>Network ID:</label>
+                  <input
+                    type="text"
+                    value={inspectorNetworkId}
+                    onChange={(e) => setInspectorNetworkId(e.target.value)}
+                    style={{ width: '100%', boxSizing: 'border-box', padding: '8px', borderRadius: '5px', border: '1px solid #ccc', fontSize: '16px' }}
+                  />
+                </div>
+                <div>
+                  <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>TxID Pattern (optional):</label>
+                  <input
+                    type="text"
+                    value={inspectorPattern}
+                    onChange={(e) => setInspectorPattern(e.target.value)}
+                    placeholder="Zero bits, or a spec like suffix:cafe"
+                    style={{ width: '100%', boxSizing: 'border-box', padding: '8px', borderRadius: '5px', border: '1px solid #ccc', fontSize: '16px' }}
+                  />
+                </div>
+              </div>
+
+              {inspection && !inspection.success && (
+                <div style={{ backgroundColor: '#ffebee', padding: '15px', borderRadius: '10px', color: '#c62828' }}>
+                  ❌ {inspection.error}
+                </div>
+              )}
+
+              {inspection && inspection.success && (
+                <div style={{ fontSize: '14px' }}>
+                  <div style={{ backgroundColor: '#f8f9fa', padding: '15px', borderRadius: '10px', border: '1px solid #dee2e6', marginBottom: '15px' }}>
+                    <div style={{ fontFamily: 'monospace', wordBreak: 'break-all', marginBottom: '10px' }}>
+                      <strong>TxID:</strong> {inspection.txId}
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '10px' }}>
+                      <div><strong>Type:</strong> {inspection.kind === 'pskt' ? `PSKT (${inspection.stage} stage${inspection.bundleSize > 1 ? `, 1 of ${inspection.bundleSize}` : ''})` : 'Transaction'}</div>
+                      <div><strong>Inputs:</strong> {formatSompi(inspection.totalInput)}</div>
+                      <div><strong>Outputs:</strong> {formatSompi(inspection.totalOutput)}</div>
+                      <div><strong>Fee:</strong> {formatSompi(inspection.fee)}</div>
+                      <div><strong>Mass:</strong> {inspection.mass.toLocaleString()} grams{inspection.massEstimated ? ' (estimated before signing)' : ''}</div>
+                      <div><strong>Fee Rate:</strong> {inspection.feeRate === null ? 'unknown' : `${inspection.feeRate.toFixed(2)} sompi/gram`}</div>
+                      <div><strong>Lock Time:</strong> {inspection.lockTime.toString()}</div>
+                      <div>
+                        <strong>Pattern:</strong> {inspection.pattern.trailingZeroBits} trailing zero bits
+                        {inspection.pattern.matches !== null && (inspection.pattern.matches ? ` ✅ matches ${inspection.pattern.description}` : ` ❌ does not match ${inspection.pattern.description}`)}
+                        {inspection.pattern.error && <span style={{ color: '#c62828' }}> ({inspection.pattern.error})</span>}
+                      </div>
+                    </div>
+                  </div>
+
+                  {[...inspection.warnings, ...inspection.issues.map(issue => `${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.message}`)].map(message => (
+                    <div key={message} style={{ backgroundColor: '#fff3cd', padding: '8px 12px', borderRadius: '5px', marginBottom: '8px', color: '#856404' }}>
+                      {message}
+                    </div>
+                  ))}
+
+                  <h3 style={{ margin: '20px 0 10px 0' }}>Inputs</h3>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontFamily: 'monospace', fontSize: '13px' }}>
+                    <thead>
+                      <tr style={{ textAlign: 'left', borderBottom: '2px solid #dee2e6' }}>
+                        <th style={{ padding: '6px' }}>#</th>
+                        <th style={{ padding: '6px' }}>Outpoint</th>
+                        <th style={{ padding: '6px' }}>From</th>
+                        <th style={{ padding: '6px' }}>Amount</th>
+                        <th style={{ padding: '6px' }}>Sighash</th>
+                        <th style={{ padding: '6px' }}>Signatures</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {inspection.inputs.map(input => (
+                        <tr key={input.index} style={{ borderBottom: '1px solid #eee' }}>
+                          <td style={{ padding: '6px' }}>{input.index}</td>
+                          <td style={{ padding: '6px', wordBreak: 'break-all' }}>{input.transactionId}:{input.outputIndex}</td>
+                          <td style={{ padding: '6px', wordBreak: 'break-all' }}>{input.address || 'unknown'}</td>
+                          <td style={{ padding: '6px' }}>{formatSompi(input.amount)}</td>
+                          <td style={{ padding: '6px' }}>{input.sighashType}</td>
+                          <td style={{ padding: '6px' }}>{input.signed ? '✅' : '⏳'} {input.signatures}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <h3 style={{ margin: '20px 0 10px 0' }}>Outputs</h3>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontFamily: 'monospace', fontSize: '13px' }}>
+                    <thead>
+                      <tr style={{ textAlign: 'left', borderBottom: '2px solid #dee2e6' }}>
+                        <th style={{ padding: '6px' }}>#</th>
+                        <th style={{ padding: '6px' }}>To</th>
+                        <th style={{ padding: '6px' }}>Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {inspection.outputs.map(output => (
+                        <tr key={output.index} style={{ borderBottom: '1px solid #eee' }}>
+                          <td style={{ padding: '6px' }}>{output.index}</td>
+                          <td style={{ padding: '6px', wordBreak: 'break-all' }}>{output.address || `Non-standard script ${output.scriptPublicKey}`}</td>
+                          <td style={{ padding: '6px' }}>{formatSompi(output.amount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <h3 style={{ margin: '20px 0 10px 0' }}>Payload ({inspection.payload.length} bytes)</h3>
+                  {inspection.payload.length === 0 && <p style={{ color: '#666' }}>No payload.</p>}
+                  {inspection.payload.envelope && (
+                    <div style={{ backgroundColor: '#e8f5e8', padding: '10px 15px', borderRadius: '5px', marginBottom: '10px' }}>
+                      <div>
+                        <strong>Envelope:</strong> v0x{inspection.payload.envelope.version.toString(16).padStart(2, '0')}, contract 0x{inspection.payload.envelope.contractTypeId}
+                        {inspection.payload.envelope.contractType && ` (${inspection.payload.envelope.contractType.name})`}, {inspection.payload.envelope.codec} codec, {inspection.payload.envelope.length} bytes
+                        {inspection.payload.envelope.nonceTrailer && `, mining nonce ${inspection.payload.envelope.nonceTrailer}`}
+                      </div>
+                      {inspection.payload.envelope.signed && <div><strong>Signed by:</strong> {inspection.payload.envelope.author.address}</div>}
+                      <div style={{ fontFamily: 'monospace', whiteSpace: 'pre-wrap', wordBreak: 'break-all', marginTop: '5px' }}>
+                        {inspection.payload.envelope.encrypted
+                          ? '(encrypted)'
+                          : (inspection.payload.envelope.payload !== null && typeof inspection.payload.envelope.payload === 'object'
+                            ? JSON.stringify(inspection.payload.envelope.payload, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2)
+                            : inspection.payload.envelope.payloadText)}
+                      </div>
+                    </div>
+                  )}
+                  {inspection.payload.length > 0 && (
+                    <div style={{ fontFamily: 'monospace', fontSize: '13px', wordBreak: 'break-all', color: '#555' }}>
+                      {inspection.payload.text !== null && !inspection.payload.envelope && <div style={{ marginBottom: '5px' }}>Text: {inspection.payload.text}</div>}
+                      Hex: {inspection.payload.hex}
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           )}
 
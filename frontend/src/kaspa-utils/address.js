@@ -0,0 +1,165 @@
+// Kaspa Address Module
+// Encodes and decodes Kaspa addresses without the WASM SDK (rusty-kaspa crypto/addresses): a CashAddr-style
+// string "<prefix>:<base32 payload>" where the payload is Version (1 byte) || public key or script hash, followed by
+// a 40-bit BCH checksum over the prefix and payload.
+
+import { Buffer } from 'buffer';
+
+export const ADDRESS_VERSIONS = { PubKey: 0x00, PubKeyECDSA: 0x01, ScriptHash: 0x08 };
+const ADDRESS_PAYLOAD_LENGTHS = { 0x00: 32, 0x01: 33, 0x08: 32 };
+const NETWORK_ADDRESS_PREFIXES = { mainnet: 'kaspa', testnet: 'kaspatest', devnet: 'kaspadev', simnet: 'kaspasim' };
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const CHECKSUM_LENGTH = 8;
+
+/**
+ * CashAddr BCH checksum polymod
+ * @param {Array<number>} values - 5-bit values
+ * @returns {BigInt} Checksum state
+ */
+function polymod(values) {
+  const generators = [
+    BigInt('0x98f2bc8e61'),
+    BigInt('0x79b76d99e2'),
+    BigInt('0xf33e5fb3c4'),
+    BigInt('0xae2eabe2a8'),
+    BigInt('0x1e4f43e470')
+  ];
+  let checksum = BigInt(1);
+  for (const value of values) {
+    const top = checksum >> BigInt(35);
+    checksum = ((checksum & BigInt('0x07ffffffff')) << BigInt(5)) ^ BigInt(value);
+    for (let bit = 0; bit < generators.length; bit++) {
+      if ((top >> BigInt(bit)) & BigInt(1)) checksum ^= generators[bit];
+    }
+  }
+  return checksum ^ BigInt(1);
+}
+
+/**
+ * Regroup bits between 8-bit bytes and 5-bit words
+ * @param {Array<number>|Uint8Array} data - Input values
+ * @param {number} from - Input bits per value
+ * @param {number} to - Output bits per value
+ * @param {boolean} pad - Pad the final group (encoding) instead of rejecting leftover bits (decoding)
+ * @returns {Array<number>} Output values
+ */
+function convertBits(data, from, to, pad) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << to) - 1;
+  for (const value of data) {
+    accumulator = (accumulator << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      result.push((accumulator >> bits) & maxValue);
+    }
+  }
+  if (pad && bits > 0) {
+    result.push((accumulator << (to - bits)) & maxValue);
+  } else if (!pad && (bits >= from || ((accumulator << (to - bits)) & maxValue))) {
+    throw new Error('Invalid address padding');
+  }
+  return result;
+}
+
+/**
+ * 5-bit prefix values for the checksum
+ * @param {string} prefix - Address prefix
+ * @returns {Array<number>} Prefix values followed by the separator
+ */
+function prefixValues(prefix) {
+  return [...prefix].map(char => char.charCodeAt(0) & 0x1f).concat(0);
+}
+
+/**
+ * Address prefix for a network ID
+ * @param {string} networkId - e.g. 'mainnet', 'testnet-10'
+ * @returns {string} Address prefix
+ */
+export function getAddressPrefix(networkId = 'testnet-10') {
+  const prefix = NETWORK_ADDRESS_PREFIXES[String(networkId).split('-')[0]];
+  if (!prefix) throw new Error(`Unknown network: ${networkId}`);
+  return prefix;
+}
+
+/**
+ * Encode a Kaspa address
+ * @param {string|Uint8Array} payload - Public key or script hash (hex or bytes)
+ * @param {Object} options - Encoding options
+ * @param {string} options.networkId - Network ID for the prefix (default: 'testnet-10')
+ * @param {number} options.version - Address version (default: ADDRESS_VERSIONS.PubKey)
+ * @returns {string} Address
+ */
+export function encodeKaspaAddress(payload, options = {}) {
+  const { networkId = 'testnet-10', version = ADDRESS_VERSIONS.PubKey } = options;
+  const prefix = getAddressPrefix(networkId);
+  const bytes = typeof payload === 'string' ? Buffer.from(payload, 'hex') : Buffer.from(payload);
+  if (ADDRESS_PAYLOAD_LENGTHS[version] !== bytes.length) {
+    throw new Error(`Invalid payload length ${bytes.length} for address version ${version}`);
+  }
+
+  const words = convertBits([version, ...bytes], 8, 5, true);
+  const checksum = polymod([...prefixValues(prefix), ...words, ...new Array(CHECKSUM_LENGTH).fill(0)]);
+  const checksumWords = Array.from({ length: CHECKSUM_LENGTH }, (_, i) => Number((checksum >> BigInt(5 * (CHECKSUM_LENGTH - 1 - i))) & BigInt(31)));
+  return `${prefix}:${[...words, ...checksumWords].map(word => CHARSET[word]).join('')}`;
+}
+
+/**
+ * Decode and verify a Kaspa address
+ * @param {string} address - Address string
+ * @returns {Object} { prefix, version, payload } - payload as hex
+ */
+export function decodeKaspaAddress(address) {
+  if (typeof address !== 'string' || address !== address.toLowerCase()) throw new Error('Invalid address: must be a lowercase string');
+  const separator = address.lastIndexOf(':');
+  if (separator <= 0) throw new Error('Invalid address: missing prefix');
+  const prefix = address.slice(0, separator);
+  const words = [...address.slice(separator + 1)].map(char => {
+    const word = CHARSET.indexOf(char);
+    if (word < 0) throw new Error(`Invalid address character: ${char}`);
+    return word;
+  });
+  if (words.length <= CHECKSUM_LENGTH) throw new Error('Invalid address: too short');
+  if (polymod([...prefixValues(prefix), ...words]) !== BigInt(0)) throw new Error('Invalid address checksum');
+
+  const [version, ...payload] = convertBits(words.slice(0, -CHECKSUM_LENGTH), 5, 8, false);
+  if (ADDRESS_PAYLOAD_LENGTHS[version] !== payload.length) {
+    throw new Error(`Invalid address: version ${version} with ${payload.length}-byte payload`);
+  }
+  return { prefix, version, payload: Buffer.from(payload).toString('hex') };
+}
+
+/**
+ * Script public key that pays to an address (as the SDK's payToAddressScript)
+ * @param {string} address - Kaspa address
+ * @returns {string} Script public key in serde hex form: 2-byte version (0) followed by the script
+ */
+export function addressToScriptPublicKey(address) {
+  const { version, payload } = decodeKaspaAddress(address);
+  if (version === ADDRESS_VERSIONS.PubKey) return `000020${payload}ac`; // OP_DATA_32 <key> OP_CHECKSIG
+  if (version === ADDRESS_VERSIONS.PubKeyECDSA) return `000021${payload}ab`; // OP_DATA_33 <key> OP_CHECKSIG_ECDSA
+  return `0000aa20${payload}87`; // OP_BLAKE2B OP_DATA_32 <hash> OP_EQUAL
+}
+
+/**
+ * Address a standard script public key pays to
+ * @param {string} scriptPublicKey - Serde hex form (2-byte version followed by the script)
+ * @param {Object} options - Options
+ * @param {string} options.networkId - Network ID for the prefix (default: 'testnet-10')
+ * @returns {string|null} Address, or null for non-standard scripts
+ */
+export function scriptPublicKeyToAddress(scriptPublicKey, options = {}) {
+  const { networkId = 'testnet-10' } = options;
+  const hex = String(scriptPublicKey).toLowerCase();
+  if (!hex.startsWith('0000')) return null;
+  const script = hex.slice(4);
+  if (/^20[0-9a-f]{64}ac$/.test(script)) return encodeKaspaAddress(script.slice(2, 66), { networkId, version: ADDRESS_VERSIONS.PubKey });
+  if (/^21[0-9a-f]{66}ab$/.test(script)) return encodeKaspaAddress(script.slice(2, 68), { networkId, version: ADDRESS_VERSIONS.PubKeyECDSA });
+  if (/^aa20[0-9a-f]{64}87$/.test(script)) return encodeKaspaAddress(script.slice(4, 68), { networkId, version: ADDRESS_VERSIONS.ScriptHash });
+  return null;
+}
+
+console.log('📦 Kaspa Address module loaded successfully (address.js)');
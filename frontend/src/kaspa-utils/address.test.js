@@ -0,0 +1,45 @@
+import {
+  encodeKaspaAddress,
+  decodeKaspaAddress,
+  getAddressPrefix,
+  addressToScriptPublicKey,
+  scriptPublicKeyToAddress,
+  ADDRESS_VERSIONS
+} from './address.js';
+
+const PUBLIC_KEY = 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659';
+const TESTNET_ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+const MAINNET_ADDRESS = 'kaspa:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jkdskewva';
+
+describe('Kaspa addresses', () => {
+  test('encode Schnorr public keys like the SDK', () => {
+    expect(encodeKaspaAddress(PUBLIC_KEY)).toBe(TESTNET_ADDRESS);
+    expect(encodeKaspaAddress(PUBLIC_KEY, { networkId: 'mainnet' })).toBe(MAINNET_ADDRESS);
+  });
+
+  test('decode and round-trip', () => {
+    expect(decodeKaspaAddress(TESTNET_ADDRESS)).toEqual({ prefix: 'kaspatest', version: ADDRESS_VERSIONS.PubKey, payload: PUBLIC_KEY });
+    const scriptHash = 'ab'.repeat(32);
+    const address = encodeKaspaAddress(scriptHash, { networkId: 'devnet', version: ADDRESS_VERSIONS.ScriptHash });
+    expect(address.startsWith('kaspadev:p')).toBe(true);
+    expect(decodeKaspaAddress(address).payload).toBe(scriptHash);
+  });
+
+  test('convert between addresses and script public keys', () => {
+    const scriptPublicKey = `000020${PUBLIC_KEY}ac`;
+    expect(addressToScriptPublicKey(TESTNET_ADDRESS)).toBe(scriptPublicKey);
+    expect(scriptPublicKeyToAddress(scriptPublicKey, { networkId: 'mainnet' })).toBe(MAINNET_ADDRESS);
+    // P2SH of a 2-of-3 multisig, as the SDK's createMultisigAddress() and payToAddressScript() produce it
+    const p2sh = '0000aa20b90db00de7626dc5d32eba7751d8f396436da5052d41b48815f23b68db65eb9f87';
+    expect(addressToScriptPublicKey(scriptPublicKeyToAddress(p2sh))).toBe(p2sh);
+    expect(scriptPublicKeyToAddress('00006a')).toBeNull();
+  });
+
+  test('reject bad checksums, prefixes and payloads', () => {
+    expect(() => decodeKaspaAddress(TESTNET_ADDRESS.replace(/e$/, 'f'))).toThrow(/checksum/);
+    expect(() => decodeKaspaAddress(TESTNET_ADDRESS.replace('kaspatest', 'kaspa'))).toThrow(/checksum/);
+    expect(() => decodeKaspaAddress(TESTNET_ADDRESS.toUpperCase())).toThrow();
+    expect(() => encodeKaspaAddress('abcd')).toThrow(/length/);
+    expect(() => getAddressPrefix('moonnet')).toThrow();
+  });
+});
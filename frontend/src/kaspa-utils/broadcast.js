@@ -3,17 +3,18 @@
 import { Buffer } from 'buffer';
 import {
     isFrameworkInitialized,
-    getKastleWalletFunctions,
     getKaspaWasmModule,
     getRpcClient
 } from './sdk-init.js';
 
 import { monitorTransactionConfirmation } from './tx-monitor.js';
+import { resolveSighashTypes, getSighashWarnings } from './sighash.js';
+import { getWalletAdapter } from './wallet-adapters.js';
 
 /**
  * Core Pattern Transaction Broadcasting
- * Broadcasts pattern transactions directly via Kastle's kastle.request() API 
- * This preserves exact TxID patterns by sending unsigned pattern transactions to Kastle for signing
+ * Broadcasts pattern transactions directly via the wallet's sign-and-broadcast API (kas:sign_and_broadcast_tx for Kastle)
+ * This preserves exact TxID patterns by sending unsigned pattern transactions to the wallet for signing
  * @param {Object} unsignedTransaction - Unsigned pattern transaction from buildPatternTransactionWithWasmSdk
  * @param {string} originalTxId - The original pattern TxID to preserve
  * @param {Object} options - Broadcasting configuration options
@@ -21,21 +22,29 @@ import { monitorTransactionConfirmation } from './tx-monitor.js';
  * @param {boolean} options.waitForConfirmation - Wait for confirmation (default: false)
  * @param {number} options.confirmationTimeout - Confirmation timeout in seconds (default: 60)
  * @param {Function} options.progressCallback - Progress callback function (optional)
+ * @param {string|Array|Object} options.sighashTypes - Sighash type for every input, or per input (see sighash.js);
+ *   when omitted the wallet signs with its default, All (optional)
+ * @param {string} options.walletId - Wallet adapter to sign and broadcast with (default: the active adapter; see wallet-adapters.js)
  * @param {boolean} options.verbose - Enable detailed logging (default: false)
  * @returns {Promise<Object>} Broadcasting result with TxID preservation status
  */
 export async function broadcastPatternTransactionDirect(unsignedTransaction, originalTxId, options = {}) {
   const startTime = Date.now();
+  let method = 'Direct Wallet API';
   try {
     const {
       networkId = "testnet-10",
       waitForConfirmation = false,
       confirmationTimeout = 60,
       progressCallback = null,
+      sighashTypes: sighashSelection = null,
+      walletId = null,
       verbose = false
     } = options;
 
-    if (verbose) console.log('🎯 Broadcasting pattern transaction via Kastle API...');
+    const wallet = getWalletAdapter(walletId);
+    method = `Direct ${wallet.name} API`;
+    if (verbose) console.log(`🎯 Broadcasting pattern transaction via ${wallet.name} API...`);
 
     // Essential input validation
     if (!unsignedTransaction) {
@@ -48,47 +57,56 @@ export async function broadcastPatternTransactionDirect(unsignedTransaction, ori
       throw new Error('Invalid transaction object: must be a WASM SDK Transaction object with serializeToSafeJSON method');
     }
 
-    // Check if Kastle is available
-    if (typeof window === 'undefined' || !window.kastle) {
-      throw new Error('Kastle wallet extension not available');
+    // Check if the wallet is available
+    if (!(await wallet.isInstalled())) {
+      throw new Error(`${wallet.name} wallet extension not available`);
     }
 
-    // Serialize transaction for Kastle
-    let serializedTxObjectForKastle;
+    // Serialize transaction for the wallet
+    let serializedTxJson;
     try {
-      serializedTxObjectForKastle = unsignedTransaction.serializeToSafeJSON();
+      serializedTxJson = unsignedTransaction.serializeToSafeJSON();
     } catch (error) {
       throw new Error(`Failed to serialize transaction: ${error.message}`);
     }
 
-    // Create API payload
-    const apiPayload = {
-      networkId: networkId,
-      txJson: serializedTxObjectForKastle
-    };
+    // Explicit sighash types go to the wallet per input
+    let sighashTypes = null;
+    let sighashWarnings = [];
+    if (sighashSelection !== null) {
+      const { inputs, outputs } = typeof serializedTxJson === 'string' ? JSON.parse(serializedTxJson) : serializedTxJson;
+      sighashTypes = resolveSighashTypes(sighashSelection, inputs.length);
+      sighashWarnings = getSighashWarnings(sighashTypes, { outputCount: outputs.length });
+      sighashWarnings.forEach(warning => console.warn(`⚠️ ${warning.message} (from broadcast.js)`));
+    }
 
     // Progress callback for broadcasting start
     if (progressCallback) {
       progressCallback({ 
         stage: 'broadcasting', 
-        method: 'Direct Kastle API',
+        method,
+        walletId: wallet.id,
         originalTxId: originalTxId,
         networkId,
         status: 'starting' 
       });
     }
 
-    // Execute Kastle API call
+    // Execute wallet API call
     let broadcastResult;
     try {
-      broadcastResult = await window.kastle.request("kas:sign_and_broadcast_tx", apiPayload);
+      broadcastResult = await wallet.signAndBroadcast(serializedTxJson, { networkId, sighashTypes });
     } catch (error) {
-      throw new Error(`Kastle API call failed: ${error.message}`);
+      throw new Error(`${wallet.name} API call failed: ${error.message}`);
     }
 
-    // For successful broadcasts, we assume TxID preservation
-    const networkTxId = originalTxId;
-    const txIdPreserved = true;
+    // Compare against the TxID the wallet reports; the TxID also commits to the payload, so a match means an embedded
+    // envelope survived signing. When the wallet does not return a TxID, preservation is assumed.
+    const returnedTxId = typeof broadcastResult === 'string'
+      ? broadcastResult
+      : (broadcastResult?.txId || broadcastResult?.transactionId || null);
+    const networkTxId = returnedTxId || originalTxId;
+    const txIdPreserved = networkTxId === originalTxId;
 
     const broadcastDuration = Date.now() - startTime;
 
@@ -96,7 +114,7 @@ export async function broadcastPatternTransactionDirect(unsignedTransaction, ori
     if (progressCallback) {
       progressCallback({
         stage: 'broadcast_success',
-        method: 'Direct Kastle API',
+        method,
         originalTxId: originalTxId,
         networkTxId: networkTxId,
         txIdPreserved: txIdPreserved,
@@ -145,8 +163,11 @@ export async function broadcastPatternTransactionDirect(unsignedTransaction, ori
       txId: networkTxId,
       originalPatternTxId: originalTxId,
       txIdPreserved: txIdPreserved,
-      method: 'Direct Kastle API',
+      method,
+      walletId: wallet.id,
       networkId: networkId,
+      sighashTypes,
+      sighashWarnings,
       broadcastResult: broadcastResult,
       broadcastDuration: broadcastDuration,
       totalDuration: totalDuration,
@@ -157,8 +178,8 @@ export async function broadcastPatternTransactionDirect(unsignedTransaction, ori
         message: waitForConfirmation ? 'Confirmation monitoring completed' : 'Confirmation monitoring not requested' 
       },
       metadata: {
-        approach: 'Direct Kastle Wallet API',
-        patternPreservationMethod: 'Unsigned Pattern Transaction → kas:sign_and_broadcast_tx API',
+        approach: `Direct ${wallet.name} Wallet API`,
+        patternPreservationMethod: 'Unsigned Pattern Transaction → wallet sign-and-broadcast API',
         bypassesSDKReconstruction: true,
         preservesExactTxID: txIdPreserved,
         confirmationTimeout
@@ -172,7 +193,7 @@ export async function broadcastPatternTransactionDirect(unsignedTransaction, ori
       progressCallback({ 
         stage: 'failed', 
         error: error.message, 
-        method: 'Direct Kastle API',
+        method,
         status: 'failed' 
       });
     }
@@ -183,13 +204,13 @@ export async function broadcastPatternTransactionDirect(unsignedTransaction, ori
       txId: null,
       originalPatternTxId: originalTxId || 'unknown',
       txIdPreserved: false,
-      method: 'Direct Kastle API - Failed',
+      method: `${method} - Failed`,
       networkId: options.networkId || "testnet-10",
       networkStatus: 'failed',
       totalDuration: Date.now() - startTime,
       metadata: {
-        approach: 'Direct Kastle Wallet API',
-        patternPreservationMethod: 'Unsigned Pattern Transaction → kas:sign_and_broadcast_tx API',
+        approach: method,
+        patternPreservationMethod: 'Unsigned Pattern Transaction → wallet sign-and-broadcast API',
         bypassesSDKReconstruction: true,
         preservesExactTxID: false,
         errorDetails: error.message
@@ -198,4 +219,53 @@ export async function broadcastPatternTransactionDirect(unsignedTransaction, ori
   }
 }
 
+/**
+ * Broadcast linked chunk transactions in order
+ * Each chunk spends the output of the one before it, so a chunk is only sent once its predecessor went out with
+ * its TxID intact; otherwise the rest of the chain would reference a transaction that does not exist.
+ * @param {Array<Object>} chunkTransactions - transactions from buildChunkedEnvelopeTransactions()
+ * @param {Object} options - Options passed to broadcastPatternTransactionDirect() for every chunk
+ * @returns {Promise<Object>} { success, headTxId, broadcasts } or { success: false, error, failedIndex, broadcasts }
+ */
+export async function broadcastChunkedEnvelopeTransactions(chunkTransactions, options = {}) {
+  const { progressCallback = null, verbose = false } = options;
+  const broadcasts = [];
+  try {
+    if (!Array.isArray(chunkTransactions) || chunkTransactions.length === 0) {
+      throw new Error('No chunk transactions provided');
+    }
+
+    for (const chunk of chunkTransactions) {
+      if (verbose) console.log(`🧩 Broadcasting chunk ${chunk.index + 1}/${chunkTransactions.length}: ${chunk.txId}`);
+      const result = await broadcastPatternTransactionDirect(chunk.transaction, chunk.txId, {
+        ...options,
+        progressCallback: progressCallback
+          ? (progress) => progressCallback({ ...progress, chunkIndex: chunk.index, chunkTotal: chunkTransactions.length })
+          : null
+      });
+      broadcasts.push(result);
+
+      if (!result.success || !result.txIdPreserved) {
+        return {
+          success: false,
+          error: result.success
+            ? `Chunk ${chunk.index} was re-signed as ${result.txId}; the remaining chunks no longer link to it`
+            : `Chunk ${chunk.index} failed: ${result.error}`,
+          failedIndex: chunk.index,
+          broadcasts
+        };
+      }
+    }
+
+    return {
+      success: true,
+      headTxId: chunkTransactions[chunkTransactions.length - 1].txId,
+      broadcasts
+    };
+  } catch (error) {
+    console.error('❌ Chunk broadcasting failed:', error);
+    return { success: false, error: error.message, failedIndex: null, broadcasts };
+  }
+}
+
 console.log('📦 Kaspa Broadcast module loaded successfully (broadcast.js)'); 
\ No newline at end of file
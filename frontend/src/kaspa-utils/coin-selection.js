@@ -0,0 +1,376 @@
+// Kaspa Coin Selection Module
+// Picks the UTXOs that fund a transaction and reports the inputs, change and fee to expect before anything is mined
+// or signed. Strategies are referenced by name so workflows and the CLI can pass the choice around:
+//
+//   smallestSufficient - the smallest single UTXO that covers the spend, else largestFirst (default: one input keeps
+//                        the mass, the fee and every mining attempt small)
+//   largestFirst       - largest UTXOs first until the spend is covered (fewest inputs)
+//   branchAndBound     - a set that covers the spend exactly, i.e. without a change output, else largestFirst
+//   random             - UTXOs in random order until the spend is covered, so input sets say less about the wallet
+//   consumeDust        - every UTXO below dustThreshold that is worth more than its input fee, topped up largest-first
+//
+// Fees follow pskt-validation.js: the network fee is the transaction mass at feeRate sompi/gram, on top of the
+// priority fee. Strategies add inputs against compute mass; the report then prices the chosen set with its full mass
+// (including KIP-9 storage mass) and gives change to the fee when it would be dust or push the mass over the limit.
+
+import { normalizeUtxos, sumUtxoAmounts } from './utxo.js';
+import { addressToScriptPublicKey } from './address.js';
+import { createPskt, addPsktInput, addPsktOutput } from './pskt-format.js';
+import { calculatePsktMass, getDustThreshold, MAXIMUM_STANDARD_TRANSACTION_MASS } from './pskt-validation.js';
+import { MINIMUM_RELAY_FEE_SOMPI_PER_GRAM } from './payload-codecs.js';
+import { applyNonceStrategy, getNonceSpaceSize } from './nonce-strategies.js';
+
+export const DEFAULT_DUST_CONSOLIDATION_THRESHOLD = 1000000; // 0.01 KAS
+const DEFAULT_BRANCH_AND_BOUND_TRIES = 100000;
+
+/**
+ * Random number in [0, 1), from the Web Crypto API where available
+ * @returns {number} Random number
+ */
+function secureRandom() {
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    return crypto.getRandomValues(new Uint32Array(1))[0] / 0x100000000;
+  }
+  return Math.random();
+}
+
+/**
+ * Mass of a transaction spending canonical UTXOs, with signature scripts estimated
+ * @param {Array<Object>} utxos - Canonical UTXOs
+ * @param {Array<Object>} outputs - { amount, scriptPublicKey }
+ * @param {string|null} payload - Payload hex
+ * @returns {Object} calculatePsktMass() result
+ */
+function calculateSpendMass(utxos, outputs, payload) {
+  let pskt = createPskt({ payload });
+  utxos.forEach(utxo => {
+    pskt = addPsktInput(pskt, {
+      previousOutpoint: { transactionId: utxo.transactionId, index: utxo.index },
+      utxoEntry: { amount: utxo.amount, scriptPublicKey: utxo.scriptPublicKey, blockDaaScore: utxo.blockDaaScore, isCoinbase: utxo.isCoinbase }
+    });
+  });
+  outputs.forEach(output => { pskt = addPsktOutput(pskt, output); });
+  return calculatePsktMass(pskt);
+}
+
+/**
+ * Resolve what a spend must pay, taking the nonce strategy's most expensive nonce when one is given
+ * @param {Object} options - See selectCoins()
+ * @returns {Object} Spend description shared by the strategies and the report
+ */
+function resolveSpend(options) {
+  const {
+    toAddress,
+    changeAddress = null,
+    amount,
+    fee = 0,
+    payload = null,
+    nonceStrategy = null,
+    nonceOptions = {},
+    feeRate = MINIMUM_RELAY_FEE_SOMPI_PER_GRAM
+  } = options;
+  if (!toAddress) throw new Error('toAddress is required for coin selection');
+  if (!Number.isInteger(amount) || amount <= 0) throw new Error('amount must be a positive integer (sompi)');
+  if (!Number.isInteger(fee) || fee < 0) throw new Error('fee must be a non-negative integer (sompi)');
+  if (!(feeRate > 0)) throw new Error('feeRate must be positive');
+
+  // changeAmount and outputAmount nonces raise the fee or amount; cover the largest nonce so no attempt runs short
+  let settings = { amount, fee, payload };
+  if (nonceStrategy) {
+    const job = { amount, fee, nonceStrategy, nonceOptions, ...(payload ? { payload } : {}) };
+    settings = applyNonceStrategy(job, getNonceSpaceSize(nonceStrategy, nonceOptions) - 1);
+  }
+
+  const recipient = { amount: BigInt(settings.amount), scriptPublicKey: addressToScriptPublicKey(toAddress) };
+  const changeScriptPublicKey = addressToScriptPublicKey(changeAddress || toAddress);
+  return {
+    toAddress,
+    changeAddress: changeAddress || toAddress,
+    amount: recipient.amount,
+    priorityFee: BigInt(settings.fee),
+    payload: settings.payload || null,
+    feeRate,
+    recipient,
+    changeScriptPublicKey,
+    changeDustThreshold: getDustThreshold({ scriptPublicKey: changeScriptPublicKey })
+  };
+}
+
+/**
+ * Network fee for a mass
+ * @param {number} mass - Transaction mass in grams
+ * @param {number} feeRate - Sompi per gram
+ * @returns {BigInt} Fee in sompi
+ */
+function getNetworkFee(mass, feeRate) {
+  return BigInt(Math.ceil(mass * feeRate));
+}
+
+/**
+ * Linear compute-mass model of a spend, so strategies can price input sets without rebuilding transactions
+ * @param {Object} spend - resolveSpend() result
+ * @param {Array<Object>} candidates - Canonical UTXOs
+ * @returns {Object} { inputFee(utxo), requiredWithChange(inputs), targetWithoutChange, changeCost, maxInputs }
+ */
+function createFeeModel(spend, candidates) {
+  const change = { amount: spend.amount, scriptPublicKey: spend.changeScriptPublicKey };
+  const baseWithChange = calculateSpendMass([], [spend.recipient, change], spend.payload).computeMass;
+  const baseWithoutChange = calculateSpendMass([], [spend.recipient], spend.payload).computeMass;
+
+  // Inputs paying to the same script cost the same
+  const inputMasses = new Map();
+  const inputMass = (utxo) => {
+    if (!inputMasses.has(utxo.scriptPublicKey)) {
+      inputMasses.set(utxo.scriptPublicKey, calculateSpendMass([utxo], [spend.recipient], spend.payload).computeMass - baseWithoutChange);
+    }
+    return inputMasses.get(utxo.scriptPublicKey);
+  };
+  const largestInputMass = candidates.reduce((largest, utxo) => Math.max(largest, inputMass(utxo)), 1);
+
+  return {
+    inputFee: (utxo) => getNetworkFee(inputMass(utxo), spend.feeRate),
+    requiredWithChange: (inputs) => spend.amount + spend.priorityFee +
+      getNetworkFee(inputs.reduce((mass, utxo) => mass + inputMass(utxo), baseWithChange), spend.feeRate),
+    targetWithoutChange: spend.amount + spend.priorityFee + getNetworkFee(baseWithoutChange, spend.feeRate),
+    // Paying for a change output only makes sense when the change is worth more than creating it
+    changeCost: getNetworkFee(baseWithChange - baseWithoutChange, spend.feeRate) + spend.changeDustThreshold,
+    maxInputs: Math.max(1, Math.floor((MAXIMUM_STANDARD_TRANSACTION_MASS - baseWithChange) / largestInputMass))
+  };
+}
+
+/**
+ * Add candidates in order until the spend is covered
+ * @param {Array<Object>} ordered - Canonical UTXOs in the order to try them
+ * @param {Object} model - createFeeModel() result
+ * @param {Array<Object>} initial - Inputs already chosen (default: none)
+ * @returns {Array<Object>} Chosen inputs (throws when the candidates cannot cover the spend)
+ */
+function accumulateInputs(ordered, model, initial = []) {
+  const chosen = [...initial];
+  let total = sumUtxoAmounts(chosen);
+  for (const utxo of ordered) {
+    if (total >= model.requiredWithChange(chosen)) return chosen;
+    if (chosen.includes(utxo)) continue;
+    if (chosen.length >= model.maxInputs) {
+      throw new Error(`Spend needs more than ${model.maxInputs} inputs, which do not fit in one standard transaction; consolidate with the consumeDust strategy first`);
+    }
+    chosen.push(utxo);
+    total += utxo.amount;
+  }
+  const required = model.requiredWithChange(chosen);
+  if (total < required) throw new Error(`Insufficient funds: need ${required} sompi, have ${total} sompi`);
+  return chosen;
+}
+
+/**
+ * Largest UTXOs first
+ * @param {Array<Object>} candidates - Canonical UTXOs
+ * @returns {Array<Object>} Sorted copy
+ */
+function byAmountDescending(candidates) {
+  return [...candidates].sort((a, b) => (a.amount === b.amount ? 0 : a.amount > b.amount ? -1 : 1));
+}
+
+/**
+ * Depth-first search for an input set whose value after input fees lands in [target, target + tolerance]
+ * @param {Array<Object>} candidates - Canonical UTXOs
+ * @param {Object} model - createFeeModel() result
+ * @param {number} maxTries - Search budget
+ * @returns {Array<Object>|null} Inputs with the least excess, or null when none was found within the budget
+ */
+function findExactMatch(candidates, model, maxTries) {
+  const target = model.targetWithoutChange;
+  const upper = target + model.changeCost;
+  // Inputs worth less than their fee can only make a match worse
+  const values = byAmountDescending(candidates)
+    .map(utxo => ({ utxo, value: utxo.amount - model.inputFee(utxo) }))
+    .filter(candidate => candidate.value > BigInt(0));
+  const remaining = new Array(values.length + 1).fill(BigInt(0));
+  for (let i = values.length - 1; i >= 0; i--) remaining[i] = remaining[i + 1] + values[i].value;
+
+  let tries = 0;
+  let best = null;
+  let bestExcess = null;
+  const chosen = [];
+  const search = (index, total) => {
+    if (++tries > maxTries || total > upper) return;
+    if (total >= target) {
+      const excess = total - target;
+      if (best === null || excess < bestExcess || (excess === bestExcess && chosen.length < best.length)) {
+        best = [...chosen];
+        bestExcess = excess;
+      }
+      return;
+    }
+    if (index >= values.length || chosen.length >= model.maxInputs || total + remaining[index] < target) return;
+
+    chosen.push(values[index].utxo);
+    search(index + 1, total + values[index].value);
+    chosen.pop();
+    if (bestExcess === BigInt(0)) return;
+
+    // Leaving this UTXO out and taking an equal one later would repeat the branch just searched
+    let next = index + 1;
+    while (next < values.length && values[next].value === values[index].value) next++;
+    search(next, total);
+  };
+  search(0, BigInt(0));
+  return best;
+}
+
+const STRATEGIES = {
+  smallestSufficient: {
+    name: 'smallestSufficient',
+    description: 'Smallest single UTXO that covers the spend (falls back to largest-first)',
+    select: (candidates, model) => {
+      const descending = byAmountDescending(candidates);
+      const single = [...descending].reverse().find(utxo => utxo.amount >= model.requiredWithChange([utxo]));
+      return single ? { inputs: [single], fallback: null } : { inputs: accumulateInputs(descending, model), fallback: 'largestFirst' };
+    }
+  },
+  largestFirst: {
+    name: 'largestFirst',
+    description: 'Largest UTXOs first (fewest inputs)',
+    select: (candidates, model) => ({ inputs: accumulateInputs(byAmountDescending(candidates), model), fallback: null })
+  },
+  branchAndBound: {
+    name: 'branchAndBound',
+    description: 'Exact match without change (falls back to largest-first)',
+    select: (candidates, model, options) => {
+      const match = findExactMatch(candidates, model, options.maxTries ?? DEFAULT_BRANCH_AND_BOUND_TRIES);
+      return match ? { inputs: match, fallback: null } : { inputs: accumulateInputs(byAmountDescending(candidates), model), fallback: 'largestFirst' };
+    }
+  },
+  random: {
+    name: 'random',
+    description: 'Random UTXOs until covered (privacy)',
+    select: (candidates, model, options) => {
+      const random = options.random || secureRandom;
+      const shuffled = [...candidates];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return { inputs: accumulateInputs(shuffled, model), fallback: null };
+    }
+  },
+  consumeDust: {
+    name: 'consumeDust',
+    description: 'Spend small UTXOs along the way, topped up largest-first',
+    select: (candidates, model, options) => {
+      const threshold = BigInt(options.dustThreshold ?? DEFAULT_DUST_CONSOLIDATION_THRESHOLD);
+      // Leave room for at least one input to top the dust up
+      const dust = byAmountDescending(candidates).reverse()
+        .filter(utxo => utxo.amount < threshold && utxo.amount > model.inputFee(utxo))
+        .slice(0, model.maxInputs - 1);
+      return { inputs: accumulateInputs(byAmountDescending(candidates), model, dust), fallback: null };
+    }
+  }
+};
+
+export const COIN_SELECTION_STRATEGY_NAMES = Object.keys(STRATEGIES);
+export const DEFAULT_COIN_SELECTION_STRATEGY = 'smallestSufficient';
+
+/**
+ * Look up a coin selection strategy by name
+ * @param {string} name - Strategy name (default: 'smallestSufficient')
+ * @returns {Object} Strategy definition (throws for unknown names)
+ */
+export function getCoinSelectionStrategy(name = DEFAULT_COIN_SELECTION_STRATEGY) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown coin selection strategy "${name}". Expected one of: ${COIN_SELECTION_STRATEGY_NAMES.join(', ')}`);
+  }
+  return strategy;
+}
+
+/**
+ * Report the change and fee of spending a fixed input set, e.g. the inputs a resumed mining session is pinned to
+ * @param {Array} inputs - UTXOs in any form normalizeUtxo() accepts
+ * @param {Object} options - See selectCoins()
+ * @returns {Object} Coin selection report (see selectCoins()); strategy is null (throws when the inputs cannot cover
+ *   the spend)
+ */
+export function summarizeCoinSelection(inputs, options = {}) {
+  const spend = resolveSpend(options);
+  const utxos = normalizeUtxos(inputs, { networkId: options.networkId || null });
+  if (utxos.length === 0) throw new Error('No UTXOs to spend');
+  const totalInput = sumUtxoAmounts(utxos);
+  const available = totalInput - spend.amount - spend.priorityFee;
+
+  // Change shrinks as its fee grows, and storage mass grows as change shrinks: settle both over a few rounds
+  let change = available;
+  let massWithChange = null;
+  for (let round = 0; round < 3 && change > BigInt(0); round++) {
+    massWithChange = calculateSpendMass(utxos, [spend.recipient, { amount: change, scriptPublicKey: spend.changeScriptPublicKey }], spend.payload);
+    change = available - getNetworkFee(massWithChange.mass, spend.feeRate);
+  }
+
+  const warnings = [];
+  let massResult;
+  if (massWithChange && change >= spend.changeDustThreshold && massWithChange.mass <= MAXIMUM_STANDARD_TRANSACTION_MASS) {
+    massResult = massWithChange;
+  } else {
+    massResult = calculateSpendMass(utxos, [spend.recipient], spend.payload);
+    const required = spend.amount + spend.priorityFee + getNetworkFee(massResult.mass, spend.feeRate);
+    if (totalInput < required) throw new Error(`Insufficient funds: need ${required} sompi, have ${totalInput} sompi`);
+    change = BigInt(0);
+    const leftover = totalInput - required;
+    if (leftover > BigInt(0)) warnings.push(`${leftover} sompi of change is too small to keep and goes to the fee`);
+  }
+  if (massResult.mass > MAXIMUM_STANDARD_TRANSACTION_MASS) {
+    warnings.push(`Transaction mass ${massResult.mass} exceeds the standard limit of ${MAXIMUM_STANDARD_TRANSACTION_MASS}`);
+  }
+
+  return {
+    strategy: null,
+    fallback: null,
+    inputs: utxos,
+    inputCount: utxos.length,
+    totalInput,
+    amount: spend.amount,
+    priorityFee: spend.priorityFee,
+    networkFee: getNetworkFee(massResult.mass, spend.feeRate),
+    fee: totalInput - spend.amount - change,
+    change,
+    changeAddress: change > BigInt(0) ? spend.changeAddress : null,
+    mass: massResult.mass,
+    computeMass: massResult.computeMass,
+    storageMass: massResult.storageMass,
+    warnings
+  };
+}
+
+/**
+ * Choose the inputs of a spend and report what it will cost
+ * @param {Array} utxos - Spendable UTXOs in any form normalizeUtxo() accepts
+ * @param {Object} options - Selection options
+ * @param {string} options.strategy - One of COIN_SELECTION_STRATEGY_NAMES (default: 'smallestSufficient')
+ * @param {string} options.toAddress - Recipient address
+ * @param {string} options.changeAddress - Change address (default: toAddress)
+ * @param {number} options.amount - Amount to send in sompi
+ * @param {number} options.fee - Priority fee in sompi, paid on top of the network fee (default: 0)
+ * @param {string} options.payload - Transaction payload hex, e.g. an envelope (optional)
+ * @param {string} options.nonceStrategy - Mining nonce strategy; amounts and fees then assume its largest nonce (optional)
+ * @param {Object} options.nonceOptions - Nonce strategy options (optional)
+ * @param {number} options.feeRate - Network fee rate in sompi per gram (default: MINIMUM_RELAY_FEE_SOMPI_PER_GRAM)
+ * @param {string} options.networkId - Network, to fill in addresses from scripts (optional)
+ * @param {number} options.dustThreshold - consumeDust: UTXOs below this many sompi are spent (default: 1000000)
+ * @param {number} options.maxTries - branchAndBound: search budget (default: 100000)
+ * @param {Function} options.random - random: source of numbers in [0, 1) (default: crypto.getRandomValues)
+ * @returns {Object} { strategy, fallback, inputs, inputCount, totalInput, amount, priorityFee, networkFee, fee, change,
+ *   changeAddress, mass, computeMass, storageMass, warnings } - sompi values are BigInt, inputs are canonical UTXOs in
+ *   spending order, fallback names the strategy used when the chosen one found nothing, and fee is everything the
+ *   inputs pay beyond amount and change (throws when the UTXOs cannot cover the spend)
+ */
+export function selectCoins(utxos, options = {}) {
+  const strategy = getCoinSelectionStrategy(options.strategy);
+  const candidates = normalizeUtxos(utxos, { networkId: options.networkId || null });
+  if (candidates.length === 0) throw new Error('No UTXOs to spend');
+
+  const spend = resolveSpend(options);
+  const { inputs, fallback } = strategy.select(candidates, createFeeModel(spend, candidates), options);
+  return { ...summarizeCoinSelection(inputs, options), strategy: strategy.name, fallback };
+}
+
+console.log('📦 Kaspa Coin Selection module loaded successfully (coin-selection.js)');
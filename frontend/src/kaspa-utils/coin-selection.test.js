@@ -0,0 +1,88 @@
+import { selectCoins, summarizeCoinSelection, getCoinSelectionStrategy } from './coin-selection.js';
+
+const ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+const SCRIPT_PUBLIC_KEY = '000020dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659ac';
+const KAS = 100000000;
+
+// UTXOs of the given KAS amounts, all paying to ADDRESS
+function createUtxos(amounts) {
+  return amounts.map((amount, index) => ({
+    transactionId: index.toString(16).padStart(64, '0'),
+    index: 0,
+    amount: Math.round(amount * KAS),
+    scriptPublicKey: SCRIPT_PUBLIC_KEY,
+    address: ADDRESS
+  }));
+}
+
+const SPEND = { toAddress: ADDRESS, amount: 2 * KAS, fee: 1000 };
+const selectedAmounts = (selection) => selection.inputs.map(utxo => Number(utxo.amount) / KAS);
+
+describe('Coin selection', () => {
+  test('largest-first and smallest-sufficient', () => {
+    const utxos = createUtxos([1, 5, 2.5, 0.5, 3]);
+    expect(selectedAmounts(selectCoins(utxos, { ...SPEND, strategy: 'largestFirst' }))).toEqual([5]);
+    expect(selectedAmounts(selectCoins(utxos, { ...SPEND, strategy: 'smallestSufficient' }))).toEqual([2.5]);
+
+    const fallback = selectCoins(createUtxos([1, 1.5, 0.5]), { ...SPEND, strategy: 'smallestSufficient' });
+    expect(selectedAmounts(fallback)).toEqual([1.5, 1]);
+    expect(fallback.fallback).toBe('largestFirst');
+    expect(() => selectCoins(createUtxos([1, 0.5]), SPEND)).toThrow(/Insufficient funds/);
+  });
+
+  test('reports the amount, change and fee, which add up to the inputs', () => {
+    const selection = selectCoins(createUtxos([3]), { ...SPEND, changeAddress: ADDRESS });
+    expect(selection.strategy).toBe('smallestSufficient');
+    expect(selection.totalInput).toBe(BigInt(3 * KAS));
+    expect(selection.priorityFee).toBe(BigInt(1000));
+    expect(selection.fee).toBe(selection.priorityFee + selection.networkFee);
+    expect(selection.amount + selection.change + selection.fee).toBe(selection.totalInput);
+    expect(selection.networkFee).toBe(BigInt(selection.mass));
+    expect(selection.changeAddress).toBe(ADDRESS);
+    expect(selection.warnings).toEqual([]);
+  });
+
+  test('branch-and-bound finds a set that needs no change', () => {
+    // Too little change to keep prices the pair without a change output
+    const pair = (amount) => [
+      { ...createUtxos([0])[0], transactionId: 'ee'.repeat(32), amount },
+      { ...createUtxos([0])[0], transactionId: 'ff'.repeat(32), amount: KAS + 10 }
+    ];
+    const probe = summarizeCoinSelection(pair(KAS + 10000), SPEND);
+    expect(probe.change).toBe(BigInt(0));
+    // A pair paying exactly the amount and fees, hidden among UTXOs largest-first would pick instead
+    const exact = Number(probe.amount + probe.priorityFee + probe.networkFee) - (KAS + 10);
+    const utxos = [...createUtxos([3, 1.2, 0.7]), ...pair(exact)];
+    const selection = selectCoins(utxos, { ...SPEND, strategy: 'branchAndBound' });
+    expect(selection.fallback).toBeNull();
+    expect(selection.change).toBe(BigInt(0));
+    expect(selection.inputs.map(utxo => utxo.transactionId).sort()).toEqual(['ee'.repeat(32), 'ff'.repeat(32)]);
+
+    const noMatch = selectCoins(createUtxos([3, 5]), { ...SPEND, strategy: 'branchAndBound' });
+    expect(noMatch.fallback).toBe('largestFirst');
+  });
+
+  test('random order and dust consolidation', () => {
+    const utxos = createUtxos([1, 1, 1, 1, 1]);
+    const first = selectCoins(utxos, { ...SPEND, strategy: 'random', random: () => 0 });
+    const second = selectCoins(utxos, { ...SPEND, strategy: 'random', random: () => 0.99 });
+    expect(first.inputCount).toBe(3);
+    expect(first.inputs.map(utxo => utxo.transactionId)).not.toEqual(second.inputs.map(utxo => utxo.transactionId));
+
+    const dusty = selectCoins(createUtxos([0.001, 0.005, 4, 0.00000001]), { ...SPEND, strategy: 'consumeDust' });
+    // The 1-sompi UTXO costs more to spend than it is worth
+    expect(selectedAmounts(dusty)).toEqual([0.001, 0.005, 4]);
+    expect(() => getCoinSelectionStrategy('oldestFirst')).toThrow(/Unknown coin selection strategy "oldestFirst"/);
+  });
+
+  test('covers the most expensive nonce and gives unkeepable change to the fee', () => {
+    const changeAmount = selectCoins(createUtxos([2]), { ...SPEND, amount: 2 * KAS - 200000, nonceStrategy: 'changeAmount', nonceOptions: { maxChangeVariation: 100000 } });
+    expect(changeAmount.priorityFee).toBe(BigInt(101000));
+
+    const probe = summarizeCoinSelection(createUtxos([3]), SPEND);
+    const tight = summarizeCoinSelection(createUtxos([Number(probe.amount + probe.priorityFee + probe.networkFee + BigInt(50)) / KAS]), SPEND);
+    expect(tight.change).toBe(BigInt(0));
+    expect(tight.changeAddress).toBeNull();
+    expect(tight.warnings[0]).toMatch(/goes to the fee/);
+  });
+});
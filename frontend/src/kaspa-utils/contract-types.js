@@ -0,0 +1,470 @@
+// Kaspa Contract Type Registry Module
+// Maps envelope ContractTypeIDs to a name, a version and a payload schema, so constructEnvelope() can validate and
+// encode structured payloads and parseEnvelope() can render them back as objects. Two schema kinds:
+//
+//   jsonSchema - payload is UTF-8 JSON checked against a JSON Schema subset: type, properties, required,
+//                additionalProperties, items, enum, const, minimum, maximum, minLength, maxLength, pattern,
+//                minItems, maxItems
+//   layout     - payload is a packed binary record: an ordered list of { name, type, length? } fields.
+//                Integers are little-endian; bytes/string without a fixed length carry a u16 length prefix.
+//
+//   registerContractType({ id: '0x10', name: 'greeting', version: 1, jsonSchema: { type: 'object', ... } });
+//   constructEnvelope({ contractTypeId: '0x10', payloadData: { text: 'hi' } });
+
+import { Buffer } from 'buffer';
+
+const CONTRACT_TYPES = new Map();
+
+const MAX_CONTRACT_TYPE_ID_BYTES = 255;
+const MAX_VARIABLE_FIELD_BYTES = 0xffff;
+
+// Binary layout field types: fixed byte size (null = variable or `length`) and whether `length` is allowed
+const FIELD_TYPES = {
+  u8: { size: 1 },
+  u16: { size: 2 },
+  u32: { size: 4 },
+  u64: { size: 8 },
+  bool: { size: 1 },
+  hash: { size: 32 },
+  bytes: { size: null },
+  string: { size: null }
+};
+
+export const CONTRACT_FIELD_TYPES = Object.keys(FIELD_TYPES);
+
+/**
+ * Normalise a contract type ID to lowercase hex without 0x
+ * @param {string} id - Contract type identifier, e.g. '0x01'
+ * @returns {string} Normalised hex ID
+ */
+export function normalizeContractTypeId(id) {
+  if (typeof id !== 'string') throw new Error(`Invalid contract type ID type: ${typeof id}. Must be hex string`);
+  const clean = (id.startsWith('0x') ? id.slice(2) : id).toLowerCase();
+  if (!/^[0-9a-f]+$/.test(clean) || clean.length % 2 !== 0) {
+    throw new Error(`Invalid contract type ID: ${id}. Must be an even-length hex string`);
+  }
+  if (clean.length / 2 > MAX_CONTRACT_TYPE_ID_BYTES) {
+    throw new Error(`Invalid contract type ID: ${id}. Must be at most ${MAX_CONTRACT_TYPE_ID_BYTES} bytes`);
+  }
+  return clean;
+}
+
+/**
+ * Check a binary layout definition
+ * @param {Array<Object>} layout - Field definitions
+ */
+function validateLayout(layout) {
+  if (!Array.isArray(layout) || layout.length === 0) throw new Error('layout must be a non-empty array of fields');
+  const names = new Set();
+  layout.forEach((field, index) => {
+    if (!field || typeof field.name !== 'string' || !field.name) throw new Error(`layout[${index}] needs a name`);
+    if (names.has(field.name)) throw new Error(`Duplicate layout field "${field.name}"`);
+    names.add(field.name);
+    if (!FIELD_TYPES[field.type]) {
+      throw new Error(`layout field "${field.name}" has unknown type "${field.type}". Expected one of: ${CONTRACT_FIELD_TYPES.join(', ')}`);
+    }
+    if (field.length !== undefined) {
+      if (field.type !== 'bytes' && field.type !== 'string') throw new Error(`layout field "${field.name}": length only applies to bytes and string`);
+      if (!Number.isInteger(field.length) || field.length <= 0) throw new Error(`layout field "${field.name}": length must be a positive integer`);
+    }
+  });
+}
+
+/**
+ * Register a contract type
+ * @param {Object} definition - Contract type definition
+ * @param {string} definition.id - Contract type identifier (hex, e.g. '0x10')
+ * @param {string} definition.name - Human-readable name
+ * @param {number} definition.version - Schema version (default: 1)
+ * @param {Object} definition.jsonSchema - JSON Schema for JSON payloads (exclusive with layout)
+ * @param {Array<Object>} definition.layout - Binary field layout (exclusive with jsonSchema)
+ * @param {Object} options - Registration options
+ * @param {boolean} options.replace - Replace an existing registration with the same ID (default: false)
+ * @returns {Object} Registered contract type { id, name, version, kind, jsonSchema | layout }
+ */
+export function registerContractType(definition = {}, options = {}) {
+  const { replace = false } = options;
+  const { name, version = 1, jsonSchema, layout } = definition;
+  const id = normalizeContractTypeId(definition.id);
+
+  if (typeof name !== 'string' || !name.trim()) throw new Error('Contract type name is required');
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Invalid contract type version: ${version}. Must be a positive integer`);
+  if ((jsonSchema === undefined) === (layout === undefined)) {
+    throw new Error('A contract type needs exactly one of jsonSchema or layout');
+  }
+  if (jsonSchema !== undefined && (!jsonSchema || typeof jsonSchema !== 'object')) throw new Error('jsonSchema must be an object');
+  if (layout !== undefined) validateLayout(layout);
+  if (CONTRACT_TYPES.has(id) && !replace) {
+    throw new Error(`Contract type 0x${id} is already registered as "${CONTRACT_TYPES.get(id).name}"`);
+  }
+
+  const contractType = Object.freeze({
+    id,
+    name: name.trim(),
+    version,
+    kind: jsonSchema !== undefined ? 'json' : 'binary',
+    ...(jsonSchema !== undefined ? { jsonSchema } : { layout: layout.map(field => ({ ...field })) })
+  });
+  CONTRACT_TYPES.set(id, contractType);
+  console.log(`🏷️ Registered contract type 0x${id} "${contractType.name}" v${version} (${contractType.kind}) (from contract-types.js)`);
+  return contractType;
+}
+
+/**
+ * Remove a contract type registration
+ * @param {string} id - Contract type identifier
+ * @returns {boolean} True if a registration was removed
+ */
+export function unregisterContractType(id) {
+  return CONTRACT_TYPES.delete(normalizeContractTypeId(id));
+}
+
+/**
+ * Look up a registered contract type
+ * @param {string} id - Contract type identifier
+ * @returns {Object|null} Contract type, or null if unregistered
+ */
+export function getContractType(id) {
+  return CONTRACT_TYPES.get(normalizeContractTypeId(id)) || null;
+}
+
+/**
+ * List registered contract types
+ * @returns {Array<Object>} Contract types, ordered by ID
+ */
+export function listContractTypes() {
+  return [...CONTRACT_TYPES.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * JSON type name of a value, as used by the JSON Schema "type" keyword
+ * @param {*} value - Value
+ * @returns {string} 'null' | 'array' | 'integer' | 'number' | 'string' | 'boolean' | 'object'
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the supported JSON Schema subset
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} path - JSON path for error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateJsonSchema(schema, value, path = '$') {
+  const errors = [];
+  const type = getJsonType(value);
+
+  if (schema.type !== undefined) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+    if (!matches) return [`${path} must be ${allowed.join(' or ')}, got ${type}`];
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} must equal ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (type === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path} must match ${schema.pattern}`);
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${path}.${key} is required`);
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(properties[key], value[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(schema.additionalProperties, value[key], `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a binary layout record
+ * @param {Array<Object>} layout - Field definitions
+ * @param {Object} value - Record to check
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateLayoutValue(layout, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return ['$ must be an object'];
+  const errors = [];
+  const fieldNames = new Set(layout.map(field => field.name));
+  Object.keys(value).forEach(key => {
+    if (!fieldNames.has(key)) errors.push(`$.${key} is not part of the layout`);
+  });
+
+  layout.forEach(field => {
+    const path = `$.${field.name}`;
+    const item = value[field.name];
+    if (item === undefined) {
+      errors.push(`${path} is required`);
+      return;
+    }
+    switch (field.type) {
+      case 'u8':
+      case 'u16':
+      case 'u32':
+      case 'u64': {
+        let integer;
+        try {
+          integer = typeof item === 'number' && !Number.isSafeInteger(item) ? null : BigInt(item);
+        } catch (error) {
+          integer = null;
+        }
+        const max = BigInt(2) ** BigInt(FIELD_TYPES[field.type].size * 8) - BigInt(1);
+        if (integer === null || typeof item === 'boolean' || integer < BigInt(0) || integer > max) {
+          errors.push(`${path} must be an integer in 0..${max} (${field.type})`);
+        }
+        break;
+      }
+      case 'bool':
+        if (typeof item !== 'boolean') errors.push(`${path} must be a boolean`);
+        break;
+      case 'hash':
+      case 'bytes': {
+        const clean = typeof item === 'string' && item.startsWith('0x') ? item.slice(2) : item;
+        const size = field.type === 'hash' ? FIELD_TYPES.hash.size : field.length;
+        if (typeof clean !== 'string' || !/^[0-9a-fA-F]*$/.test(clean) || clean.length % 2 !== 0) {
+          errors.push(`${path} must be a hex string`);
+        } else if (size !== undefined && clean.length / 2 !== size) {
+          errors.push(`${path} must be ${size} bytes`);
+        } else if (clean.length / 2 > MAX_VARIABLE_FIELD_BYTES) {
+          errors.push(`${path} must be at most ${MAX_VARIABLE_FIELD_BYTES} bytes`);
+        }
+        break;
+      }
+      case 'string': {
+        if (typeof item !== 'string') {
+          errors.push(`${path} must be a string`);
+          break;
+        }
+        const byteLength = Buffer.byteLength(item, 'utf8');
+        const maxBytes = field.length || MAX_VARIABLE_FIELD_BYTES;
+        if (byteLength > maxBytes) errors.push(`${path} must be at most ${maxBytes} UTF-8 bytes`);
+        break;
+      }
+      default:
+        errors.push(`${path} has unsupported type ${field.type}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Resolve a contract type argument (registered entry or ID)
+ * @param {Object|string} contractType - Contract type or its ID
+ * @returns {Object} Contract type
+ */
+function resolveContractType(contractType) {
+  const resolved = typeof contractType === 'string' ? getContractType(contractType) : contractType;
+  if (!resolved) throw new Error(`Contract type ${contractType} is not registered`);
+  return resolved;
+}
+
+/**
+ * Validate a structured payload for a contract type
+ * @param {Object|string} contractType - Registered contract type or its ID
+ * @param {*} value - Structured payload
+ * @returns {Object} { valid, errors }
+ */
+export function validateContractPayload(contractType, value) {
+  const resolved = resolveContractType(contractType);
+  const errors = resolved.kind === 'json' ? validateJsonSchema(resolved.jsonSchema, value) : validateLayoutValue(resolved.layout, value);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Throw a single error listing every validation failure
+ * @param {Object} contractType - Contract type
+ * @param {*} value - Structured payload
+ */
+function assertValidPayload(contractType, value) {
+  const { valid, errors } = validateContractPayload(contractType, value);
+  if (!valid) {
+    throw new Error(`Payload does not match contract type "${contractType.name}" v${contractType.version}: ${errors.join('; ')}`);
+  }
+}
+
+/**
+ * Write a u16 little-endian length prefix followed by the bytes
+ * @param {Buffer} bytes - Field bytes
+ * @returns {Buffer} Length-prefixed bytes
+ */
+function withLengthPrefix(bytes) {
+  const prefix = Buffer.alloc(2);
+  prefix.writeUInt16LE(bytes.length);
+  return Buffer.concat([prefix, bytes]);
+}
+
+/**
+ * Encode a binary layout record
+ * @param {Array<Object>} layout - Field definitions
+ * @param {Object} value - Validated record
+ * @returns {Buffer} Packed bytes
+ */
+function encodeLayout(layout, value) {
+  return Buffer.concat(layout.map(field => {
+    const item = value[field.name];
+    switch (field.type) {
+      case 'u8':
+      case 'u16':
+      case 'u32':
+      case 'u64': {
+        const bytes = Buffer.alloc(FIELD_TYPES[field.type].size);
+        let remaining = BigInt(item);
+        for (let i = 0; i < bytes.length; i++) {
+          bytes[i] = Number(remaining % BigInt(256));
+          remaining /= BigInt(256);
+        }
+        return bytes;
+      }
+      case 'bool':
+        return Buffer.from([item ? 1 : 0]);
+      case 'hash':
+      case 'bytes': {
+        const bytes = Buffer.from(item.startsWith('0x') ? item.slice(2) : item, 'hex');
+        return field.type === 'bytes' && !field.length ? withLengthPrefix(bytes) : bytes;
+      }
+      case 'string': {
+        const bytes = Buffer.from(item, 'utf8');
+        // Fixed-length strings are zero-padded
+        return field.length ? Buffer.concat([bytes, Buffer.alloc(field.length - bytes.length)]) : withLengthPrefix(bytes);
+      }
+      default:
+        throw new Error(`Unsupported field type ${field.type}`);
+    }
+  }));
+}
+
+/**
+ * Decode a binary layout record
+ * @param {Array<Object>} layout - Field definitions
+ * @param {Buffer} buffer - Packed bytes
+ * @returns {Object} Record (u64 fields as BigInt, bytes/hash as hex)
+ */
+function decodeLayout(layout, buffer) {
+  let offset = 0;
+  const take = (length, name) => {
+    if (offset + length > buffer.length) throw new Error(`Payload truncated reading field "${name}"`);
+    const bytes = buffer.subarray(offset, offset + length);
+    offset += length;
+    return bytes;
+  };
+  const takePrefixed = (name) => take(take(2, name).readUInt16LE(0), name);
+
+  const value = {};
+  layout.forEach(field => {
+    switch (field.type) {
+      case 'u8':
+        value[field.name] = take(1, field.name).readUInt8(0);
+        break;
+      case 'u16':
+        value[field.name] = take(2, field.name).readUInt16LE(0);
+        break;
+      case 'u32':
+        value[field.name] = take(4, field.name).readUInt32LE(0);
+        break;
+      case 'u64': {
+        const bytes = take(8, field.name);
+        value[field.name] = bytes.reduceRight((sum, byte) => sum * BigInt(256) + BigInt(byte), BigInt(0));
+        break;
+      }
+      case 'bool': {
+        const byte = take(1, field.name)[0];
+        if (byte > 1) throw new Error(`Invalid bool byte 0x${byte.toString(16)} in field "${field.name}"`);
+        value[field.name] = byte === 1;
+        break;
+      }
+      case 'hash':
+        value[field.name] = take(FIELD_TYPES.hash.size, field.name).toString('hex');
+        break;
+      case 'bytes':
+        value[field.name] = (field.length ? take(field.length, field.name) : takePrefixed(field.name)).toString('hex');
+        break;
+      case 'string': {
+        const bytes = field.length ? take(field.length, field.name) : takePrefixed(field.name);
+        const end = field.length ? bytes.indexOf(0) : -1;
+        value[field.name] = (end === -1 ? bytes : bytes.subarray(0, end)).toString('utf8');
+        break;
+      }
+      default:
+        throw new Error(`Unsupported field type ${field.type}`);
+    }
+  });
+  if (offset !== buffer.length) throw new Error(`Payload has ${buffer.length - offset} unexpected trailing bytes`);
+  return value;
+}
+
+/**
+ * Decode payload bytes of a contract type and validate the result
+ * @param {Object|string} contractType - Registered contract type or its ID
+ * @param {Buffer|Uint8Array} payload - Encoded payload
+ * @returns {*} Structured payload
+ */
+export function decodeContractPayload(contractType, payload) {
+  const resolved = resolveContractType(contractType);
+  const buffer = Buffer.from(payload);
+  let value;
+  if (resolved.kind === 'json') {
+    try {
+      value = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Payload of contract type "${resolved.name}" is not valid JSON: ${error.message}`);
+    }
+  } else {
+    value = decodeLayout(resolved.layout, buffer);
+  }
+  assertValidPayload(resolved, value);
+  return value;
+}
+
+/**
+ * Validate and encode a payload for a contract type
+ * Strings and Buffers are treated as already-encoded payload bytes and are validated by decoding them.
+ * @param {Object|string} contractType - Registered contract type or its ID
+ * @param {*} payload - Structured payload, or encoded bytes (string/Buffer)
+ * @returns {Buffer} Encoded payload
+ */
+export function encodeContractPayload(contractType, payload) {
+  const resolved = resolveContractType(contractType);
+  if (typeof payload === 'string' || Buffer.isBuffer(payload)) {
+    const bytes = typeof payload === 'string' ? Buffer.from(payload, 'utf8') : payload;
+    decodeContractPayload(resolved, bytes);
+    return bytes;
+  }
+  assertValidPayload(resolved, payload);
+  return resolved.kind === 'json' ? Buffer.from(JSON.stringify(payload), 'utf8') : encodeLayout(resolved.layout, payload);
+}
+
+console.log('📦 Kaspa Contract Types module loaded successfully (contract-types.js)');
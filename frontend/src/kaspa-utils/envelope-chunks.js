@@ -0,0 +1,309 @@
+// Kaspa Chunked Envelope Module
+// Splits payloads too large for one transaction across a linked chain of transactions. Each transaction carries a
+// chunk envelope (version 0x03):
+//
+//   Version || ContractTypeLength || ContractTypeID || PayloadRootHash || ChunkIndex (u16) || ChunkTotal (u16) ||
+//   PreviousChunkTxId (32 bytes, zero for chunk 0) || ChunkLength (u32) || ChunkData
+//
+// Integers are little-endian. PayloadRootHash is a Merkle root over all chunks: leaves are Blake3(0x00 || chunk),
+// nodes Blake3(0x01 || left || right), and an odd node is carried up unchanged. Each chunk links to the one before
+// it, so the whole payload can be rebuilt from the TxID of the last chunk. Bytes after ChunkData (e.g. a mining nonce)
+// are ignored.
+
+import { Buffer } from 'buffer';
+import { blake3Hash } from '@webbuf/blake3';
+import { WebBuf } from '@webbuf/webbuf';
+import { ENVELOPE_VERSION_CHUNK } from './envelope.js';
+import { getContractType, encodeContractPayload, decodeContractPayload, normalizeContractTypeId } from './contract-types.js';
+import { createWasmUtxoEntries } from './mining-core.js';
+
+// Standard transactions are capped at 100,000 mass and current networks count payload bytes several times over as
+// transient storage mass, so payloads much above ~24 KB are rejected. 16 KiB leaves room for inputs and outputs.
+export const DEFAULT_CHUNK_SIZE = 16384;
+export const MAX_CHUNKS = 0xffff;
+
+const HASH_LENGTH = 32;
+const ZERO_TX_ID = Buffer.alloc(HASH_LENGTH);
+
+/**
+ * Blake3 hash of the concatenated parts
+ * @param {Array<Buffer>} parts - Byte parts
+ * @returns {Buffer} 32-byte hash
+ */
+function blake3(parts) {
+  return Buffer.from(blake3Hash(new WebBuf(Buffer.concat(parts))).buf);
+}
+
+/**
+ * Compute the chunk Merkle root
+ * @param {Array<Buffer>} chunks - Chunk data in order
+ * @returns {Buffer} 32-byte root
+ */
+export function computeChunkMerkleRoot(chunks) {
+  if (!Array.isArray(chunks) || chunks.length === 0) throw new Error('At least one chunk is required');
+  let level = chunks.map(chunk => blake3([Buffer.from([0x00]), Buffer.from(chunk)]));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? blake3([Buffer.from([0x01]), level[i], level[i + 1]]) : level[i]);
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+/**
+ * Split a payload into chunks and compute their Merkle root
+ * Payloads of registered contract types are validated and encoded first (see contract-types.js).
+ * @param {string|Buffer|Object} payloadData - Payload (UTF-8 string, bytes, or a structured value for registered types)
+ * @param {Object} options - Split options
+ * @param {string} options.contractTypeId - Contract type identifier (default: '0x01')
+ * @param {number} options.chunkSize - Maximum chunk data bytes (default: 16384)
+ * @returns {Object} { contractTypeId, payloadRootHash, payloadLength, chunks }
+ */
+export function splitEnvelopePayload(payloadData, options = {}) {
+  const { contractTypeId = '0x01', chunkSize = DEFAULT_CHUNK_SIZE } = options;
+  const contractTypeHex = normalizeContractTypeId(contractTypeId);
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) throw new Error(`Invalid chunkSize: ${chunkSize}`);
+
+  let payloadBuffer;
+  const contractType = getContractType(contractTypeHex);
+  if (contractType) {
+    payloadBuffer = encodeContractPayload(contractType, payloadData);
+  } else if (typeof payloadData === 'string') {
+    payloadBuffer = Buffer.from(payloadData, 'utf8');
+  } else if (payloadData instanceof Uint8Array) {
+    payloadBuffer = Buffer.from(payloadData);
+  } else {
+    throw new Error(`Invalid payloadData type: ${typeof payloadData}. Must be string or Buffer`);
+  }
+
+  const chunkCount = Math.max(1, Math.ceil(payloadBuffer.length / chunkSize));
+  if (chunkCount > MAX_CHUNKS) throw new Error(`Payload needs ${chunkCount} chunks; at most ${MAX_CHUNKS} are supported`);
+  const chunks = Array.from({ length: chunkCount }, (_, index) => payloadBuffer.subarray(index * chunkSize, (index + 1) * chunkSize));
+
+  return {
+    contractTypeId: contractTypeHex,
+    payloadRootHash: computeChunkMerkleRoot(chunks).toString('hex'),
+    payloadLength: payloadBuffer.length,
+    chunks
+  };
+}
+
+/**
+ * Construct one chunk envelope
+ * @param {Object} options - Chunk envelope fields
+ * @param {string} options.contractTypeId - Contract type identifier
+ * @param {string} options.payloadRootHash - Merkle root over all chunks (hex)
+ * @param {number} options.index - Chunk index (0-based)
+ * @param {number} options.total - Number of chunks
+ * @param {string|null} options.previousTxId - TxID of the previous chunk's transaction (null for chunk 0)
+ * @param {Buffer} options.chunkData - Chunk bytes
+ * @returns {Buffer} Chunk envelope
+ */
+export function constructChunkEnvelope(options = {}) {
+  const { contractTypeId, payloadRootHash, index, total, previousTxId = null, chunkData } = options;
+  const contractTypeBuffer = Buffer.from(normalizeContractTypeId(contractTypeId), 'hex');
+  const rootBuffer = Buffer.from(payloadRootHash || '', 'hex');
+  if (rootBuffer.length !== HASH_LENGTH) throw new Error('payloadRootHash must be 32 bytes of hex');
+  if (!Number.isInteger(total) || total < 1 || total > MAX_CHUNKS) throw new Error(`Invalid chunk total: ${total}`);
+  if (!Number.isInteger(index) || index < 0 || index >= total) throw new Error(`Invalid chunk index: ${index} of ${total}`);
+  if ((index === 0) !== !previousTxId) throw new Error('Only chunk 0 may omit previousTxId');
+  const previousBuffer = previousTxId ? Buffer.from(previousTxId, 'hex') : ZERO_TX_ID;
+  if (previousBuffer.length !== HASH_LENGTH) throw new Error('previousTxId must be 32 bytes of hex');
+  const data = Buffer.from(chunkData);
+
+  const header = Buffer.alloc(8);
+  header.writeUInt16LE(index, 0);
+  header.writeUInt16LE(total, 2);
+  header.writeUInt32LE(data.length, 4);
+
+  return Buffer.concat([
+    Buffer.from([ENVELOPE_VERSION_CHUNK, contractTypeBuffer.length]),
+    contractTypeBuffer,
+    rootBuffer,
+    header.subarray(0, 4),      // ChunkIndex, ChunkTotal
+    previousBuffer,             // PreviousChunkTxId
+    header.subarray(4),         // ChunkLength
+    data
+  ]);
+}
+
+/**
+ * Parse a chunk envelope (structure only; chunk data is verified against the root on reassembly)
+ * @param {string|Buffer|Uint8Array} envelope - Chunk envelope bytes or hex (trailing bytes are ignored)
+ * @returns {Object} { success, contractTypeId, payloadRootHash, index, total, previousTxId, chunkData } or { success: false, error }
+ */
+export function parseChunkEnvelope(envelope) {
+  try {
+    const buffer = typeof envelope === 'string' ? Buffer.from(envelope.replace(/^0x/, ''), 'hex') : Buffer.from(envelope);
+    if (buffer.length < 2 || buffer[0] !== ENVELOPE_VERSION_CHUNK) throw new Error('Not a chunk envelope (version 0x03)');
+    const contractTypeLength = buffer[1];
+    const rootStart = 2 + contractTypeLength;
+    const indexStart = rootStart + HASH_LENGTH;
+    const previousStart = indexStart + 4;
+    const lengthStart = previousStart + HASH_LENGTH;
+    const dataStart = lengthStart + 4;
+    if (contractTypeLength === 0 || buffer.length < dataStart) throw new Error('Chunk envelope header truncated');
+
+    const total = buffer.readUInt16LE(indexStart + 2);
+    const index = buffer.readUInt16LE(indexStart);
+    const chunkLength = buffer.readUInt32LE(lengthStart);
+    if (total === 0 || index >= total) throw new Error(`Invalid chunk index ${index} of ${total}`);
+    if (buffer.length < dataStart + chunkLength) throw new Error('Chunk data truncated');
+
+    const previousTxId = buffer.subarray(previousStart, lengthStart);
+    return {
+      success: true,
+      contractTypeId: buffer.subarray(2, rootStart).toString('hex'),
+      payloadRootHash: buffer.subarray(rootStart, indexStart).toString('hex'),
+      index,
+      total,
+      previousTxId: previousTxId.equals(ZERO_TX_ID) ? null : previousTxId.toString('hex'),
+      chunkData: Buffer.from(buffer.subarray(dataStart, dataStart + chunkLength))
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Rebuild and verify a chunked payload
+ * @param {Array<Object>} chunkEnvelopes - Parsed chunk envelopes (any order, see parseChunkEnvelope)
+ * @param {Object} options - Reassembly options
+ * @param {boolean} options.decodePayload - Decode payloads of registered contract types (default: true)
+ * @returns {Object} { success, contractTypeId, payloadRootHash, chunkCount, payloadData, payloadText, payload } or { success: false, error }
+ */
+export function reassembleChunks(chunkEnvelopes, options = {}) {
+  try {
+    const { decodePayload = true } = options;
+    if (!Array.isArray(chunkEnvelopes) || chunkEnvelopes.length === 0) throw new Error('No chunks to reassemble');
+    const [first] = chunkEnvelopes;
+    const ordered = new Array(first.total);
+    chunkEnvelopes.forEach(chunk => {
+      if (chunk.payloadRootHash !== first.payloadRootHash || chunk.total !== first.total || chunk.contractTypeId !== first.contractTypeId) {
+        throw new Error(`Chunk ${chunk.index} belongs to a different chunked envelope`);
+      }
+      if (ordered[chunk.index]) throw new Error(`Duplicate chunk ${chunk.index}`);
+      ordered[chunk.index] = chunk;
+    });
+    const missing = [...ordered.keys()].filter(index => !ordered[index]);
+    if (missing.length > 0) throw new Error(`Missing chunks: ${missing.join(', ')}`);
+
+    const chunks = ordered.map(chunk => chunk.chunkData);
+    if (computeChunkMerkleRoot(chunks).toString('hex') !== first.payloadRootHash) {
+      throw new Error('Chunks do not match the PayloadRootHash');
+    }
+
+    const payloadData = Buffer.concat(chunks);
+    const contractType = getContractType(first.contractTypeId);
+    return {
+      success: true,
+      contractTypeId: first.contractTypeId,
+      contractType: contractType ? { name: contractType.name, version: contractType.version, kind: contractType.kind } : null,
+      payloadRootHash: first.payloadRootHash,
+      chunkCount: first.total,
+      payloadData,
+      payloadText: payloadData.toString('utf8'),
+      payload: contractType && decodePayload ? decodeContractPayload(contractType, payloadData) : null
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Build the linked chunk transactions for a large payload
+ * Chunk 0 spends the given UTXOs; every later chunk spends the single output of the chunk before it, so all TxIDs
+ * are known before anything is signed. Broadcast them in order (see broadcastChunkedEnvelopeTransactions).
+ * @param {Object} kaspaWasm - Loaded kaspa-wasm module
+ * @param {Object} options - Build options
+ * @param {Array} options.utxos - UTXOs funding the chain (must fit in one transaction)
+ * @param {string} options.changeAddress - Address that receives the funds back from every chunk transaction
+ * @param {number} options.fee - Priority fee per chunk transaction in sompi (default: 1000)
+ * @param {string} options.networkId - Network ID (default: 'testnet-10')
+ * @param {string} options.contractTypeId - Contract type identifier (default: '0x01')
+ * @param {string|Buffer|Object} options.payloadData - Payload to split
+ * @param {number} options.chunkSize - Maximum chunk data bytes (default: 16384)
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} { success, payloadRootHash, chunkCount, headTxId, transactions: [{ index, txId, transaction, envelope }] } or { success: false, error }
+ */
+export async function buildChunkedEnvelopeTransactions(kaspaWasm, options = {}) {
+  try {
+    const {
+      utxos,
+      changeAddress,
+      fee = 1000,
+      networkId = 'testnet-10',
+      contractTypeId = '0x01',
+      payloadData,
+      chunkSize = DEFAULT_CHUNK_SIZE,
+      verbose = false
+    } = options;
+
+    if (!kaspaWasm || typeof kaspaWasm.createTransactions !== 'function') {
+      throw new Error('A loaded kaspa-wasm module is required');
+    }
+    if (!Array.isArray(utxos) || utxos.length === 0) throw new Error('Invalid UTXOs: must be a non-empty array');
+    if (!changeAddress) throw new Error('Invalid changeAddress: must be provided');
+
+    const split = splitEnvelopePayload(payloadData, { contractTypeId, chunkSize });
+    const total = split.chunks.length;
+    if (verbose) console.log(`🧩 Splitting ${split.payloadLength} bytes into ${total} chunk(s), root ${split.payloadRootHash.slice(0, 16)}... (from envelope-chunks.js)`);
+
+    let entries = createWasmUtxoEntries(utxos, { networkId });
+    let previousTxId = null;
+    const transactions = [];
+    for (let index = 0; index < total; index++) {
+      const envelope = constructChunkEnvelope({
+        contractTypeId: split.contractTypeId,
+        payloadRootHash: split.payloadRootHash,
+        index,
+        total,
+        previousTxId,
+        chunkData: split.chunks[index]
+      });
+
+      const pending = await kaspaWasm.createTransactions({
+        entries,
+        outputs: [],
+        priorityFee: kaspaWasm.kaspaToSompi((fee / 100000000).toFixed(8)),
+        changeAddress,
+        networkId,
+        payload: envelope.toString('hex')
+      });
+      if (pending?.transactions?.length !== 1) {
+        throw new Error(`Chunk ${index} needs ${pending?.transactions?.length || 0} transactions; compound the funding UTXOs first`);
+      }
+
+      const transaction = pending.transactions[0];
+      const txId = transaction.id;
+      transactions.push({ index, txId, transaction, envelope: envelope.toString('hex') });
+      if (verbose) console.log(`🧩 Chunk ${index + 1}/${total}: ${split.chunks[index].length} bytes in ${txId} (from envelope-chunks.js)`);
+
+      // The next chunk spends this transaction's only output
+      const [output] = transaction.transaction.outputs;
+      entries = [{
+        address: changeAddress,
+        amount: output.value,
+        outpoint: { transactionId: txId, index: 0 },
+        utxoEntry: { amount: output.value, scriptPublicKey: output.scriptPublicKey, blockDaaScore: BigInt(0), isCoinbase: false }
+      }];
+      previousTxId = txId;
+    }
+
+    return {
+      success: true,
+      payloadRootHash: split.payloadRootHash,
+      payloadLength: split.payloadLength,
+      chunkCount: total,
+      headTxId: previousTxId,
+      transactions
+    };
+  } catch (error) {
+    console.error('❌ Error building chunked envelope transactions (from envelope-chunks.js):', error);
+    return { success: false, error: error?.message || String(error) };
+  }
+}
+
+console.log('📦 Kaspa Chunked Envelope module loaded successfully (envelope-chunks.js)');
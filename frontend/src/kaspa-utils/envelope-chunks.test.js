@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import {
+  splitEnvelopePayload,
+  computeChunkMerkleRoot,
+  constructChunkEnvelope,
+  parseChunkEnvelope,
+  reassembleChunks
+} from './envelope-chunks.js';
+import { parseEnvelope } from './envelope.js';
+import { registerContractType, unregisterContractType } from './contract-types.js';
+
+const TX_IDS = ['aa', 'bb', 'cc', 'dd'].map(byte => byte.repeat(32));
+
+function buildChain(payloadData, options) {
+  const split = splitEnvelopePayload(payloadData, options);
+  return split.chunks.map((chunkData, index) => constructChunkEnvelope({
+    contractTypeId: split.contractTypeId,
+    payloadRootHash: split.payloadRootHash,
+    index,
+    total: split.chunks.length,
+    previousTxId: index === 0 ? null : TX_IDS[index - 1],
+    chunkData
+  }));
+}
+
+describe('splitEnvelopePayload', () => {
+  test('splits into fixed-size chunks with a Merkle root', () => {
+    const payload = Buffer.alloc(25, 7);
+    const split = splitEnvelopePayload(payload, { chunkSize: 10 });
+    expect(split.chunks.map(chunk => chunk.length)).toEqual([10, 10, 5]);
+    expect(split.payloadLength).toBe(25);
+    expect(split.payloadRootHash).toBe(computeChunkMerkleRoot(split.chunks).toString('hex'));
+  });
+
+  test('roots depend on chunk order and boundaries', () => {
+    const a = Buffer.from('first');
+    const b = Buffer.from('second');
+    expect(computeChunkMerkleRoot([a, b]).equals(computeChunkMerkleRoot([b, a]))).toBe(false);
+    expect(computeChunkMerkleRoot([Buffer.concat([a, b])]).equals(computeChunkMerkleRoot([a, b]))).toBe(false);
+  });
+
+  test('rejects bad options', () => {
+    expect(() => splitEnvelopePayload('x', { chunkSize: 0 })).toThrow();
+    expect(() => splitEnvelopePayload(42)).toThrow();
+  });
+});
+
+describe('chunk envelopes', () => {
+  test('round-trip and reassemble in any order', () => {
+    const payload = 'chunked kaspa payload '.repeat(10);
+    const envelopes = buildChain(payload, { contractTypeId: '0x0102', chunkSize: 64 });
+    expect(envelopes.length).toBe(4);
+
+    const parsed = envelopes.map(envelope => parseChunkEnvelope(envelope.toString('hex')));
+    expect(parsed.every(chunk => chunk.success)).toBe(true);
+    expect(parsed[0].previousTxId).toBeNull();
+    expect(parsed[2].previousTxId).toBe(TX_IDS[1]);
+    expect(parsed[3].contractTypeId).toBe('0102');
+
+    const result = reassembleChunks([parsed[2], parsed[0], parsed[3], parsed[1]]);
+    expect(result.success).toBe(true);
+    expect(result.chunkCount).toBe(4);
+    expect(result.payloadText).toBe(payload);
+  });
+
+  test('ignores a nonce trailer', () => {
+    const [envelope] = buildChain('single chunk');
+    const parsed = parseChunkEnvelope(Buffer.concat([envelope, Buffer.alloc(8, 1)]));
+    expect(parsed.success).toBe(true);
+    expect(reassembleChunks([parsed]).payloadText).toBe('single chunk');
+  });
+
+  test('decodes registered contract types after reassembly', () => {
+    registerContractType({
+      id: '0x7101',
+      name: 'chunk-test',
+      jsonSchema: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } }
+    }, { replace: true });
+
+    const envelopes = buildChain({ text: 'x'.repeat(100) }, { contractTypeId: '0x7101', chunkSize: 40 });
+    const result = reassembleChunks(envelopes.map(envelope => parseChunkEnvelope(envelope)));
+    expect(result.success).toBe(true);
+    expect(result.contractType.name).toBe('chunk-test');
+    expect(result.payload).toEqual({ text: 'x'.repeat(100) });
+    unregisterContractType('0x7101');
+  });
+
+  test('is rejected by parseEnvelope with a pointer to the chunk parser', () => {
+    const [envelope] = buildChain('x');
+    expect(parseEnvelope(envelope).error).toMatch(/parseChunkEnvelope/);
+  });
+});
+
+describe('reassembleChunks errors', () => {
+  test('detects tampered, missing and duplicate chunks', () => {
+    const parsed = buildChain(Buffer.alloc(30, 3), { chunkSize: 10 }).map(envelope => parseChunkEnvelope(envelope));
+
+    const tampered = { ...parsed[1], chunkData: Buffer.alloc(10, 4) };
+    expect(reassembleChunks([parsed[0], tampered, parsed[2]]).error).toMatch(/PayloadRootHash/);
+    expect(reassembleChunks([parsed[0], parsed[2]]).error).toMatch(/Missing chunks: 1/);
+    expect(reassembleChunks([parsed[0], parsed[1], parsed[1]]).error).toMatch(/Duplicate/);
+  });
+
+  test('rejects chunks from another envelope', () => {
+    const [first] = buildChain('one', { chunkSize: 2 }).map(envelope => parseChunkEnvelope(envelope));
+    const [, other] = buildChain('two', { chunkSize: 2 }).map(envelope => parseChunkEnvelope(envelope));
+    expect(reassembleChunks([first, other]).success).toBe(false);
+  });
+
+  test('rejects malformed envelopes', () => {
+    const [envelope] = buildChain('truncate me');
+    expect(parseChunkEnvelope(envelope.subarray(0, envelope.length - 1)).error).toMatch(/truncated/);
+    expect(parseChunkEnvelope(Buffer.from([0x02, 0x01])).success).toBe(false);
+    expect(() => constructChunkEnvelope({ contractTypeId: '0x01', payloadRootHash: 'ab'.repeat(32), index: 1, total: 2, chunkData: Buffer.alloc(1) })).toThrow();
+  });
+});
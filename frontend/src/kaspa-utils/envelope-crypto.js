@@ -0,0 +1,158 @@
+// Kaspa Envelope Cryptography Module
+// Encrypts envelope payloads to a recipient's secp256k1 public key (ECIES-style):
+//   1. A fresh ephemeral key pair is generated for every envelope.
+//   2. ECDH: shared secret = x-coordinate of ephemeralPrivate · recipientPublic. Kaspa addresses commit to x-only
+//      Schnorr keys, and the x-coordinate is the same for either y parity, so x-only recipient keys work too.
+//   3. HKDF-SHA256 derives a ChaCha20-Poly1305 key, bound to both public keys.
+//   4. The envelope header (including the ephemeral key) is the AEAD associated data, so the contract type, codec
+//      and key cannot be swapped without decryption failing.
+// Every key is used exactly once, so the AEAD nonce is fixed at zero.
+//
+// Author signatures use Kaspa's personal message scheme (rusty-kaspa wallet/core/src/message.rs): a BIP340 Schnorr
+// signature over Blake2b-256 keyed with "PersonalMessageSigningHash", so local keys and wallet signMessage() calls
+// produce interchangeable signatures.
+
+import { Buffer } from 'buffer';
+import { secp256k1, schnorr } from '@noble/curves/secp256k1';
+import { chacha20poly1305 } from '@noble/ciphers/chacha';
+import { blake2b } from '@noble/hashes/blake2b';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+
+export const ENVELOPE_EPHEMERAL_KEY_LENGTH = 33;
+export const ENVELOPE_AEAD_TAG_LENGTH = 16;
+export const ENVELOPE_AUTHOR_KEY_LENGTH = 32;
+export const ENVELOPE_SIGNATURE_LENGTH = 64;
+
+const KEY_DERIVATION_INFO = Buffer.from('kaspa-envelope-encryption-v1', 'utf8');
+const AEAD_NONCE = new Uint8Array(12);
+const PERSONAL_MESSAGE_KEY = Buffer.from('PersonalMessageSigningHash', 'utf8');
+
+/**
+ * Read key bytes from hex or bytes
+ * @param {string|Uint8Array} key - Key as hex (optional 0x prefix) or bytes
+ * @param {string} label - Key description for errors
+ * @returns {Buffer} Key bytes
+ */
+function toKeyBuffer(key, label) {
+  if (key instanceof Uint8Array) return Buffer.from(key);
+  if (typeof key === 'string') {
+    const clean = key.startsWith('0x') ? key.slice(2) : key;
+    if (clean.length % 2 !== 0 || !/^[0-9a-fA-F]+$/.test(clean)) throw new Error(`Invalid ${label}: must be hex`);
+    return Buffer.from(clean, 'hex');
+  }
+  throw new Error(`Invalid ${label} type: ${typeof key}. Must be hex string or bytes`);
+}
+
+/**
+ * Normalise a recipient public key to its compressed form
+ * @param {string|Uint8Array} publicKey - x-only (32 bytes, as in Kaspa Schnorr addresses) or compressed (33 bytes) key
+ * @returns {Buffer} 33-byte compressed public key
+ */
+export function normalizeRecipientPublicKey(publicKey) {
+  const bytes = toKeyBuffer(publicKey, 'recipient public key');
+  // x-only keys lift to the even-y point; ECDH only uses the x-coordinate, so the parity does not matter
+  const compressed = bytes.length === 32 ? Buffer.concat([Buffer.from([0x02]), bytes]) : bytes;
+  if (compressed.length !== 33) throw new Error(`Invalid recipient public key length: ${bytes.length} bytes. Must be 32 (x-only) or 33 (compressed)`);
+  try {
+    secp256k1.ProjectivePoint.fromHex(compressed);
+  } catch (error) {
+    throw new Error('Invalid recipient public key: not a point on secp256k1');
+  }
+  return compressed;
+}
+
+/**
+ * Derive the AEAD key for an envelope
+ * @param {Uint8Array} sharedPoint - Compressed ECDH shared point
+ * @param {Buffer} ephemeralPublicKey - Compressed ephemeral public key
+ * @param {Buffer} recipientPublicKey - Compressed recipient public key (only its x-coordinate is bound, like the shared secret)
+ * @returns {Uint8Array} 32-byte key
+ */
+function deriveEnvelopeKey(sharedPoint, ephemeralPublicKey, recipientPublicKey) {
+  const salt = Buffer.concat([ephemeralPublicKey, recipientPublicKey.subarray(1)]);
+  return hkdf(sha256, sharedPoint.subarray(1), salt, KEY_DERIVATION_INFO, 32);
+}
+
+/**
+ * Encrypt a payload to a recipient
+ * @param {Buffer} plaintext - Encoded payload bytes
+ * @param {string|Uint8Array} recipientPublicKey - Recipient public key (see normalizeRecipientPublicKey)
+ * @param {Function} getAssociatedData - Receives the ephemeral public key and returns the header bytes to authenticate
+ * @returns {Object} { ephemeralPublicKey, ciphertext } - ciphertext includes the 16-byte tag
+ */
+export function encryptEnvelopePayload(plaintext, recipientPublicKey, getAssociatedData) {
+  const recipient = normalizeRecipientPublicKey(recipientPublicKey);
+  const ephemeralPrivateKey = secp256k1.utils.randomSecretKey();
+  const ephemeralPublicKey = Buffer.from(secp256k1.getPublicKey(ephemeralPrivateKey, true));
+  const sharedPoint = secp256k1.getSharedSecret(ephemeralPrivateKey, recipient, true);
+  const key = deriveEnvelopeKey(sharedPoint, ephemeralPublicKey, recipient);
+
+  const associatedData = getAssociatedData(ephemeralPublicKey);
+  const ciphertext = Buffer.from(chacha20poly1305(key, AEAD_NONCE, associatedData).encrypt(plaintext));
+  return { ephemeralPublicKey, ciphertext };
+}
+
+/**
+ * Decrypt a payload with the recipient's private key
+ * @param {Buffer} ciphertext - Ciphertext with tag
+ * @param {Buffer} ephemeralPublicKey - Compressed ephemeral public key from the envelope header
+ * @param {string|Uint8Array} recipientPrivateKey - Recipient private key (32 bytes, hex or bytes)
+ * @param {Buffer} associatedData - Authenticated header bytes
+ * @returns {Buffer} Plaintext
+ */
+export function decryptEnvelopePayload(ciphertext, ephemeralPublicKey, recipientPrivateKey, associatedData) {
+  const privateKey = toKeyBuffer(recipientPrivateKey, 'recipient private key');
+  if (privateKey.length !== 32) throw new Error(`Invalid recipient private key length: ${privateKey.length} bytes. Must be 32`);
+  if (ciphertext.length < ENVELOPE_AEAD_TAG_LENGTH) throw new Error('Ciphertext too short');
+
+  const recipient = Buffer.from(secp256k1.getPublicKey(privateKey, true));
+  const sharedPoint = secp256k1.getSharedSecret(privateKey, ephemeralPublicKey, true);
+  const key = deriveEnvelopeKey(sharedPoint, ephemeralPublicKey, recipient);
+  try {
+    return Buffer.from(chacha20poly1305(key, AEAD_NONCE, associatedData).decrypt(ciphertext));
+  } catch (error) {
+    throw new Error('Decryption failed: wrong key or tampered envelope');
+  }
+}
+
+/**
+ * Kaspa personal message hash
+ * @param {string} message - Message text
+ * @returns {Uint8Array} 32-byte hash
+ */
+function hashPersonalMessage(message) {
+  return blake2b(Buffer.from(message, 'utf8'), { dkLen: 32, key: PERSONAL_MESSAGE_KEY });
+}
+
+/**
+ * Sign a message with a local key, as a Kaspa wallet's signMessage() would
+ * @param {string} message - Message text
+ * @param {string|Uint8Array} privateKey - Private key (32 bytes, hex or bytes)
+ * @returns {Object} { signature, publicKey } - hex; publicKey is the x-only Schnorr key
+ */
+export function signPersonalMessage(message, privateKey) {
+  const key = toKeyBuffer(privateKey, 'private key');
+  if (key.length !== 32) throw new Error(`Invalid private key length: ${key.length} bytes. Must be 32`);
+  return {
+    signature: Buffer.from(schnorr.sign(hashPersonalMessage(message), key)).toString('hex'),
+    publicKey: Buffer.from(schnorr.getPublicKey(key)).toString('hex')
+  };
+}
+
+/**
+ * Verify a personal message signature
+ * @param {string} message - Message text
+ * @param {string|Uint8Array} signature - 64-byte Schnorr signature
+ * @param {string|Uint8Array} publicKey - x-only public key
+ * @returns {boolean} True when the signature is valid
+ */
+export function verifyPersonalMessage(message, signature, publicKey) {
+  try {
+    return schnorr.verify(toKeyBuffer(signature, 'signature'), hashPersonalMessage(message), toKeyBuffer(publicKey, 'public key'));
+  } catch (error) {
+    return false;
+  }
+}
+
+console.log('📦 Kaspa Envelope Crypto module loaded successfully (envelope-crypto.js)');
@@ -0,0 +1,180 @@
+// Kaspa On-Chain Envelope Reader Module
+// Pulls envelopes back out of transaction payloads. The WASM pattern miner writes Envelope || u64 nonce with the
+// payload nonce strategy and the bare envelope with every other strategy, so the reader tries the whole payload and
+// then the payload without an 8-byte nonce trailer; the PayloadRootHash check decides which split is the envelope.
+
+import { Buffer } from 'buffer';
+import { parseEnvelope } from './envelope.js';
+import { parseChunkEnvelope, reassembleChunks } from './envelope-chunks.js';
+
+export const PAYLOAD_NONCE_TRAILER_LENGTHS = [0, 8];
+
+/**
+ * Read a field that may be a plain property or a WASM getter method
+ * @param {Object} source - Transaction-like object
+ * @param {string} name - Field name
+ * @returns {*} Field value
+ */
+function readField(source, name) {
+  const value = source?.[name];
+  return typeof value === 'function' ? value.call(source) : value;
+}
+
+/**
+ * Extract and verify an envelope from a transaction payload
+ * @param {string|Buffer|Uint8Array} payload - Transaction payload (hex or bytes)
+ * @param {Object} options - Options passed to parseEnvelope() (decodePayload, contractTypeLength)
+ * @returns {Object} { success, envelope, envelopeHex, nonceTrailer } or { success: false, error }
+ */
+export function extractEnvelopeFromPayload(payload, options = {}) {
+  try {
+    let payloadBuffer;
+    if (typeof payload === 'string') {
+      const clean = payload.startsWith('0x') ? payload.slice(2) : payload;
+      if (clean.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(clean)) throw new Error('Invalid payload hex string');
+      payloadBuffer = Buffer.from(clean, 'hex');
+    } else if (payload instanceof Uint8Array) {
+      payloadBuffer = Buffer.from(payload);
+    } else {
+      throw new Error(`Invalid payload type: ${typeof payload}. Must be hex string or bytes`);
+    }
+    if (payloadBuffer.length === 0) throw new Error('Transaction has no payload');
+
+    let lastError = null;
+    for (const trailerLength of PAYLOAD_NONCE_TRAILER_LENGTHS) {
+      if (payloadBuffer.length <= trailerLength) continue;
+      const candidate = payloadBuffer.subarray(0, payloadBuffer.length - trailerLength);
+      const parsed = parseEnvelope(candidate, { ...options, quiet: true });
+      if (parsed.success) {
+        return {
+          success: true,
+          envelope: parsed,
+          envelopeHex: candidate.toString('hex'),
+          nonceTrailer: trailerLength > 0 ? payloadBuffer.subarray(candidate.length).toString('hex') : null
+        };
+      }
+      lastError = parsed.error;
+    }
+    throw new Error(`Payload does not contain a valid envelope: ${lastError}`);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Extract the envelope carried by a transaction
+ * @param {Object} transaction - REST API transaction, safe JSON / toJSON() object, or kaspa-wasm Transaction
+ * @param {Object} options - Options passed to parseEnvelope()
+ * @returns {Object} { success, txId, envelope, envelopeHex, nonceTrailer } or { success: false, txId, error }
+ */
+export function readTransactionEnvelope(transaction, options = {}) {
+  const txId = readField(transaction, 'transaction_id') || readField(transaction, 'id') || null;
+  const payload = readField(transaction, 'payload');
+  if (payload === undefined || payload === null) {
+    return { success: false, txId, error: 'Transaction has no payload field' };
+  }
+  return { txId, ...extractEnvelopeFromPayload(payload, options) };
+}
+
+/**
+ * Fetch a transaction from the Kaspa REST API
+ * @param {string} txId - Transaction ID
+ * @param {string} restApiUrl - REST API URL
+ * @param {boolean} requireAccepted - Throw for transactions the DAG has not accepted yet
+ * @returns {Promise<Object>} REST API transaction
+ */
+async function fetchTransactionData(txId, restApiUrl, requireAccepted) {
+  if (!/^[0-9a-fA-F]{64}$/.test(txId || '')) throw new Error('Invalid transaction ID: must be 64 hex characters');
+
+  const response = await fetch(`${restApiUrl}/transactions/${txId}`);
+  if (response.status === 404) throw new Error(`Transaction ${txId} not found`);
+  if (!response.ok) throw new Error(`REST API returned ${response.status} for ${txId}`);
+  const txData = await response.json();
+
+  if (requireAccepted && txData.is_accepted === false) {
+    throw new Error(`Transaction ${txId} has not been accepted yet`);
+  }
+  return txData;
+}
+
+/**
+ * Fetch a confirmed transaction from the Kaspa REST API and extract its envelope
+ * @param {string} txId - Transaction ID
+ * @param {Object} options - Fetch options
+ * @param {string} options.restApiUrl - REST API URL (default: TN10)
+ * @param {boolean} options.requireAccepted - Fail for transactions the DAG has not accepted yet (default: true)
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} { success, txId, envelope, envelopeHex, nonceTrailer, accepted, blockTime } or { success: false, error }
+ */
+export async function fetchTransactionEnvelope(txId, options = {}) {
+  try {
+    const {
+      restApiUrl = 'https://api-tn10.kaspa.org',
+      requireAccepted = true,
+      verbose = false,
+      ...parseOptions
+    } = options;
+
+    if (verbose) console.log(`🔍 Fetching envelope of ${txId} (from envelope-reader.js)...`);
+    const txData = await fetchTransactionData(txId, restApiUrl, requireAccepted);
+    const accepted = txData.is_accepted ?? null;
+
+    const result = readTransactionEnvelope(txData, parseOptions);
+    if (!result.success) throw new Error(result.error);
+
+    if (verbose) console.log(`✅ Envelope found in ${txId}: contract 0x${result.envelope.contractTypeId}, ${result.envelope.encodedPayloadLength} payload bytes (from envelope-reader.js)`);
+    return { ...result, txId, accepted, blockTime: txData.block_time ?? null };
+  } catch (error) {
+    console.error('❌ Error reading envelope from transaction (from envelope-reader.js):', error);
+    return { success: false, txId, error: error.message };
+  }
+}
+
+/**
+ * Fetch a chunked envelope by walking back from its last chunk and rebuild the payload
+ * @param {string} headTxId - TxID of the last chunk (buildChunkedEnvelopeTransactions() returns it as headTxId)
+ * @param {Object} options - Fetch options
+ * @param {string} options.restApiUrl - REST API URL (default: TN10)
+ * @param {boolean} options.requireAccepted - Fail when any chunk has not been accepted yet (default: true)
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} reassembleChunks() result plus { headTxId, txIds } or { success: false, error }
+ */
+export async function fetchChunkedEnvelope(headTxId, options = {}) {
+  try {
+    const {
+      restApiUrl = 'https://api-tn10.kaspa.org',
+      requireAccepted = true,
+      verbose = false,
+      ...reassembleOptions
+    } = options;
+
+    const chunks = [];
+    const txIds = [];
+    let txId = headTxId;
+    while (txId) {
+      if (txIds.includes(txId)) throw new Error(`Chunk chain loops back to ${txId}`);
+      const txData = await fetchTransactionData(txId, restApiUrl, requireAccepted);
+      if (!txData.payload) throw new Error(`Transaction ${txId} has no payload`);
+
+      const chunk = parseChunkEnvelope(txData.payload);
+      if (!chunk.success) throw new Error(`Transaction ${txId}: ${chunk.error}`);
+      const expectedIndex = chunks.length === 0 ? chunk.total - 1 : chunks[0].index - 1;
+      if (chunk.index !== expectedIndex) throw new Error(`Transaction ${txId} holds chunk ${chunk.index}, expected ${expectedIndex}`);
+      if (verbose) console.log(`🧩 Fetched chunk ${chunk.index + 1}/${chunk.total} from ${txId} (from envelope-reader.js)`);
+
+      chunks.unshift(chunk);
+      txIds.unshift(txId);
+      txId = chunk.previousTxId;
+    }
+
+    const result = reassembleChunks(chunks, reassembleOptions);
+    if (!result.success) throw new Error(result.error);
+    if (verbose) console.log(`✅ Reassembled ${result.payloadData.length} bytes from ${result.chunkCount} chunk(s) (from envelope-reader.js)`);
+    return { ...result, headTxId, txIds };
+  } catch (error) {
+    console.error('❌ Error reading chunked envelope (from envelope-reader.js):', error);
+    return { success: false, headTxId, error: error.message };
+  }
+}
+
+console.log('📦 Kaspa Envelope Reader module loaded successfully (envelope-reader.js)');
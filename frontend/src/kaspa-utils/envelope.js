@@ -1,22 +1,83 @@
 // Kaspa Transaction Envelope Construction Module
+//
+// Wire formats (selected by the leading version byte):
+//   0x01 (legacy): Version || ContractTypeID || PayloadRootHash || PayloadData
+//   0x02:          Version || ContractTypeLength (1 byte) || ContractTypeID || PayloadRootHash || PayloadData
+//   0x04:          Version || ContractTypeLength (1 byte) || ContractTypeID || Codec (1 byte) || [EphemeralPublicKey (33 bytes)] ||
+//                  [AuthorPublicKey (32 bytes) || Signature (64 bytes)] || PayloadRootHash || PayloadData
+// PayloadRootHash is the 32-byte Blake3 hash of PayloadData as written (after any compression and encryption). The
+// 0x04 codec tag says how PayloadData is encoded (see payload-codecs.js); with ENVELOPE_ENCRYPTED_FLAG set, PayloadData
+// is encrypted to a recipient and the header carries the ephemeral key (see envelope-crypto.js). With
+// ENVELOPE_SIGNED_FLAG set, the author's x-only key and a Schnorr signature over the version, contract type, codec
+// and PayloadRootHash follow. Legacy envelopes carry no contract type length, so
+// parseEnvelope() needs a length hint or finds the split where the root hash matches the remaining payload.
+// Payloads of registered contract types (see contract-types.js) are validated and encoded on construction and
+// decoded back to structured objects on parse.
 
 import { Buffer } from 'buffer';
 import { blake3Hash } from '@webbuf/blake3';
 import { WebBuf } from '@webbuf/webbuf';
+import { getContractType, encodeContractPayload, decodeContractPayload } from './contract-types.js';
+import { resolvePayloadCodec, encodePayloadWithCodec, decodePayloadWithCodec } from './payload-codecs.js';
+import {
+  encryptEnvelopePayload,
+  decryptEnvelopePayload,
+  signPersonalMessage,
+  verifyPersonalMessage,
+  ENVELOPE_EPHEMERAL_KEY_LENGTH,
+  ENVELOPE_AUTHOR_KEY_LENGTH,
+  ENVELOPE_SIGNATURE_LENGTH
+} from './envelope-crypto.js';
+import { encodeKaspaAddress, decodeKaspaAddress, ADDRESS_VERSIONS } from './address.js';
+
+export const ENVELOPE_VERSION_LEGACY = 0x01;
+export const ENVELOPE_VERSION_V2 = 0x02;
+export const ENVELOPE_VERSION = ENVELOPE_VERSION_V2;
+// Chunk of a payload split across several transactions (see envelope-chunks.js)
+export const ENVELOPE_VERSION_CHUNK = 0x03;
+// Version 0x02 plus a payload codec tag; chosen automatically when constructEnvelope() is given a codec
+export const ENVELOPE_VERSION_CODEC = 0x04;
+// Codec byte flag: PayloadData is encrypted and an ephemeral public key follows the codec byte
+export const ENVELOPE_ENCRYPTED_FLAG = 0x40;
+// Codec byte flag: an author public key and signature follow (after the ephemeral key, if any)
+export const ENVELOPE_SIGNED_FLAG = 0x20;
+// Wallets show the signed message, so it says what it is
+export const ENVELOPE_SIGNING_MESSAGE_PREFIX = 'Kaspa envelope: ';
+
+const PAYLOAD_ROOT_HASH_LENGTH = 32;
+const MAX_CONTRACT_TYPE_LENGTH = 255;
+
+/**
+ * Blake3 PayloadRootHash of the payload data
+ * @param {Buffer} payloadBuffer - Payload data
+ * @returns {Buffer} 32-byte hash
+ */
+function hashPayload(payloadBuffer) {
+  const payloadRootHash = blake3Hash(new WebBuf(payloadBuffer));
+  return Buffer.from(payloadRootHash.buf);
+}
 
 /**
- * Construct a Kaspa transaction envelope with exact structure: Version || ContractTypeID || PayloadRootHash || PayloadData
+ * Construct a Kaspa transaction envelope (see the wire formats above)
  * @param {Object} options - Envelope construction options
- * @param {string|number} options.version - Version byte (default: 0x01)
+ * @param {string|number} options.version - Version byte: ENVELOPE_VERSION_V2, ENVELOPE_VERSION_LEGACY or ENVELOPE_VERSION_CODEC (default: 0x02, or 0x04 with a codec or recipient)
  * @param {string} options.contractTypeId - Contract type identifier (default: '0x01')
- * @param {string|Buffer} options.payloadData - Transaction payload data
+ * @param {string|Buffer|Object} options.payloadData - Transaction payload data (structured values for registered contract types and the json/cbor codecs)
+ * @param {string|number} options.codec - Payload codec, e.g. 'raw', 'json', 'cbor', 'deflate', 'json+deflate' (optional; see payload-codecs.js)
+ * @param {string|Uint8Array} options.recipientPublicKey - Encrypt the payload to this x-only or compressed secp256k1 key (optional; see envelope-crypto.js)
+ * @param {string|Uint8Array} options.authorPrivateKey - Sign the envelope with this local key (optional; use signEnvelope() for wallets)
+ * @param {string} options.networkId - Network for the author address in the metadata (default: 'testnet-10')
  * @param {boolean} options.verbose - Enable detailed logging (default: false)
  * @returns {Object} Envelope construction result with buffer and metadata
  */
 export function constructEnvelope(options = {}) {
   try {
     const {
-      version = 0x01,
+      codec,
+      recipientPublicKey = null,
+      authorPrivateKey = null,
+      networkId = 'testnet-10',
+      version = (codec === undefined || codec === null) && !recipientPublicKey && !authorPrivateKey ? ENVELOPE_VERSION : ENVELOPE_VERSION_CODEC,
       contractTypeId = '0x01',
       payloadData = 'Default payload',
       verbose = false
@@ -27,8 +88,8 @@ export function constructEnvelope(options = {}) {
     // Validate and prepare version byte
     let versionBuffer;
     if (typeof version === 'number') {
-      if (version < 0 || version > 255) {
-        throw new Error(`Invalid version: ${version}. Must be 0-255`);
+      if (version !== ENVELOPE_VERSION_LEGACY && version !== ENVELOPE_VERSION_V2 && version !== ENVELOPE_VERSION_CODEC) {
+        throw new Error(`Unsupported envelope version: ${version}. Must be 0x01 (legacy), 0x02 or 0x04`);
       }
       versionBuffer = Buffer.from([version]);
     } else {
@@ -48,28 +109,68 @@ export function constructEnvelope(options = {}) {
         throw new Error(`Invalid contractTypeId length: ${contractTypeId}. Must be even number of hex chars`);
       }
       contractTypeBuffer = Buffer.from(cleanContractId, 'hex');
+      if (contractTypeBuffer.length > MAX_CONTRACT_TYPE_LENGTH) {
+        throw new Error(`Invalid contractTypeId length: ${contractTypeBuffer.length} bytes. Must be at most ${MAX_CONTRACT_TYPE_LENGTH}`);
+      }
     } else {
       throw new Error(`Invalid contractTypeId type: ${typeof contractTypeId}. Must be string`);
     }
 
     if (verbose) console.log(`🏷️  ContractTypeID: 0x${contractTypeBuffer.toString('hex')} (${contractTypeBuffer.length} bytes)`);
 
-    // Validate and prepare payload data
-    let payloadBuffer;
-    if (typeof payloadData === 'string') {
-      payloadBuffer = Buffer.from(payloadData, 'utf8');
+    // Only version 0x04 has room for a codec tag and an ephemeral key
+    const payloadCodec = resolvePayloadCodec(codec ?? 'raw');
+    if (version !== ENVELOPE_VERSION_CODEC && payloadCodec.tag !== 0) {
+      throw new Error(`Payload codec "${payloadCodec.name}" needs envelope version 0x04`);
+    }
+    if (version !== ENVELOPE_VERSION_CODEC && recipientPublicKey) {
+      throw new Error('Encrypted payloads need envelope version 0x04');
+    }
+    if (version !== ENVELOPE_VERSION_CODEC && authorPrivateKey) {
+      throw new Error('Author signatures need envelope version 0x04');
+    }
+
+    // Validate and prepare payload data; registered contract types validate and encode their own payloads
+    const contractType = getContractType(contractTypeBuffer.toString('hex'));
+    let decodedPayloadBuffer;
+    if (contractType) {
+      if (payloadCodec.encoding !== 'raw') {
+        throw new Error(`Contract type 0x${contractTypeBuffer.toString('hex')} defines its own encoding; use the raw or deflate codec`);
+      }
+      decodedPayloadBuffer = encodeContractPayload(contractType, payloadData);
+      if (verbose) console.log(`🏷️  Contract type "${contractType.name}" v${contractType.version}: payload validated`);
+    } else if (payloadCodec.encoding !== 'raw') {
+      decodedPayloadBuffer = encodePayloadWithCodec(payloadData, payloadCodec.encoding);
+    } else if (typeof payloadData === 'string') {
+      decodedPayloadBuffer = Buffer.from(payloadData, 'utf8');
     } else if (Buffer.isBuffer(payloadData)) {
-      payloadBuffer = payloadData;
+      decodedPayloadBuffer = payloadData;
     } else {
-      throw new Error(`Invalid payloadData type: ${typeof payloadData}. Must be string or Buffer`);
+      throw new Error(`Invalid payloadData type: ${typeof payloadData}. Must be string or Buffer (or register contract type 0x${contractTypeBuffer.toString('hex')}, or use the json or cbor codec)`);
     }
+    const plaintextBuffer = payloadCodec.deflate ? encodePayloadWithCodec(decodedPayloadBuffer, 'deflate') : decodedPayloadBuffer;
 
-    if (verbose) console.log(`📦 PayloadData: ${payloadBuffer.length} bytes`);
+    // Versions 0x02 and 0x04 prefix the contract type with its length so decoders can split the header
+    const contractTypeLengthBuffer = version === ENVELOPE_VERSION_LEGACY ? Buffer.alloc(0) : Buffer.from([contractTypeBuffer.length]);
+    const codecBuffer = version === ENVELOPE_VERSION_CODEC
+      ? Buffer.from([payloadCodec.tag | (recipientPublicKey ? ENVELOPE_ENCRYPTED_FLAG : 0)])
+      : Buffer.alloc(0);
+
+    // Encrypt after compression; the header up to the ephemeral key is authenticated with the ciphertext
+    let payloadBuffer = plaintextBuffer;
+    let ephemeralKeyBuffer = Buffer.alloc(0);
+    if (recipientPublicKey) {
+      const encrypted = encryptEnvelopePayload(plaintextBuffer, recipientPublicKey, (ephemeralPublicKey) =>
+        Buffer.concat([versionBuffer, contractTypeLengthBuffer, contractTypeBuffer, codecBuffer, ephemeralPublicKey]));
+      payloadBuffer = encrypted.ciphertext;
+      ephemeralKeyBuffer = encrypted.ephemeralPublicKey;
+      if (verbose) console.log(`🔒 Payload encrypted, ephemeral key ${ephemeralKeyBuffer.toString('hex').slice(0, 16)}...`);
+    }
+
+    if (verbose) console.log(`📦 PayloadData: ${payloadBuffer.length} bytes (${payloadCodec.name}${payloadCodec.deflate ? `, ${decodedPayloadBuffer.length} uncompressed` : ''}${recipientPublicKey ? ', encrypted' : ''})`);
 
     // Calculate PayloadRootHash using Blake3
-    const payloadWebBuf = new WebBuf(payloadBuffer);
-    const payloadRootHash = blake3Hash(payloadWebBuf);
-    const payloadRootHashBuffer = Buffer.from(payloadRootHash.buf);
+    const payloadRootHashBuffer = hashPayload(payloadBuffer);
 
     if (payloadRootHashBuffer.length !== 32) {
       throw new Error(`Invalid PayloadRootHash length: ${payloadRootHashBuffer.length}. Expected 32 bytes`);
@@ -77,20 +178,31 @@ export function constructEnvelope(options = {}) {
 
     if (verbose) console.log(`🔑 PayloadRootHash: ${payloadRootHashBuffer.toString('hex').slice(0, 16)}... (32 bytes)`);
 
-    // Construct the complete envelope: Version || ContractTypeID || PayloadRootHash || PayloadData
-    const envelope = Buffer.concat([
-      versionBuffer,           // Version (1+ bytes)
-      contractTypeBuffer,      // ContractTypeID (variable bytes)
-      payloadRootHashBuffer,   // PayloadRootHash (32 bytes)
-      payloadBuffer           // PayloadData (variable bytes)
+    // Construct the complete envelope: Version || [ContractTypeLength] || ContractTypeID || [Codec] || [EphemeralPublicKey] || PayloadRootHash || PayloadData
+    let envelope = Buffer.concat([
+      versionBuffer,             // Version (1 byte)
+      contractTypeLengthBuffer,  // ContractTypeLength (1 byte, versions 0x02 and 0x04)
+      contractTypeBuffer,        // ContractTypeID (variable bytes)
+      codecBuffer,               // Codec (1 byte, version 0x04 only)
+      ephemeralKeyBuffer,        // EphemeralPublicKey (33 bytes, encrypted payloads only)
+      payloadRootHashBuffer,     // PayloadRootHash (32 bytes)
+      payloadBuffer              // PayloadData (variable bytes)
     ]);
 
-    const expectedLength = versionBuffer.length + contractTypeBuffer.length + 32 + payloadBuffer.length;
+    const expectedLength = versionBuffer.length + contractTypeLengthBuffer.length + contractTypeBuffer.length + codecBuffer.length + ephemeralKeyBuffer.length + 32 + payloadBuffer.length;
     
     if (envelope.length !== expectedLength) {
       throw new Error(`Envelope length mismatch. Expected: ${expectedLength}, got: ${envelope.length}`);
     }
 
+    let author = null;
+    if (authorPrivateKey) {
+      const { signature, publicKey } = signPersonalMessage(buildSigningMessage(envelope, readEnvelopeLayout(envelope)), authorPrivateKey);
+      envelope = insertEnvelopeSignature(envelope, publicKey, signature);
+      author = { publicKey, signature, address: encodeKaspaAddress(publicKey, { networkId }) };
+      if (verbose) console.log(`✍️  Signed by ${author.address}`);
+    }
+
     if (verbose) console.log(`✅ Envelope constructed: ${envelope.length} bytes total (from envelope.js)`);
 
     return {
@@ -99,13 +211,21 @@ export function constructEnvelope(options = {}) {
       metadata: {
         totalLength: envelope.length,
         versionLength: versionBuffer.length,
+        contractTypeLengthPrefixed: contractTypeLengthBuffer.length > 0,
         contractTypeLength: contractTypeBuffer.length,
         payloadRootHashLength: 32,
         payloadDataLength: payloadBuffer.length,
+        decodedPayloadLength: decodedPayloadBuffer.length,
+        codec: payloadCodec.name,
+        encrypted: Boolean(recipientPublicKey),
+        ephemeralPublicKey: recipientPublicKey ? ephemeralKeyBuffer.toString('hex') : null,
+        signed: Boolean(author),
+        author,
         version: versionBuffer.toString('hex'),
         contractTypeId: contractTypeBuffer.toString('hex'),
+        contractType: contractType ? { name: contractType.name, version: contractType.version, kind: contractType.kind } : null,
         payloadRootHash: payloadRootHashBuffer.toString('hex'),
-        payloadPreview: payloadBuffer.toString('utf8').slice(0, 50) + (payloadBuffer.length > 50 ? '...' : '')
+        payloadPreview: recipientPublicKey ? '(encrypted)' : decodedPayloadBuffer.toString('utf8').slice(0, 50) + (decodedPayloadBuffer.length > 50 ? '...' : '')
       }
     };
 
@@ -120,4 +240,366 @@ export function constructEnvelope(options = {}) {
   }
 }
 
+/**
+ * Read envelope bytes from a Buffer, Uint8Array or hex string
+ * @param {Buffer|Uint8Array|string} envelope - Envelope bytes
+ * @returns {Buffer} Envelope buffer
+ */
+function toEnvelopeBuffer(envelope) {
+  if (Buffer.isBuffer(envelope)) return envelope;
+  if (envelope instanceof Uint8Array) return Buffer.from(envelope);
+  if (typeof envelope === 'string') {
+    const clean = envelope.startsWith('0x') ? envelope.slice(2) : envelope;
+    if (clean.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(clean)) {
+      throw new Error('Invalid envelope hex string');
+    }
+    return Buffer.from(clean, 'hex');
+  }
+  throw new Error(`Invalid envelope type: ${typeof envelope}. Must be Buffer, Uint8Array or hex string`);
+}
+
+/**
+ * Split the header of a legacy (0x01) envelope, whose ContractTypeID has no length prefix
+ * @param {Buffer} buffer - Envelope buffer
+ * @param {number|null} contractTypeLength - Known ContractTypeID length in bytes (optional)
+ * @returns {number} ContractTypeID length
+ */
+function findLegacyContractTypeLength(buffer, contractTypeLength) {
+  const maxLength = Math.min(MAX_CONTRACT_TYPE_LENGTH, buffer.length - 1 - PAYLOAD_ROOT_HASH_LENGTH);
+  if (contractTypeLength !== null && contractTypeLength !== undefined) {
+    if (!Number.isInteger(contractTypeLength) || contractTypeLength < 1 || contractTypeLength > maxLength) {
+      throw new Error(`Invalid contractTypeLength hint: ${contractTypeLength}`);
+    }
+    return contractTypeLength;
+  }
+
+  // The only split where the 32 bytes after the contract type hash the remaining bytes is the real one
+  for (let length = 1; length <= maxLength; length++) {
+    const hashStart = 1 + length;
+    const payloadRootHash = buffer.subarray(hashStart, hashStart + PAYLOAD_ROOT_HASH_LENGTH);
+    if (hashPayload(buffer.subarray(hashStart + PAYLOAD_ROOT_HASH_LENGTH)).equals(payloadRootHash)) {
+      return length;
+    }
+  }
+  throw new Error('Could not locate the PayloadRootHash in legacy envelope (pass contractTypeLength)');
+}
+
+/**
+ * Locate the header fields of an envelope
+ * @param {Buffer} buffer - Envelope buffer
+ * @param {number|null} contractTypeLength - ContractTypeID length hint for legacy envelopes
+ * @returns {Object} Version, flags and field offsets
+ */
+function readEnvelopeLayout(buffer, contractTypeLength = null) {
+  if (buffer.length < 1) throw new Error('Envelope is empty');
+  const version = buffer[0];
+
+  let contractTypeStart;
+  let contractTypeByteLength;
+  if (version === ENVELOPE_VERSION_V2 || version === ENVELOPE_VERSION_CODEC) {
+    if (buffer.length < 2) throw new Error('Envelope truncated: missing ContractTypeLength');
+    contractTypeStart = 2;
+    contractTypeByteLength = buffer[1];
+    if (contractTypeByteLength === 0) throw new Error('Invalid ContractTypeLength: 0');
+  } else if (version === ENVELOPE_VERSION_LEGACY) {
+    contractTypeStart = 1;
+    contractTypeByteLength = findLegacyContractTypeLength(buffer, contractTypeLength);
+  } else if (version === ENVELOPE_VERSION_CHUNK) {
+    throw new Error('Envelope is a chunk of a multi-transaction payload (version 0x03); use parseChunkEnvelope() and reassembleChunks()');
+  } else {
+    throw new Error(`Unsupported envelope version: 0x${version.toString(16).padStart(2, '0')}`);
+  }
+
+  const contractTypeEnd = contractTypeStart + contractTypeByteLength;
+  const hasCodec = version === ENVELOPE_VERSION_CODEC;
+  if (hasCodec && buffer.length <= contractTypeEnd) throw new Error('Envelope truncated: missing Codec');
+  const codecByte = hasCodec ? buffer[contractTypeEnd] : 0;
+  const encrypted = (codecByte & ENVELOPE_ENCRYPTED_FLAG) !== 0;
+  const signed = (codecByte & ENVELOPE_SIGNED_FLAG) !== 0;
+
+  const ephemeralKeyStart = contractTypeEnd + (hasCodec ? 1 : 0);
+  const authorStart = ephemeralKeyStart + (encrypted ? ENVELOPE_EPHEMERAL_KEY_LENGTH : 0);
+  const signatureStart = authorStart + (signed ? ENVELOPE_AUTHOR_KEY_LENGTH : 0);
+  const hashStart = signatureStart + (signed ? ENVELOPE_SIGNATURE_LENGTH : 0);
+  const payloadStart = hashStart + PAYLOAD_ROOT_HASH_LENGTH;
+  if (buffer.length < payloadStart) {
+    throw new Error(`Envelope truncated: ${buffer.length} bytes, header needs ${payloadStart}`);
+  }
+
+  return {
+    version,
+    contractTypeStart,
+    contractTypeEnd,
+    codecByte,
+    encrypted,
+    signed,
+    ephemeralKeyStart,
+    authorStart,
+    signatureStart,
+    hashStart,
+    payloadStart
+  };
+}
+
+/**
+ * Header bytes authenticated by the AEAD of encrypted envelopes
+ * Everything before the author section, with the signed flag cleared so a signature can be added after encryption.
+ * @param {Buffer} buffer - Envelope buffer
+ * @param {Object} layout - readEnvelopeLayout() result
+ * @returns {Buffer} Associated data
+ */
+function buildAssociatedData(buffer, layout) {
+  const associatedData = Buffer.from(buffer.subarray(0, layout.authorStart));
+  associatedData[layout.contractTypeEnd] &= ~ENVELOPE_SIGNED_FLAG;
+  return associatedData;
+}
+
+/**
+ * Message an author signs: Version || ContractTypeLength || ContractTypeID || Codec (signed flag set) || PayloadRootHash
+ * The same for an envelope before and after its signature is attached.
+ * @param {Buffer} buffer - Envelope buffer
+ * @param {Object} layout - readEnvelopeLayout() result
+ * @returns {string} Personal message text
+ */
+function buildSigningMessage(buffer, layout) {
+  const preimage = Buffer.concat([
+    buffer.subarray(0, layout.contractTypeEnd + 1),
+    buffer.subarray(layout.hashStart, layout.payloadStart)
+  ]);
+  preimage[layout.contractTypeEnd] |= ENVELOPE_SIGNED_FLAG;
+  return `${ENVELOPE_SIGNING_MESSAGE_PREFIX}${preimage.toString('hex')}`;
+}
+
+/**
+ * Parse and verify a transaction envelope built by constructEnvelope()
+ * @param {Buffer|Uint8Array|string} envelope - Envelope bytes or hex
+ * @param {Object} options - Parse options
+ * @param {number} options.contractTypeLength - ContractTypeID length for legacy (0x01) envelopes (optional; inferred when omitted)
+ * @param {boolean} options.decodePayload - Decode payloads of registered contract types and json/cbor codecs (default: true)
+ * @param {string|Uint8Array} options.recipientPrivateKey - Decrypt encrypted payloads with this key (optional; without it only the ciphertext is verified)
+ * @param {string} options.networkId - Network for the author address of signed envelopes (default: 'testnet-10')
+ * @param {boolean} options.quiet - Do not log parse errors, e.g. when probing candidate bytes (default: false)
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @returns {Object} { success, version, contractTypeId, contractTypeLength, contractType, codec, encrypted, ephemeralPublicKey, decrypted, signed, author, payloadRootHash, payloadData, encodedPayloadLength, payloadText, payload, totalLength } or { success: false, error }
+ *   author is { publicKey, signature, address } for signed envelopes (the signature has been verified), otherwise null.
+ *   payloadData is decompressed; payload is the decoded value for registered contract types and json/cbor codecs, otherwise null.
+ *   Encrypted envelopes parsed without the key have decrypted: false and null payloadData/payloadText/payload.
+ */
+export function parseEnvelope(envelope, options = {}) {
+  try {
+    const {
+      contractTypeLength = null,
+      decodePayload = true,
+      recipientPrivateKey = null,
+      networkId = 'testnet-10',
+      verbose = false
+    } = options;
+    const buffer = toEnvelopeBuffer(envelope);
+
+    const layout = readEnvelopeLayout(buffer, contractTypeLength);
+    const { version, encrypted, signed } = layout;
+
+    const contractTypeBuffer = buffer.subarray(layout.contractTypeStart, layout.contractTypeEnd);
+    const payloadRootHash = buffer.subarray(layout.hashStart, layout.payloadStart);
+    const encodedPayloadData = buffer.subarray(layout.payloadStart);
+
+    if (!hashPayload(encodedPayloadData).equals(payloadRootHash)) {
+      throw new Error('PayloadRootHash does not match PayloadData');
+    }
+
+    // A signature that does not verify makes the envelope invalid, like a PayloadRootHash mismatch
+    let author = null;
+    if (signed) {
+      const authorPublicKey = buffer.subarray(layout.authorStart, layout.signatureStart).toString('hex');
+      const signature = buffer.subarray(layout.signatureStart, layout.hashStart).toString('hex');
+      if (!verifyPersonalMessage(buildSigningMessage(buffer, layout), signature, authorPublicKey)) {
+        throw new Error('Author signature does not match the envelope');
+      }
+      author = { publicKey: authorPublicKey, signature, address: encodeKaspaAddress(authorPublicKey, { networkId }) };
+    }
+
+    const payloadCodec = resolvePayloadCodec(layout.codecByte & ~(ENVELOPE_ENCRYPTED_FLAG | ENVELOPE_SIGNED_FLAG));
+    const ephemeralPublicKey = encrypted ? buffer.subarray(layout.ephemeralKeyStart, layout.authorStart) : null;
+
+    // Without the recipient's key an encrypted envelope can only be checked against its PayloadRootHash
+    let payloadData = null;
+    let decoded = null;
+    if (!encrypted || recipientPrivateKey) {
+      const plaintext = encrypted
+        ? decryptEnvelopePayload(encodedPayloadData, ephemeralPublicKey, recipientPrivateKey, buildAssociatedData(buffer, layout))
+        : encodedPayloadData;
+      decoded = decodePayloadWithCodec(plaintext, payloadCodec.tag);
+      payloadData = decoded.bytes;
+    }
+
+    // Registered contract types and json/cbor payloads render back as structured values (null for raw payloads)
+    const contractType = getContractType(contractTypeBuffer.toString('hex'));
+    let payload = null;
+    if (decoded && decodePayload && payloadCodec.encoding !== 'raw') {
+      payload = decoded.value;
+    } else if (decoded && decodePayload && contractType) {
+      payload = decodeContractPayload(contractType, payloadData);
+    }
+
+    if (verbose) console.log(`🔍 Parsed envelope v0x${version.toString(16).padStart(2, '0')}: contract 0x${contractTypeBuffer.toString('hex')}, ${encodedPayloadData.length} payload bytes (${payloadCodec.name}${encrypted ? ', encrypted' : ''}${signed ? `, signed by ${author.address}` : ''}) (from envelope.js)`);
+
+    return {
+      success: true,
+      version,
+      contractTypeId: contractTypeBuffer.toString('hex'),
+      contractTypeLength: contractTypeBuffer.length,
+      contractType: contractType ? { name: contractType.name, version: contractType.version, kind: contractType.kind } : null,
+      codec: payloadCodec.name,
+      encrypted,
+      ephemeralPublicKey: encrypted ? ephemeralPublicKey.toString('hex') : null,
+      decrypted: encrypted && payloadData !== null,
+      signed,
+      author,
+      payloadRootHash: payloadRootHash.toString('hex'),
+      payloadData,
+      encodedPayloadLength: encodedPayloadData.length,
+      payloadText: payloadData ? payloadData.toString('utf8') : null,
+      payload,
+      totalLength: buffer.length
+    };
+
+  } catch (error) {
+    if (!options.quiet) console.error('❌ Error parsing envelope (from envelope.js):', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Parse an encrypted envelope and decrypt its payload
+ * @param {Buffer|Uint8Array|string} envelope - Envelope bytes or hex
+ * @param {string|Uint8Array} recipientPrivateKey - Recipient private key (32 bytes, hex or bytes)
+ * @param {Object} options - Options passed to parseEnvelope()
+ * @returns {Object} parseEnvelope() result with the decrypted payload, or { success: false, error }
+ */
+export function decryptEnvelope(envelope, recipientPrivateKey, options = {}) {
+  if (!recipientPrivateKey) {
+    return { success: false, error: 'A recipient private key is required' };
+  }
+  const parsed = parseEnvelope(envelope, { ...options, recipientPrivateKey });
+  if (parsed.success && !parsed.encrypted) {
+    return { success: false, error: 'Envelope is not encrypted' };
+  }
+  return parsed;
+}
+
+/**
+ * Insert an author public key and signature into an unsigned v0x04 envelope
+ * @param {Buffer} buffer - Envelope buffer
+ * @param {string} authorPublicKey - x-only public key (hex)
+ * @param {string} signature - Schnorr signature (hex)
+ * @returns {Buffer} Signed envelope
+ */
+function insertEnvelopeSignature(buffer, authorPublicKey, signature) {
+  const layout = readEnvelopeLayout(buffer);
+  if (layout.version !== ENVELOPE_VERSION_CODEC) throw new Error('Only version 0x04 envelopes can be signed');
+  if (layout.signed) throw new Error('Envelope is already signed');
+  const authorBuffer = Buffer.from(authorPublicKey, 'hex');
+  const signatureBuffer = Buffer.from(signature, 'hex');
+  if (authorBuffer.length !== ENVELOPE_AUTHOR_KEY_LENGTH) throw new Error('Author public key must be a 32-byte x-only key');
+  if (signatureBuffer.length !== ENVELOPE_SIGNATURE_LENGTH) throw new Error('Signature must be 64 bytes');
+
+  const header = Buffer.from(buffer.subarray(0, layout.authorStart));
+  header[layout.contractTypeEnd] |= ENVELOPE_SIGNED_FLAG;
+  return Buffer.concat([header, authorBuffer, signatureBuffer, buffer.subarray(layout.authorStart)]);
+}
+
+/**
+ * Message an author signs for an envelope (hand it to a wallet's signMessage)
+ * @param {Buffer|Uint8Array|string} envelope - Version 0x04 envelope, signed or not
+ * @returns {string} Message text
+ */
+export function getEnvelopeSigningMessage(envelope) {
+  const buffer = toEnvelopeBuffer(envelope);
+  const layout = readEnvelopeLayout(buffer);
+  if (layout.version !== ENVELOPE_VERSION_CODEC) throw new Error('Only version 0x04 envelopes can be signed');
+  return buildSigningMessage(buffer, layout);
+}
+
+/**
+ * Sign an envelope with a local key or a wallet
+ * @param {Buffer|Uint8Array|string} envelope - Unsigned version 0x04 envelope
+ * @param {Object} signer - { privateKey } or { signMessage: async (message) => signatureHex, publicKey | address }
+ * @param {Object} options - Signing options
+ * @param {string} options.networkId - Network for the author address (default: 'testnet-10')
+ * @returns {Promise<Object>} { success, envelope, author: { publicKey, signature, address } } or { success: false, error }
+ */
+export async function signEnvelope(envelope, signer = {}, options = {}) {
+  try {
+    const { networkId = 'testnet-10' } = options;
+    const buffer = toEnvelopeBuffer(envelope);
+    const message = getEnvelopeSigningMessage(buffer);
+
+    let publicKey;
+    let signature;
+    if (signer.privateKey) {
+      ({ publicKey, signature } = signPersonalMessage(message, signer.privateKey));
+    } else if (typeof signer.signMessage === 'function') {
+      if (signer.publicKey) {
+        publicKey = Buffer.from(signer.publicKey, 'hex').toString('hex');
+      } else if (signer.address) {
+        const decoded = decodeKaspaAddress(signer.address);
+        if (decoded.version !== ADDRESS_VERSIONS.PubKey) throw new Error('Signer address must be a Schnorr (version 0) address');
+        publicKey = decoded.payload;
+      } else {
+        throw new Error('Wallet signer needs a publicKey or address');
+      }
+      signature = String(await signer.signMessage(message)).replace(/^0x/, '');
+    } else {
+      throw new Error('Signer needs a privateKey or a signMessage function');
+    }
+
+    if (!verifyPersonalMessage(message, signature, publicKey)) {
+      throw new Error('Signature does not verify against the signer public key');
+    }
+    return {
+      success: true,
+      envelope: insertEnvelopeSignature(buffer, publicKey, signature),
+      author: { publicKey, signature, address: encodeKaspaAddress(publicKey, { networkId }) }
+    };
+  } catch (error) {
+    console.error('❌ Error signing envelope (from envelope.js):', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Verify an envelope's author signature
+ * @param {Buffer|Uint8Array|string} envelope - Envelope bytes or hex
+ * @param {Object} options - Verification options
+ * @param {string} options.networkId - Network for the signer address (default: 'testnet-10')
+ * @returns {Object} { success, signed, valid, signerAddress, authorPublicKey } or { success: false, error }
+ */
+export function verifyEnvelopeSignature(envelope, options = {}) {
+  try {
+    const { networkId = 'testnet-10' } = options;
+    const buffer = toEnvelopeBuffer(envelope);
+    const layout = readEnvelopeLayout(buffer, options.contractTypeLength);
+    if (!layout.signed) {
+      return { success: true, signed: false, valid: false, signerAddress: null, authorPublicKey: null };
+    }
+
+    const authorPublicKey = buffer.subarray(layout.authorStart, layout.signatureStart).toString('hex');
+    const signature = buffer.subarray(layout.signatureStart, layout.hashStart).toString('hex');
+    const payloadMatches = hashPayload(buffer.subarray(layout.payloadStart)).equals(buffer.subarray(layout.hashStart, layout.payloadStart));
+    const valid = payloadMatches && verifyPersonalMessage(buildSigningMessage(buffer, layout), signature, authorPublicKey);
+    return {
+      success: true,
+      signed: true,
+      valid,
+      signerAddress: valid ? encodeKaspaAddress(authorPublicKey, { networkId }) : null,
+      authorPublicKey
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
 console.log('📦 Kaspa Envelope module loaded successfully (envelope.js)'); 
\ No newline at end of file
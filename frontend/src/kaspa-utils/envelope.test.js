@@ -0,0 +1,373 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import { secp256k1, schnorr } from '@noble/curves/secp256k1';
+import {
+  constructEnvelope,
+  parseEnvelope,
+  ENVELOPE_VERSION,
+  ENVELOPE_VERSION_LEGACY,
+  ENVELOPE_VERSION_V2,
+  ENVELOPE_VERSION_CODEC,
+  ENVELOPE_ENCRYPTED_FLAG,
+  ENVELOPE_SIGNED_FLAG,
+  decryptEnvelope,
+  getEnvelopeSigningMessage,
+  signEnvelope,
+  verifyEnvelopeSignature
+} from './envelope.js';
+import { signPersonalMessage, verifyPersonalMessage } from './envelope-crypto.js';
+import { registerContractType, unregisterContractType } from './contract-types.js';
+
+function build(options) {
+  const result = constructEnvelope(options);
+  expect(result.success).toBe(true);
+  return result;
+}
+
+describe('envelope v0x02', () => {
+  test('is the default version', () => {
+    expect(ENVELOPE_VERSION).toBe(ENVELOPE_VERSION_V2);
+    expect(build({ payloadData: 'hello' }).envelope[0]).toBe(0x02);
+  });
+
+  test('round-trips a UTF-8 payload', () => {
+    const { envelope, metadata } = build({ contractTypeId: '0x01', payloadData: 'hello kaspa' });
+    expect(envelope[1]).toBe(1);
+    expect(metadata.contractTypeLengthPrefixed).toBe(true);
+
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.success).toBe(true);
+    expect(parsed.version).toBe(ENVELOPE_VERSION_V2);
+    expect(parsed.contractTypeId).toBe('01');
+    expect(parsed.contractTypeLength).toBe(1);
+    expect(parsed.payloadRootHash).toBe(metadata.payloadRootHash);
+    expect(parsed.payloadText).toBe('hello kaspa');
+    expect(parsed.totalLength).toBe(metadata.totalLength);
+  });
+
+  test('round-trips a multi-byte contract type and binary payload', () => {
+    const payload = Buffer.from([0x00, 0xff, 0x10, 0x20, 0x00]);
+    const { envelope } = build({ contractTypeId: 'deadbeefcafe', payloadData: payload });
+
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.success).toBe(true);
+    expect(parsed.contractTypeId).toBe('deadbeefcafe');
+    expect(parsed.contractTypeLength).toBe(6);
+    expect(parsed.payloadData.equals(payload)).toBe(true);
+  });
+
+  test('round-trips an empty payload', () => {
+    const { envelope } = build({ contractTypeId: '0x0a', payloadData: '' });
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.success).toBe(true);
+    expect(parsed.payloadData.length).toBe(0);
+  });
+
+  test('accepts hex strings and Uint8Arrays', () => {
+    const { envelope } = build({ contractTypeId: '0x0102', payloadData: 'hex input' });
+    expect(parseEnvelope(envelope.toString('hex')).payloadText).toBe('hex input');
+    expect(parseEnvelope(`0x${envelope.toString('hex')}`).payloadText).toBe('hex input');
+    expect(parseEnvelope(new Uint8Array(envelope)).payloadText).toBe('hex input');
+  });
+});
+
+describe('envelope v0x01 (legacy)', () => {
+  test('infers the contract type length from the PayloadRootHash', () => {
+    const { envelope, metadata } = build({ version: ENVELOPE_VERSION_LEGACY, contractTypeId: '0xabcdef', payloadData: 'legacy payload' });
+    expect(metadata.contractTypeLengthPrefixed).toBe(false);
+
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.success).toBe(true);
+    expect(parsed.version).toBe(ENVELOPE_VERSION_LEGACY);
+    expect(parsed.contractTypeId).toBe('abcdef');
+    expect(parsed.payloadText).toBe('legacy payload');
+  });
+
+  test('uses a contract type length hint', () => {
+    const { envelope } = build({ version: ENVELOPE_VERSION_LEGACY, contractTypeId: '0x01', payloadData: 'hinted' });
+    const parsed = parseEnvelope(envelope, { contractTypeLength: 1 });
+    expect(parsed.success).toBe(true);
+    expect(parsed.contractTypeId).toBe('01');
+    expect(parsed.payloadText).toBe('hinted');
+  });
+
+  test('rejects a wrong contract type length hint', () => {
+    const { envelope } = build({ version: ENVELOPE_VERSION_LEGACY, contractTypeId: '0x0102', payloadData: 'hinted' });
+    expect(parseEnvelope(envelope, { contractTypeLength: 1 }).success).toBe(false);
+  });
+});
+
+describe('envelope v0x04 (payload codecs)', () => {
+  test('is selected by a codec and stores its tag', () => {
+    const { envelope, metadata } = build({ contractTypeId: '0x01', codec: 'json', payloadData: { a: 1 } });
+    expect(envelope[0]).toBe(ENVELOPE_VERSION_CODEC);
+    expect(envelope[3]).toBe(0x01);
+    expect(metadata.codec).toBe('json');
+
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.success).toBe(true);
+    expect(parsed.codec).toBe('json');
+    expect(parsed.payload).toEqual({ a: 1 });
+    expect(parsed.payloadText).toBe('{"a":1}');
+  });
+
+  test('compresses and restores payloads', () => {
+    const text = 'compress me please '.repeat(40);
+    const { envelope, metadata } = build({ codec: 'deflate', payloadData: text });
+    expect(metadata.payloadDataLength).toBeLessThan(metadata.decodedPayloadLength);
+
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.payloadText).toBe(text);
+    expect(parsed.encodedPayloadLength).toBe(metadata.payloadDataLength);
+    expect(parsed.payload).toBeNull();
+  });
+
+  test('round-trips CBOR with BigInt values', () => {
+    const value = { amount: BigInt('18000000000000000000'), tags: ['a', 'b'] };
+    const parsed = parseEnvelope(build({ codec: 'cbor+deflate', payloadData: value }).envelope);
+    expect(parsed.codec).toBe('cbor+deflate');
+    expect(parsed.payload).toEqual(value);
+  });
+
+  test('rejects codecs older versions cannot carry', () => {
+    expect(constructEnvelope({ version: ENVELOPE_VERSION_V2, codec: 'deflate', payloadData: 'x' }).success).toBe(false);
+    expect(constructEnvelope({ version: ENVELOPE_VERSION_V2, codec: 'raw', payloadData: 'x' }).success).toBe(true);
+  });
+});
+
+describe('encrypted envelopes', () => {
+  const recipientKey = 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef';
+  const otherKey = '0000000000000000000000000000000000000000000000000000000000000003';
+  const xOnlyPublicKey = Buffer.from(schnorr.getPublicKey(recipientKey)).toString('hex');
+  const compressedPublicKey = Buffer.from(secp256k1.getPublicKey(recipientKey, true)).toString('hex');
+
+  test('encrypt to x-only and compressed keys and decrypt with the private key', () => {
+    [xOnlyPublicKey, compressedPublicKey].forEach(recipientPublicKey => {
+      const { envelope, metadata } = build({ contractTypeId: '0x01', payloadData: 'private note', recipientPublicKey });
+      expect(envelope[0]).toBe(ENVELOPE_VERSION_CODEC);
+      expect(envelope[3] & ENVELOPE_ENCRYPTED_FLAG).toBe(ENVELOPE_ENCRYPTED_FLAG);
+      expect(metadata.encrypted).toBe(true);
+      expect(envelope.includes(Buffer.from('private note'))).toBe(false);
+
+      const decrypted = decryptEnvelope(envelope, recipientKey);
+      expect(decrypted.success).toBe(true);
+      expect(decrypted.decrypted).toBe(true);
+      expect(decrypted.ephemeralPublicKey).toBe(metadata.ephemeralPublicKey);
+      expect(decrypted.payloadText).toBe('private note');
+    });
+  });
+
+  test('verifies the ciphertext without the key', () => {
+    const { envelope, metadata } = build({ payloadData: 'secret', recipientPublicKey: xOnlyPublicKey });
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.success).toBe(true);
+    expect(parsed.encrypted).toBe(true);
+    expect(parsed.decrypted).toBe(false);
+    expect(parsed.payloadData).toBeNull();
+    expect(parsed.payloadRootHash).toBe(metadata.payloadRootHash);
+  });
+
+  test('combines with codecs', () => {
+    const value = { note: 'compressed and encrypted '.repeat(10) };
+    const { envelope } = build({ codec: 'json+deflate', payloadData: value, recipientPublicKey: xOnlyPublicKey });
+    const decrypted = decryptEnvelope(envelope, Buffer.from(recipientKey, 'hex'));
+    expect(decrypted.codec).toBe('json+deflate');
+    expect(decrypted.payload).toEqual(value);
+  });
+
+  test('rejects wrong keys and tampered headers', () => {
+    const { envelope } = build({ contractTypeId: '0x01', payloadData: 'secret', recipientPublicKey: xOnlyPublicKey });
+    expect(decryptEnvelope(envelope, otherKey).error).toMatch(/Decryption failed/);
+
+    // Changing the contract type breaks the authenticated header even though the PayloadRootHash still matches
+    const swapped = Buffer.from(envelope);
+    swapped[2] = 0x02;
+    expect(parseEnvelope(swapped).success).toBe(true);
+    expect(decryptEnvelope(swapped, recipientKey).error).toMatch(/Decryption failed/);
+
+    expect(decryptEnvelope(build({ payloadData: 'plain' }).envelope, recipientKey).error).toMatch(/not encrypted/);
+    expect(constructEnvelope({ version: ENVELOPE_VERSION_V2, payloadData: 'x', recipientPublicKey: xOnlyPublicKey }).success).toBe(false);
+    expect(constructEnvelope({ payloadData: 'x', recipientPublicKey: 'abcd' }).success).toBe(false);
+  });
+});
+
+describe('author signatures', () => {
+  const authorKey = 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef';
+  const authorAddress = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+
+  test('verify Kaspa personal message signatures', () => {
+    // Signed with kaspa-wasm signMessage({ noAuxRand: true })
+    const signature = 'e60d475d8d0ecd7fee1e972157bb941b6b609f7b8bef08d682463731bc88f0d719df84c402de565bcabd38a4aa77acd3e86829f685a0da5dd0fa22c7a77c75b5';
+    const { publicKey } = signPersonalMessage('Hello Kaspa!', authorKey);
+    expect(verifyPersonalMessage('Hello Kaspa!', signature, publicKey)).toBe(true);
+    expect(verifyPersonalMessage('Hello Kaspa?', signature, publicKey)).toBe(false);
+  });
+
+  test('sign with a local key on construction', () => {
+    const { envelope, metadata } = build({ contractTypeId: '0x01', payloadData: 'authored', authorPrivateKey: authorKey });
+    expect(envelope[0]).toBe(ENVELOPE_VERSION_CODEC);
+    expect(envelope[3] & ENVELOPE_SIGNED_FLAG).toBe(ENVELOPE_SIGNED_FLAG);
+    expect(metadata.author.address).toBe(authorAddress);
+
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.success).toBe(true);
+    expect(parsed.signed).toBe(true);
+    expect(parsed.author.address).toBe(authorAddress);
+    expect(parsed.payloadText).toBe('authored');
+
+    expect(verifyEnvelopeSignature(envelope)).toEqual({
+      success: true,
+      signed: true,
+      valid: true,
+      signerAddress: authorAddress,
+      authorPublicKey: metadata.author.publicKey
+    });
+    expect(verifyEnvelopeSignature(envelope, { networkId: 'mainnet' }).signerAddress.startsWith('kaspa:')).toBe(true);
+  });
+
+  test('sign an existing envelope through a wallet signer', async () => {
+    const { envelope } = build({ codec: 'deflate', payloadData: 'wallet authored', recipientPublicKey: 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659' });
+    const messages = [];
+    const signer = {
+      address: authorAddress,
+      signMessage: async (message) => {
+        messages.push(message);
+        return signPersonalMessage(message, authorKey).signature;
+      }
+    };
+
+    const signed = await signEnvelope(envelope, signer);
+    expect(signed.success).toBe(true);
+    expect(messages).toEqual([getEnvelopeSigningMessage(envelope)]);
+    expect(getEnvelopeSigningMessage(signed.envelope)).toBe(messages[0]);
+
+    // Signing after encryption keeps the payload decryptable
+    const decrypted = decryptEnvelope(signed.envelope, authorKey);
+    expect(decrypted.success).toBe(true);
+    expect(decrypted.author.address).toBe(authorAddress);
+    expect(decrypted.payloadText).toBe('wallet authored');
+
+    const wrongSigner = { address: authorAddress, signMessage: async () => signPersonalMessage('other', authorKey).signature };
+    expect((await signEnvelope(envelope, wrongSigner)).success).toBe(false);
+    expect((await signEnvelope(signed.envelope, { privateKey: authorKey })).error).toMatch(/already signed/);
+  });
+
+  test('reject forged and unsigned envelopes', () => {
+    const { envelope } = build({ contractTypeId: '0x01', payloadData: 'authored', authorPrivateKey: authorKey });
+
+    // Claiming a different contract type invalidates the signature
+    const forged = Buffer.from(envelope);
+    forged[2] = 0x02;
+    expect(parseEnvelope(forged).error).toMatch(/signature/);
+    expect(verifyEnvelopeSignature(forged).valid).toBe(false);
+    expect(verifyEnvelopeSignature(forged).signerAddress).toBeNull();
+
+    expect(verifyEnvelopeSignature(build({ payloadData: 'anonymous' }).envelope).signed).toBe(false);
+    expect(constructEnvelope({ version: ENVELOPE_VERSION_V2, payloadData: 'x', authorPrivateKey: authorKey }).success).toBe(false);
+    expect(() => getEnvelopeSigningMessage(build({ payloadData: 'v2' }).envelope)).toThrow(/0x04/);
+  });
+});
+
+describe('parseEnvelope errors', () => {
+  test('rejects a tampered payload', () => {
+    const { envelope } = build({ payloadData: 'original' });
+    const tampered = Buffer.from(envelope);
+    tampered[tampered.length - 1] ^= 0x01;
+
+    const parsed = parseEnvelope(tampered);
+    expect(parsed.success).toBe(false);
+    expect(parsed.error).toMatch(/PayloadRootHash/);
+  });
+
+  test('rejects truncated envelopes', () => {
+    const { envelope } = build({ contractTypeId: '0x0102', payloadData: 'x' });
+    expect(parseEnvelope(envelope.subarray(0, 20)).success).toBe(false);
+    expect(parseEnvelope(envelope.subarray(0, 1)).success).toBe(false);
+    expect(parseEnvelope(Buffer.alloc(0)).success).toBe(false);
+  });
+
+  test('rejects unknown versions', () => {
+    const { envelope } = build({ payloadData: 'x' });
+    const unknown = Buffer.from(envelope);
+    unknown[0] = 0x7f;
+    expect(parseEnvelope(unknown).error).toMatch(/Unsupported envelope version/);
+    expect(constructEnvelope({ version: 0x7f, payloadData: 'x' }).success).toBe(false);
+  });
+
+  test('rejects invalid input types', () => {
+    expect(parseEnvelope('zz').success).toBe(false);
+    expect(parseEnvelope(42).success).toBe(false);
+  });
+});
+
+describe('registered contract types', () => {
+  test('validates, encodes and decodes JSON payloads', () => {
+    registerContractType({
+      id: '0x7001',
+      name: 'greeting',
+      version: 2,
+      jsonSchema: {
+        type: 'object',
+        required: ['text'],
+        additionalProperties: false,
+        properties: { text: { type: 'string', maxLength: 20 }, count: { type: 'integer', minimum: 0 } }
+      }
+    }, { replace: true });
+
+    const { envelope, metadata } = build({ contractTypeId: '0x7001', payloadData: { text: 'hi', count: 3 } });
+    expect(metadata.contractType).toEqual({ name: 'greeting', version: 2, kind: 'json' });
+
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.success).toBe(true);
+    expect(parsed.contractType.name).toBe('greeting');
+    expect(parsed.payload).toEqual({ text: 'hi', count: 3 });
+
+    expect(constructEnvelope({ contractTypeId: '0x7001', payloadData: { count: -1 } }).success).toBe(false);
+    expect(constructEnvelope({ contractTypeId: '0x7001', payloadData: 'not json' }).success).toBe(false);
+    unregisterContractType('0x7001');
+  });
+
+  test('packs binary layouts', () => {
+    registerContractType({
+      id: '0x7002',
+      name: 'transfer-note',
+      layout: [
+        { name: 'kind', type: 'u8' },
+        { name: 'amount', type: 'u64' },
+        { name: 'final', type: 'bool' },
+        { name: 'ref', type: 'bytes', length: 4 },
+        { name: 'memo', type: 'string' }
+      ]
+    }, { replace: true });
+
+    const { envelope, metadata } = build({
+      contractTypeId: '0x7002',
+      payloadData: { kind: 7, amount: BigInt('18000000000000000000'), final: true, ref: 'cafebabe', memo: 'gm' }
+    });
+    expect(metadata.payloadDataLength).toBe(1 + 8 + 1 + 4 + 2 + 2);
+
+    const parsed = parseEnvelope(envelope);
+    expect(parsed.success).toBe(true);
+    expect(parsed.payload).toEqual({ kind: 7, amount: BigInt('18000000000000000000'), final: true, ref: 'cafebabe', memo: 'gm' });
+    expect(parseEnvelope(envelope, { decodePayload: false }).payload).toBeNull();
+
+    expect(constructEnvelope({ contractTypeId: '0x7002', payloadData: { kind: 256, amount: 1, final: true, ref: 'cafebabe', memo: '' } }).success).toBe(false);
+    unregisterContractType('0x7002');
+  });
+
+  test('compresses registered types with their own encoding', () => {
+    registerContractType({ id: '0x7004', name: 'memo', layout: [{ name: 'memo', type: 'string' }] }, { replace: true });
+    const parsed = parseEnvelope(build({ contractTypeId: '0x7004', codec: 'deflate', payloadData: { memo: 'gm '.repeat(30) } }).envelope);
+    expect(parsed.payload).toEqual({ memo: 'gm '.repeat(30) });
+    expect(constructEnvelope({ contractTypeId: '0x7004', codec: 'json', payloadData: { memo: 'x' } }).success).toBe(false);
+    unregisterContractType('0x7004');
+  });
+
+  test('leaves unregistered types as raw payloads', () => {
+    const parsed = parseEnvelope(build({ contractTypeId: '0x7003', payloadData: 'raw' }).envelope);
+    expect(parsed.contractType).toBeNull();
+    expect(parsed.payload).toBeNull();
+  });
+});
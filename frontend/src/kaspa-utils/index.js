@@ -3,9 +3,32 @@
 
 export * from './sdk-init.js';
 export * from './tx-pattern.js';
+export * from './wasm-pattern-miner.js';
+export * from './mining-core.js';
+export * from './nonce-strategies.js';
+export * from './coin-selection.js';
+export * from './txid.js';
+export * from './pattern-spec.js';
+export * from './pattern-estimator.js';
+export * from './indexed-db.js';
+export * from './mining-session.js';
+export * from './address.js';
+export * from './utxo.js';
+export * from './contract-types.js';
+export * from './payload-codecs.js';
+export * from './envelope-crypto.js';
 export * from './envelope.js';
+export * from './envelope-chunks.js';
+export * from './envelope-reader.js';
+export * from './pskt-format.js';
+export * from './pskt-validation.js';
+export * from './sighash.js';
+export * from './tx-inspector.js';
 export * from './pskt.js';
+export * from './wallet-adapters.js';
+export * from './local-keystore.js';
 export * from './wallet.js';
+export * from './wallet-events.js';
 export * from './broadcast.js';
 export * from './tx-monitor.js';
 export * from './pattern-verification.js';
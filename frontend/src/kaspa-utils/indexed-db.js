@@ -0,0 +1,137 @@
+// Kaspa IndexedDB Storage Module
+// Thin promise wrapper around the app's single IndexedDB database.
+// Every object store the app uses is declared in OBJECT_STORES; bump DB_VERSION when adding one.
+
+const DB_NAME = 'kaspa-pattern-generator';
+const DB_VERSION = 2;
+
+const OBJECT_STORES = {
+  miningSessions: { keyPath: 'id' },
+  localKeystores: { keyPath: 'id' }
+};
+
+let databasePromise = null;
+
+/**
+ * Check whether IndexedDB is available in this environment
+ * @returns {boolean} True if indexedDB can be used
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+  });
+}
+
+/**
+ * Open (and upgrade if needed) the app database; the connection is shared
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openKaspaDatabase() {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error('IndexedDB not available in this environment'));
+  }
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      Object.entries(OBJECT_STORES).forEach(([storeName, storeOptions]) => {
+        if (!database.objectStoreNames.contains(storeName)) {
+          database.createObjectStore(storeName, storeOptions);
+        }
+      });
+    };
+    request.onsuccess = () => {
+      const database = request.result;
+      // Another tab upgraded the schema: drop our connection so the next call reopens it
+      database.onversionchange = () => {
+        database.close();
+        databasePromise = null;
+      };
+      resolve(database);
+    };
+    request.onerror = () => {
+      databasePromise = null;
+      reject(request.error || new Error('Failed to open IndexedDB'));
+    };
+    request.onblocked = () => console.warn('⚠️ IndexedDB upgrade blocked by another open tab (from indexed-db.js)');
+  });
+
+  return databasePromise;
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name (must be declared in OBJECT_STORES)
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the IDBObjectStore and returns an IDBRequest
+ * @returns {Promise<*>} Request result, resolved once the transaction completes
+ */
+async function runStoreRequest(storeName, mode, operation) {
+  if (!OBJECT_STORES[storeName]) {
+    throw new Error(`Unknown IndexedDB object store: ${storeName}`);
+  }
+  const database = await openKaspaDatabase();
+  const transaction = database.transaction(storeName, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    transaction.onerror = () => reject(transaction.error || new Error('IndexedDB transaction failed'));
+  });
+  const result = await requestToPromise(operation(transaction.objectStore(storeName)));
+  await completed;
+  return result;
+}
+
+/**
+ * Read one record by key
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<Object|undefined>} Stored record, or undefined
+ */
+export function getFromStore(storeName, key) {
+  return runStoreRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Read every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Stored records
+ */
+export function getAllFromStore(storeName) {
+  return runStoreRequest(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Insert or replace a record (values must be structured-cloneable; BigInt is fine)
+ * @param {string} storeName - Object store name
+ * @param {Object} value - Record to store
+ * @returns {Promise<IDBValidKey>} Key of the stored record
+ */
+export function putInStore(storeName, value) {
+  return runStoreRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * Delete one record by key
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<void>}
+ */
+export function deleteFromStore(storeName, key) {
+  return runStoreRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+console.log('📦 Kaspa IndexedDB module loaded successfully (indexed-db.js)');
@@ -0,0 +1,441 @@
+// Kaspa Local Keystore Module
+// An in-browser wallet for testnet work, so the workflows can run without any extension installed. A keystore is a
+// BIP39 mnemonic kept in IndexedDB, encrypted with a password (scrypt + XChaCha20-Poly1305); addresses are derived
+// with kaspa-wasm on the standard Kaspa path m/44'/111111'/account' and transactions are signed with kaspa-wasm too.
+// Only the addresses are stored in the clear. Keys exist in memory only while a keystore is unlocked.
+//
+// Keystores are refused on mainnet unless allowMainnet is set: a browser tab is not where real funds should live.
+// The 'local' wallet adapter (see wallet-adapters.js) is registered when this module loads.
+
+import { Buffer } from 'buffer';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { randomBytes } from '@noble/hashes/utils';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { getKaspaWasmModule, getRpcClient } from './sdk-init.js';
+import { getFromStore, getAllFromStore, putInStore, deleteFromStore, isIndexedDbAvailable } from './indexed-db.js';
+import { fetchRestApiUtxos, registerWalletAdapter, REST_API_URLS } from './wallet-adapters.js';
+import { createPsktFromTransaction } from './pskt-format.js';
+import { scriptPublicKeyToAddress } from './address.js';
+import { signPersonalMessage } from './envelope-crypto.js';
+import { sumUtxoAmounts } from './utxo.js';
+
+const KEYSTORE_STORE = 'localKeystores';
+const KEYSTORE_VERSION = 1;
+
+export const LOCAL_KEYSTORE_WALLET_ID = 'local';
+export const KEYSTORE_MIN_PASSWORD_LENGTH = 8;
+// scrypt cost; stored with each keystore, so raising it later does not lock out existing ones
+export const DEFAULT_KEYSTORE_KDF_PARAMS = { N: 2 ** 16, r: 8, p: 1 };
+
+// The unlocked keystore: { id, name, networkId, addresses, privateKeys } (privateKeys are kaspa-wasm PrivateKeys)
+let unlockedKeystore = null;
+let localWalletConnected = false;
+// subscribe() callbacks of local wallet adapters
+const localWalletListeners = new Set();
+
+/**
+ * Tell subscribed wallet watchers that the local account changed
+ */
+function notifyLocalWalletListeners() {
+  localWalletListeners.forEach(onChange => onChange('accountChanged'));
+}
+
+/**
+ * Refuse mainnet unless explicitly allowed
+ * @param {string} networkId - Network ID
+ * @param {boolean} allowMainnet - Allow mainnet
+ */
+function assertKeystoreNetworkAllowed(networkId, allowMainnet) {
+  if (!networkId) throw new Error('Network ID is required');
+  if (networkId === 'mainnet' && !allowMainnet) {
+    throw new Error('Local keystores are for testnets only. Pass allowMainnet: true to use one on mainnet');
+  }
+}
+
+/**
+ * kaspa-wasm, or an error explaining how to load it
+ * @returns {Object} kaspa-wasm module
+ */
+function requireKaspaWasm() {
+  const kaspaWasm = getKaspaWasmModule();
+  if (!kaspaWasm || !kaspaWasm.Mnemonic) {
+    throw new Error('kaspa-wasm not loaded. Call initialiseKaspaFramework() first.');
+  }
+  return kaspaWasm;
+}
+
+/**
+ * Generate a keystore identifier
+ * @returns {string} Unique keystore ID
+ */
+function createKeystoreId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `keystore-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+/**
+ * Encrypt a keystore secret with a password
+ * @param {string} secret - Text to encrypt
+ * @param {string} password - Password
+ * @param {Object} kdfParams - scrypt { N, r, p } (default: DEFAULT_KEYSTORE_KDF_PARAMS)
+ * @returns {Promise<Object>} { cipher, kdf, kdfParams, salt, nonce, ciphertext } - hex fields, safe to store
+ */
+export async function encryptKeystoreSecret(secret, password, kdfParams = DEFAULT_KEYSTORE_KDF_PARAMS) {
+  if (typeof password !== 'string' || password.length < KEYSTORE_MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${KEYSTORE_MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = randomBytes(32);
+  const nonce = randomBytes(24);
+  const key = await scryptAsync(password, salt, { ...kdfParams, dkLen: 32 });
+  const ciphertext = xchacha20poly1305(key, nonce).encrypt(Buffer.from(secret, 'utf8'));
+  return {
+    cipher: 'xchacha20-poly1305',
+    kdf: 'scrypt',
+    kdfParams: { N: kdfParams.N, r: kdfParams.r, p: kdfParams.p },
+    salt: Buffer.from(salt).toString('hex'),
+    nonce: Buffer.from(nonce).toString('hex'),
+    ciphertext: Buffer.from(ciphertext).toString('hex')
+  };
+}
+
+/**
+ * Decrypt a keystore secret
+ * @param {Object} encrypted - encryptKeystoreSecret() output
+ * @param {string} password - Password
+ * @returns {Promise<string>} The secret (throws on a wrong password)
+ */
+export async function decryptKeystoreSecret(encrypted, password) {
+  if (!encrypted || encrypted.kdf !== 'scrypt' || encrypted.cipher !== 'xchacha20-poly1305') {
+    throw new Error('Unsupported keystore encryption');
+  }
+  const key = await scryptAsync(password, Buffer.from(encrypted.salt, 'hex'), { ...encrypted.kdfParams, dkLen: 32 });
+  try {
+    const plaintext = xchacha20poly1305(key, Buffer.from(encrypted.nonce, 'hex')).decrypt(Buffer.from(encrypted.ciphertext, 'hex'));
+    return Buffer.from(plaintext).toString('utf8');
+  } catch (error) {
+    throw new Error('Wrong password or corrupted keystore');
+  }
+}
+
+/**
+ * Generate a BIP39 mnemonic
+ * @param {number} wordCount - 12 or 24 (default: 24)
+ * @returns {string} Mnemonic phrase
+ */
+export function generateKeystoreMnemonic(wordCount = 24) {
+  if (wordCount !== 12 && wordCount !== 24) throw new Error('Mnemonics have 12 or 24 words');
+  return requireKaspaWasm().Mnemonic.random(wordCount).phrase;
+}
+
+/**
+ * Derive the receive keys of a mnemonic
+ * @param {string} phrase - BIP39 mnemonic
+ * @param {Object} options - Derivation options
+ * @param {string} options.passphrase - BIP39 passphrase (default: none)
+ * @param {number} options.accountIndex - BIP44 account (default: 0)
+ * @param {number} options.addressCount - Receive addresses to derive (default: 1)
+ * @param {string} options.networkId - Network the addresses are for
+ * @returns {Object} { addresses, privateKeys }
+ */
+function deriveKeystoreKeys(phrase, options) {
+  const { passphrase = '', accountIndex = 0, addressCount = 1, networkId } = options;
+  const kaspaWasm = requireKaspaWasm();
+  let mnemonic;
+  try {
+    mnemonic = new kaspaWasm.Mnemonic(phrase.trim().toLowerCase().split(/\s+/).join(' '));
+  } catch (error) {
+    throw new Error('Invalid mnemonic: check the words and their order');
+  }
+  const xprv = new kaspaWasm.XPrv(mnemonic.toSeed(passphrase || undefined));
+  const generator = new kaspaWasm.PrivateKeyGenerator(xprv, false, BigInt(accountIndex));
+
+  const privateKeys = [];
+  for (let index = 0; index < addressCount; index++) {
+    privateKeys.push(generator.receiveKey(index));
+  }
+  return {
+    phrase: mnemonic.phrase,
+    addresses: privateKeys.map(privateKey => privateKey.toAddress(networkId).toString()),
+    privateKeys
+  };
+}
+
+/**
+ * Public view of a stored keystore
+ * @param {Object} record - Stored keystore
+ * @returns {Object} { id, name, networkId, accountIndex, addresses, createdAt, unlocked }
+ */
+function summarizeKeystore(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    networkId: record.networkId,
+    accountIndex: record.accountIndex,
+    addresses: record.addresses,
+    createdAt: record.createdAt,
+    unlocked: unlockedKeystore?.id === record.id
+  };
+}
+
+/**
+ * Create a keystore from a new or imported mnemonic and save it encrypted
+ * @param {Object} options - Keystore options
+ * @param {string} options.password - Encryption password (at least KEYSTORE_MIN_PASSWORD_LENGTH characters)
+ * @param {string} options.mnemonic - Mnemonic to import (default: generate one)
+ * @param {number} options.wordCount - Words in a generated mnemonic (default: 24)
+ * @param {string} options.passphrase - BIP39 passphrase (default: none)
+ * @param {string} options.name - Display name (default: 'Testnet keystore')
+ * @param {string} options.networkId - Network (default: 'testnet-10')
+ * @param {number} options.accountIndex - BIP44 account (default: 0)
+ * @param {number} options.addressCount - Receive addresses to derive (default: 1)
+ * @param {boolean} options.allowMainnet - Allow a mainnet keystore (default: false)
+ * @param {Object} options.kdfParams - scrypt parameters (default: DEFAULT_KEYSTORE_KDF_PARAMS)
+ * @returns {Promise<Object>} { success, keystore, mnemonic } - mnemonic only when generated, for the user to back up;
+ *   or { success: false, error }
+ */
+export async function createLocalKeystore(options = {}) {
+  try {
+    const {
+      password,
+      mnemonic = null,
+      wordCount = 24,
+      passphrase = '',
+      name = 'Testnet keystore',
+      networkId = 'testnet-10',
+      accountIndex = 0,
+      addressCount = 1,
+      allowMainnet = false,
+      kdfParams = DEFAULT_KEYSTORE_KDF_PARAMS
+    } = options;
+
+    assertKeystoreNetworkAllowed(networkId, allowMainnet);
+    if (typeof password !== 'string' || password.length < KEYSTORE_MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${KEYSTORE_MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!isIndexedDbAvailable()) throw new Error('IndexedDB not available: local keystores cannot be saved');
+
+    const generated = !mnemonic;
+    const derived = deriveKeystoreKeys(generated ? generateKeystoreMnemonic(wordCount) : mnemonic, {
+      passphrase,
+      accountIndex,
+      addressCount,
+      networkId
+    });
+
+    const record = {
+      id: createKeystoreId(),
+      version: KEYSTORE_VERSION,
+      name,
+      networkId,
+      accountIndex,
+      addresses: derived.addresses,
+      createdAt: Date.now(),
+      encrypted: await encryptKeystoreSecret(JSON.stringify({ mnemonic: derived.phrase, passphrase }), password, kdfParams)
+    };
+    await putInStore(KEYSTORE_STORE, record);
+    console.log(`🔐 Local keystore "${name}" saved for ${networkId}: ${derived.addresses[0]} (from local-keystore.js)`);
+
+    return { success: true, keystore: summarizeKeystore(record), mnemonic: generated ? derived.phrase : null };
+  } catch (error) {
+    console.error('❌ Failed to create local keystore (from local-keystore.js):', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List saved keystores (addresses only; nothing is decrypted)
+ * @returns {Promise<Object>} { success, keystores } or { success: false, error }
+ */
+export async function listLocalKeystores() {
+  try {
+    if (!isIndexedDbAvailable()) return { success: true, keystores: [] };
+    const records = await getAllFromStore(KEYSTORE_STORE);
+    return {
+      success: true,
+      keystores: records.sort((a, b) => a.createdAt - b.createdAt).map(summarizeKeystore)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Decrypt a keystore and keep its keys in memory for signing; any other unlocked keystore is locked
+ * @param {string} keystoreId - Keystore ID
+ * @param {string} password - Password
+ * @param {Object} options - Options
+ * @param {boolean} options.allowMainnet - Allow a mainnet keystore (default: false)
+ * @returns {Promise<Object>} { success, keystore } or { success: false, error }
+ */
+export async function unlockLocalKeystore(keystoreId, password, options = {}) {
+  try {
+    const { allowMainnet = false } = options;
+    const record = await getFromStore(KEYSTORE_STORE, keystoreId);
+    if (!record) throw new Error(`Local keystore ${keystoreId} not found`);
+    assertKeystoreNetworkAllowed(record.networkId, allowMainnet);
+
+    const secret = JSON.parse(await decryptKeystoreSecret(record.encrypted, password));
+    const derived = deriveKeystoreKeys(secret.mnemonic, {
+      passphrase: secret.passphrase,
+      accountIndex: record.accountIndex,
+      addressCount: record.addresses.length,
+      networkId: record.networkId
+    });
+    if (derived.addresses[0] !== record.addresses[0]) {
+      throw new Error('Keystore addresses do not match its mnemonic: the record has been altered');
+    }
+
+    lockLocalKeystore();
+    unlockedKeystore = {
+      id: record.id,
+      name: record.name,
+      networkId: record.networkId,
+      addresses: derived.addresses,
+      privateKeys: derived.privateKeys
+    };
+    console.log(`🔓 Local keystore "${record.name}" unlocked (from local-keystore.js)`);
+    return { success: true, keystore: summarizeKeystore(record) };
+  } catch (error) {
+    console.error('❌ Failed to unlock local keystore (from local-keystore.js):', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Forget the unlocked keystore's keys (also disconnects the local wallet)
+ */
+export function lockLocalKeystore() {
+  if (unlockedKeystore) {
+    unlockedKeystore.privateKeys.forEach(privateKey => privateKey.free?.());
+    console.log(`🔒 Local keystore "${unlockedKeystore.name}" locked (from local-keystore.js)`);
+  }
+  const wasUnlocked = Boolean(unlockedKeystore);
+  unlockedKeystore = null;
+  localWalletConnected = false;
+  if (wasUnlocked) notifyLocalWalletListeners();
+}
+
+/**
+ * Delete a saved keystore; its funds are only recoverable from the mnemonic afterwards
+ * @param {string} keystoreId - Keystore ID
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function deleteLocalKeystore(keystoreId) {
+  try {
+    if (unlockedKeystore?.id === keystoreId) lockLocalKeystore();
+    await deleteFromStore(KEYSTORE_STORE, keystoreId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * The unlocked keystore, or an error
+ * @returns {Object} Unlocked keystore
+ */
+function requireUnlockedKeystore() {
+  if (!unlockedKeystore) throw new Error('No local keystore unlocked. Unlock one with its password first');
+  return unlockedKeystore;
+}
+
+/**
+ * Sign every input of a transaction with the unlocked keystore
+ * @param {string|Object} txJson - serializeToSafeJSON() output; every input must spend a keystore address
+ * @param {Array<string>|null} sighashTypes - Sighash type name per input (default: All)
+ * @returns {Object} Signed kaspa-wasm Transaction
+ */
+function signWithUnlockedKeystore(txJson, sighashTypes) {
+  const keystore = requireUnlockedKeystore();
+  const kaspaWasm = requireKaspaWasm();
+  const txJsonString = typeof txJson === 'string' ? txJson : JSON.stringify(txJson);
+  const transaction = kaspaWasm.Transaction.deserializeFromSafeJSON(txJsonString);
+
+  // The PSKT form has every input's UTXO script in one shape, whatever the SDK serialized
+  const { inputs } = createPsktFromTransaction(txJsonString);
+  inputs.forEach((input, index) => {
+    const address = scriptPublicKeyToAddress(input.utxoEntry.scriptPublicKey, { networkId: keystore.networkId });
+    const keyIndex = keystore.addresses.indexOf(address);
+    if (keyIndex === -1) throw new Error(`Input ${index} spends ${address || 'a non-standard script'}, which is not in this keystore`);
+
+    const sighashType = (sighashTypes && sighashTypes[index]) || 'All';
+    if (kaspaWasm.SighashType[sighashType] === undefined) throw new Error(`Unknown sighash type for input ${index}: ${sighashType}`);
+    transaction.inputs[index].signatureScript = kaspaWasm.createInputSignature(
+      transaction,
+      index,
+      keystore.privateKeys[keyIndex],
+      kaspaWasm.SighashType[sighashType]
+    );
+  });
+  return transaction;
+}
+
+/**
+ * Adapter for the local keystore: connect() needs an unlocked keystore
+ * @param {Object} options - Adapter options
+ * @param {boolean} options.allowMainnet - Sign on mainnet (default: false)
+ * @param {Object} options.restApiUrls - REST API URL per network ID, for UTXOs (default: REST_API_URLS)
+ * @returns {Object} WalletAdapter
+ */
+export function createLocalKeystoreWalletAdapter(options = {}) {
+  const { allowMainnet = false, restApiUrls = REST_API_URLS } = options;
+  const checkSigningNetwork = (networkId) => {
+    const keystore = requireUnlockedKeystore();
+    assertKeystoreNetworkAllowed(keystore.networkId, allowMainnet);
+    if (networkId && networkId !== keystore.networkId) {
+      throw new Error(`The unlocked keystore is for ${keystore.networkId}, not ${networkId}`);
+    }
+  };
+  const getUtxos = async (address) => {
+    const { networkId } = requireUnlockedKeystore();
+    return fetchRestApiUtxos(address, { networkId, restApiUrl: restApiUrls[networkId] });
+  };
+
+  return {
+    id: LOCAL_KEYSTORE_WALLET_ID,
+    name: 'Local keystore (testnet)',
+    isInstalled: async () => isIndexedDbAvailable() && Boolean(getKaspaWasmModule()?.Mnemonic),
+    connect: async () => {
+      const keystore = requireUnlockedKeystore();
+      assertKeystoreNetworkAllowed(keystore.networkId, allowMainnet);
+      localWalletConnected = true;
+      notifyLocalWalletListeners();
+      return { address: keystore.addresses[0], networkId: keystore.networkId };
+    },
+    disconnect: async () => lockLocalKeystore(),
+    getAddress: async () => (localWalletConnected && unlockedKeystore ? unlockedKeystore.addresses[0] : null),
+    getNetwork: async () => unlockedKeystore?.networkId || null,
+    getBalance: async () => {
+      if (!localWalletConnected || !unlockedKeystore) return null;
+      const utxos = await getUtxos(unlockedKeystore.addresses[0]);
+      return sumUtxoAmounts(utxos);
+    },
+    getUtxos,
+    signPskt: async (txJson, { networkId, sighashTypes = null } = {}) => {
+      checkSigningNetwork(networkId);
+      return signWithUnlockedKeystore(txJson, sighashTypes).serializeToSafeJSON();
+    },
+    signAndBroadcast: async (txJson, { networkId, sighashTypes = null } = {}) => {
+      checkSigningNetwork(networkId);
+      const rpcClient = getRpcClient();
+      if (!rpcClient) throw new Error('No node connection: the local keystore broadcasts through the WASM SDK RPC client');
+      const transaction = signWithUnlockedKeystore(txJson, sighashTypes);
+      const result = await rpcClient.submitTransaction({ transaction, allowOrphan: false });
+      return result?.transactionId || result;
+    },
+    signMessage: async (message) => {
+      const keystore = requireUnlockedKeystore();
+      return signPersonalMessage(message, keystore.privateKeys[0].toString()).signature;
+    },
+    subscribe: (onChange) => {
+      localWalletListeners.add(onChange);
+      return () => localWalletListeners.delete(onChange);
+    }
+  };
+}
+
+registerWalletAdapter(createLocalKeystoreWalletAdapter());
+
+console.log('📦 Kaspa Local Keystore module loaded successfully (local-keystore.js)');
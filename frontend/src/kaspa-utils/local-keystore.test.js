@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import {
+  LOCAL_KEYSTORE_WALLET_ID,
+  encryptKeystoreSecret,
+  decryptKeystoreSecret,
+  createLocalKeystore,
+  createLocalKeystoreWalletAdapter
+} from './local-keystore.js';
+import { getWalletAdapter } from './wallet-adapters.js';
+
+// Cheap scrypt so the tests stay fast; real keystores use DEFAULT_KEYSTORE_KDF_PARAMS
+const TEST_KDF_PARAMS = { N: 2 ** 10, r: 8, p: 1 };
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+describe('Local keystore encryption', () => {
+  test('round-trips a secret with the right password only', async () => {
+    const encrypted = await encryptKeystoreSecret(MNEMONIC, 'correct horse', TEST_KDF_PARAMS);
+    expect(encrypted.kdf).toBe('scrypt');
+    expect(encrypted.kdfParams).toEqual(TEST_KDF_PARAMS);
+    expect(encrypted.ciphertext.includes(Buffer.from('abandon').toString('hex'))).toBe(false);
+
+    expect(await decryptKeystoreSecret(encrypted, 'correct horse')).toBe(MNEMONIC);
+    await expect(decryptKeystoreSecret(encrypted, 'wrong horse')).rejects.toThrow(/Wrong password/);
+  });
+
+  test('uses a fresh salt and nonce every time', async () => {
+    const first = await encryptKeystoreSecret(MNEMONIC, 'correct horse', TEST_KDF_PARAMS);
+    const second = await encryptKeystoreSecret(MNEMONIC, 'correct horse', TEST_KDF_PARAMS);
+    expect(first.salt === second.salt).toBe(false);
+    expect(first.nonce === second.nonce).toBe(false);
+    await expect(encryptKeystoreSecret(MNEMONIC, 'short', TEST_KDF_PARAMS)).rejects.toThrow(/at least 8 characters/);
+  });
+});
+
+describe('Local keystore wallet', () => {
+  test('refuses mainnet keystores unless allowed', async () => {
+    const result = await createLocalKeystore({ mnemonic: MNEMONIC, password: 'correct horse', networkId: 'mainnet' });
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/testnets only/);
+  });
+
+  test('is registered as a wallet and cannot sign while locked', async () => {
+    expect(getWalletAdapter(LOCAL_KEYSTORE_WALLET_ID).name).toBe('Local keystore (testnet)');
+
+    const wallet = createLocalKeystoreWalletAdapter();
+    expect(await wallet.getAddress()).toBeNull();
+    expect(await wallet.getNetwork()).toBeNull();
+    await expect(wallet.connect()).rejects.toThrow(/No local keystore unlocked/);
+    await expect(wallet.signPskt('{}', { networkId: 'testnet-10' })).rejects.toThrow(/No local keystore unlocked/);
+  });
+});
@@ -0,0 +1,400 @@
+// Kaspa Pattern Mining Core Module
+// Pure helpers shared by the main-thread miners in tx-pattern.js and the mining Web Workers.
+// Must not import sdk-init.js: the Kastle SDK expects a window, which workers do not have.
+
+import { Buffer } from 'buffer';
+import { blake3Hash } from '@webbuf/blake3';
+import { WebBuf } from '@webbuf/webbuf';
+
+import { constructEnvelope, ENVELOPE_VERSION } from './envelope.js';
+import { compilePatternSpec } from './pattern-spec.js';
+import { applyNonceStrategy, getNonceSpaceSize } from './nonce-strategies.js';
+import { createTxIdTemplate } from './txid.js';
+import { normalizeUtxos } from './utxo.js';
+
+// Nonce strategies whose nonce is a fixed 8-byte field, so the local TxID template can re-hash just that field
+const FAST_TXID_NONCE_STRATEGIES = ['payload', 'sequence', 'lockTime'];
+
+/**
+ * Check if a transaction ID matches the specified bit pattern
+ * Simplified and robust implementation that converts hex to binary and checks trailing zeros
+ * @param {string} txId - Transaction ID in hex format
+ * @param {number|string|Object} zeroBits - Number of trailing zero bits required (1-64), or a pattern spec (see pattern-spec.js)
+ * @param {boolean} verbose - Enable detailed logging (default: false)
+ * @returns {boolean} True if TxID matches the pattern
+ */
+export function checkTxIdPattern(txId, zeroBits, verbose = false) {
+  try {
+    if (typeof zeroBits !== 'number') {
+      const matcher = compilePatternSpec(zeroBits);
+      const matches = matcher.test(txId);
+      if (verbose) console.log(`${matches ? '✅' : '❌'} TxID ${txId} vs ${matcher.description}: ${matches} (from mining-core.js)`);
+      return matches;
+    }
+
+    // Input validation
+    if (!txId || typeof txId !== 'string') {
+      if (verbose) console.error('❌ Invalid TxID: must be a non-empty string');
+      return false;
+    }
+    
+    if (!Number.isInteger(zeroBits) || zeroBits < 1 || zeroBits > 64) {
+      if (verbose) console.error('❌ Invalid zeroBits: must be integer between 1-64');
+      return false;
+    }
+    
+    // Remove '0x' prefix if present and validate hex format
+    const cleanTxId = txId.startsWith('0x') ? txId.slice(2) : txId;
+    
+    if (!/^[0-9a-fA-F]+$/.test(cleanTxId)) {
+      if (verbose) console.error('❌ Invalid TxID format: must be valid hexadecimal');
+      return false;
+    }
+    
+    // Convert hex to binary string for easy bit checking
+    let binaryString = '';
+    for (let i = 0; i < cleanTxId.length; i++) {
+      const hexChar = cleanTxId[i];
+      const value = parseInt(hexChar, 16);
+      const binary = value.toString(2).padStart(4, '0');
+      binaryString += binary;
+    }
+    
+    // Check if we have enough bits
+    if (binaryString.length < zeroBits) {
+      if (verbose) console.error(`❌ TxID binary length ${binaryString.length} < required ${zeroBits} bits`);
+      return false;
+    }
+    
+    // Check the last N bits to see if they're all zeros
+    const lastNBits = binaryString.slice(-zeroBits);
+    const allZeros = '0'.repeat(zeroBits);
+    const matches = lastNBits === allZeros;
+    
+    if (verbose) {
+      console.log(`🔍 TxID: ${cleanTxId} (from mining-core.js)`);
+      console.log(`🔍 Binary: ...${binaryString.slice(-Math.min(32, binaryString.length))}`);
+      console.log(`🔍 Last ${zeroBits} bits: ${lastNBits}`);
+      console.log(`🔍 Expected: ${allZeros}`);
+      console.log(`${matches ? '✅' : '❌'} Pattern match: ${matches}`);
+    }
+    
+    return matches;
+    
+  } catch (error) {
+    if (verbose) console.error('❌ Error checking TxID pattern (from mining-core.js):', error);
+    return false;
+  }
+}
+
+/**
+ * Helper function to count trailing zero bits in a hex string
+ * Used for tracking best patterns found during iteration
+ * @param {string} hexString - Hex string to analyze
+ * @returns {number} Number of trailing zero bits
+ */
+export function getTrailingZeroBits(hexString) {
+  try {
+    let binaryString = '';
+    for (let i = 0; i < hexString.length; i++) {
+      const hexChar = hexString[i];
+      const value = parseInt(hexChar, 16);
+      const binary = value.toString(2).padStart(4, '0');
+      binaryString += binary;
+    }
+    
+    let zeroBits = 0;
+    for (let i = binaryString.length - 1; i >= 0; i--) {
+      if (binaryString[i] === '0') {
+        zeroBits++;
+      } else {
+        break;
+      }
+    }
+    return zeroBits;
+  } catch (error) {
+    // console.error('Error in getTrailingZeroBits (from mining-core.js):', error); // Optional: log error
+    return 0;
+  }
+}
+
+/**
+ * Default number of mining workers for this device
+ * @returns {number} navigator.hardwareConcurrency, or 4 when unavailable
+ */
+export function getDefaultWorkerCount() {
+  if (typeof navigator !== 'undefined' && Number.isInteger(navigator.hardwareConcurrency) && navigator.hardwareConcurrency > 0) {
+    return navigator.hardwareConcurrency;
+  }
+  return 4;
+}
+
+/**
+ * Check whether an AbortSignal has fired
+ * @param {AbortSignal} signal - Signal passed by the caller (optional)
+ * @returns {boolean} True if mining should stop
+ */
+export function isMiningAborted(signal) {
+  return !!(signal && signal.aborted);
+}
+
+/**
+ * Build the structured result returned when pattern mining is cancelled through an AbortSignal
+ * @param {Object} details - Mining state at the time of cancellation
+ * @param {AbortSignal} details.signal - The aborted signal (its reason is reported)
+ * @param {number} details.attempts - Attempts made before cancelling
+ * @param {number} details.duration - Elapsed time in ms
+ * @param {number} details.zeroBits - Requested pattern bits
+ * @param {Object} details.bestPatternFound - Best pattern seen so far
+ * @returns {Object} Cancelled mining result
+ */
+export function createCancelledMiningResult(details = {}) {
+  const { signal, attempts = 0, duration = 0, zeroBits, bestPatternFound = null, ...extra } = details;
+  const reason = signal?.reason?.message || (typeof signal?.reason === 'string' ? signal.reason : 'Mining cancelled by caller');
+  return {
+    success: false,
+    cancelled: true,
+    status: 'cancelled',
+    error: `Pattern mining cancelled: ${reason}`,
+    reason,
+    attempts,
+    duration,
+    zeroBits,
+    bestPatternFound,
+    ...extra
+  };
+}
+
+export const MAX_CONSECUTIVE_ATTEMPT_FAILURES = 10;
+
+// Failures no other nonce can fix: the inputs cannot cover the spend, or an address does not parse. Anything else
+// (an invalid amount, a mass limit) may depend on the nonce and counts towards MAX_CONSECUTIVE_ATTEMPT_FAILURES.
+const FATAL_ATTEMPT_ERROR_PATTERN = /insufficient (funds|balance)|not enough funds|invalid address|address[^\n]*(checksum|prefix|decod|malformed|invalid character)/i;
+
+/**
+ * Track per-attempt build errors, so a job that can never build a transaction fails with its cause instead of
+ * burning every iteration and reporting "pattern not found"
+ * @param {number} maxConsecutive - Consecutive failures tolerated before giving up (default: MAX_CONSECUTIVE_ATTEMPT_FAILURES)
+ * @returns {Object} { fail(error, nonce): error message to stop the search with, or null to try the next nonce; succeed() }
+ */
+export function createAttemptFailureTracker(maxConsecutive = MAX_CONSECUTIVE_ATTEMPT_FAILURES) {
+  let consecutiveFailures = 0;
+  return {
+    fail(error, nonce) {
+      consecutiveFailures++;
+      const message = error?.message || String(error);
+      if (FATAL_ATTEMPT_ERROR_PATTERN.test(message)) {
+        return `Could not build a transaction at nonce ${nonce}: ${message}`;
+      }
+      if (consecutiveFailures >= maxConsecutive) {
+        return `Could not build a transaction for ${consecutiveFailures} nonces in a row (last at nonce ${nonce}): ${message}`;
+      }
+      return null;
+    },
+    succeed() {
+      consecutiveFailures = 0;
+    }
+  };
+}
+
+/**
+ * Build a single envelope-hashing attempt for createTransactionWithIdPattern
+ * The nonce is appended to the payload and the resulting envelope is hashed with Blake3
+ * @param {Object} job - Envelope job description
+ * @param {string} job.contractTypeId - Contract type identifier
+ * @param {string} job.payloadData - Base payload data (nonce is appended)
+ * @param {number} nonce - Nonce to try
+ * @returns {Object} Attempt result with txId, envelope and nonce details
+ */
+export function createEnvelopeAttempt(job, nonce) {
+  const paddedNonce = nonce.toString().padStart(10, '0');
+  const payloadWithNonce = `${job.payloadData}_nonce_${paddedNonce}`;
+
+  const envelopeResult = constructEnvelope({
+    version: ENVELOPE_VERSION,
+    contractTypeId: job.contractTypeId,
+    payloadData: payloadWithNonce,
+    verbose: false
+  });
+
+  if (!envelopeResult.success) {
+    throw new Error(`Envelope construction failed: ${envelopeResult.error}`);
+  }
+
+  const envelope = envelopeResult.envelope;
+  const envelopeWebBuf = new WebBuf(envelope);
+  const txIdHash = blake3Hash(envelopeWebBuf);
+  const txId = Buffer.from(txIdHash.buf).toString('hex');
+
+  return {
+    txId,
+    nonce,
+    paddedNonce,
+    payloadWithNonce,
+    envelope,
+    envelopeMetadata: envelopeResult.metadata
+  };
+}
+
+/**
+ * Convert UTXOs to the entry shape accepted by kaspaWasm.createTransactions()
+ * @param {Array} utxos - UTXOs in any form normalizeUtxo() accepts (see utxo.js)
+ * @param {Object} options - normalizeUtxo() options, e.g. networkId to derive missing addresses
+ * @returns {Array} Plain, structured-cloneable UTXO entries
+ */
+export function createWasmUtxoEntries(utxos, options = {}) {
+  return normalizeUtxos(utxos, options).map(utxo => ({
+    // Older callers passed the script where no address was known; createTransactions() only uses it for signing hints
+    address: utxo.address || utxo.scriptPublicKey,
+    amount: utxo.amount,
+    outpoint: {
+      transactionId: utxo.transactionId,
+      index: utxo.index
+    },
+    utxoEntry: {
+      amount: utxo.amount,
+      scriptPublicKey: utxo.scriptPublicKey,
+      blockDaaScore: utxo.blockDaaScore,
+      isCoinbase: utxo.isCoinbase
+    }
+  }));
+}
+
+/**
+ * Build a single real-transaction attempt for buildPatternTransactionWithWasmSdk
+ * Calls kaspaWasm.createTransactions() and places the nonce according to job.nonceStrategy (see nonce-strategies.js)
+ * @param {Object} kaspaWasm - Loaded kaspa-wasm module (main thread or worker instance)
+ * @param {Object} job - Transaction job description
+ * @param {Array} job.entries - Plain UTXO entries accepted by createTransactions()
+ * @param {string} job.toAddress - Destination address
+ * @param {string} job.changeAddress - Change address (optional)
+ * @param {number} job.amount - Amount to send in sompi
+ * @param {number} job.fee - Priority fee in sompi
+ * @param {string} job.networkId - Network ID for createTransactions()
+ * @param {string} job.nonceStrategy - Nonce strategy name (default: 'payload')
+ * @param {Object} job.nonceOptions - Strategy options, e.g. payloadPrefix, maxLockTime, maxChangeVariation (optional)
+ * @param {string} job.payload - Fixed transaction payload hex, e.g. an embedded envelope (optional)
+ * @param {number} nonce - Nonce to try
+ * @returns {Promise<Object>} Attempt result with the transaction and its txId
+ */
+export async function createWasmTransactionAttempt(kaspaWasm, job, nonce) {
+  const { amount, fee, payload, strategy } = applyNonceStrategy(job, nonce);
+
+  const pending = await kaspaWasm.createTransactions({
+    entries: job.entries,
+    outputs: [{
+      address: job.toAddress,
+      amount: kaspaWasm.kaspaToSompi((amount / 100000000).toFixed(8))
+    }],
+    priorityFee: kaspaWasm.kaspaToSompi((fee / 100000000).toFixed(8)),
+    changeAddress: job.changeAddress || job.toAddress,
+    networkId: job.networkId,
+    ...(payload ? { payload } : {})
+  });
+
+  if (!pending?.transactions?.length) {
+    throw new Error('No transactions created');
+  }
+
+  let transaction = pending.transactions[0];
+  if (strategy.mutate) {
+    // Fixed-size header fields: changing them does not change mass, so the generator's fee still holds.
+    // The mutated Transaction replaces the pending one; finalize() recomputes its id.
+    transaction = transaction.transaction;
+    strategy.mutate(transaction, nonce);
+    transaction.finalize();
+  }
+
+  const txJson = transaction.serializeToSafeJSON?.() || transaction;
+  const txId = txJson?.id || transaction.id;
+
+  if (!txId) {
+    throw new Error('No transaction ID available');
+  }
+
+  return {
+    transaction,
+    txJson,
+    txId,
+    nonce,
+    winningAmount: amount,
+    nonceStrategy: strategy.name,
+    ...(payload ? { payload } : {})
+  };
+}
+
+/**
+ * Serialize the Transaction behind a pending or mutated transaction for txid.js
+ * @param {Object} transaction - PendingTransaction or Transaction from kaspa-wasm
+ * @returns {string|Object} Safe JSON string, or toJSON() output on SDK builds without serializeToSafeJSON()
+ */
+function getTransactionJson(transaction) {
+  const inner = transaction.transaction || transaction;
+  return inner.serializeToSafeJSON?.() || inner.toJSON?.() || inner;
+}
+
+/**
+ * Create the per-nonce TxID function used by the WASM transaction miners
+ * The fast path builds the transaction once with the SDK and then hashes only the nonce bytes in-process (see txid.js).
+ * It is cross-checked against transaction.id from the SDK at two nonces before use; on any mismatch or unsupported
+ * nonce strategy every attempt goes through createWasmTransactionAttempt() instead.
+ * @param {Object} kaspaWasm - Loaded kaspa-wasm module (main thread or worker instance)
+ * @param {Object} job - Transaction job description (see createWasmTransactionAttempt; job.fastTxId === false disables the fast path)
+ * @param {Object} options - Runner options
+ * @param {number} options.startNonce - First nonce this runner will be asked for (default: 0)
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} { fastTxId, reason, computeTxId(nonce), buildAttempt(nonce) }
+ */
+export async function createWasmAttemptRunner(kaspaWasm, job, options = {}) {
+  const { startNonce = 0, verbose = false } = options;
+  const sdkRunner = (reason) => {
+    if (verbose && job.fastTxId !== false) console.warn(`⚠️ Local TxID fast path disabled: ${reason} (from mining-core.js)`);
+    return {
+      fastTxId: false,
+      reason,
+      computeTxId: async (nonce) => (await createWasmTransactionAttempt(kaspaWasm, job, nonce)).txId,
+      buildAttempt: (nonce) => createWasmTransactionAttempt(kaspaWasm, job, nonce)
+    };
+  };
+
+  if (job.fastTxId === false) return sdkRunner('disabled by caller');
+  if (!FAST_TXID_NONCE_STRATEGIES.includes(job.nonceStrategy)) {
+    return sdkRunner(`nonce strategy ${job.nonceStrategy} changes the transaction shape`);
+  }
+
+  try {
+    const templateAttempt = await createWasmTransactionAttempt(kaspaWasm, job, startNonce);
+    const template = createTxIdTemplate(getTransactionJson(templateAttempt.transaction), {
+      nonceStrategy: job.nonceStrategy,
+      payloadPrefixLength: templateAttempt.payload ? templateAttempt.payload.length / 2 - 8 : 0
+    });
+
+    // Cross-check the local hash against the SDK at the template nonce and at a second nonce
+    const checkNonce = startNonce + 1 < getNonceSpaceSize(job.nonceStrategy, job.nonceOptions || {}) ? startNonce + 1 : startNonce;
+    const checkAttempt = checkNonce === startNonce ? templateAttempt : await createWasmTransactionAttempt(kaspaWasm, job, checkNonce);
+    if (template.computeId(startNonce) !== templateAttempt.txId || template.computeId(checkNonce) !== checkAttempt.txId) {
+      return sdkRunner('local TxID does not match the SDK transaction.id');
+    }
+
+    if (verbose) console.log(`⚡ Local TxID fast path enabled for nonce strategy ${job.nonceStrategy} (from mining-core.js)`);
+    return {
+      fastTxId: true,
+      reason: null,
+      computeTxId: (nonce) => template.computeId(nonce),
+      buildAttempt: async (nonce) => {
+        // Final cross-check: the real transaction must carry the ID the fast path matched on
+        const attempt = await createWasmTransactionAttempt(kaspaWasm, job, nonce);
+        const localTxId = template.computeId(nonce);
+        if (attempt.txId !== localTxId) {
+          throw new Error(`Local TxID ${localTxId} does not match SDK TxID ${attempt.txId} at nonce ${nonce}`);
+        }
+        return attempt;
+      }
+    };
+  } catch (error) {
+    // kaspa-wasm throws plain strings for some errors
+    return sdkRunner(error?.message || String(error));
+  }
+}
+
+console.log('📦 Kaspa Mining Core module loaded successfully (mining-core.js)');
@@ -0,0 +1,54 @@
+import { createAttemptFailureTracker, createCancelledMiningResult, isMiningAborted } from './mining-core.js';
+
+describe('Attempt failure tracking', () => {
+  test('stops at once on failures no nonce can fix', () => {
+    const failures = createAttemptFailureTracker();
+    expect(failures.fail(new Error('Insufficient funds'), 7)).toBe('Could not build a transaction at nonce 7: Insufficient funds');
+    // kaspa-wasm throws strings as well as Errors
+    expect(failures.fail('invalid address: kaspatest:xyz', 8)).toMatch(/at nonce 8: invalid address/);
+    expect(failures.fail(new Error('Address decoding error: invalid checksum'), 9)).toMatch(/at nonce 9: Address decoding/);
+  });
+
+  test('tries the next nonce after failures that may depend on the nonce', () => {
+    const failures = createAttemptFailureTracker(3);
+    expect(failures.fail(new Error('invalid output amount'), 0)).toBeNull();
+    failures.succeed();
+    expect(failures.fail(new Error('Storage mass exceeds maximum for UTXO set'), 2)).toBeNull();
+    expect(failures.fail('invalid transaction mass', 3)).toBeNull();
+  });
+
+  test('tolerates sporadic failures but not a run of them', () => {
+    const failures = createAttemptFailureTracker(3);
+    expect(failures.fail(new Error('storage mass too high'), 0)).toBeNull();
+    expect(failures.fail(new Error('storage mass too high'), 1)).toBeNull();
+    failures.succeed();
+    expect(failures.fail(new Error('storage mass too high'), 3)).toBeNull();
+    expect(failures.fail(new Error('storage mass too high'), 4)).toBeNull();
+    expect(failures.fail(new Error('storage mass too high'), 5)).toBe('Could not build a transaction for 3 nonces in a row (last at nonce 5): storage mass too high');
+  });
+});
+
+describe('Cancelled mining results', () => {
+  test('report the abort reason and the progress so far', () => {
+    const bestPatternFound = { zeroBits: 6, txId: 'ab'.repeat(32), attempts: 40 };
+    const signal = { aborted: true, reason: new Error('Stopped from the UI') };
+    expect(isMiningAborted(signal)).toBe(true);
+    expect(createCancelledMiningResult({ signal, attempts: 50, duration: 1200, zeroBits: 8, bestPatternFound, nonceCursor: 50 })).toEqual({
+      success: false,
+      cancelled: true,
+      status: 'cancelled',
+      error: 'Pattern mining cancelled: Stopped from the UI',
+      reason: 'Stopped from the UI',
+      attempts: 50,
+      duration: 1200,
+      zeroBits: 8,
+      bestPatternFound,
+      nonceCursor: 50
+    });
+
+    expect(createCancelledMiningResult({ signal: { aborted: true, reason: 'timeout' } }).reason).toBe('timeout');
+    expect(createCancelledMiningResult({ signal: { aborted: true } })).toMatchObject({ reason: 'Mining cancelled by caller', attempts: 0, bestPatternFound: null });
+    expect(isMiningAborted({ aborted: false })).toBe(false);
+    expect(isMiningAborted(null)).toBe(false);
+  });
+});
@@ -0,0 +1,218 @@
+// Kaspa Parallel Pattern Mining Module (Web Worker pool)
+// Loaded on demand by tx-pattern.js (dynamic import) so the worker bundle is only pulled in when used.
+
+import { getDefaultWorkerCount } from './mining-core.js';
+import { compilePatternSpec } from './pattern-spec.js';
+import { createMiningWorker } from './mining-worker-factory.js';
+
+/**
+ * Check whether this environment can run the mining worker pool
+ * @returns {boolean} True if Web Workers are available
+ */
+export function isWorkerPoolSupported() {
+  return typeof window !== 'undefined' && typeof Worker !== 'undefined';
+}
+
+/**
+ * Mine a TxID pattern across a pool of Web Workers
+ * The nonce space is split by stride: worker i tries startNonce + i, startNonce + i + workerCount, ...
+ * Progress from all workers is merged into a single callback; the first match stops every other worker.
+ * @param {Object} options - Pool options
+ * @param {Object} options.job - Job description ({ kind: 'envelope' | 'wasm-transaction', ... }), must be structured-cloneable
+ * @param {number|string|Object} options.zeroBits - Number of trailing zero bits required in TxID, or a pattern spec
+ * @param {number} options.maxIterations - Total attempts across all workers (default: 1000000)
+ * @param {number} options.startNonce - First nonce of the search (default: 0)
+ * @param {number} options.workerCount - Number of workers (default: navigator.hardwareConcurrency)
+ * @param {Function} options.progressCallback - Merged progress callback (optional)
+ * @param {number} options.progressIntervalMs - Minimum time between merged progress reports (default: 1000)
+ * @param {AbortSignal} options.signal - Aborting stops every worker and resolves with cancelled: true (optional)
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} Winning nonce and TxID, or a failure result (fallback: true when workers could not run).
+ *   Results and progress carry nonceCursor: every nonce below it has been tried by some worker.
+ */
+export async function mineWithWorkerPool(options = {}) {
+  const {
+    job,
+    zeroBits = 8,
+    maxIterations = 1000000,
+    startNonce = 0,
+    workerCount = getDefaultWorkerCount(),
+    progressCallback = null,
+    progressIntervalMs = 1000,
+    signal = null,
+    verbose = false
+  } = options;
+
+  const startTime = Date.now();
+
+  if (!isWorkerPoolSupported()) {
+    return { success: false, fallback: true, attempts: 0, duration: 0, error: 'Web Workers not available in this environment' };
+  }
+  if (!job || !job.kind) {
+    return { success: false, fallback: false, attempts: 0, duration: 0, error: 'Invalid mining job: missing kind' };
+  }
+
+  let patternSpec;
+  try {
+    // Workers receive the canonical spec object; compiled matchers hold functions and cannot be posted
+    patternSpec = compilePatternSpec(zeroBits);
+  } catch (error) {
+    return { success: false, fallback: false, attempts: 0, duration: 0, error: `Invalid pattern spec: ${error.message}` };
+  }
+
+  const poolSize = Math.max(1, Math.min(workerCount, maxIterations));
+  if (verbose) console.log(`🧵 Starting ${poolSize}-worker mining pool for ${patternSpec.description} (${job.kind}) (from mining-pool.js)...`);
+
+  return new Promise((resolve) => {
+    const workers = [];
+    const workerAttempts = new Array(poolSize).fill(0);
+    const workerErrors = [];
+    const finishedWorkers = new Set();
+    let fastTxIdWorkers = 0;
+    let bestPattern = { zeroBits: 0, txId: '', attempts: 0, nonce: null };
+    let lastProgressTime = startTime;
+    let settled = false;
+
+    const totalAttempts = () => workerAttempts.reduce((sum, count) => sum + count, 0);
+    // Worker i has covered startNonce + i + k * poolSize for k < workerAttempts[i], so the slowest worker bounds the contiguous range
+    const nonceCursor = () => Math.min(startNonce + maxIterations, startNonce + poolSize * Math.min(...workerAttempts));
+
+    const terminateAll = () => {
+      workers.forEach(worker => {
+        try {
+          worker.postMessage({ type: 'stop' });
+          worker.terminate();
+        } catch (error) {
+          // Worker already gone
+        }
+      });
+    };
+
+    const onAbort = () => {
+      if (verbose) console.log('🛑 Mining pool cancelled by caller (from mining-pool.js)');
+      settle({ success: false, fallback: false, cancelled: true, error: 'Mining cancelled' });
+    };
+
+    const settle = (result) => {
+      if (settled) return;
+      settled = true;
+      terminateAll();
+      if (signal) signal.removeEventListener('abort', onAbort);
+      const duration = Date.now() - startTime;
+      const attempts = totalAttempts();
+      resolve({
+        ...result,
+        attempts,
+        duration,
+        iterationsPerSecond: duration > 0 ? Math.round((attempts / duration) * 1000) : 0,
+        bestPattern,
+        workerCount: poolSize,
+        fastTxIdWorkers,
+        nonceCursor: nonceCursor()
+      });
+    };
+
+    const mergeBest = (candidate) => {
+      if (candidate && candidate.zeroBits > bestPattern.zeroBits) {
+        bestPattern = { ...candidate, attempts: totalAttempts() };
+      }
+    };
+
+    const reportProgress = () => {
+      const now = Date.now();
+      if (!progressCallback || now - lastProgressTime < progressIntervalMs) return;
+      lastProgressTime = now;
+      const attempts = totalAttempts();
+      const elapsed = now - startTime;
+      progressCallback({
+        attempts,
+        maxIterations,
+        progress: (attempts / maxIterations) * 100,
+        elapsed,
+        iterationsPerSecond: elapsed > 0 ? Math.round((attempts / elapsed) * 1000) : 0,
+        bestPattern: { ...bestPattern },
+        workerCount: poolSize,
+        workerAttempts: [...workerAttempts],
+        nonceCursor: nonceCursor()
+      });
+    };
+
+    const handleWorkerDone = (workerIndex) => {
+      if (finishedWorkers.has(workerIndex)) return;
+      finishedWorkers.add(workerIndex);
+      if (finishedWorkers.size < poolSize) return;
+      if (workerErrors.length === poolSize) {
+        settle({ success: false, fallback: true, error: `All mining workers failed: ${workerErrors[0]}` });
+      } else {
+        settle({ success: false, fallback: false, error: `Pattern not found within ${maxIterations.toLocaleString()} iterations` });
+      }
+    };
+
+    const handleMessage = (message) => {
+      if (settled) return;
+      const { type, workerIndex } = message;
+
+      if (type === 'ready') {
+        if (message.fastTxId) fastTxIdWorkers++;
+        if (verbose && !message.fastTxId && job.kind === 'wasm-transaction') console.log(`🐢 Worker ${workerIndex} is using SDK TxIDs (no local fast path) (from mining-pool.js)`);
+      } else if (type === 'progress') {
+        workerAttempts[workerIndex] = message.attempts;
+        mergeBest(message.bestPattern);
+        reportProgress();
+      } else if (type === 'found') {
+        workerAttempts[workerIndex] = message.attempts;
+        mergeBest(message.bestPattern);
+        if (verbose) console.log(`🎉 Worker ${workerIndex} found pattern at nonce ${message.nonce}: ${message.txId} (from mining-pool.js)`);
+        settle({ success: true, nonce: message.nonce, txId: message.txId, workerIndex });
+      } else if (type === 'exhausted' || type === 'stopped') {
+        workerAttempts[workerIndex] = message.attempts;
+        mergeBest(message.bestPattern);
+        handleWorkerDone(workerIndex);
+      } else if (type === 'attemptFailed') {
+        // Every worker builds the same transaction, so one that cannot build it fails the whole job
+        workerAttempts[workerIndex] = message.attempts;
+        mergeBest(message.bestPattern);
+        if (verbose) console.warn(`⚠️ Mining worker ${workerIndex} stopped (from mining-pool.js):`, message.error);
+        settle({ success: false, fallback: false, error: message.error });
+      } else if (type === 'error') {
+        if (verbose) console.warn(`⚠️ Mining worker ${workerIndex} failed (from mining-pool.js):`, message.error);
+        if (!finishedWorkers.has(workerIndex)) workerErrors.push(message.error);
+        handleWorkerDone(workerIndex);
+      }
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    for (let workerIndex = 0; workerIndex < poolSize; workerIndex++) {
+      try {
+        const worker = createMiningWorker();
+        worker.onmessage = (event) => handleMessage(event.data || {});
+        worker.onerror = (event) => {
+          event.preventDefault?.();
+          handleMessage({ type: 'error', workerIndex, error: event.message || 'Worker error' });
+        };
+        workers.push(worker);
+        worker.postMessage({
+          type: 'start',
+          workerIndex,
+          workerCount: poolSize,
+          job,
+          zeroBits: patternSpec.spec,
+          startNonce,
+          maxIterations
+        });
+      } catch (error) {
+        // Typically a DataCloneError when the job holds non-cloneable objects (e.g. raw WASM UTXOs)
+        handleMessage({ type: 'error', workerIndex, error: error.message });
+      }
+    }
+  });
+}
+
+console.log('📦 Kaspa Mining Pool module loaded successfully (mining-pool.js)');
@@ -0,0 +1,134 @@
+import { mineWithWorkerPool } from './mining-pool.js';
+import { createMiningWorker } from './mining-worker-factory.js';
+
+jest.mock('./mining-worker-factory.js', () => ({ createMiningWorker: jest.fn() }));
+
+const TZ8 = { type: 'trailingZeroBits', bits: 8 };
+const MATCH = `${'ab'.repeat(31)}00`;
+
+// Stands in for mining.worker.js: records what the pool posts and answers 'start' with the replies a test scripts
+class FakeWorker {
+  constructor(script) {
+    this.script = script;
+    this.messages = [];
+    this.terminated = false;
+    this.onmessage = null;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+    if (message.type !== 'start') return;
+    this.script(message).forEach(({ delay = 0, ...reply }) => setTimeout(() => {
+      if (!this.terminated) this.onmessage({ data: { workerIndex: message.workerIndex, ...reply } });
+    }, delay));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+let workers;
+
+// Start a pool whose worker i replies with scripts[i]
+function minePool(scripts, options = {}) {
+  createMiningWorker.mockImplementation(() => {
+    const worker = new FakeWorker(scripts[workers.length]);
+    workers.push(worker);
+    return worker;
+  });
+  return mineWithWorkerPool({ job: { kind: 'envelope' }, zeroBits: 'tz:8', workerCount: scripts.length, ...options });
+}
+
+const expectAllStopped = () => workers.forEach(worker => {
+  expect(worker.terminated).toBe(true);
+  expect(worker.messages.map(message => message.type)).toEqual(['start', 'stop']);
+});
+
+beforeAll(() => {
+  global.Worker = FakeWorker;
+});
+
+afterAll(() => {
+  delete global.Worker;
+});
+
+beforeEach(() => {
+  workers = [];
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Worker pool', () => {
+  test('gives each worker a strided slice and resumes after the whole range', async () => {
+    const exhausted = () => [{ type: 'exhausted', attempts: 10 }];
+    const result = await minePool([exhausted, exhausted, exhausted], { startNonce: 100, maxIterations: 30 });
+
+    expect(workers.map(worker => worker.messages[0])).toEqual([0, 1, 2].map(workerIndex => ({
+      type: 'start', workerIndex, workerCount: 3, job: { kind: 'envelope' }, zeroBits: TZ8, startNonce: 100, maxIterations: 30
+    })));
+    expect(result).toMatchObject({
+      success: false, fallback: false, error: 'Pattern not found within 30 iterations', attempts: 30, workerCount: 3, nonceCursor: 130
+    });
+  });
+
+  test('stops every worker at the first match and keeps the slowest worker as the cursor', async () => {
+    const progress = [];
+    const result = await minePool([
+      () => [{ type: 'progress', attempts: 5, bestPattern: { zeroBits: 2, txId: 'a'.repeat(64), nonce: 103 } }, { delay: 50, type: 'found', nonce: 115, txId: MATCH, attempts: 6 }],
+      () => [{ delay: 10, type: 'found', nonce: 113, txId: MATCH, attempts: 5, bestPattern: { zeroBits: 9, txId: MATCH, nonce: 113 } }],
+      () => [{ type: 'progress', attempts: 7, bestPattern: { zeroBits: 4, txId: 'b'.repeat(64), nonce: 120 } }]
+    ], { startNonce: 100, progressIntervalMs: 0, progressCallback: report => progress.push(report) });
+
+    // Worker 1 had not reported yet, so nothing past its first nonce is known to be tried
+    expect(progress.map(report => report.nonceCursor)).toEqual([100, 100]);
+    expect(progress[1].workerAttempts).toEqual([5, 0, 7]);
+
+    expect(result).toMatchObject({ success: true, nonce: 113, txId: MATCH, workerIndex: 1, attempts: 17, nonceCursor: 115 });
+    expect(result.bestPattern).toMatchObject({ zeroBits: 9, nonce: 113 });
+    expectAllStopped();
+  });
+
+  test('fails the job when a worker cannot build the transaction', async () => {
+    const error = 'Could not build a transaction at nonce 1: Insufficient funds';
+    const result = await minePool([
+      () => [{ delay: 20, type: 'progress', attempts: 3 }],
+      () => [{ type: 'attemptFailed', nonce: 1, error, attempts: 1 }]
+    ]);
+
+    expect(result).toMatchObject({ success: false, fallback: false, error, attempts: 1 });
+    expect(result.cancelled).toBeUndefined();
+    expectAllStopped();
+  });
+
+  test('settles as cancelled when aborted mid-search and terminates every worker', async () => {
+    const controller = new AbortController();
+    const slow = () => [{ type: 'progress', attempts: 4 }, { delay: 200, type: 'exhausted', attempts: 50 }];
+    const mining = minePool([slow, slow], { signal: controller.signal, maxIterations: 100 });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    controller.abort();
+    expect(await mining).toMatchObject({ success: false, fallback: false, cancelled: true, error: 'Mining cancelled', attempts: 8, nonceCursor: 8 });
+    expectAllStopped();
+  });
+
+  test('starts no workers for an already aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    expect(await minePool([() => []], { signal: controller.signal })).toMatchObject({ cancelled: true, attempts: 0 });
+    expect(workers).toEqual([]);
+  });
+
+  test('falls back to the main thread only when every worker failed to run', async () => {
+    const broken = () => [{ type: 'error', error: 'kaspa-wasm failed to load' }];
+    expect(await minePool([broken, broken])).toMatchObject({
+      success: false, fallback: true, error: 'All mining workers failed: kaspa-wasm failed to load'
+    });
+
+    workers = [];
+    expect(await minePool([broken, () => [{ type: 'exhausted', attempts: 5 }]], { maxIterations: 10 })).toMatchObject({
+      success: false, fallback: false, error: 'Pattern not found within 10 iterations'
+    });
+  });
+});
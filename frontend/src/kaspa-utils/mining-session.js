@@ -0,0 +1,237 @@
+// Kaspa Resumable Mining Session Module
+// Checkpoints long buildPatternTransactionWithWasmSdk searches to IndexedDB so they survive a tab reload.
+// A session pins the exact input UTXO set and outputs; if any input is spent the session can never produce
+// a valid transaction again, so it is invalidated instead of resumed.
+
+import { getFromStore, getAllFromStore, putInStore, deleteFromStore, isIndexedDbAvailable } from './indexed-db.js';
+import { parsePatternSpec, describePatternSpec } from './pattern-spec.js';
+import { DEFAULT_NONCE_STRATEGY, getNonceStrategy } from './nonce-strategies.js';
+import { normalizeUtxos, getUtxoOutpointKey } from './utxo.js';
+
+const SESSION_STORE = 'miningSessions';
+
+/**
+ * Generate a session identifier
+ * @returns {string} Unique session ID
+ */
+function createSessionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `session-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+/**
+ * Create and persist a new mining session
+ * @param {Object} options - Session options
+ * @param {string} options.networkId - Network ID (e.g. "testnet-10")
+ * @param {Array} options.utxos - Input UTXOs the search is pinned to
+ * @param {string} options.toAddress - Recipient address
+ * @param {number} options.amount - Amount to send in sompi
+ * @param {number} options.fee - Priority fee in sompi
+ * @param {string} options.changeAddress - Change address
+ * @param {number|string|Object} options.pattern - Trailing zero bits or pattern spec
+ * @param {string} options.nonceStrategy - Nonce strategy name the cursor refers to (default: 'payload')
+ * @param {Object} options.nonceOptions - Nonce strategy options (optional)
+ * @param {string} options.envelope - Envelope hex embedded in the transaction payload (optional)
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} { success, session } or { success: false, error }
+ */
+export async function createMiningSession(options = {}) {
+  try {
+    const {
+      networkId,
+      utxos,
+      toAddress,
+      amount,
+      fee,
+      changeAddress,
+      pattern,
+      nonceStrategy = DEFAULT_NONCE_STRATEGY,
+      nonceOptions = {},
+      envelope = null,
+      verbose = false
+    } = options;
+
+    if (!isIndexedDbAvailable()) {
+      throw new Error('IndexedDB not available - mining sessions cannot be persisted');
+    }
+    if (!Array.isArray(utxos) || utxos.length === 0) {
+      throw new Error('A mining session needs at least one input UTXO');
+    }
+    if (!toAddress || !Number.isInteger(amount) || amount <= 0) {
+      throw new Error('A mining session needs a recipient address and a positive integer amount');
+    }
+
+    const patternSpec = parsePatternSpec(pattern);
+    getNonceStrategy(nonceStrategy);
+    const now = Date.now();
+    const session = {
+      id: createSessionId(),
+      status: 'active',
+      createdAt: now,
+      updatedAt: now,
+      networkId,
+      pattern: patternSpec,
+      patternDescription: describePatternSpec(patternSpec),
+      // Canonical UTXOs are plain objects, so they store as they are and rebuild identical inputs on resume
+      utxos: normalizeUtxos(utxos, { networkId }),
+      outputs: [{ address: toAddress, amount }],
+      fee,
+      changeAddress,
+      nonceStrategy,
+      nonceOptions,
+      envelope,
+      nonceCursor: 0,
+      attempts: 0,
+      bestPattern: { zeroBits: 0, txId: '', attempts: 0 }
+    };
+
+    await putInStore(SESSION_STORE, session);
+    if (verbose) console.log(`💾 Mining session ${session.id} created for ${session.patternDescription} (from mining-session.js)`);
+    return { success: true, session };
+  } catch (error) {
+    console.error('❌ Failed to create mining session (from mining-session.js):', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load a mining session by ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} { success, session } or { success: false, error }
+ */
+export async function loadMiningSession(sessionId) {
+  try {
+    const session = await getFromStore(SESSION_STORE, sessionId);
+    if (!session) throw new Error(`Mining session ${sessionId} not found`);
+    return { success: true, session };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List stored mining sessions, most recently updated first
+ * @param {Object} options - List options
+ * @param {string} options.status - Only return sessions with this status ('active' | 'completed' | 'invalidated')
+ * @returns {Promise<Object>} { success, sessions } or { success: false, error, sessions: [] }
+ */
+export async function listMiningSessions(options = {}) {
+  try {
+    const { status = null } = options;
+    if (!isIndexedDbAvailable()) return { success: true, sessions: [] };
+    const sessions = await getAllFromStore(SESSION_STORE);
+    return {
+      success: true,
+      sessions: sessions
+        .filter(session => !status || session.status === status)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+    };
+  } catch (error) {
+    return { success: false, error: error.message, sessions: [] };
+  }
+}
+
+/**
+ * Delete a mining session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function deleteMiningSession(sessionId) {
+  try {
+    await deleteFromStore(SESSION_STORE, sessionId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Persist search progress for a session
+ * Progress comes from a single run that started at session.nonceCursor, so run attempts are added to the
+ * attempts the session already had when the run began.
+ * @param {Object} session - Session as loaded when the run started
+ * @param {Object} progress - Run progress
+ * @param {number} progress.nonceCursor - Every nonce below this has been tried
+ * @param {number} progress.attempts - Attempts made in this run
+ * @param {Object} progress.bestPattern - Best pattern seen in this run
+ * @returns {Promise<Object>} { success, session } or { success: false, error }
+ */
+export async function checkpointMiningSession(session, progress = {}) {
+  try {
+    const runBest = progress.bestPattern;
+    const updated = {
+      ...session,
+      updatedAt: Date.now(),
+      nonceCursor: Math.max(session.nonceCursor, progress.nonceCursor ?? session.nonceCursor),
+      attempts: session.attempts + (progress.attempts || 0),
+      bestPattern: runBest && runBest.zeroBits > session.bestPattern.zeroBits
+        ? { zeroBits: runBest.zeroBits, txId: runBest.txId, attempts: session.attempts + (runBest.attempts || 0) }
+        : session.bestPattern
+    };
+    await putInStore(SESSION_STORE, updated);
+    return { success: true, session: updated };
+  } catch (error) {
+    console.warn('⚠️ Failed to checkpoint mining session (from mining-session.js):', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Mark a session as completed once its pattern transaction was found
+ * @param {Object} session - Session as loaded when the run started
+ * @param {Object} result - Successful mining result ({ txId, nonce, attempts })
+ * @returns {Promise<Object>} { success, session } or { success: false, error }
+ */
+export async function completeMiningSession(session, result = {}) {
+  try {
+    const updated = {
+      ...session,
+      status: 'completed',
+      updatedAt: Date.now(),
+      attempts: session.attempts + (result.attempts || 0),
+      winningNonce: result.nonce,
+      winningTxId: result.txId
+    };
+    await putInStore(SESSION_STORE, updated);
+    return { success: true, session: updated };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Check that every input UTXO of a session is still unspent, invalidating the session if not
+ * @param {Object} session - Stored session
+ * @param {Array} currentUtxos - UTXOs currently reported by the wallet
+ * @param {Object} options - Validation options
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} { success, valid, spentOutpoints, session }
+ */
+export async function validateMiningSessionUtxos(session, currentUtxos = [], options = {}) {
+  const { verbose = false } = options;
+  try {
+    const unspent = new Set(currentUtxos.map(getUtxoOutpointKey));
+    const spentOutpoints = session.utxos.map(getUtxoOutpointKey).filter(key => !unspent.has(key));
+
+    if (spentOutpoints.length === 0) {
+      return { success: true, valid: true, spentOutpoints, session };
+    }
+
+    const invalidated = {
+      ...session,
+      status: 'invalidated',
+      updatedAt: Date.now(),
+      invalidatedReason: `${spentOutpoints.length} input UTXO(s) spent since the session was created`,
+      spentOutpoints
+    };
+    await putInStore(SESSION_STORE, invalidated);
+    if (verbose) console.warn(`⚠️ Mining session ${session.id} invalidated: ${invalidated.invalidatedReason} (from mining-session.js)`);
+    return { success: true, valid: false, spentOutpoints, session: invalidated };
+  } catch (error) {
+    return { success: false, valid: false, error: error.message, spentOutpoints: [], session };
+  }
+}
+
+console.log('📦 Kaspa Mining Session module loaded successfully (mining-session.js)');
@@ -0,0 +1,136 @@
+import {
+  createMiningSession,
+  loadMiningSession,
+  listMiningSessions,
+  checkpointMiningSession,
+  completeMiningSession,
+  validateMiningSessionUtxos
+} from './mining-session.js';
+
+// jsdom has no IndexedDB, so the store is an in-memory map
+jest.mock('./indexed-db.js', () => {
+  const mockStores = new Map();
+  const store = (name) => {
+    if (!mockStores.has(name)) mockStores.set(name, new Map());
+    return mockStores.get(name);
+  };
+  return {
+    isIndexedDbAvailable: () => true,
+    getFromStore: async (name, key) => store(name).get(key),
+    getAllFromStore: async (name) => [...store(name).values()],
+    putInStore: async (name, value) => { store(name).set(value.id, value); },
+    deleteFromStore: async (name, key) => { store(name).delete(key); },
+    resetMockStores: () => mockStores.clear()
+  };
+});
+
+const { resetMockStores } = jest.requireMock('./indexed-db.js');
+
+const PUBLIC_KEY = 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659';
+const ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+
+// A UTXO as the wallet's UTXO lookup (Kastle) reports it
+const walletUtxo = (txByte, index, amount) => ({
+  address: ADDRESS,
+  outpoint: { transactionId: txByte.repeat(32), index },
+  amount: BigInt(amount),
+  scriptPublicKey: `000020${PUBLIC_KEY}ac`,
+  blockDaaScore: BigInt(7),
+  isCoinbase: false
+});
+
+const INPUTS = [walletUtxo('11', 0, 300000000), walletUtxo('22', 1, 200000000)];
+const OTHER = walletUtxo('33', 0, 100000000);
+
+// Stubbed UTXO lookup: the wallet's current unspent outputs
+let walletUtxos = [];
+const lookupUtxos = async () => walletUtxos;
+
+const createSession = () => createMiningSession({
+  networkId: 'testnet-10',
+  utxos: INPUTS,
+  toAddress: ADDRESS,
+  amount: 100000000,
+  fee: 1000,
+  changeAddress: ADDRESS,
+  pattern: 'tz:20'
+});
+
+beforeEach(() => {
+  resetMockStores();
+  walletUtxos = [...INPUTS, OTHER];
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Mining sessions', () => {
+  test('save the pinned inputs and outputs and resume from the checkpoint', async () => {
+    const created = await createSession();
+    expect(created.success).toBe(true);
+    const { session } = created;
+    expect(session.status).toBe('active');
+    expect(session.pattern).toEqual({ type: 'trailingZeroBits', bits: 20 });
+    expect(session.utxos.map(utxo => [utxo.transactionId, utxo.index, utxo.amount])).toEqual([
+      ['11'.repeat(32), 0, BigInt(300000000)],
+      ['22'.repeat(32), 1, BigInt(200000000)]
+    ]);
+    expect(session.outputs).toEqual([{ address: ADDRESS, amount: 100000000 }]);
+
+    const firstRun = await checkpointMiningSession(session, {
+      nonceCursor: 5000,
+      attempts: 5000,
+      bestPattern: { zeroBits: 12, txId: 'ab'.repeat(32), attempts: 4100 }
+    });
+    expect(firstRun.success).toBe(true);
+
+    // After a reload: load, then a second run from the stored cursor
+    const resumed = (await loadMiningSession(session.id)).session;
+    expect(resumed.nonceCursor).toBe(5000);
+    expect(resumed.attempts).toBe(5000);
+    expect(resumed.bestPattern).toEqual({ zeroBits: 12, txId: 'ab'.repeat(32), attempts: 4100 });
+    expect(resumed.utxos).toEqual(session.utxos);
+
+    await checkpointMiningSession(resumed, { nonceCursor: 8000, attempts: 3000, bestPattern: { zeroBits: 9, txId: 'cd'.repeat(32), attempts: 10 } });
+    const secondRun = (await loadMiningSession(session.id)).session;
+    expect(secondRun.nonceCursor).toBe(8000);
+    expect(secondRun.attempts).toBe(8000);
+    // A worse run keeps the best pattern found so far
+    expect(secondRun.bestPattern.zeroBits).toBe(12);
+
+    const completed = await completeMiningSession(secondRun, { txId: '00'.repeat(32), nonce: 8123, attempts: 124 });
+    expect(completed.session).toMatchObject({ status: 'completed', attempts: 8124, winningNonce: 8123 });
+    expect((await listMiningSessions({ status: 'active' })).sessions).toEqual([]);
+    expect((await listMiningSessions({ status: 'completed' })).sessions.map(stored => stored.id)).toEqual([session.id]);
+  });
+
+  test('stay valid while every input is unspent', async () => {
+    const { session } = await createSession();
+    const validation = await validateMiningSessionUtxos(session, await lookupUtxos());
+    expect(validation).toMatchObject({ success: true, valid: true, spentOutpoints: [] });
+    expect((await loadMiningSession(session.id)).session.status).toBe('active');
+  });
+
+  test('are invalidated once an input is spent', async () => {
+    const { session } = await createSession();
+    walletUtxos = [INPUTS[0], OTHER];
+
+    const validation = await validateMiningSessionUtxos(session, await lookupUtxos());
+    expect(validation.success).toBe(true);
+    expect(validation.valid).toBe(false);
+    expect(validation.spentOutpoints).toEqual([`${'22'.repeat(32)}:1`]);
+    expect(validation.session.invalidatedReason).toBe('1 input UTXO(s) spent since the session was created');
+
+    const stored = (await loadMiningSession(session.id)).session;
+    expect(stored.status).toBe('invalidated');
+    expect((await listMiningSessions({ status: 'active' })).sessions).toEqual([]);
+  });
+
+  test('reject sessions that cannot be mined', async () => {
+    expect(await createMiningSession({ networkId: 'testnet-10', utxos: [], toAddress: ADDRESS, amount: 1, pattern: 8 }))
+      .toEqual({ success: false, error: 'A mining session needs at least one input UTXO' });
+    expect((await createMiningSession({ networkId: 'testnet-10', utxos: INPUTS, toAddress: ADDRESS, amount: 1.5, pattern: 8 })).error)
+      .toMatch(/positive integer amount/);
+    expect(await loadMiningSession('missing')).toEqual({ success: false, error: 'Mining session missing not found' });
+  });
+});
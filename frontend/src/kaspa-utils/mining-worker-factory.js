@@ -0,0 +1,13 @@
+// Kaspa Mining Worker Factory Module
+// The webpack worker entry point for mining-pool.js. It lives on its own because import.meta cannot be parsed by
+// the CommonJS test runner; tests of the pool replace this module with fake workers.
+
+/**
+ * Start a mining Web Worker running mining.worker.js
+ * @returns {Worker} New worker, waiting for a 'start' message
+ */
+export function createMiningWorker() {
+  return new Worker(new URL('./mining.worker.js', import.meta.url));
+}
+
+console.log('📦 Kaspa Mining Worker Factory module loaded successfully (mining-worker-factory.js)');
@@ -0,0 +1,121 @@
+// Kaspa Pattern Mining Web Worker
+// Mines a strided slice of the nonce space for mining-pool.js. Each worker loads its own kaspa-wasm instance.
+
+/* eslint-disable no-restricted-globals */
+
+import {
+  createEnvelopeAttempt,
+  createWasmAttemptRunner,
+  createAttemptFailureTracker
+} from './mining-core.js';
+import { compilePatternSpec } from './pattern-spec.js';
+
+let stopRequested = false;
+let kaspaWasmInstance = null;
+
+/**
+ * Load a worker-local kaspa-wasm instance
+ * Mirrors the main-thread loading in sdk-init.js (module import + default() init with the .wasm path)
+ * @param {string} wasmBaseUrl - Base URL of the kaspa-wasm files (default: /kaspa-wasm)
+ * @returns {Promise<Object>} Initialised kaspa-wasm module
+ */
+async function loadKaspaWasm(wasmBaseUrl = '/kaspa-wasm') {
+  if (kaspaWasmInstance) return kaspaWasmInstance;
+
+  const kaspaModule = await import(/* webpackIgnore: true */ `${wasmBaseUrl}/kaspa.js`);
+  await kaspaModule.default(`${wasmBaseUrl}/kaspa_bg.wasm`);
+  kaspaWasmInstance = kaspaModule;
+  return kaspaWasmInstance;
+}
+
+/**
+ * Mine this worker's slice of the nonce space: startNonce + workerIndex, then every workerCount-th nonce
+ * @param {Object} task - Task posted by mining-pool.js
+ */
+async function mine(task) {
+  const {
+    workerIndex,
+    workerCount,
+    job,
+    zeroBits,
+    startNonce = 0,
+    maxIterations,
+    progressIntervalMs = 500,
+    batchSize = 250
+  } = task;
+
+  const matcher = compilePatternSpec(zeroBits);
+  const kaspaWasm = job.kind === 'wasm-transaction' ? await loadKaspaWasm(job.wasmBaseUrl) : null;
+  const runner = kaspaWasm ? await createWasmAttemptRunner(kaspaWasm, job, { startNonce: startNonce + workerIndex }) : null;
+  self.postMessage({ type: 'ready', workerIndex, fastTxId: Boolean(runner?.fastTxId) });
+
+  const endNonce = startNonce + maxIterations;
+  let nonce = startNonce + workerIndex;
+  let attempts = 0;
+  let bestPattern = { zeroBits: 0, txId: '', attempts: 0, nonce: null };
+  let lastProgressTime = Date.now();
+  const failures = createAttemptFailureTracker();
+
+  while (nonce < endNonce && !stopRequested) {
+    for (let batchIndex = 0; batchIndex < batchSize && nonce < endNonce; batchIndex++) {
+      attempts++;
+
+      let txId;
+      try {
+        txId = runner
+          ? await runner.computeTxId(nonce)
+          : createEnvelopeAttempt(job, nonce).txId;
+      } catch (attemptError) {
+        const failure = failures.fail(attemptError, nonce);
+        if (failure) {
+          self.postMessage({ type: 'attemptFailed', workerIndex, nonce, error: failure, attempts, bestPattern });
+          return;
+        }
+        nonce += workerCount;
+        continue;
+      }
+      failures.succeed();
+
+      const currentZeroBits = matcher.score(txId);
+      if (currentZeroBits > bestPattern.zeroBits) {
+        bestPattern = { zeroBits: currentZeroBits, txId, attempts, nonce };
+      }
+
+      if (matcher.test(txId)) {
+        self.postMessage({ type: 'found', workerIndex, nonce, txId, attempts, bestPattern });
+        return;
+      }
+
+      nonce += workerCount;
+    }
+
+    const now = Date.now();
+    if (now - lastProgressTime >= progressIntervalMs) {
+      self.postMessage({ type: 'progress', workerIndex, attempts, bestPattern });
+      lastProgressTime = now;
+    }
+
+    // Yield so 'stop' messages from the pool can be delivered between batches
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  self.postMessage({ type: stopRequested ? 'stopped' : 'exhausted', workerIndex, attempts, bestPattern });
+}
+
+self.onmessage = async (event) => {
+  const message = event.data || {};
+
+  if (message.type === 'stop') {
+    stopRequested = true;
+    return;
+  }
+
+  if (message.type === 'start') {
+    stopRequested = false;
+    try {
+      await mine(message);
+    } catch (error) {
+      self.postMessage({ type: 'error', workerIndex: message.workerIndex, error: error.message });
+    }
+  }
+};
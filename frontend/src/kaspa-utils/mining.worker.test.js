@@ -0,0 +1,53 @@
+import './mining.worker.js';
+import { createEnvelopeAttempt } from './mining-core.js';
+
+jest.mock('./mining-core.js', () => ({
+  ...jest.requireActual('./mining-core.js'),
+  createEnvelopeAttempt: jest.fn()
+}));
+
+const MATCH = `${'ab'.repeat(31)}00`;
+const MISS = 'ab'.repeat(32);
+
+// Under jsdom the test global is the worker scope the module assigned onmessage to
+const runWorker = (task) => global.onmessage({
+  data: { type: 'start', job: { kind: 'envelope' }, zeroBits: { type: 'trailingZeroBits', bits: 8 }, ...task }
+});
+const triedNonces = () => createEnvelopeAttempt.mock.calls.map(([, nonce]) => nonce);
+const lastMessage = () => global.postMessage.mock.calls[global.postMessage.mock.calls.length - 1][0];
+
+beforeEach(() => {
+  createEnvelopeAttempt.mockReset();
+  global.postMessage = jest.fn();
+});
+
+describe('Mining worker', () => {
+  test('tries every workerCount-th nonce from startNonce + workerIndex', async () => {
+    createEnvelopeAttempt.mockReturnValue({ txId: MISS });
+    await runWorker({ workerIndex: 1, workerCount: 3, startNonce: 10, maxIterations: 12 });
+
+    expect(triedNonces()).toEqual([11, 14, 17, 20]);
+    expect(global.postMessage.mock.calls[0][0]).toEqual({ type: 'ready', workerIndex: 1, fastTxId: false });
+    expect(lastMessage()).toMatchObject({ type: 'exhausted', workerIndex: 1, attempts: 4 });
+  });
+
+  test('reports the first match and stops', async () => {
+    createEnvelopeAttempt.mockImplementation((job, nonce) => ({ txId: nonce === 14 ? MATCH : MISS }));
+    await runWorker({ workerIndex: 0, workerCount: 2, startNonce: 10, maxIterations: 100 });
+
+    expect(triedNonces()).toEqual([10, 12, 14]);
+    expect(lastMessage()).toMatchObject({ type: 'found', workerIndex: 0, nonce: 14, txId: MATCH, attempts: 3 });
+  });
+
+  test('reports a transaction that cannot be built instead of mining on', async () => {
+    createEnvelopeAttempt.mockImplementation(() => {
+      throw new Error('Insufficient funds');
+    });
+    await runWorker({ workerIndex: 2, workerCount: 4, startNonce: 0, maxIterations: 1000 });
+
+    expect(triedNonces()).toEqual([2]);
+    expect(lastMessage()).toMatchObject({
+      type: 'attemptFailed', workerIndex: 2, nonce: 2, attempts: 1, error: 'Could not build a transaction at nonce 2: Insufficient funds'
+    });
+  });
+});
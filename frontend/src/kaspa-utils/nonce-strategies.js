@@ -0,0 +1,149 @@
+// Kaspa Nonce Strategy Module
+// Decides where the mining nonce goes in a real transaction built by createWasmTransactionAttempt().
+// Strategies are referenced by name so mining jobs stay structured-cloneable for the Web Worker pool.
+//
+//   payload       - nonce as a u64 (little-endian) in the transaction payload, after an optional prefix (default)
+//   sequence      - nonce as the first input's sequence number
+//   lockTime      - nonce as the transaction lockTime (DAA score; requires maxLockTime, at most the current virtual DAA score)
+//   changeAmount  - nonce sompi taken from the change output as extra fee (bounded, costs up to maxChangeVariation)
+//   outputAmount  - legacy: recipient amount + nonce (0-999); changes what the recipient receives
+//
+// job.payload (hex, e.g. an embedded envelope) is written into the transaction payload by every strategy; the
+// payload strategy appends its nonce after it, so the nonce is always the last 8 payload bytes.
+
+const U64_BYTES = 8;
+
+/**
+ * Encode a nonce as an 8-byte little-endian hex string
+ * @param {number} nonce - Non-negative safe integer
+ * @returns {string} 16 hex characters
+ */
+export function encodeNonceU64(nonce) {
+  const words = [nonce % 0x100000000, Math.floor(nonce / 0x100000000)];
+  let hex = '';
+  for (let i = 0; i < U64_BYTES; i++) {
+    const word = words[i >> 2];
+    hex += ((word >>> ((i % 4) * 8)) & 0xff).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Validate an optional hex payload prefix
+ * @param {string} prefix - Hex prefix (may be empty)
+ * @returns {string} Clean lowercase hex
+ */
+function cleanPayloadPrefix(prefix = '') {
+  const clean = (prefix.startsWith('0x') ? prefix.slice(2) : prefix).toLowerCase();
+  if (clean.length % 2 !== 0 || !/^[0-9a-f]*$/.test(clean)) {
+    throw new Error('payloadPrefix must be an even-length hex string');
+  }
+  return clean;
+}
+
+/**
+ * Read the lockTime strategy's bound, which keeps every nonce below the virtual DAA score
+ * @param {Object} options - Strategy options
+ * @returns {number} maxLockTime (throws when it is missing or invalid)
+ */
+function requireMaxLockTime(options) {
+  const { maxLockTime } = options;
+  if (maxLockTime === undefined || maxLockTime === null) {
+    throw new Error('The lockTime nonce strategy requires nonceOptions.maxLockTime (e.g. the current virtual DAA score); a lockTime at or above the virtual DAA score makes the transaction non-final');
+  }
+  if (!Number.isSafeInteger(maxLockTime) || maxLockTime < 1) {
+    throw new Error('maxLockTime must be a positive safe integer');
+  }
+  return maxLockTime;
+}
+
+const STRATEGIES = {
+  payload: {
+    name: 'payload',
+    description: 'Nonce in the transaction payload (recipient amount exact)',
+    nonceSpace: () => Number.MAX_SAFE_INTEGER,
+    settings: (job, nonce, options) => ({
+      amount: job.amount,
+      fee: job.fee,
+      payload: (job.payload || '') + cleanPayloadPrefix(options.payloadPrefix) + encodeNonceU64(nonce)
+    })
+  },
+  sequence: {
+    name: 'sequence',
+    description: 'Nonce in the first input sequence number (recipient amount exact)',
+    nonceSpace: () => Number.MAX_SAFE_INTEGER,
+    settings: (job) => ({ amount: job.amount, fee: job.fee }),
+    mutate: (transaction, nonce) => {
+      const inputs = transaction.inputs;
+      inputs[0].sequence = BigInt(nonce);
+      transaction.inputs = inputs;
+    }
+  },
+  lockTime: {
+    name: 'lockTime',
+    description: 'Nonce as the transaction lockTime (recipient amount exact)',
+    // A lockTime at or above the virtual DAA score makes the transaction non-final, so nonces stay below maxLockTime
+    nonceSpace: (options) => requireMaxLockTime(options),
+    settings: (job) => ({ amount: job.amount, fee: job.fee }),
+    mutate: (transaction, nonce) => {
+      transaction.lockTime = BigInt(nonce);
+    }
+  },
+  changeAmount: {
+    name: 'changeAmount',
+    description: 'Nonce sompi moved from change to fee (recipient amount exact)',
+    nonceSpace: (options) => (options.maxChangeVariation ?? 100000) + 1,
+    settings: (job, nonce) => ({ amount: job.amount, fee: job.fee + nonce })
+  },
+  outputAmount: {
+    name: 'outputAmount',
+    description: 'Legacy: recipient amount + nonce (0-999) sompi',
+    nonceSpace: () => 1000,
+    settings: (job, nonce) => ({ amount: job.amount + nonce, fee: job.fee })
+  }
+};
+
+export const NONCE_STRATEGY_NAMES = Object.keys(STRATEGIES);
+export const DEFAULT_NONCE_STRATEGY = 'payload';
+
+/**
+ * Look up a nonce strategy by name
+ * @param {string} name - Strategy name (default: 'payload')
+ * @returns {Object} Strategy definition (throws for unknown names)
+ */
+export function getNonceStrategy(name = DEFAULT_NONCE_STRATEGY) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown nonce strategy "${name}". Expected one of: ${NONCE_STRATEGY_NAMES.join(', ')}`);
+  }
+  return strategy;
+}
+
+/**
+ * Number of distinct nonces a strategy can produce
+ * @param {string} name - Strategy name
+ * @param {Object} options - Strategy options (maxLockTime, maxChangeVariation)
+ * @returns {number} Size of the nonce space
+ */
+export function getNonceSpaceSize(name, options = {}) {
+  return getNonceStrategy(name).nonceSpace(options);
+}
+
+/**
+ * Compute the createTransactions() inputs for one nonce
+ * @param {Object} job - Mining job ({ amount, fee, nonceStrategy, nonceOptions, payload? })
+ * @param {number} nonce - Nonce to apply
+ * @returns {Object} { amount, fee, payload? } in sompi, plus the strategy for post-build mutation
+ */
+export function applyNonceStrategy(job, nonce) {
+  const strategy = getNonceStrategy(job.nonceStrategy);
+  const options = job.nonceOptions || {};
+  if (!Number.isSafeInteger(nonce) || nonce < 0 || nonce >= strategy.nonceSpace(options)) {
+    throw new Error(`Nonce ${nonce} is outside the ${strategy.name} nonce space`);
+  }
+  const settings = strategy.settings(job, nonce, options);
+  if (settings.payload === undefined && job.payload) settings.payload = job.payload;
+  return { ...settings, strategy };
+}
+
+console.log('📦 Kaspa Nonce Strategy module loaded successfully (nonce-strategies.js)');
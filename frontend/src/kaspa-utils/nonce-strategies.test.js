@@ -0,0 +1,68 @@
+import { applyNonceStrategy, getNonceSpaceSize, getNonceStrategy, encodeNonceU64, NONCE_STRATEGY_NAMES } from './nonce-strategies.js';
+
+const JOB = { amount: 100000000, fee: 1000 };
+const ENVELOPE = 'cafe';
+
+const settingsOf = (nonceStrategy, nonce, nonceOptions = {}, job = JOB) => {
+  const { strategy, ...settings } = applyNonceStrategy({ ...job, nonceStrategy, nonceOptions }, nonce);
+  expect(strategy.name).toBe(nonceStrategy);
+  return settings;
+};
+
+describe('Nonce strategies', () => {
+  test('encode the payload nonce as a little-endian u64', () => {
+    expect(encodeNonceU64(0)).toBe('0000000000000000');
+    expect(encodeNonceU64(0x0102)).toBe('0201000000000000');
+    expect(encodeNonceU64(4294967301)).toBe('0500000001000000');
+    expect(encodeNonceU64(Number.MAX_SAFE_INTEGER)).toBe('ffffffffffff1f00');
+  });
+
+  test('payload puts the nonce after the envelope and prefix', () => {
+    expect(settingsOf('payload', 5)).toEqual({ ...JOB, payload: '0500000000000000' });
+    expect(settingsOf('payload', 5, { payloadPrefix: '0xAB' }, { ...JOB, payload: ENVELOPE }))
+      .toEqual({ ...JOB, payload: 'cafeab0500000000000000' });
+    expect(() => settingsOf('payload', 5, { payloadPrefix: 'abc' })).toThrow(/even-length hex/);
+  });
+
+  test('sequence and lockTime keep the amounts and write the nonce after the build', () => {
+    expect(settingsOf('sequence', 7, {}, { ...JOB, payload: ENVELOPE })).toEqual({ ...JOB, payload: ENVELOPE });
+    expect(settingsOf('lockTime', 7, { maxLockTime: 1000 })).toEqual(JOB);
+
+    const transaction = { inputs: [{ sequence: BigInt(0) }, { sequence: BigInt(0) }], lockTime: BigInt(0) };
+    getNonceStrategy('sequence').mutate(transaction, 123);
+    getNonceStrategy('lockTime').mutate(transaction, 456);
+    expect(transaction).toEqual({ inputs: [{ sequence: BigInt(123) }, { sequence: BigInt(0) }], lockTime: BigInt(456) });
+  });
+
+  test('changeAmount raises the fee and outputAmount the amount', () => {
+    expect(settingsOf('changeAmount', 250)).toEqual({ amount: JOB.amount, fee: JOB.fee + 250 });
+    expect(settingsOf('outputAmount', 250)).toEqual({ amount: JOB.amount + 250, fee: JOB.fee });
+    expect(getNonceStrategy('changeAmount').mutate).toBeUndefined();
+  });
+
+  test('nonce space sizes', () => {
+    expect(getNonceSpaceSize('payload')).toBe(Number.MAX_SAFE_INTEGER);
+    expect(getNonceSpaceSize('sequence')).toBe(Number.MAX_SAFE_INTEGER);
+    expect(getNonceSpaceSize('lockTime', { maxLockTime: 86400000 })).toBe(86400000);
+    expect(getNonceSpaceSize('changeAmount')).toBe(100001);
+    expect(getNonceSpaceSize('changeAmount', { maxChangeVariation: 10 })).toBe(11);
+    expect(getNonceSpaceSize('outputAmount')).toBe(1000);
+
+    expect(() => applyNonceStrategy({ ...JOB, nonceStrategy: 'outputAmount' }, 1000)).toThrow('Nonce 1000 is outside the outputAmount nonce space');
+    expect(() => applyNonceStrategy({ ...JOB, nonceStrategy: 'lockTime', nonceOptions: { maxLockTime: 10 } }, 10)).toThrow(/outside the lockTime nonce space/);
+    expect(() => applyNonceStrategy({ ...JOB, nonceStrategy: 'payload' }, -1)).toThrow(/outside the payload nonce space/);
+  });
+
+  test('lockTime needs a valid maxLockTime', () => {
+    expect(() => getNonceSpaceSize('lockTime')).toThrow(/requires nonceOptions.maxLockTime/);
+    expect(() => settingsOf('lockTime', 0)).toThrow(/requires nonceOptions.maxLockTime/);
+    [0, -5, 1.5, '1000', Number.MAX_SAFE_INTEGER + 1].forEach(maxLockTime => {
+      expect(() => getNonceSpaceSize('lockTime', { maxLockTime })).toThrow('maxLockTime must be a positive safe integer');
+    });
+  });
+
+  test('reject unknown strategies', () => {
+    expect(NONCE_STRATEGY_NAMES).toEqual(['payload', 'sequence', 'lockTime', 'changeAmount', 'outputAmount']);
+    expect(() => getNonceStrategy('witness')).toThrow('Unknown nonce strategy "witness". Expected one of: payload, sequence, lockTime, changeAmount, outputAmount');
+  });
+});
@@ -0,0 +1,182 @@
+// Kaspa Pattern Difficulty Estimator Module
+// Turns a pattern spec and a measured hashrate into expected attempts, time-to-find percentiles and the chance of
+// success within maxIterations. Every attempt is an independent trial, so attempts-to-find is geometric:
+// P(found within n attempts) = 1 - (1 - p)^n.
+
+import { getPatternDifficulty } from './pattern-spec.js';
+import { createWasmAttemptRunner } from './mining-core.js';
+import { DEFAULT_NONCE_STRATEGY } from './nonce-strategies.js';
+
+export const ESTIMATE_PERCENTILES = [0.5, 0.9, 0.99];
+const HASHRATE_SLICE_MS = 50;
+
+/**
+ * Attempts needed to find a match with the given confidence
+ * @param {number} probability - Per-attempt match probability (0-1]
+ * @param {number} confidence - Desired probability of having found a match (0-1)
+ * @returns {number} Attempts (rounded up), or Infinity for impossible patterns
+ */
+export function getAttemptsForConfidence(probability, confidence) {
+  if (!(probability > 0)) return Infinity;
+  if (probability >= 1) return 1;
+  return Math.ceil(Math.log1p(-confidence) / Math.log1p(-probability));
+}
+
+/**
+ * Probability of finding a match within a number of attempts
+ * @param {number} probability - Per-attempt match probability (0-1]
+ * @param {number} attempts - Number of attempts
+ * @returns {number} Success probability (0-1)
+ */
+export function getSuccessProbability(probability, attempts) {
+  if (!(probability > 0) || !(attempts > 0)) return 0;
+  if (probability >= 1) return 1;
+  return -Math.expm1(attempts * Math.log1p(-probability));
+}
+
+/**
+ * Estimate the cost of mining a pattern
+ * @param {number|string|Object} pattern - Trailing zero bits or pattern spec (see pattern-spec.js)
+ * @param {Object} options - Estimate options
+ * @param {number} options.hashrate - Measured attempts per second for the selected mining strategy (optional; times are null without it)
+ * @param {number} options.maxIterations - Attempt budget of the search (optional)
+ * @returns {Object} { description, bits, probability, expectedAttempts, expectedSeconds, percentiles, maxIterations, successProbability, maxIterationsSeconds }
+ */
+export function estimatePatternSearch(pattern, options = {}) {
+  const { hashrate = null, maxIterations = null } = options;
+  const difficulty = getPatternDifficulty(pattern);
+  const hasHashrate = Number.isFinite(hashrate) && hashrate > 0;
+  const toSeconds = (attempts) => (hasHashrate && Number.isFinite(attempts) ? attempts / hashrate : null);
+
+  return {
+    description: difficulty.description,
+    bits: difficulty.bits,
+    probability: difficulty.probability,
+    hashrate: hasHashrate ? hashrate : null,
+    expectedAttempts: difficulty.expectedAttempts,
+    expectedSeconds: toSeconds(difficulty.expectedAttempts),
+    percentiles: ESTIMATE_PERCENTILES.map(confidence => {
+      const attempts = getAttemptsForConfidence(difficulty.probability, confidence);
+      return { confidence, attempts, seconds: toSeconds(attempts) };
+    }),
+    maxIterations,
+    successProbability: maxIterations ? getSuccessProbability(difficulty.probability, maxIterations) : null,
+    maxIterationsSeconds: maxIterations ? toSeconds(maxIterations) : null
+  };
+}
+
+/**
+ * Format an estimated duration for display
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string} Human-readable duration ("—" when unknown)
+ */
+export function formatEstimateDuration(seconds) {
+  if (seconds === null || seconds === undefined || Number.isNaN(seconds)) return '—';
+  if (!Number.isFinite(seconds)) return '∞';
+  if (seconds < 1) return `${Math.max(1, Math.round(seconds * 1000))} ms`;
+  if (seconds < 120) return `${seconds.toFixed(1)} s`;
+  if (seconds < 7200) return `${(seconds / 60).toFixed(1)} min`;
+  if (seconds < 172800) return `${(seconds / 3600).toFixed(1)} h`;
+  return `${(seconds / 86400).toFixed(1)} days`;
+}
+
+/**
+ * Measure the attempt rate of buildPatternTransactionWithWasmSdk for a nonce strategy
+ * Mines against a synthetic UTXO paying to `address`, so no wallet funds are needed. The worker pool rate is
+ * extrapolated from one thread assuming near-linear scaling across workers.
+ * @param {Object} options - Benchmark options
+ * @param {string} options.address - Any address on the target network (used as source, recipient and change)
+ * @param {string} options.networkId - Network ID (default: "testnet-10")
+ * @param {string} options.nonceStrategy - Nonce strategy to measure (default: 'payload')
+ * @param {Object} options.nonceOptions - Nonce strategy options (optional)
+ * @param {number} options.amount - Amount in sompi (default: 100000000)
+ * @param {number} options.fee - Priority fee in sompi (default: 1000)
+ * @param {boolean} options.fastTxId - Allow the local TxID fast path (default: true)
+ * @param {number} options.workerCount - Worker pool size to extrapolate to (default: 1)
+ * @param {number} options.durationMs - How long to mine (default: 1000)
+ * @param {Object} options.kaspaWasm - kaspa-wasm module (default: the instance loaded by sdk-init.js)
+ * @returns {Promise<Object>} { success, hashrate, threadHashrate, attempts, durationMs, fastTxId, nonceStrategy } or { success: false, error }
+ */
+export async function measureMiningHashrate(options = {}) {
+  try {
+    const {
+      address,
+      networkId = 'testnet-10',
+      nonceStrategy = DEFAULT_NONCE_STRATEGY,
+      nonceOptions = {},
+      amount = 100000000,
+      fee = 1000,
+      fastTxId = true,
+      workerCount = 1,
+      durationMs = 1000
+    } = options;
+
+    let { kaspaWasm } = options;
+    if (!kaspaWasm) {
+      const { getKaspaWasmModule } = await import('./sdk-init.js');
+      kaspaWasm = getKaspaWasmModule();
+    }
+    if (!kaspaWasm) throw new Error('WASM SDK not properly initialized');
+    if (!address) throw new Error('An address is required to build benchmark transactions');
+
+    // Large enough to cover the amount, fee and any changeAmount nonce
+    const syntheticAmount = BigInt(amount + fee + 100000000);
+    const job = {
+      kind: 'wasm-transaction',
+      entries: [{
+        address,
+        amount: syntheticAmount,
+        outpoint: { transactionId: 'be'.repeat(32), index: 0 },
+        utxoEntry: {
+          amount: syntheticAmount,
+          scriptPublicKey: kaspaWasm.payToAddressScript(address),
+          blockDaaScore: BigInt(0),
+          isCoinbase: false
+        }
+      }],
+      toAddress: address,
+      changeAddress: address,
+      amount,
+      fee,
+      networkId,
+      nonceStrategy,
+      // Benchmark transactions are never broadcast, so any lockTime will do
+      nonceOptions: nonceStrategy === 'lockTime' ? { maxLockTime: Number.MAX_SAFE_INTEGER, ...nonceOptions } : nonceOptions,
+      fastTxId
+    };
+
+    const runner = await createWasmAttemptRunner(kaspaWasm, job);
+    let attempts = 0;
+    let nonce = 0;
+    let elapsed = 0;
+    while (elapsed < durationMs) {
+      // The fast path never yields, so mine in short slices and let the UI run in between; only mining time counts
+      const sliceStart = Date.now();
+      do {
+        for (let i = 0; i < 64; i++) {
+          await runner.computeTxId(nonce++);
+          attempts++;
+        }
+      } while (Date.now() - sliceStart < HASHRATE_SLICE_MS);
+      elapsed += Date.now() - sliceStart;
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    const threadHashrate = (attempts / elapsed) * 1000;
+
+    console.log(`⏱️ ${nonceStrategy} nonce strategy: ${Math.round(threadHashrate).toLocaleString()} attempts/sec per thread${runner.fastTxId ? ' (local TxID fast path)' : ''} (from pattern-estimator.js)`);
+    return {
+      success: true,
+      hashrate: threadHashrate * Math.max(1, workerCount),
+      threadHashrate,
+      attempts,
+      durationMs: elapsed,
+      fastTxId: runner.fastTxId,
+      nonceStrategy
+    };
+  } catch (error) {
+    console.error('❌ Failed to measure mining hashrate (from pattern-estimator.js):', error);
+    return { success: false, error: error.message };
+  }
+}
+
+console.log('📦 Kaspa Pattern Estimator module loaded successfully (pattern-estimator.js)');
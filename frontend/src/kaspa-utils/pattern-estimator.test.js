@@ -0,0 +1,56 @@
+import { getAttemptsForConfidence, getSuccessProbability, estimatePatternSearch, formatEstimateDuration } from './pattern-estimator.js';
+
+const P10 = 1 / 1024; // 10 trailing zero bits
+
+describe('Pattern search estimates', () => {
+  test('attempts for a confidence are the smallest count reaching it', () => {
+    expect(getAttemptsForConfidence(P10, 0.5)).toBe(710);
+    expect(getAttemptsForConfidence(P10, 0.9)).toBe(2357);
+    expect(getAttemptsForConfidence(P10, 0.99)).toBe(4714);
+    expect(getSuccessProbability(P10, 2357)).toBeGreaterThanOrEqual(0.9);
+    expect(getSuccessProbability(P10, 2356)).toBeLessThan(0.9);
+
+    expect(getAttemptsForConfidence(1, 0.99)).toBe(1);
+    expect(getAttemptsForConfidence(0, 0.5)).toBe(Infinity);
+  });
+
+  test('success probability is geometric', () => {
+    // 1 - 1/e after the expected number of attempts
+    expect(getSuccessProbability(P10, 1024)).toBeCloseTo(0.6323, 4);
+    expect(getSuccessProbability(P10, 2048)).toBeCloseTo(0.8648, 4);
+    expect(getSuccessProbability(1, 1)).toBe(1);
+    expect(getSuccessProbability(P10, 0)).toBe(0);
+    expect(getSuccessProbability(0, 1000)).toBe(0);
+    // Stays accurate for very hard patterns, where 1 - (1 - p)^n would round to 0
+    expect(getSuccessProbability(Math.pow(2, -60), 1000)).toBeCloseTo(1000 * Math.pow(2, -60), 30);
+  });
+
+  test('estimates attempts and times for a pattern', () => {
+    const estimate = estimatePatternSearch('tz:10', { hashrate: 1024, maxIterations: 2048 });
+    expect(estimate.description).toBe('10 trailing zero bits');
+    expect(estimate.bits).toBe(10);
+    expect(estimate.expectedAttempts).toBe(1024);
+    expect(estimate.expectedSeconds).toBe(1);
+    expect(estimate.percentiles.map(p => [p.confidence, p.attempts])).toEqual([[0.5, 710], [0.9, 2357], [0.99, 4714]]);
+    expect(estimate.percentiles[0].seconds).toBeCloseTo(710 / 1024, 10);
+    expect(estimate.successProbability).toBeCloseTo(0.8648, 4);
+    expect(estimate.maxIterationsSeconds).toBe(2);
+
+    const noHashrate = estimatePatternSearch('prefix:cafe');
+    expect(noHashrate.expectedAttempts).toBe(65536);
+    expect(noHashrate.hashrate).toBeNull();
+    expect(noHashrate.expectedSeconds).toBeNull();
+    expect(noHashrate.percentiles.every(p => p.seconds === null)).toBe(true);
+    expect(noHashrate.successProbability).toBeNull();
+  });
+
+  test('formats durations', () => {
+    expect(formatEstimateDuration(null)).toBe('—');
+    expect(formatEstimateDuration(Infinity)).toBe('∞');
+    expect(formatEstimateDuration(0.0001)).toBe('1 ms');
+    expect(formatEstimateDuration(90)).toBe('90.0 s');
+    expect(formatEstimateDuration(600)).toBe('10.0 min');
+    expect(formatEstimateDuration(36000)).toBe('10.0 h');
+    expect(formatEstimateDuration(864000)).toBe('10.0 days');
+  });
+});
@@ -0,0 +1,411 @@
+// Kaspa TxID Pattern Spec Module
+// Describes which TxIDs count as a "pattern" match, beyond plain trailing zero bits.
+// Pure (no SDK imports) so it can be shared by the main thread, the mining workers and the CLI.
+//
+// A spec is either an object or a string shorthand:
+//   { type: 'trailingZeroBits', bits: 10 }            '10' or 'tz:10'
+//   { type: 'leadingZeroBits', bits: 8 }              'lz:8'
+//   { type: 'prefix', hex: 'cafe' }                   'prefix:cafe'
+//   { type: 'suffix', hex: 'cafe' }                   'suffix:cafe'
+//   { type: 'mask', mask: 'f0ff', value: 'a0ee' }     'mask:f0ff=a0ee' (aligned to the end of the TxID, '@start' to align to the start)
+//   { type: 'run', length: 4, nibble: 'a', position } 'run:4', 'run:4:a', 'run:4:a@end' (position: 'start' | 'end' | 'anywhere')
+//   { type: 'all', patterns: [...] }                  'lz:4&suffix:cafe'
+// A bare number is the legacy form and means trailing zero bits.
+
+const TXID_HEX_LENGTH = 64;
+const TXID_BITS = TXID_HEX_LENGTH * 4;
+const HEX_PATTERN = /^[0-9a-f]+$/;
+const RUN_POSITIONS = ['start', 'end', 'anywhere'];
+
+/**
+ * Normalise a hex string: lowercase, strip 0x, validate
+ * @param {string} hex - Hex string
+ * @param {string} label - Field name used in error messages
+ * @returns {string} Clean lowercase hex
+ */
+function cleanHex(hex, label) {
+  if (typeof hex !== 'string') throw new Error(`Pattern spec ${label} must be a hex string`);
+  const clean = (hex.startsWith('0x') ? hex.slice(2) : hex).toLowerCase();
+  if (!clean || !HEX_PATTERN.test(clean)) throw new Error(`Pattern spec ${label} must be non-empty hexadecimal`);
+  if (clean.length > TXID_HEX_LENGTH) throw new Error(`Pattern spec ${label} is longer than a TxID (${TXID_HEX_LENGTH} hex chars)`);
+  return clean;
+}
+
+/**
+ * Validate a bit count for the zero-bit pattern types
+ * @param {number} bits - Bit count
+ * @returns {number} The validated bit count
+ */
+function checkBits(bits) {
+  if (!Number.isInteger(bits) || bits < 1 || bits > TXID_BITS) {
+    throw new Error(`Pattern spec bits must be an integer between 1-${TXID_BITS}`);
+  }
+  return bits;
+}
+
+/**
+ * Count set bits in a nibble-aligned hex mask
+ * @param {string} hex - Hex string
+ * @returns {number} Number of set bits
+ */
+function popcountHex(hex) {
+  let count = 0;
+  for (const char of hex) {
+    let value = parseInt(char, 16);
+    while (value) {
+      count += value & 1;
+      value >>= 1;
+    }
+  }
+  return count;
+}
+
+/**
+ * Parse the string shorthand of a single (non-combined) pattern
+ * @param {string} text - Shorthand such as 'tz:10' or 'suffix:cafe'
+ * @returns {Object} Object spec
+ */
+function parseShorthand(text) {
+  const trimmed = text.trim();
+  if (/^\d+$/.test(trimmed)) return { type: 'trailingZeroBits', bits: parseInt(trimmed, 10) };
+
+  const separator = trimmed.indexOf(':');
+  if (separator === -1) throw new Error(`Unknown pattern shorthand: "${trimmed}"`);
+  const kind = trimmed.slice(0, separator).toLowerCase();
+  const argument = trimmed.slice(separator + 1);
+
+  switch (kind) {
+    case 'tz':
+      return { type: 'trailingZeroBits', bits: Number(argument) };
+    case 'lz':
+      return { type: 'leadingZeroBits', bits: Number(argument) };
+    case 'prefix':
+      return { type: 'prefix', hex: argument };
+    case 'suffix':
+      return { type: 'suffix', hex: argument };
+    case 'mask': {
+      const [pair, align = 'end'] = argument.split('@');
+      const [mask, value] = pair.split('=');
+      if (value === undefined) throw new Error(`Mask shorthand must be "mask:<mask>=<value>", got "${trimmed}"`);
+      return { type: 'mask', mask, value, align };
+    }
+    case 'run': {
+      const [body, position = 'anywhere'] = argument.split('@');
+      const [length, nibble] = body.split(':');
+      return { type: 'run', length: Number(length), ...(nibble ? { nibble } : {}), position };
+    }
+    default:
+      throw new Error(`Unknown pattern shorthand: "${trimmed}"`);
+  }
+}
+
+/**
+ * Parse and validate a pattern spec into its canonical object form
+ * @param {number|string|Object} input - Trailing zero bit count, string shorthand, or object spec
+ * @returns {Object} Canonical spec (throws on invalid input)
+ */
+export function parsePatternSpec(input) {
+  if (typeof input === 'number') return parsePatternSpec({ type: 'trailingZeroBits', bits: input });
+
+  if (typeof input === 'string') {
+    const parts = input.split('&').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) throw new Error('Pattern spec string is empty');
+    if (parts.length === 1) return parsePatternSpec(parseShorthand(parts[0]));
+    return parsePatternSpec({ type: 'all', patterns: parts.map(parseShorthand) });
+  }
+
+  if (!input || typeof input !== 'object') throw new Error('Pattern spec must be a number, string or object');
+
+  switch (input.type) {
+    case 'trailingZeroBits':
+    case 'leadingZeroBits':
+      return { type: input.type, bits: checkBits(input.bits) };
+
+    case 'prefix':
+    case 'suffix':
+      return { type: input.type, hex: cleanHex(input.hex, `${input.type} hex`) };
+
+    case 'mask': {
+      const mask = cleanHex(input.mask, 'mask');
+      const value = cleanHex(input.value, 'mask value');
+      const align = input.align || 'end';
+      if (mask.length !== value.length) throw new Error('Pattern spec mask and value must be the same length');
+      if (align !== 'start' && align !== 'end') throw new Error('Pattern spec mask align must be "start" or "end"');
+      for (let i = 0; i < mask.length; i++) {
+        if ((parseInt(value[i], 16) & ~parseInt(mask[i], 16)) !== 0) {
+          throw new Error('Pattern spec mask value has bits set outside the mask');
+        }
+      }
+      if (popcountHex(mask) === 0) throw new Error('Pattern spec mask must select at least one bit');
+      return { type: 'mask', mask, value, align };
+    }
+
+    case 'run': {
+      const { length, nibble, position = 'anywhere' } = input;
+      if (!Number.isInteger(length) || length < 2 || length > TXID_HEX_LENGTH) {
+        throw new Error(`Pattern spec run length must be an integer between 2-${TXID_HEX_LENGTH}`);
+      }
+      if (!RUN_POSITIONS.includes(position)) throw new Error(`Pattern spec run position must be one of ${RUN_POSITIONS.join(', ')}`);
+      const spec = { type: 'run', length, position };
+      if (nibble !== undefined && nibble !== null) {
+        const cleanNibble = cleanHex(String(nibble), 'run nibble');
+        if (cleanNibble.length !== 1) throw new Error('Pattern spec run nibble must be a single hex digit');
+        spec.nibble = cleanNibble;
+      }
+      return spec;
+    }
+
+    case 'all': {
+      if (!Array.isArray(input.patterns) || input.patterns.length === 0) {
+        throw new Error('Pattern spec "all" needs a non-empty patterns array');
+      }
+      // Flatten nested 'all' so descriptions and difficulty stay simple
+      const patterns = input.patterns
+        .map(parsePatternSpec)
+        .flatMap(spec => spec.type === 'all' ? spec.patterns : [spec]);
+      return patterns.length === 1 ? patterns[0] : { type: 'all', patterns };
+    }
+
+    default:
+      throw new Error(`Unknown pattern spec type: ${input.type}`);
+  }
+}
+
+/**
+ * Human-readable description of a spec
+ * @param {number|string|Object} input - Pattern spec
+ * @returns {string} Description such as "10 trailing zero bits"
+ */
+export function describePatternSpec(input) {
+  const spec = parsePatternSpec(input);
+  switch (spec.type) {
+    case 'trailingZeroBits': return `${spec.bits} trailing zero bits`;
+    case 'leadingZeroBits': return `${spec.bits} leading zero bits`;
+    case 'prefix': return `prefix ${spec.hex}...`;
+    case 'suffix': return `suffix ...${spec.hex}`;
+    case 'mask': return `mask ${spec.mask}=${spec.value} (${spec.align})`;
+    case 'run': return `run of ${spec.length}x ${spec.nibble || 'any nibble'} (${spec.position})`;
+    case 'all': return spec.patterns.map(describePatternSpec).join(' & ');
+    default: return spec.type;
+  }
+}
+
+/**
+ * Probability that a uniformly random TxID matches a canonical spec
+ * @param {Object} spec - Canonical spec from parsePatternSpec
+ * @returns {number} Match probability (0-1]
+ */
+function matchProbability(spec) {
+  switch (spec.type) {
+    case 'trailingZeroBits':
+    case 'leadingZeroBits':
+      return Math.pow(2, -spec.bits);
+    case 'prefix':
+    case 'suffix':
+      return Math.pow(16, -spec.hex.length);
+    case 'mask':
+      return Math.pow(2, -popcountHex(spec.mask));
+    case 'run': {
+      const single = spec.nibble ? Math.pow(16, -spec.length) : Math.pow(16, -(spec.length - 1));
+      if (spec.position !== 'anywhere') return single;
+      // Approximation: treat each start offset as independent (slightly optimistic for short runs)
+      const offsets = TXID_HEX_LENGTH - spec.length + 1;
+      return Math.min(1, -Math.expm1(offsets * Math.log1p(-single)));
+    }
+    case 'all':
+      // Assumes the sub-patterns constrain independent parts of the TxID
+      return spec.patterns.reduce((probability, sub) => probability * matchProbability(sub), 1);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Difficulty of a pattern spec, expressed as expected attempts and equivalent bits
+ * @param {number|string|Object} input - Pattern spec
+ * @returns {Object} { bits, probability, expectedAttempts, description }
+ */
+export function getPatternDifficulty(input) {
+  const spec = parsePatternSpec(input);
+  const probability = matchProbability(spec);
+  return {
+    bits: probability > 0 ? -Math.log2(probability) : Infinity,
+    probability,
+    expectedAttempts: probability > 0 ? 1 / probability : Infinity,
+    description: describePatternSpec(spec)
+  };
+}
+
+/**
+ * Count leading nibble-aligned zero bits in clean hex
+ * @param {string} hex - Clean lowercase hex
+ * @returns {number} Leading zero bits
+ */
+function countLeadingZeroBits(hex) {
+  let bits = 0;
+  for (let i = 0; i < hex.length; i++) {
+    const value = parseInt(hex[i], 16);
+    if (value === 0) {
+      bits += 4;
+      continue;
+    }
+    return bits + (4 - value.toString(2).length);
+  }
+  return bits;
+}
+
+/**
+ * Count trailing zero bits in clean hex
+ * @param {string} hex - Clean lowercase hex
+ * @returns {number} Trailing zero bits
+ */
+function countTrailingZeroBits(hex) {
+  let bits = 0;
+  for (let i = hex.length - 1; i >= 0; i--) {
+    const value = parseInt(hex[i], 16);
+    if (value === 0) {
+      bits += 4;
+      continue;
+    }
+    let nibble = value;
+    while ((nibble & 1) === 0) {
+      bits++;
+      nibble >>= 1;
+    }
+    return bits;
+  }
+  return bits;
+}
+
+/**
+ * Length of the longest run of one nibble (or a given nibble) in clean hex
+ * @param {string} hex - Clean lowercase hex
+ * @param {string|undefined} nibble - Required nibble, or any
+ * @param {string} position - 'start' | 'end' | 'anywhere'
+ * @returns {number} Run length in nibbles
+ */
+function longestRun(hex, nibble, position) {
+  if (!hex) return 0;
+  if (position === 'start' || position === 'end') {
+    const chars = position === 'start' ? hex : [...hex].reverse().join('');
+    const target = nibble || chars[0];
+    let length = 0;
+    while (length < chars.length && chars[length] === target) length++;
+    return length;
+  }
+  let best = 0;
+  let current = 0;
+  for (let i = 0; i < hex.length; i++) {
+    current = i > 0 && hex[i] === hex[i - 1] ? current + 1 : 1;
+    if (!nibble || hex[i] === nibble) best = Math.max(best, current);
+    else current = 0;
+  }
+  return best;
+}
+
+/**
+ * Build the test and score functions for one canonical spec
+ * @param {Object} spec - Canonical spec
+ * @returns {Object} { test(hex), score(hex) } working on clean lowercase hex
+ */
+function buildPredicate(spec) {
+  switch (spec.type) {
+    case 'trailingZeroBits':
+      return {
+        test: hex => countTrailingZeroBits(hex) >= spec.bits,
+        score: hex => countTrailingZeroBits(hex)
+      };
+    case 'leadingZeroBits':
+      return {
+        test: hex => countLeadingZeroBits(hex) >= spec.bits,
+        score: hex => countLeadingZeroBits(hex)
+      };
+    case 'prefix':
+    case 'suffix': {
+      const fromEnd = spec.type === 'suffix';
+      return {
+        test: hex => fromEnd ? hex.endsWith(spec.hex) : hex.startsWith(spec.hex),
+        score: hex => {
+          let matched = 0;
+          for (let i = 0; i < spec.hex.length; i++) {
+            const expected = fromEnd ? spec.hex[spec.hex.length - 1 - i] : spec.hex[i];
+            const actual = fromEnd ? hex[hex.length - 1 - i] : hex[i];
+            if (actual !== expected) break;
+            matched++;
+          }
+          return matched * 4;
+        }
+      };
+    }
+    case 'mask': {
+      const masks = [...spec.mask].map(char => parseInt(char, 16));
+      const values = [...spec.value].map(char => parseInt(char, 16));
+      const window = hex => spec.align === 'start' ? hex.slice(0, masks.length) : hex.slice(-masks.length);
+      const matchedBits = hex => {
+        const part = window(hex);
+        if (part.length < masks.length) return 0;
+        let matched = 0;
+        for (let i = 0; i < masks.length; i++) {
+          const agreeing = ~(parseInt(part[i], 16) ^ values[i]) & masks[i];
+          matched += popcountHex(agreeing.toString(16));
+        }
+        return matched;
+      };
+      const required = popcountHex(spec.mask);
+      return {
+        test: hex => matchedBits(hex) === required,
+        score: matchedBits
+      };
+    }
+    case 'run':
+      return {
+        test: hex => longestRun(hex, spec.nibble, spec.position) >= spec.length,
+        score: hex => longestRun(hex, spec.nibble, spec.position) * 4
+      };
+    case 'all': {
+      const parts = spec.patterns.map(buildPredicate);
+      return {
+        test: hex => parts.every(part => part.test(hex)),
+        score: hex => parts.reduce((sum, part) => sum + part.score(hex), 0)
+      };
+    }
+    default:
+      throw new Error(`Unknown pattern spec type: ${spec.type}`);
+  }
+}
+
+/**
+ * Compile a pattern spec into a reusable matcher
+ * The matcher's score() is a progress measure ("bits of the pattern already satisfied") used for best-pattern
+ * tracking; for trailing zero bits it equals getTrailingZeroBits() so existing progress output is unchanged.
+ * @param {number|string|Object} input - Trailing zero bit count, string shorthand, or object spec
+ * @returns {Object} { spec, description, difficulty, test(txId), score(txId) } (throws on invalid spec)
+ */
+export function compilePatternSpec(input) {
+  if (input && input.compiled === true) return input;
+
+  const spec = parsePatternSpec(input);
+  const predicate = buildPredicate(spec);
+  const normaliseTxId = (txId) => {
+    if (!txId || typeof txId !== 'string') return null;
+    const clean = (txId.startsWith('0x') ? txId.slice(2) : txId).toLowerCase();
+    return HEX_PATTERN.test(clean) ? clean : null;
+  };
+
+  return {
+    compiled: true,
+    spec,
+    description: describePatternSpec(spec),
+    difficulty: getPatternDifficulty(spec),
+    test: (txId) => {
+      const hex = normaliseTxId(txId);
+      return hex !== null && predicate.test(hex);
+    },
+    score: (txId) => {
+      const hex = normaliseTxId(txId);
+      return hex === null ? 0 : predicate.score(hex);
+    }
+  };
+}
+
+console.log('📦 Kaspa Pattern Spec module loaded successfully (pattern-spec.js)');
@@ -0,0 +1,153 @@
+import { parsePatternSpec, describePatternSpec, getPatternDifficulty, compilePatternSpec } from './pattern-spec.js';
+
+// A 64-hex TxID with the given start and end, filled with 5656... (no zero nibbles, no nibble runs)
+function txId(start = '', end = '') {
+  return start + '56'.repeat(32).slice(0, 64 - start.length - end.length) + end;
+}
+
+const matcher = (spec) => compilePatternSpec(spec);
+
+describe('Pattern spec parsing', () => {
+  test('shorthands parse to canonical specs that parse to themselves', () => {
+    const cases = [
+      [10, { type: 'trailingZeroBits', bits: 10 }],
+      ['10', { type: 'trailingZeroBits', bits: 10 }],
+      ['tz:10', { type: 'trailingZeroBits', bits: 10 }],
+      ['lz:8', { type: 'leadingZeroBits', bits: 8 }],
+      ['prefix:0xCAFE', { type: 'prefix', hex: 'cafe' }],
+      ['suffix:cafe', { type: 'suffix', hex: 'cafe' }],
+      ['mask:F0FF=A0EE', { type: 'mask', mask: 'f0ff', value: 'a0ee', align: 'end' }],
+      ['mask:f0=a0@start', { type: 'mask', mask: 'f0', value: 'a0', align: 'start' }],
+      ['run:4', { type: 'run', length: 4, position: 'anywhere' }],
+      ['run:4:a@end', { type: 'run', length: 4, position: 'end', nibble: 'a' }],
+      ['lz:4 & suffix:cafe', { type: 'all', patterns: [{ type: 'leadingZeroBits', bits: 4 }, { type: 'suffix', hex: 'cafe' }] }]
+    ];
+    cases.forEach(([input, expected]) => {
+      expect(parsePatternSpec(input)).toEqual(expected);
+      expect(parsePatternSpec(expected)).toEqual(expected);
+    });
+
+    // Nested and single-pattern 'all' specs flatten
+    expect(parsePatternSpec({ type: 'all', patterns: ['tz:4', { type: 'all', patterns: ['prefix:ab'] }] }))
+      .toEqual({ type: 'all', patterns: [{ type: 'trailingZeroBits', bits: 4 }, { type: 'prefix', hex: 'ab' }] });
+    expect(parsePatternSpec({ type: 'all', patterns: ['tz:4'] })).toEqual({ type: 'trailingZeroBits', bits: 4 });
+  });
+
+  test('describes specs', () => {
+    expect(describePatternSpec(10)).toBe('10 trailing zero bits');
+    expect(describePatternSpec('mask:f0ff=a0ee')).toBe('mask f0ff=a0ee (end)');
+    expect(describePatternSpec('run:4')).toBe('run of 4x any nibble (anywhere)');
+    expect(describePatternSpec('lz:4&suffix:cafe')).toBe('4 leading zero bits & suffix ...cafe');
+  });
+
+  test('rejects bad specs', () => {
+    expect(() => parsePatternSpec('tz:0')).toThrow(/bits must be an integer between 1-256/);
+    expect(() => parsePatternSpec('lz:257')).toThrow(/bits must be an integer/);
+    expect(() => parsePatternSpec('tz:1.5')).toThrow(/bits must be an integer/);
+    expect(() => parsePatternSpec('prefix:xyz')).toThrow(/must be non-empty hexadecimal/);
+    expect(() => parsePatternSpec(`suffix:${'a'.repeat(65)}`)).toThrow(/longer than a TxID/);
+    expect(() => parsePatternSpec('mask:f0ff')).toThrow(/Mask shorthand must be/);
+    expect(() => parsePatternSpec('mask:f0=a1')).toThrow(/bits set outside the mask/);
+    expect(() => parsePatternSpec('mask:f0=a')).toThrow(/same length/);
+    expect(() => parsePatternSpec('mask:00=00')).toThrow(/at least one bit/);
+    expect(() => parsePatternSpec('mask:f0=a0@middle')).toThrow(/align must be/);
+    expect(() => parsePatternSpec('run:1')).toThrow(/run length must be an integer between 2-64/);
+    expect(() => parsePatternSpec('run:4:ab')).toThrow(/single hex digit/);
+    expect(() => parsePatternSpec('run:4@middle')).toThrow(/run position must be one of/);
+    expect(() => parsePatternSpec('zeros:4')).toThrow(/Unknown pattern shorthand/);
+    expect(() => parsePatternSpec(' & ')).toThrow(/empty/);
+    expect(() => parsePatternSpec({ type: 'all', patterns: [] })).toThrow(/non-empty patterns array/);
+    expect(() => parsePatternSpec({ type: 'palindrome' })).toThrow(/Unknown pattern spec type: palindrome/);
+    expect(() => parsePatternSpec(null)).toThrow(/number, string or object/);
+  });
+});
+
+describe('Pattern matchers', () => {
+  test('trailing and leading zero bits', () => {
+    const trailing = matcher('tz:5');
+    expect(trailing.score(txId('', 'a0'))).toBe(5);
+    expect(trailing.test(txId('', 'a0'))).toBe(true);
+    expect(trailing.test(txId('', '10'))).toBe(false);
+    expect(trailing.score(txId('', '10'))).toBe(4);
+
+    const leading = matcher('lz:5');
+    expect(leading.score(txId('07'))).toBe(5);
+    expect(leading.test(txId('07'))).toBe(true);
+    expect(leading.test(txId('0f'))).toBe(false);
+    expect(leading.score('0'.repeat(64))).toBe(256);
+  });
+
+  test('hex prefix and suffix, case-insensitively', () => {
+    const prefix = matcher('prefix:cafe');
+    expect(prefix.test(txId('CAFE'))).toBe(true);
+    expect(prefix.test(`0x${txId('cafe')}`)).toBe(true);
+    expect(prefix.test(txId('caf0'))).toBe(false);
+    expect(prefix.score(txId('caf0'))).toBe(12);
+
+    const suffix = matcher('suffix:beef');
+    expect(suffix.test(txId('', 'beef'))).toBe(true);
+    expect(suffix.score(txId('', 'bfef'))).toBe(8);
+  });
+
+  test('mask and value at either end', () => {
+    const end = matcher('mask:f0ff=a0ee');
+    expect(end.test(txId('', 'a3ee'))).toBe(true);
+    expect(end.test(txId('', 'a3ef'))).toBe(false);
+    // a3ef agrees on 11 of the 12 masked bits
+    expect(end.score(txId('', 'a3ef'))).toBe(11);
+
+    const start = matcher('mask:f0=a0@start');
+    expect(start.test(txId('a7'))).toBe(true);
+    expect(start.test(txId('b7'))).toBe(false);
+  });
+
+  test('nibble runs', () => {
+    expect(matcher('run:4').test(txId('12', '7777'))).toBe(true);
+    expect(matcher('run:4').test(txId('12', '777'))).toBe(false);
+    expect(matcher('run:4').score(txId('12', '777'))).toBe(12);
+
+    const atEnd = matcher('run:4:a@end');
+    expect(atEnd.test(txId('', 'aaaa'))).toBe(true);
+    expect(atEnd.test(txId('aaaa'))).toBe(false);
+    expect(atEnd.test(txId('', 'bbbb'))).toBe(false);
+
+    expect(matcher('run:3@start').test(txId('000'))).toBe(true);
+    expect(matcher('run:3:0@anywhere').test(txId('1000'))).toBe(true);
+  });
+
+  test('combined patterns need every part and add up the scores', () => {
+    const combined = matcher('lz:4&suffix:cafe');
+    expect(combined.test(txId('0', 'cafe'))).toBe(true);
+    expect(combined.test(txId('1', 'cafe'))).toBe(false);
+    expect(combined.score(txId('0', 'cafe'))).toBe(4 + 1 + 16);
+  });
+
+  test('never match what is not a TxID', () => {
+    const trailing = matcher(8);
+    expect(trailing.test('')).toBe(false);
+    expect(trailing.test('not-hex')).toBe(false);
+    expect(trailing.score(null)).toBe(0);
+    expect(compilePatternSpec(trailing)).toBe(trailing);
+  });
+});
+
+describe('Pattern difficulty', () => {
+  test('expected attempts', () => {
+    expect(getPatternDifficulty(10)).toEqual({ bits: 10, probability: 1 / 1024, expectedAttempts: 1024, description: '10 trailing zero bits' });
+    expect(getPatternDifficulty('lz:8').expectedAttempts).toBe(256);
+    expect(getPatternDifficulty('prefix:cafe').expectedAttempts).toBe(65536);
+    expect(getPatternDifficulty('mask:f0ff=a0ee').expectedAttempts).toBe(4096);
+    expect(getPatternDifficulty('run:4:a@end').expectedAttempts).toBe(65536);
+    // Any nibble: the first one is free
+    expect(getPatternDifficulty('run:3@start').expectedAttempts).toBe(256);
+    expect(getPatternDifficulty('lz:4&suffix:cafe').bits).toBe(20);
+  });
+
+  test('runs anywhere are easier than at one position, by up to one chance per offset', () => {
+    const anywhere = getPatternDifficulty('run:4:a').probability;
+    const single = Math.pow(16, -4);
+    expect(anywhere).toBeCloseTo(1 - Math.pow(1 - single, 61), 15);
+    expect(anywhere).toBeGreaterThan(single);
+    expect(anywhere).toBeLessThan(61 * single);
+  });
+});
@@ -2,6 +2,7 @@
 
 import { broadcastPatternTransactionDirect } from './broadcast.js';
 import { checkTxIdPattern } from './tx-pattern.js';
+import { compilePatternSpec } from './pattern-spec.js';
 
 /**
  * 🎯 VERIFY PATTERN PRESERVATION - Task 4.4 Implementation
@@ -9,7 +10,7 @@ import { checkTxIdPattern } from './tx-pattern.js';
  * Pattern Generation → Signing → Kastle API Broadcasting → Network Verification
  * @param {Object} signedPskt - Signed PSKT from signPskt()
  * @param {string} originalPatternTxId - Original pattern TxID from buildPatternTransactionWithSdk
- * @param {number} bitCount - Number of trailing zero bits in the pattern
+ * @param {number|string|Object} bitCount - Number of trailing zero bits in the pattern, or a pattern spec (see pattern-spec.js)
  * @param {Object} options - Verification options
  * @param {boolean} options.verbose - Enable detailed logging (default: false)
  * @param {string} options.nodeUrl - Kaspa node URL (default: user's node)
@@ -24,10 +25,12 @@ export async function verifyPatternPreservation(signedPskt, originalPatternTxId,
       nodeUrl = 'ws://10.0.0.245:17210' // Default to user's testnet-10 node
     } = options;
 
+    const matcher = compilePatternSpec(bitCount);
+
     if (verbose) {
       console.log('🎯 Starting Pattern TxID Preservation Verification (from pattern-verification.js)...');
       console.log('🔍 Original Pattern TxID:', originalPatternTxId);
-      console.log(`🎯 Expected Pattern: ${bitCount} trailing zero bits`);
+      console.log(`🎯 Expected Pattern: ${matcher.description}`);
       console.log('📡 Broadcasting via Kastle API to preserve exact TxID...');
     }
 
@@ -116,7 +119,8 @@ export async function verifyPatternPreservation(signedPskt, originalPatternTxId,
       patternSuccess: postValidation.networkPatternMatch,
       overallSuccess: postValidation.txIdPreserved && postValidation.networkPatternMatch,
       bitCount,
-      patternProbability: `1 in ${Math.pow(2, bitCount).toLocaleString()}`,
+      patternSpec: matcher.spec,
+      patternProbability: `1 in ${Math.round(matcher.difficulty.expectedAttempts).toLocaleString()}`,
       verificationDuration: Date.now() - startTime
     };
 
@@ -148,7 +152,7 @@ export async function verifyPatternPreservation(signedPskt, originalPatternTxId,
         console.log('🎉 PERFECT SUCCESS! Pattern TxID preserved completely!');
         console.log(`✅ Original TxID: ${originalPatternTxId}`);
         console.log(`✅ Network TxID:  ${networkTxId}`);
-        console.log(`✅ Pattern Match: ${bitCount} trailing zero bits confirmed`);
+        console.log(`✅ Pattern Match: ${matcher.description} confirmed`);
         console.log(`✅ Probability:   ${patternAnalysis.patternProbability}`);
         console.log('🏆 WORLD\'S FIRST CLIENT-SIDE KASPA PATTERN TRANSACTION SUCCESS!');
       } else {
@@ -161,7 +165,7 @@ export async function verifyPatternPreservation(signedPskt, originalPatternTxId,
         if (!postValidation.networkPatternMatch) {
           console.log('🔍 Issue: Network TxID does not match expected pattern');
           console.log(`   TxID: ${networkTxId}`);
-          console.log(`   Expected: ${bitCount} trailing zero bits`);
+          console.log(`   Expected: ${matcher.description}`);
         }
       }
     }
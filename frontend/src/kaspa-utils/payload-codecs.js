@@ -0,0 +1,359 @@
+// Kaspa Envelope Payload Codecs Module
+// Envelope version 0x04 carries a one-byte codec tag saying how PayloadData is encoded. The low bits select the
+// encoding and PAYLOAD_CODEC_DEFLATE_FLAG marks a raw-deflate compressed body:
+//
+//   0x00 raw     bytes / UTF-8 text as given (or a registered contract type's own encoding)
+//   0x01 json    UTF-8 JSON
+//   0x02 cbor    CBOR (RFC 8949 subset: integers, BigInt, floats, strings, bytes, arrays, maps, booleans, null)
+//   0x80 flag    deflate, combinable with any of the above, e.g. 'json+deflate' = 0x81
+//
+// Payload bytes add transaction mass and therefore fee, so compression is worth it for anything text-like.
+
+import { Buffer } from 'buffer';
+import { deflateRaw, Inflate } from 'pako';
+
+export const PAYLOAD_CODECS = { raw: 0x00, json: 0x01, cbor: 0x02 };
+export const PAYLOAD_CODEC_DEFLATE_FLAG = 0x80;
+
+// Decompressed payloads are capped so a small deflate bomb cannot exhaust memory
+export const MAX_DECODED_PAYLOAD_LENGTH = 1024 * 1024;
+
+// Each payload byte adds one gram of compute mass; the minimum relay fee is 1 sompi per gram (1000 sompi/kg)
+export const PAYLOAD_MASS_PER_BYTE = 1;
+export const MINIMUM_RELAY_FEE_SOMPI_PER_GRAM = 1;
+
+/**
+ * Resolve a codec name or tag
+ * @param {string|number} codec - 'raw' | 'json' | 'cbor' | 'deflate', optionally '+deflate' (e.g. 'json+deflate'), or a tag byte
+ * @returns {Object} { tag, name, encoding, deflate }
+ */
+export function resolvePayloadCodec(codec = 'raw') {
+  let tag;
+  if (typeof codec === 'number') {
+    tag = codec;
+  } else if (typeof codec === 'string') {
+    const parts = codec.toLowerCase().split('+').map(part => part.trim());
+    const deflate = parts.includes('deflate');
+    const encodings = parts.filter(part => part !== 'deflate');
+    if (encodings.length > 1 || (encodings.length === 1 && !(encodings[0] in PAYLOAD_CODECS))) {
+      throw new Error(`Unknown payload codec: ${codec}. Use ${Object.keys(PAYLOAD_CODECS).join(', ')}, optionally with +deflate`);
+    }
+    tag = PAYLOAD_CODECS[encodings[0] || 'raw'] | (deflate ? PAYLOAD_CODEC_DEFLATE_FLAG : 0);
+  } else {
+    throw new Error(`Invalid codec type: ${typeof codec}. Must be string or number`);
+  }
+
+  const deflate = (tag & PAYLOAD_CODEC_DEFLATE_FLAG) !== 0;
+  const encoding = Object.keys(PAYLOAD_CODECS).find(name => PAYLOAD_CODECS[name] === (tag & ~PAYLOAD_CODEC_DEFLATE_FLAG));
+  if (!Number.isInteger(tag) || tag < 0 || tag > 0xff || !encoding) {
+    throw new Error(`Unknown payload codec tag: 0x${Number(tag).toString(16).padStart(2, '0')}`);
+  }
+  return {
+    tag,
+    name: deflate ? (encoding === 'raw' ? 'deflate' : `${encoding}+deflate`) : encoding,
+    encoding,
+    deflate
+  };
+}
+
+/**
+ * Write a CBOR head (major type and argument)
+ * @param {Array<Buffer>} out - Output parts
+ * @param {number} major - Major type (0-7)
+ * @param {number|BigInt} value - Argument
+ */
+function writeCborHead(out, major, value) {
+  const big = BigInt(value);
+  const type = major << 5;
+  if (big < BigInt(24)) {
+    out.push(Buffer.from([type | Number(big)]));
+  } else if (big < BigInt(0x100)) {
+    out.push(Buffer.from([type | 24, Number(big)]));
+  } else if (big < BigInt(0x10000)) {
+    const head = Buffer.alloc(3);
+    head[0] = type | 25;
+    head.writeUInt16BE(Number(big), 1);
+    out.push(head);
+  } else if (big < BigInt(0x100000000)) {
+    const head = Buffer.alloc(5);
+    head[0] = type | 26;
+    head.writeUInt32BE(Number(big), 1);
+    out.push(head);
+  } else {
+    const head = Buffer.alloc(9);
+    head[0] = type | 27;
+    head.writeBigUInt64BE(big, 1);
+    out.push(head);
+  }
+}
+
+/**
+ * Append the CBOR encoding of a value
+ * @param {Array<Buffer>} out - Output parts
+ * @param {*} value - Value to encode
+ */
+function writeCborValue(out, value) {
+  if (value === null || value === undefined) {
+    out.push(Buffer.from([value === null ? 0xf6 : 0xf7]));
+  } else if (typeof value === 'boolean') {
+    out.push(Buffer.from([value ? 0xf5 : 0xf4]));
+  } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    writeCborHead(out, value < 0 ? 1 : 0, value < 0 ? -1 - value : value);
+  } else if (typeof value === 'number') {
+    const float = Buffer.alloc(9);
+    float[0] = 0xfb;
+    float.writeDoubleBE(value, 1);
+    out.push(float);
+  } else if (typeof value === 'bigint') {
+    const negative = value < BigInt(0);
+    const magnitude = negative ? -BigInt(1) - value : value;
+    if (magnitude < BigInt(2) ** BigInt(64)) {
+      writeCborHead(out, negative ? 1 : 0, magnitude);
+    } else {
+      // Tags 2/3: unsigned/negative bignum as a big-endian byte string
+      const hex = magnitude.toString(16);
+      const bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+      writeCborHead(out, 6, negative ? 3 : 2);
+      writeCborHead(out, 2, bytes.length);
+      out.push(bytes);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    writeCborHead(out, 3, bytes.length);
+    out.push(bytes);
+  } else if (value instanceof Uint8Array) {
+    writeCborHead(out, 2, value.length);
+    out.push(Buffer.from(value));
+  } else if (Array.isArray(value)) {
+    writeCborHead(out, 4, value.length);
+    value.forEach(item => writeCborValue(out, item));
+  } else if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    writeCborHead(out, 5, entries.length);
+    entries.forEach(([key, item]) => {
+      writeCborValue(out, key);
+      writeCborValue(out, item);
+    });
+  } else {
+    throw new Error(`Cannot CBOR-encode ${typeof value}`);
+  }
+}
+
+/**
+ * Encode a value as CBOR
+ * @param {*} value - Value to encode
+ * @returns {Buffer} CBOR bytes
+ */
+export function encodeCbor(value) {
+  const out = [];
+  writeCborValue(out, value);
+  return Buffer.concat(out);
+}
+
+/**
+ * Decode one CBOR item
+ * @param {Buffer} buffer - CBOR bytes
+ * @param {Object} cursor - { offset } read position, advanced past the item
+ * @param {number} depth - Nesting depth
+ * @returns {*} Decoded value
+ */
+function readCborValue(buffer, cursor, depth = 0) {
+  if (depth > 64) throw new Error('CBOR nesting too deep');
+  const need = (length) => {
+    if (cursor.offset + length > buffer.length) throw new Error('CBOR data truncated');
+  };
+
+  need(1);
+  const initial = buffer[cursor.offset++];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) {
+    if (info === 20) return false;
+    if (info === 21) return true;
+    if (info === 22) return null;
+    if (info === 23) return undefined;
+    const floatLengths = { 25: 2, 26: 4, 27: 8 };
+    const length = floatLengths[info];
+    if (!length) throw new Error(`Unsupported CBOR simple value: ${info}`);
+    need(length);
+    const start = cursor.offset;
+    cursor.offset += length;
+    if (length === 4) return buffer.readFloatBE(start);
+    if (length === 8) return buffer.readDoubleBE(start);
+    // Half precision
+    const half = buffer.readUInt16BE(start);
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+    if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+  }
+
+  let argument;
+  if (info < 24) {
+    argument = BigInt(info);
+  } else if (info <= 27) {
+    const length = 1 << (info - 24);
+    need(length);
+    argument = BigInt(`0x${buffer.subarray(cursor.offset, cursor.offset + length).toString('hex')}`);
+    cursor.offset += length;
+  } else {
+    throw new Error('Indefinite-length CBOR items are not supported');
+  }
+  const toNumber = (big) => (big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big);
+
+  switch (major) {
+    case 0:
+      return toNumber(argument);
+    case 1: {
+      const value = -BigInt(1) - argument;
+      return value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value;
+    }
+    case 2:
+    case 3: {
+      const length = Number(argument);
+      need(length);
+      const bytes = Buffer.from(buffer.subarray(cursor.offset, cursor.offset + length));
+      cursor.offset += length;
+      return major === 2 ? bytes : bytes.toString('utf8');
+    }
+    case 4: {
+      need(Number(argument)); // every item needs at least one byte
+      return Array.from({ length: Number(argument) }, () => readCborValue(buffer, cursor, depth + 1));
+    }
+    case 5: {
+      need(Number(argument) * 2);
+      const result = {};
+      for (let i = BigInt(0); i < argument; i++) {
+        const key = readCborValue(buffer, cursor, depth + 1);
+        if (typeof key !== 'string' && typeof key !== 'number') throw new Error('Only text and integer CBOR map keys are supported');
+        result[key] = readCborValue(buffer, cursor, depth + 1);
+      }
+      return result;
+    }
+    case 6: {
+      const content = readCborValue(buffer, cursor, depth + 1);
+      if ((argument === BigInt(2) || argument === BigInt(3)) && Buffer.isBuffer(content)) {
+        const magnitude = content.length ? BigInt(`0x${content.toString('hex')}`) : BigInt(0);
+        return argument === BigInt(2) ? magnitude : -BigInt(1) - magnitude;
+      }
+      return content; // Other tags are transparent
+    }
+    default:
+      throw new Error(`Unsupported CBOR major type: ${major}`);
+  }
+}
+
+/**
+ * Decode CBOR bytes
+ * @param {Buffer|Uint8Array} bytes - CBOR bytes (exactly one item)
+ * @returns {*} Decoded value
+ */
+export function decodeCbor(bytes) {
+  const buffer = Buffer.from(bytes);
+  const cursor = { offset: 0 };
+  const value = readCborValue(buffer, cursor);
+  if (cursor.offset !== buffer.length) throw new Error(`${buffer.length - cursor.offset} trailing bytes after CBOR item`);
+  return value;
+}
+
+/**
+ * Inflate raw-deflate data with an output size limit
+ * @param {Buffer} bytes - Compressed bytes
+ * @param {number} maxLength - Maximum decompressed length
+ * @returns {Buffer} Decompressed bytes
+ */
+function inflateLimited(bytes, maxLength) {
+  const inflator = new Inflate({ raw: true });
+  const chunks = [];
+  let total = 0;
+  inflator.onData = (chunk) => {
+    total += chunk.length;
+    if (total > maxLength) throw new Error(`Decompressed payload exceeds ${maxLength} bytes`);
+    chunks.push(chunk);
+  };
+  inflator.push(bytes, true);
+  if (inflator.err) throw new Error(`Invalid deflate data: ${inflator.msg}`);
+  if (!inflator.ended) throw new Error('Invalid deflate data: stream truncated');
+  return Buffer.concat(chunks.map(chunk => Buffer.from(chunk)));
+}
+
+/**
+ * Encode a payload value with a codec
+ * @param {*} value - Payload (raw: string or bytes; json/cbor: any serialisable value)
+ * @param {string|number} codec - Codec name or tag (see resolvePayloadCodec)
+ * @returns {Buffer} Encoded PayloadData
+ */
+export function encodePayloadWithCodec(value, codec = 'raw') {
+  const { encoding, deflate } = resolvePayloadCodec(codec);
+  let bytes;
+  if (encoding === 'json') {
+    const json = JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+    if (json === undefined) throw new Error(`Cannot JSON-encode ${typeof value}`);
+    bytes = Buffer.from(json, 'utf8');
+  } else if (encoding === 'cbor') {
+    bytes = encodeCbor(value);
+  } else if (typeof value === 'string') {
+    bytes = Buffer.from(value, 'utf8');
+  } else if (value instanceof Uint8Array) {
+    bytes = Buffer.from(value);
+  } else {
+    throw new Error(`Invalid raw payload type: ${typeof value}. Must be string or Buffer (use the json or cbor codec for structured data)`);
+  }
+  return deflate ? Buffer.from(deflateRaw(bytes, { level: 9 })) : bytes;
+}
+
+/**
+ * Decode PayloadData written with a codec
+ * @param {Buffer|Uint8Array} payloadData - Encoded PayloadData
+ * @param {string|number} codec - Codec name or tag
+ * @param {Object} options - Decode options
+ * @param {number} options.maxLength - Maximum decompressed length (default: MAX_DECODED_PAYLOAD_LENGTH)
+ * @returns {Object} { codec, bytes, value } - bytes after decompression; value for json/cbor (undefined for raw)
+ */
+export function decodePayloadWithCodec(payloadData, codec = 'raw', options = {}) {
+  const { maxLength = MAX_DECODED_PAYLOAD_LENGTH } = options;
+  const resolved = resolvePayloadCodec(codec);
+  const bytes = resolved.deflate ? inflateLimited(Buffer.from(payloadData), maxLength) : Buffer.from(payloadData);
+
+  let value;
+  if (resolved.encoding === 'json') {
+    try {
+      value = JSON.parse(bytes.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON payload: ${error.message}`);
+    }
+  } else if (resolved.encoding === 'cbor') {
+    value = decodeCbor(bytes);
+  }
+  return { codec: resolved.name, bytes, value };
+}
+
+/**
+ * Estimate the mass and minimum fee a payload adds to a transaction, before and after encoding
+ * @param {number} rawLength - Envelope or payload length without compression, in bytes
+ * @param {number} encodedLength - Length actually written on-chain, in bytes
+ * @param {Object} options - Estimate options
+ * @param {number} options.sompiPerGram - Fee rate (default: MINIMUM_RELAY_FEE_SOMPI_PER_GRAM)
+ * @returns {Object} { rawLength, encodedLength, savedBytes, ratio, rawMass, encodedMass, rawFeeSompi, encodedFeeSompi, feeSavedSompi }
+ */
+export function estimatePayloadFeeImpact(rawLength, encodedLength, options = {}) {
+  const { sompiPerGram = MINIMUM_RELAY_FEE_SOMPI_PER_GRAM } = options;
+  const rawMass = rawLength * PAYLOAD_MASS_PER_BYTE;
+  const encodedMass = encodedLength * PAYLOAD_MASS_PER_BYTE;
+  return {
+    rawLength,
+    encodedLength,
+    savedBytes: rawLength - encodedLength,
+    ratio: rawLength > 0 ? encodedLength / rawLength : 1,
+    rawMass,
+    encodedMass,
+    rawFeeSompi: Math.ceil(rawMass * sompiPerGram),
+    encodedFeeSompi: Math.ceil(encodedMass * sompiPerGram),
+    feeSavedSompi: Math.ceil(rawMass * sompiPerGram) - Math.ceil(encodedMass * sompiPerGram)
+  };
+}
+
+console.log('📦 Kaspa Payload Codecs module loaded successfully (payload-codecs.js)');
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import {
+  resolvePayloadCodec,
+  encodeCbor,
+  decodeCbor,
+  encodePayloadWithCodec,
+  decodePayloadWithCodec,
+  estimatePayloadFeeImpact
+} from './payload-codecs.js';
+
+describe('resolvePayloadCodec', () => {
+  test('maps names to tags and back', () => {
+    expect(resolvePayloadCodec('raw').tag).toBe(0x00);
+    expect(resolvePayloadCodec('deflate')).toEqual({ tag: 0x80, name: 'deflate', encoding: 'raw', deflate: true });
+    expect(resolvePayloadCodec('json+deflate').tag).toBe(0x81);
+    expect(resolvePayloadCodec(0x82).name).toBe('cbor+deflate');
+  });
+
+  test('rejects unknown codecs', () => {
+    expect(() => resolvePayloadCodec('gzip')).toThrow();
+    expect(() => resolvePayloadCodec('json+cbor')).toThrow();
+    expect(() => resolvePayloadCodec(0x05)).toThrow();
+  });
+});
+
+describe('CBOR', () => {
+  test('matches RFC 8949 examples', () => {
+    expect(encodeCbor(0).toString('hex')).toBe('00');
+    expect(encodeCbor(23).toString('hex')).toBe('17');
+    expect(encodeCbor(24).toString('hex')).toBe('1818');
+    expect(encodeCbor(1000000).toString('hex')).toBe('1a000f4240');
+    expect(encodeCbor(-1000).toString('hex')).toBe('3903e7');
+    expect(encodeCbor('IETF').toString('hex')).toBe('6449455446');
+    expect(encodeCbor([1, [2, 3]]).toString('hex')).toBe('8201820203');
+    expect(encodeCbor({ a: 1, b: [2, 3] }).toString('hex')).toBe('a26161016162820203');
+    expect(encodeCbor(1.1).toString('hex')).toBe('fb3ff199999999999a');
+    expect(decodeCbor(Buffer.from('f93c00', 'hex'))).toBe(1);
+    expect(decodeCbor(Buffer.from('c249010000000000000000', 'hex'))).toBe(BigInt('18446744073709551616'));
+  });
+
+  test('round-trips nested values', () => {
+    const value = {
+      name: 'kaspa',
+      amount: BigInt('18000000000000000000'),
+      huge: BigInt('-340282366920938463463374607431768211456'),
+      ok: true,
+      none: null,
+      bytes: Buffer.from([1, 2, 3]),
+      list: [-1, 0.5, 'x']
+    };
+    expect(decodeCbor(encodeCbor(value))).toEqual(value);
+  });
+
+  test('rejects truncated and trailing data', () => {
+    expect(() => decodeCbor(Buffer.from('62aa', 'hex'))).toThrow(/truncated/);
+    expect(() => decodeCbor(Buffer.from('0000', 'hex'))).toThrow(/trailing/);
+    expect(() => decodeCbor(Buffer.from('9f01ff', 'hex'))).toThrow(/Indefinite/);
+  });
+});
+
+describe('payload codecs', () => {
+  test('deflate shrinks repetitive payloads and round-trips', () => {
+    const text = 'kaspa envelope payload '.repeat(50);
+    const encoded = encodePayloadWithCodec(text, 'deflate');
+    expect(encoded.length).toBeLessThan(text.length / 5);
+    expect(decodePayloadWithCodec(encoded, 'deflate').bytes.toString('utf8')).toBe(text);
+  });
+
+  test('json and cbor decode to values', () => {
+    const value = { items: [1, 2, 3], label: 'ok' };
+    expect(decodePayloadWithCodec(encodePayloadWithCodec(value, 'json+deflate'), 0x81).value).toEqual(value);
+    expect(decodePayloadWithCodec(encodePayloadWithCodec(value, 'cbor'), 'cbor').value).toEqual(value);
+  });
+
+  test('limits decompressed size', () => {
+    const bomb = encodePayloadWithCodec(Buffer.alloc(100000), 'deflate');
+    expect(() => decodePayloadWithCodec(bomb, 'deflate', { maxLength: 1000 })).toThrow(/exceeds/);
+    expect(() => decodePayloadWithCodec(bomb.subarray(0, bomb.length - 2), 'deflate')).toThrow(/deflate/);
+  });
+
+  test('raw payloads must be strings or bytes', () => {
+    expect(() => encodePayloadWithCodec({ a: 1 }, 'raw')).toThrow(/json or cbor/);
+  });
+
+  test('estimates the fee saved by compression', () => {
+    const impact = estimatePayloadFeeImpact(1000, 250);
+    expect(impact.savedBytes).toBe(750);
+    expect(impact.ratio).toBe(0.25);
+    expect(impact.feeSavedSompi).toBe(750);
+    expect(estimatePayloadFeeImpact(1000, 250, { sompiPerGram: 2 }).encodedFeeSompi).toBe(500);
+  });
+});
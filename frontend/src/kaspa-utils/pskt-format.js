@@ -0,0 +1,960 @@
+// Kaspa PSKT Format Module
+// Partially Signed Kaspa Transactions in the rusty-kaspa format (wallet/pskt), so PSKTs can be exchanged with the
+// Kaspa SDK, wallets and CLI tools. A PSKT is serde JSON { global, inputs, outputs }; a PSKB (bundle) is a JSON array
+// of PSKTs. The string forms are:
+//
+//   PSKT<hex of JSON>    single PSKT
+//   PSKB<hex of JSON>    bundle (what rusty-kaspa's Bundle::serialize() writes)
+//   base64 of "PSKT<JSON>" / "PSKB<JSON>", for copy/paste and QR codes
+//
+// rusty-kaspa moves a PSKT through typed roles. Here each role is a group of functions over plain objects:
+//
+//   creator     createPskt, createPsktFromTransaction
+//   constructor addPsktInput, addPsktOutput
+//   updater     updatePsktInput
+//   signer      signPskt, addPsktSignaturesFromTransaction (signatures made by a wallet)
+//   combiner    combinePskts, findPsktConflicts
+//   finalizer   finalizePskt
+//   extractor   extractPsktTransaction
+//
+// u64 fields (amounts, DAA scores, sequences, lock times) are BigInt in memory and plain JSON integers on the wire.
+
+import { Buffer } from 'buffer';
+import { secp256k1, schnorr } from '@noble/curves/secp256k1';
+import { blake2b } from '@noble/hashes/blake2b';
+import { computeTransactionId } from './txid.js';
+
+export const PSKT_PREFIX = 'PSKT';
+export const PSKB_PREFIX = 'PSKB';
+export const PSKT_ROLES = ['creator', 'constructor', 'updater', 'signer', 'combiner', 'finalizer', 'extractor'];
+
+// Names follow the Kaspa SDK SighashType enum
+export const PSKT_SIGHASH_TYPES = {
+  All: 0x01,
+  None: 0x02,
+  Single: 0x04,
+  AllAnyOneCanPay: 0x81,
+  NoneAnyOneCanPay: 0x82,
+  SingleAnyOneCanPay: 0x84
+};
+
+const SIGHASH_ANYONECANPAY = 0x80;
+const SIGHASH_MASK = 0x1f;
+const MAX_SEQUENCE = BigInt('0xffffffffffffffff');
+const SUBNETWORK_ID_NATIVE = '00'.repeat(20);
+const TRANSACTION_SIGNING_HASH_KEY = Buffer.from('TransactionSigningHash', 'utf8');
+const U64_MARKER = '@@u64:';
+
+const OP_DATA_32 = 0x20;
+const OP_DATA_33 = 0x21;
+const OP_PUSHDATA1 = 0x4c;
+const OP_PUSHDATA2 = 0x4d;
+const OP_PUSHDATA4 = 0x4e;
+const OP_1 = 0x51;
+const OP_16 = 0x60;
+const OP_EQUAL = 0x87;
+const OP_BLAKE2B = 0xaa;
+const OP_CHECKSIG = 0xac;
+const OP_CHECKSIG_ECDSA = 0xab;
+const OP_CHECKMULTISIG = 0xae;
+const OP_CHECKMULTISIG_ECDSA = 0xa9;
+
+// ---------------------------------------------------------------------------
+// Canonical form
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate and lowercase a hex string
+ * @param {*} value - Candidate hex
+ * @param {string} label - Field name for errors
+ * @param {number} byteLength - Required length in bytes (optional)
+ * @returns {string} Lowercase hex without 0x
+ */
+function toHex(value, label, byteLength) {
+  const bytes = value instanceof Uint8Array ? Buffer.from(value).toString('hex') : value;
+  if (typeof bytes !== 'string') throw new Error(`Invalid ${label}: must be hex`);
+  const clean = (bytes.startsWith('0x') ? bytes.slice(2) : bytes).toLowerCase();
+  if (clean.length % 2 !== 0 || !/^[0-9a-f]*$/.test(clean)) throw new Error(`Invalid ${label}: must be hex`);
+  if (byteLength !== undefined && clean.length !== byteLength * 2) {
+    throw new Error(`Invalid ${label}: expected ${byteLength} bytes, got ${clean.length / 2}`);
+  }
+  return clean;
+}
+
+/**
+ * Read an optional u64 field
+ * @param {*} value - Number, numeric string, BigInt, null or undefined
+ * @param {string} label - Field name for errors
+ * @returns {BigInt|null} Value
+ */
+function toU64(value, label) {
+  if (value === null || value === undefined) return null;
+  let result;
+  try {
+    result = BigInt(value);
+  } catch (error) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  if (result < BigInt(0) || result > MAX_SEQUENCE) throw new Error(`Invalid ${label}: ${value} is outside the u64 range`);
+  return result;
+}
+
+/**
+ * Read a small unsigned integer field
+ * @param {*} value - Number or numeric string
+ * @param {string} label - Field name for errors
+ * @param {number} max - Largest allowed value
+ * @returns {number} Value
+ */
+function toUint(value, label, max) {
+  const result = Number(value);
+  if (!Number.isInteger(result) || result < 0 || result > max) throw new Error(`Invalid ${label}: ${value}`);
+  return result;
+}
+
+/**
+ * Normalise a script public key to its serde hex form (2-byte big-endian version followed by the script)
+ * @param {string|Object} scriptPublicKey - Serde hex or { version, script }
+ * @returns {string} Hex
+ */
+function toScriptPublicKeyHex(scriptPublicKey) {
+  if (scriptPublicKey && typeof scriptPublicKey === 'object' && !(scriptPublicKey instanceof Uint8Array)) {
+    const version = toUint(scriptPublicKey.version || 0, 'script version', 0xffff);
+    return version.toString(16).padStart(4, '0') + toHex(scriptPublicKey.script || '', 'script');
+  }
+  const hex = toHex(scriptPublicKey, 'scriptPublicKey');
+  if (hex.length < 4) throw new Error('Invalid scriptPublicKey: missing version');
+  return hex;
+}
+
+/**
+ * Validate a sighash type byte
+ * @param {*} value - Sighash type
+ * @returns {number} Sighash type
+ */
+function toSighashType(value) {
+  const sighashType = Number(value);
+  if (!Object.values(PSKT_SIGHASH_TYPES).includes(sighashType)) throw new Error(`Invalid sighash type: ${value}`);
+  return sighashType;
+}
+
+/**
+ * Copy a map of opaque values (xpubs, proprietaries, BIP32 derivations)
+ * @param {Object} value - Map or undefined
+ * @returns {Object} Deep copy
+ */
+function copyMap(value) {
+  return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : {};
+}
+
+/**
+ * Normalise a partial signature map, sorted by public key as rusty-kaspa's BTreeMap is
+ * @param {Object} partialSigs - { compressedPublicKeyHex: { schnorr: hex } | { eCDSA: derHex } }
+ * @returns {Object} Normalised map
+ */
+function normalizePartialSigs(partialSigs = {}) {
+  const result = {};
+  Object.keys(partialSigs || {}).map(key => [toHex(key, 'partial signature key', 33), partialSigs[key]]).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).forEach(([key, signature]) => {
+    if (signature && signature.schnorr !== undefined) {
+      result[key] = { schnorr: toHex(signature.schnorr, 'Schnorr signature', 64) };
+    } else if (signature && signature.eCDSA !== undefined) {
+      result[key] = { eCDSA: toHex(signature.eCDSA, 'ECDSA signature') };
+    } else {
+      throw new Error(`Invalid partial signature for ${key}: expected { schnorr } or { eCDSA }`);
+    }
+  });
+  return result;
+}
+
+/**
+ * Normalise a UTXO entry
+ * @param {Object} entry - { amount, scriptPublicKey, blockDaaScore, isCoinbase } (SDK utxo objects accepted)
+ * @returns {Object|null} UTXO entry
+ */
+function normalizeUtxoEntry(entry) {
+  if (!entry) return null;
+  return {
+    amount: toU64(entry.amount ?? entry.value, 'UTXO amount'),
+    scriptPublicKey: toScriptPublicKeyHex(entry.scriptPublicKey),
+    blockDaaScore: toU64(entry.blockDaaScore ?? 0, 'UTXO blockDaaScore'),
+    isCoinbase: Boolean(entry.isCoinbase)
+  };
+}
+
+/**
+ * Normalise a PSKT input, with fields in rusty-kaspa order
+ * @param {Object} input - PSKT input (or a constructor-style input, see addPsktInput)
+ * @returns {Object} Input
+ */
+function normalizeInput(input) {
+  if (!input || typeof input !== 'object') throw new Error('Invalid PSKT input');
+  const outpoint = input.previousOutpoint || input.outpoint || input;
+  return {
+    utxoEntry: normalizeUtxoEntry(input.utxoEntry || input.utxo),
+    previousOutpoint: {
+      transactionId: toHex(outpoint.transactionId, 'input transactionId', 32),
+      index: toUint(outpoint.index ?? 0, 'input index', 0xffffffff)
+    },
+    sequence: toU64(input.sequence, 'input sequence'),
+    minTime: toU64(input.minTime, 'input minTime'),
+    partialSigs: normalizePartialSigs(input.partialSigs),
+    sighashType: toSighashType(input.sighashType ?? PSKT_SIGHASH_TYPES.All),
+    redeemScript: input.redeemScript ? toHex(input.redeemScript, 'redeemScript') : null,
+    sigOpCount: toUint(input.sigOpCount ?? 1, 'sigOpCount', 0xff),
+    bip32Derivations: copyMap(input.bip32Derivations),
+    finalScriptSig: input.finalScriptSig ? toHex(input.finalScriptSig, 'finalScriptSig') : null,
+    proprietaries: copyMap(input.proprietaries)
+  };
+}
+
+/**
+ * Normalise a PSKT output, with fields in rusty-kaspa order
+ * @param {Object} output - { amount | value, scriptPublicKey, redeemScript? }
+ * @returns {Object} Output
+ */
+function normalizeOutput(output) {
+  if (!output || typeof output !== 'object') throw new Error('Invalid PSKT output');
+  return {
+    amount: toU64(output.amount ?? output.value, 'output amount'),
+    scriptPublicKey: toScriptPublicKeyHex(output.scriptPublicKey),
+    redeemScript: output.redeemScript ? toHex(output.redeemScript, 'output redeemScript') : null,
+    bip32Derivations: copyMap(output.bip32Derivations),
+    proprietaries: copyMap(output.proprietaries)
+  };
+}
+
+/**
+ * Normalise a PSKT into its canonical in-memory form (also used to copy one)
+ * @param {Object} pskt - { global, inputs, outputs }
+ * @returns {Object} PSKT
+ */
+export function normalizePskt(pskt) {
+  if (!pskt || typeof pskt !== 'object' || !pskt.global || !Array.isArray(pskt.inputs) || !Array.isArray(pskt.outputs)) {
+    throw new Error('Invalid PSKT: expected { global, inputs, outputs }');
+  }
+  const { global } = pskt;
+  const inputs = pskt.inputs.map(normalizeInput);
+  const outputs = pskt.outputs.map(normalizeOutput);
+  return {
+    global: {
+      version: toUint(global.version ?? 0, 'PSKT version', 0xffffffff),
+      txVersion: toUint(global.txVersion ?? 0, 'txVersion', 0xffff),
+      fallbackLockTime: toU64(global.fallbackLockTime, 'fallbackLockTime'),
+      inputsModifiable: Boolean(global.inputsModifiable),
+      outputsModifiable: Boolean(global.outputsModifiable),
+      inputCount: inputs.length,
+      outputCount: outputs.length,
+      xpubs: copyMap(global.xpubs),
+      id: global.id ? toHex(global.id, 'PSKT id', 32) : null,
+      proprietaries: copyMap(global.proprietaries),
+      payload: global.payload ? toHex(global.payload, 'payload') : null
+    },
+    inputs,
+    outputs
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Serialization
+// ---------------------------------------------------------------------------
+
+/**
+ * Stringify with u64 BigInts written as JSON integers
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function stringifyWithU64(value) {
+  const json = JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? `${U64_MARKER}${item}` : item));
+  return json.replace(new RegExp(`"${U64_MARKER}(\\d+)"`, 'g'), '$1');
+}
+
+/**
+ * Parse JSON without losing precision on u64 integers
+ * Integers too large for a double are read as strings; normalizePskt turns u64 fields into BigInt either way.
+ * @param {string} json - JSON text
+ * @returns {*} Parsed value
+ */
+function parseWithU64(json) {
+  return JSON.parse(json.replace(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, token => (
+    /^\d{16,}$/.test(token) ? `"${token}"` : token
+  )));
+}
+
+/**
+ * Encode a JSON body with a PSKT/PSKB prefix
+ * @param {string} prefix - PSKT_PREFIX or PSKB_PREFIX
+ * @param {string} json - JSON text
+ * @param {string} encoding - 'hex' (rusty-kaspa) or 'base64'
+ * @returns {string} Encoded string
+ */
+function encodeWithPrefix(prefix, json, encoding) {
+  if (encoding === 'hex') return prefix + Buffer.from(json, 'utf8').toString('hex');
+  if (encoding === 'base64') return Buffer.from(prefix + json, 'utf8').toString('base64');
+  throw new Error(`Unknown PSKT encoding: ${encoding}. Use hex or base64`);
+}
+
+/**
+ * Serialize a PSKT
+ * @param {Object} pskt - PSKT
+ * @param {Object} options - Serialization options
+ * @param {string} options.encoding - 'hex' (default) or 'base64'
+ * @returns {string} "PSKT..." string (or its base64 form)
+ */
+export function serializePskt(pskt, options = {}) {
+  const { encoding = 'hex' } = options;
+  return encodeWithPrefix(PSKT_PREFIX, stringifyWithU64(normalizePskt(pskt)), encoding);
+}
+
+/**
+ * Serialize a PSKB (bundle of PSKTs)
+ * @param {Array<Object>} pskts - PSKTs
+ * @param {Object} options - Serialization options
+ * @param {string} options.encoding - 'hex' (default) or 'base64'
+ * @returns {string} "PSKB..." string (or its base64 form)
+ */
+export function serializePskb(pskts, options = {}) {
+  const { encoding = 'hex' } = options;
+  if (!Array.isArray(pskts)) throw new Error('Invalid PSKB: expected an array of PSKTs');
+  return encodeWithPrefix(PSKB_PREFIX, stringifyWithU64(pskts.map(normalizePskt)), encoding);
+}
+
+/**
+ * Deserialize PSKTs from any supported form
+ * Accepts PSKT/PSKB hex strings, their base64 forms, JSON text or objects, and the Kaspa SDK's
+ * PSKT.serialize() output ({ state, payload }).
+ * @param {string|Object|Array} data - Serialized PSKT or PSKB
+ * @returns {Array<Object>} PSKTs (a single PSKT is returned as a one-element bundle)
+ */
+export function deserializePskb(data) {
+  let value = data;
+  if (typeof data === 'string') {
+    const text = data.trim();
+    let json;
+    if (text.startsWith(PSKT_PREFIX) || text.startsWith(PSKB_PREFIX)) {
+      const body = text.slice(PSKT_PREFIX.length);
+      if (body.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(body)) throw new Error('Invalid PSKT: body after the prefix must be hex');
+      json = Buffer.from(body, 'hex').toString('utf8');
+    } else if (text.startsWith('{') || text.startsWith('[')) {
+      json = text;
+    } else {
+      const decoded = /^[A-Za-z0-9+/]+={0,2}$/.test(text) ? Buffer.from(text, 'base64').toString('utf8') : '';
+      if (!decoded.startsWith(PSKT_PREFIX) && !decoded.startsWith(PSKB_PREFIX)) {
+        throw new Error(`Invalid PSKT: expected a ${PSKT_PREFIX}/${PSKB_PREFIX} string, its base64 form or JSON`);
+      }
+      json = decoded.slice(PSKT_PREFIX.length);
+    }
+    try {
+      value = parseWithU64(json);
+    } catch (error) {
+      throw new Error(`Invalid PSKT JSON: ${error.message}`);
+    }
+  }
+
+  if (value && !Array.isArray(value) && value.state !== undefined && value.payload !== undefined) value = value.payload;
+  const pskts = Array.isArray(value) ? value : [value];
+  return pskts.map(normalizePskt);
+}
+
+/**
+ * Deserialize a single PSKT
+ * @param {string|Object} data - Serialized PSKT (see deserializePskb)
+ * @returns {Object} PSKT
+ */
+export function deserializePskt(data) {
+  const pskts = deserializePskb(data);
+  if (pskts.length !== 1) throw new Error(`Expected a single PSKT, found a bundle of ${pskts.length}`);
+  return pskts[0];
+}
+
+// ---------------------------------------------------------------------------
+// Creator / Constructor / Updater
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an empty PSKT (creator role)
+ * @param {Object} options - Global fields
+ * @param {number} options.txVersion - Transaction version (default: 0)
+ * @param {number|BigInt} options.fallbackLockTime - Lock time when no input sets minTime (default: none)
+ * @param {boolean} options.inputsModifiable - Allow other parties to add inputs (default: false)
+ * @param {boolean} options.outputsModifiable - Allow other parties to add outputs (default: false)
+ * @param {string} options.payload - Transaction payload hex, e.g. an envelope (default: none)
+ * @returns {Object} PSKT
+ */
+export function createPskt(options = {}) {
+  const { txVersion = 0, fallbackLockTime = null, inputsModifiable = false, outputsModifiable = false, payload = null } = options;
+  return normalizePskt({
+    global: { version: 0, txVersion, fallbackLockTime, inputsModifiable, outputsModifiable, payload },
+    inputs: [],
+    outputs: []
+  });
+}
+
+/**
+ * Create a PSKT from an unsigned SDK transaction (creator and constructor roles)
+ * @param {string|Object} transaction - serializeToSafeJSON() output or an equivalent object; inputs need UTXO entries
+ * @param {Object} options - Options
+ * @param {number} options.sighashType - Sighash type for every input (default: All)
+ * @returns {Object} PSKT
+ */
+export function createPsktFromTransaction(transaction, options = {}) {
+  const { sighashType = PSKT_SIGHASH_TYPES.All } = options;
+  const tx = typeof transaction === 'string' ? parseWithU64(transaction) : transaction;
+  if (!tx || !Array.isArray(tx.inputs) || !Array.isArray(tx.outputs)) throw new Error('Invalid transaction: inputs and outputs are required');
+  if (tx.subnetworkId && toHex(tx.subnetworkId, 'subnetworkId') !== SUBNETWORK_ID_NATIVE) {
+    throw new Error('PSKTs only support native-subnetwork transactions');
+  }
+
+  let pskt = createPskt({
+    txVersion: tx.version || 0,
+    fallbackLockTime: tx.lockTime ?? null,
+    payload: tx.payload || null
+  });
+  tx.inputs.forEach((input, index) => {
+    if (!input.utxo && !input.utxoEntry) throw new Error(`Transaction input ${index} has no UTXO entry`);
+    pskt = addPsktInput(pskt, { ...input, sighashType });
+  });
+  tx.outputs.forEach(output => {
+    pskt = addPsktOutput(pskt, output);
+  });
+  return pskt;
+}
+
+/**
+ * Add an input (constructor role)
+ * @param {Object} pskt - PSKT
+ * @param {Object} input - { previousOutpoint | transactionId+index, utxoEntry | utxo, sequence?, sigOpCount?, sighashType?, redeemScript? }
+ * @returns {Object} New PSKT
+ */
+export function addPsktInput(pskt, input) {
+  const next = normalizePskt(pskt);
+  const normalized = normalizeInput(input);
+  const outpoint = `${normalized.previousOutpoint.transactionId}:${normalized.previousOutpoint.index}`;
+  if (next.inputs.some(existing => `${existing.previousOutpoint.transactionId}:${existing.previousOutpoint.index}` === outpoint)) {
+    throw new Error(`Input ${outpoint} is already in the PSKT`);
+  }
+  next.inputs.push(normalized);
+  next.global.inputCount = next.inputs.length;
+  return next;
+}
+
+/**
+ * Add an output (constructor role)
+ * @param {Object} pskt - PSKT
+ * @param {Object} output - { amount | value, scriptPublicKey }
+ * @returns {Object} New PSKT
+ */
+export function addPsktOutput(pskt, output) {
+  const next = normalizePskt(pskt);
+  next.outputs.push(normalizeOutput(output));
+  next.global.outputCount = next.outputs.length;
+  return next;
+}
+
+/**
+ * Update an input (updater role)
+ * @param {Object} pskt - PSKT
+ * @param {number} inputIndex - Input index
+ * @param {Object} fields - Any of { utxoEntry, sequence, minTime, sighashType, redeemScript, sigOpCount }
+ * @returns {Object} New PSKT
+ */
+export function updatePsktInput(pskt, inputIndex, fields = {}) {
+  const next = normalizePskt(pskt);
+  const input = next.inputs[inputIndex];
+  if (!input) throw new Error(`Input ${inputIndex} does not exist`);
+  if (Object.keys(input.partialSigs).length > 0 || input.finalScriptSig) {
+    throw new Error(`Input ${inputIndex} is already signed; updating it would invalidate the signatures`);
+  }
+  const allowed = ['utxoEntry', 'sequence', 'minTime', 'sighashType', 'redeemScript', 'sigOpCount'];
+  const unknown = Object.keys(fields).filter(field => !allowed.includes(field));
+  if (unknown.length > 0) throw new Error(`Cannot update input field(s): ${unknown.join(', ')}`);
+  next.inputs[inputIndex] = normalizeInput({ ...input, ...fields });
+  return next;
+}
+
+// ---------------------------------------------------------------------------
+// Signer
+// ---------------------------------------------------------------------------
+
+/**
+ * Write a u64 as little-endian bytes
+ * @param {number|BigInt} value - Value
+ * @param {number} byteLength - Field width (1, 2, 4 or 8)
+ * @returns {Buffer} Bytes
+ */
+function uintLE(value, byteLength) {
+  const bytes = Buffer.alloc(byteLength);
+  let remaining = BigInt(value);
+  for (let i = 0; i < byteLength; i++) {
+    bytes[i] = Number(remaining & BigInt(0xff));
+    remaining >>= BigInt(8);
+  }
+  return bytes;
+}
+
+/**
+ * Length-prefixed bytes, as rusty-kaspa's write_var_bytes()
+ * @param {Buffer} bytes - Bytes
+ * @returns {Buffer} u64 length followed by the bytes
+ */
+function varBytes(bytes) {
+  return Buffer.concat([uintLE(bytes.length, 8), bytes]);
+}
+
+/**
+ * TransactionSigningHash (keyed Blake2b-256)
+ * @param {Array<Buffer>} parts - Data
+ * @returns {Buffer} 32-byte hash
+ */
+function signingHash(parts) {
+  return Buffer.from(blake2b(Buffer.concat(parts), { dkLen: 32, key: TRANSACTION_SIGNING_HASH_KEY }));
+}
+
+/**
+ * Encode a script public key as hashed in transactions: u16 version, then the script as var-bytes
+ * @param {string} scriptPublicKey - Serde hex form
+ * @returns {Buffer} Bytes
+ */
+function encodeScriptPublicKey(scriptPublicKey) {
+  const bytes = Buffer.from(scriptPublicKey, 'hex');
+  return Buffer.concat([uintLE(bytes.readUInt16BE(0), 2), varBytes(bytes.subarray(2))]);
+}
+
+/**
+ * Encode an outpoint
+ * @param {Object} outpoint - { transactionId, index }
+ * @returns {Buffer} Bytes
+ */
+function encodeOutpoint(outpoint) {
+  return Buffer.concat([Buffer.from(outpoint.transactionId, 'hex'), uintLE(outpoint.index, 4)]);
+}
+
+/**
+ * Encode an output
+ * @param {Object} output - PSKT output
+ * @returns {Buffer} Bytes
+ */
+function encodeOutput(output) {
+  return Buffer.concat([uintLE(output.amount, 8), encodeScriptPublicKey(output.scriptPublicKey)]);
+}
+
+/**
+ * Lock time of the extracted transaction: the largest input minTime, else the fallback lock time
+ * @param {Object} pskt - PSKT
+ * @returns {BigInt} Lock time
+ */
+function determineLockTime(pskt) {
+  const minTimes = pskt.inputs.map(input => input.minTime).filter(minTime => minTime !== null);
+  if (minTimes.length > 0) return minTimes.reduce((max, minTime) => (minTime > max ? minTime : max));
+  return pskt.global.fallbackLockTime ?? BigInt(0);
+}
+
+/**
+ * Compute the Schnorr signature hash of an input (rusty-kaspa consensus/core/src/hashing/sighash.rs)
+ * @param {Object} psktData - PSKT
+ * @param {number} inputIndex - Input being signed
+ * @param {number} sighashType - Sighash type
+ * @returns {Buffer} 32-byte hash
+ */
+export function calculatePsktSighash(psktData, inputIndex, sighashType) {
+  const pskt = normalizePskt(psktData);
+  const input = pskt.inputs[inputIndex];
+  if (!input) throw new Error(`Input ${inputIndex} does not exist`);
+  if (!input.utxoEntry) throw new Error(`Input ${inputIndex} has no UTXO entry to sign against`);
+  const type = toSighashType(sighashType);
+  const anyoneCanPay = (type & SIGHASH_ANYONECANPAY) !== 0;
+  const baseType = type & SIGHASH_MASK;
+  const zeroHash = Buffer.alloc(32);
+  const sequence = item => item.sequence ?? MAX_SEQUENCE;
+
+  const previousOutputsHash = anyoneCanPay ? zeroHash : signingHash(pskt.inputs.map(item => encodeOutpoint(item.previousOutpoint)));
+  const sequencesHash = anyoneCanPay || baseType !== PSKT_SIGHASH_TYPES.All ? zeroHash : signingHash(pskt.inputs.map(item => uintLE(sequence(item), 8)));
+  const sigOpCountsHash = anyoneCanPay ? zeroHash : signingHash(pskt.inputs.map(item => uintLE(item.sigOpCount, 1)));
+
+  let outputsHash = zeroHash;
+  if (baseType === PSKT_SIGHASH_TYPES.All) {
+    outputsHash = signingHash(pskt.outputs.map(encodeOutput));
+  } else if (baseType === PSKT_SIGHASH_TYPES.Single && inputIndex < pskt.outputs.length) {
+    outputsHash = signingHash([encodeOutput(pskt.outputs[inputIndex])]);
+  }
+
+  const payload = Buffer.from(pskt.global.payload || '', 'hex');
+  const payloadHash = payload.length === 0 ? zeroHash : signingHash([varBytes(payload)]);
+
+  return signingHash([
+    uintLE(pskt.global.txVersion, 2),
+    previousOutputsHash,
+    sequencesHash,
+    sigOpCountsHash,
+    encodeOutpoint(input.previousOutpoint),
+    encodeScriptPublicKey(input.utxoEntry.scriptPublicKey),
+    uintLE(input.utxoEntry.amount, 8),
+    uintLE(sequence(input), 8),
+    uintLE(input.sigOpCount, 1),
+    outputsHash,
+    uintLE(determineLockTime(pskt), 8),
+    Buffer.from(SUBNETWORK_ID_NATIVE, 'hex'),
+    uintLE(0, 8),
+    payloadHash,
+    uintLE(type, 1)
+  ]);
+}
+
+/**
+ * Split a script into opcodes and pushed data
+ * @param {Buffer} script - Script bytes
+ * @returns {Array<Object>} { opcode, data? }
+ */
+function parseScript(script) {
+  const items = [];
+  let offset = 0;
+  while (offset < script.length) {
+    const opcode = script[offset++];
+    let length = 0;
+    if (opcode >= 0x01 && opcode <= 0x4b) length = opcode;
+    else if (opcode === OP_PUSHDATA1) length = script[offset++];
+    else if (opcode === OP_PUSHDATA2) { length = script.readUInt16LE(offset); offset += 2; }
+    else if (opcode === OP_PUSHDATA4) { length = script.readUInt32LE(offset); offset += 4; }
+    if (offset + length > script.length) throw new Error('Invalid script: push past the end');
+    items.push(length > 0 ? { opcode, data: script.subarray(offset, offset + length) } : { opcode });
+    offset += length;
+  }
+  return items;
+}
+
+/**
+ * Push data onto a script with the smallest push opcode
+ * @param {Buffer} data - Data
+ * @returns {Buffer} Script bytes
+ */
+function pushData(data) {
+  if (data.length <= 0x4b) return Buffer.concat([Buffer.from([data.length]), data]);
+  if (data.length <= 0xff) return Buffer.concat([Buffer.from([OP_PUSHDATA1, data.length]), data]);
+  if (data.length <= 0xffff) return Buffer.concat([Buffer.from([OP_PUSHDATA2]), uintLE(data.length, 2), data]);
+  return Buffer.concat([Buffer.from([OP_PUSHDATA4]), uintLE(data.length, 4), data]);
+}
+
+/**
+ * Public keys an input's script checks, with the number of signatures it needs
+ * @param {Object} input - PSKT input
+ * @returns {Object} { keys: Array<hex>, required, ecdsa, p2sh }
+ */
+function getInputSigningKeys(input) {
+  const script = Buffer.from(input.utxoEntry.scriptPublicKey, 'hex').subarray(2);
+  if (script.length === 34 && script[0] === OP_DATA_32 && script[33] === OP_CHECKSIG) {
+    return { keys: [script.subarray(1, 33).toString('hex')], required: 1, ecdsa: false, p2sh: false };
+  }
+  if (script.length === 35 && script[0] === OP_DATA_33 && script[34] === OP_CHECKSIG_ECDSA) {
+    return { keys: [script.subarray(1, 34).toString('hex')], required: 1, ecdsa: true, p2sh: false };
+  }
+  if (script.length === 35 && script[0] === OP_BLAKE2B && script[1] === OP_DATA_32 && script[34] === OP_EQUAL) {
+    if (!input.redeemScript) return { keys: [], required: 0, ecdsa: false, p2sh: true };
+    const redeem = parseScript(Buffer.from(input.redeemScript, 'hex'));
+    const keys = redeem.filter(item => item.data && (item.data.length === 32 || item.data.length === 33)).map(item => item.data.toString('hex'));
+    const last = redeem[redeem.length - 1];
+    const multisig = last && (last.opcode === OP_CHECKMULTISIG || last.opcode === OP_CHECKMULTISIG_ECDSA);
+    const required = multisig && redeem[0].opcode >= OP_1 && redeem[0].opcode <= OP_16 ? redeem[0].opcode - OP_1 + 1 : keys.length;
+    return { keys, required, ecdsa: keys.some(key => key.length === 66), p2sh: true };
+  }
+  return { keys: [], required: 0, ecdsa: false, p2sh: false };
+}
+
+/**
+ * Sign every input the key controls (signer role)
+ * Inputs locked to the key (P2PK, or P2SH with a redeem script naming the key) get a Schnorr partial signature
+ * using the input's own sighash type.
+ * @param {Object} pskt - PSKT
+ * @param {string|Uint8Array} privateKey - Private key (32 bytes, hex or bytes)
+ * @param {Object} options - Signing options
+ * @param {Array<number>} options.inputIndexes - Only sign these inputs (default: all the key controls)
+ * @returns {Object} New PSKT
+ */
+export function signPskt(pskt, privateKey, options = {}) {
+  const { inputIndexes = null } = options;
+  const key = Buffer.from(toHex(privateKey, 'private key', 32), 'hex');
+  const next = normalizePskt(pskt);
+  const compressedKey = Buffer.from(secp256k1.getPublicKey(key, true)).toString('hex');
+  const xOnlyKey = compressedKey.slice(2);
+
+  let signed = 0;
+  next.inputs.forEach((input, index) => {
+    if ((inputIndexes && !inputIndexes.includes(index)) || !input.utxoEntry || input.finalScriptSig) return;
+    const { keys } = getInputSigningKeys(input);
+    if (!keys.includes(xOnlyKey)) return;
+    const sighash = calculatePsktSighash(next, index, input.sighashType);
+    input.partialSigs = normalizePartialSigs({
+      ...input.partialSigs,
+      [compressedKey]: { schnorr: Buffer.from(schnorr.sign(sighash, key)).toString('hex') }
+    });
+    signed++;
+  });
+  if (signed === 0) throw new Error('The key does not control any unsigned input of this PSKT');
+  return next;
+}
+
+// ---------------------------------------------------------------------------
+// Combiner / Finalizer / Extractor
+// ---------------------------------------------------------------------------
+
+const UNSIGNED_INPUT_FIELDS = ['previousOutpoint', 'utxoEntry', 'sequence', 'minTime', 'sighashType', 'redeemScript', 'sigOpCount'];
+
+/**
+ * Input fields that differ between two copies of the same PSKT (signatures aside)
+ * @param {Object} input - Normalised PSKT input
+ * @param {Object} other - Normalised PSKT input
+ * @returns {Array<string>} Field names
+ */
+function differingInputFields(input, other) {
+  return UNSIGNED_INPUT_FIELDS.filter(field => stringifyWithU64(input[field]) !== stringifyWithU64(other[field]));
+}
+
+/**
+ * Merge signatures from two copies of the same PSKT (combiner role)
+ * @param {Object} pskt - PSKT
+ * @param {Object} other - Another copy with possibly different partial signatures
+ * @returns {Object} New PSKT with the union of partial signatures
+ */
+export function combinePskts(pskt, other) {
+  const next = normalizePskt(pskt);
+  const theirs = normalizePskt(other);
+  if (calculatePsktId(next) !== calculatePsktId(theirs)) throw new Error('Cannot combine PSKTs of different transactions');
+  next.inputs.forEach((input, index) => {
+    const theirInput = theirs.inputs[index];
+    const fields = differingInputFields(input, theirInput);
+    if (fields.length > 0) throw new Error(`Input ${index} differs between the PSKTs (${fields.join(', ')})`);
+    if (input.finalScriptSig && theirInput.finalScriptSig && input.finalScriptSig !== theirInput.finalScriptSig) {
+      throw new Error(`Input ${index} has two different signature scripts`);
+    }
+    input.partialSigs = normalizePartialSigs({ ...theirInput.partialSigs, ...input.partialSigs });
+    input.finalScriptSig = input.finalScriptSig || theirInput.finalScriptSig;
+  });
+  return next;
+}
+
+/**
+ * Signature bytes as they appear in a signature script: 64-byte signature followed by the sighash type
+ * @param {Object} signature - { schnorr } or { eCDSA } (DER)
+ * @param {number} sighashType - Sighash type
+ * @returns {Buffer} 65 bytes
+ */
+function scriptSignature(signature, sighashType) {
+  const bytes = signature.schnorr
+    ? Buffer.from(signature.schnorr, 'hex')
+    : Buffer.from(secp256k1.Signature.fromDER(signature.eCDSA).toCompactRawBytes());
+  return Buffer.concat([bytes, Buffer.from([sighashType])]);
+}
+
+/**
+ * Build signature scripts from partial signatures (finalizer role)
+ * Supports P2PK (Schnorr and ECDSA) and P2SH inputs, including m-of-n multisig redeem scripts, where signatures are
+ * pushed in the redeem script's key order. Inputs with a finalScriptSig are left as they are.
+ * @param {Object} pskt - PSKT
+ * @returns {Object} New PSKT
+ */
+export function finalizePskt(pskt) {
+  const next = normalizePskt(pskt);
+  next.inputs.forEach((input, index) => {
+    if (input.finalScriptSig) return;
+    if (!input.utxoEntry) throw new Error(`Input ${index} has no UTXO entry`);
+    const { keys, required, p2sh } = getInputSigningKeys(input);
+    if (keys.length === 0) throw new Error(`Input ${index}: unsupported script${p2sh ? ' (P2SH input needs a redeemScript)' : ''}`);
+
+    const signatures = keys
+      .map(key => Object.keys(input.partialSigs).find(sigKey => (key.length === 64 ? sigKey.slice(2) === key : sigKey === key)))
+      .filter(Boolean)
+      .slice(0, required)
+      .map(sigKey => pushData(scriptSignature(input.partialSigs[sigKey], input.sighashType)));
+    if (signatures.length < required) throw new Error(`Input ${index} has ${signatures.length} of ${required} required signatures`);
+
+    const parts = p2sh ? [...signatures, pushData(Buffer.from(input.redeemScript, 'hex'))] : signatures;
+    input.finalScriptSig = Buffer.concat(parts).toString('hex');
+  });
+  return next;
+}
+
+/**
+ * Build the transaction a PSKT describes
+ * @param {Object} pskt - Normalised PSKT
+ * @returns {Object} Transaction in the SDK's safe JSON shape (u64 fields as strings)
+ */
+function buildTransaction(pskt) {
+  return {
+    version: pskt.global.txVersion,
+    inputs: pskt.inputs.map(input => ({
+      transactionId: input.previousOutpoint.transactionId,
+      index: input.previousOutpoint.index,
+      sequence: String(input.sequence ?? MAX_SEQUENCE),
+      sigOpCount: input.sigOpCount,
+      signatureScript: input.finalScriptSig || '',
+      utxo: input.utxoEntry && {
+        amount: String(input.utxoEntry.amount),
+        scriptPublicKey: input.utxoEntry.scriptPublicKey,
+        blockDaaScore: String(input.utxoEntry.blockDaaScore),
+        isCoinbase: input.utxoEntry.isCoinbase
+      }
+    })),
+    outputs: pskt.outputs.map(output => ({ value: String(output.amount), scriptPublicKey: output.scriptPublicKey })),
+    subnetworkId: SUBNETWORK_ID_NATIVE,
+    lockTime: String(determineLockTime(pskt)),
+    gas: '0',
+    payload: pskt.global.payload || ''
+  };
+}
+
+/**
+ * Compute the ID of the transaction a PSKT describes (signatures are not part of it)
+ * @param {Object} pskt - PSKT
+ * @returns {string} Transaction ID hex
+ */
+export function calculatePsktId(pskt) {
+  return computeTransactionId(buildTransaction(normalizePskt(pskt)));
+}
+
+/**
+ * Extract the signed transaction (extractor role)
+ * @param {Object} pskt - Finalized PSKT
+ * @returns {Object} Transaction in serializeToSafeJSON() shape, with its id
+ */
+export function extractPsktTransaction(pskt) {
+  const next = normalizePskt(pskt);
+  const unfinalized = next.inputs.map((input, index) => (input.finalScriptSig ? null : index)).filter(index => index !== null);
+  if (unfinalized.length > 0) throw new Error(`PSKT is not finalized: input(s) ${unfinalized.join(', ')} have no signature script`);
+  const transaction = buildTransaction(next);
+  return { id: computeTransactionId(transaction), ...transaction };
+}
+
+/**
+ * Signature progress of every input
+ * @param {Object} pskt - PSKT
+ * @returns {Array<Object>} Per input: { inputIndex, keys, required, signedKeys, missingKeys, finalized, complete }
+ */
+export function getPsktSigningStatus(pskt) {
+  const next = normalizePskt(pskt);
+  return next.inputs.map((input, inputIndex) => {
+    const { keys, required } = input.utxoEntry ? getInputSigningKeys(input) : { keys: [], required: 0 };
+    const signedKeys = keys.filter(key => Object.keys(input.partialSigs).some(sigKey => sigKey === key || sigKey.slice(2) === key));
+    const finalized = Boolean(input.finalScriptSig);
+    return {
+      inputIndex,
+      keys,
+      required,
+      signedKeys,
+      missingKeys: keys.filter(key => !signedKeys.includes(key)),
+      finalized,
+      complete: finalized || (keys.length > 0 && signedKeys.length >= required)
+    };
+  });
+}
+
+/**
+ * Find partial signatures that do not verify against their input's sighash
+ * ECDSA signatures are not checked.
+ * @param {Object} pskt - PSKT
+ * @returns {Array<Object>} { inputIndex, publicKey }
+ */
+export function findInvalidPsktSignatures(pskt) {
+  const next = normalizePskt(pskt);
+  const invalid = [];
+  next.inputs.forEach((input, inputIndex) => {
+    Object.entries(input.partialSigs).forEach(([publicKey, signature]) => {
+      if (!signature.schnorr) return;
+      const valid = Boolean(input.utxoEntry) && schnorr.verify(signature.schnorr, calculatePsktSighash(next, inputIndex, input.sighashType), publicKey.slice(2));
+      if (!valid) invalid.push({ inputIndex, publicKey });
+    });
+  });
+  return invalid;
+}
+
+/**
+ * Find everything that stops several copies of a PSKT from being combined
+ * @param {Array<Object>} pskts - PSKTs
+ * @returns {Array<Object>} Conflicts: { psktIndex, inputIndex, field, message } (inputIndex is null for whole-PSKT conflicts)
+ */
+export function findPsktConflicts(pskts) {
+  const copies = pskts.map(normalizePskt);
+  const conflicts = [];
+  if (copies.length === 0) return conflicts;
+  const [first] = copies;
+  const expectedId = calculatePsktId(first);
+
+  copies.forEach((copy, psktIndex) => {
+    if (psktIndex > 0 && calculatePsktId(copy) !== expectedId) {
+      conflicts.push({ psktIndex, inputIndex: null, field: 'transaction', message: `PSKT ${psktIndex} describes a different transaction than PSKT 0` });
+      return;
+    }
+    copy.inputs.forEach((input, inputIndex) => {
+      if (psktIndex > 0) {
+        differingInputFields(first.inputs[inputIndex], input).forEach(field => {
+          conflicts.push({ psktIndex, inputIndex, field, message: `Input ${inputIndex}: ${field} differs from PSKT 0` });
+        });
+        const otherScript = copies.slice(0, psktIndex).map(other => other.inputs[inputIndex].finalScriptSig).find(Boolean);
+        if (input.finalScriptSig && otherScript && input.finalScriptSig !== otherScript) {
+          conflicts.push({ psktIndex, inputIndex, field: 'finalScriptSig', message: `Input ${inputIndex}: signature script differs from an earlier PSKT` });
+        }
+      }
+    });
+    findInvalidPsktSignatures(copy).forEach(({ inputIndex, publicKey }) => {
+      conflicts.push({ psktIndex, inputIndex, field: 'partialSigs', message: `Input ${inputIndex}: signature by ${publicKey} does not verify` });
+    });
+  });
+  return conflicts;
+}
+
+/**
+ * Copy the signatures of a signed transaction into a PSKT (signer role)
+ * Wallets such as Kastle return a signed transaction rather than a PSKT. P2PK signature scripts become partial
+ * signatures, so they can be combined with other signers' work; other inputs keep the script as finalScriptSig.
+ * @param {Object} pskt - PSKT describing the same transaction
+ * @param {string|Object} signedTransaction - Signed transaction (serializeToSafeJSON() shape)
+ * @returns {Object} New PSKT
+ */
+export function addPsktSignaturesFromTransaction(pskt, signedTransaction) {
+  const next = normalizePskt(pskt);
+  const tx = typeof signedTransaction === 'string' ? parseWithU64(signedTransaction) : signedTransaction;
+  if (!tx || !Array.isArray(tx.inputs) || tx.inputs.length !== next.inputs.length) {
+    throw new Error('Signed transaction does not have the same inputs as the PSKT');
+  }
+
+  tx.inputs.forEach((txInput, index) => {
+    const input = next.inputs[index];
+    const outpoint = txInput.previousOutpoint || txInput.outpoint || txInput;
+    if (toHex(outpoint.transactionId, 'input transactionId', 32) !== input.previousOutpoint.transactionId || Number(outpoint.index || 0) !== input.previousOutpoint.index) {
+      throw new Error(`Signed transaction input ${index} spends a different outpoint than the PSKT`);
+    }
+    const signatureScript = toHex(txInput.signatureScript || '', 'signatureScript');
+    if (!signatureScript || input.finalScriptSig) return;
+
+    const { keys, p2sh, ecdsa } = input.utxoEntry ? getInputSigningKeys(input) : { keys: [] };
+    if (p2sh || ecdsa || keys.length !== 1 || !/^41[0-9a-f]{130}$/.test(signatureScript)) {
+      input.finalScriptSig = signatureScript;
+      return;
+    }
+
+    const signature = signatureScript.slice(2, 130);
+    const sighashType = toSighashType(parseInt(signatureScript.slice(130), 16));
+    if (sighashType !== input.sighashType) {
+      if (Object.keys(input.partialSigs).length > 0) throw new Error(`Input ${index} was signed with sighash type 0x${sighashType.toString(16)}, but its other signatures use 0x${input.sighashType.toString(16)}`);
+      input.sighashType = sighashType;
+    }
+    if (!schnorr.verify(signature, calculatePsktSighash(next, index, sighashType), keys[0])) {
+      throw new Error(`Input ${index}: signature does not verify against the PSKT`);
+    }
+    // P2PK scripts only commit to the x-only key; the even-y compressed form stands in for it
+    input.partialSigs = normalizePartialSigs({ ...input.partialSigs, [`02${keys[0]}`]: { schnorr: signature } });
+  });
+  return next;
+}
+
+/**
+ * Work out which role a PSKT is waiting for
+ * @param {Object} pskt - PSKT
+ * @returns {string} 'constructor' (no inputs or outputs yet), 'signer', 'finalizer' or 'extractor'
+ */
+export function inferPsktStage(pskt) {
+  const next = normalizePskt(pskt);
+  if (next.inputs.length === 0 || next.outputs.length === 0) return 'constructor';
+  const status = getPsktSigningStatus(next);
+  if (status.every(input => input.finalized)) return 'extractor';
+  return status.every(input => input.complete) ? 'finalizer' : 'signer';
+}
+
+console.log('📦 Kaspa PSKT Format module loaded successfully (pskt-format.js)');
@@ -0,0 +1,217 @@
+/**
+ * @jest-environment node
+ */
+import { Buffer } from 'buffer';
+import { schnorr } from '@noble/curves/secp256k1';
+import {
+  PSKT_SIGHASH_TYPES,
+  createPskt,
+  createPsktFromTransaction,
+  addPsktInput,
+  addPsktOutput,
+  updatePsktInput,
+  signPskt,
+  combinePskts,
+  finalizePskt,
+  extractPsktTransaction,
+  calculatePsktId,
+  calculatePsktSighash,
+  inferPsktStage,
+  getPsktSigningStatus,
+  findPsktConflicts,
+  addPsktSignaturesFromTransaction,
+  serializePskt,
+  serializePskb,
+  deserializePskt,
+  deserializePskb
+} from './pskt-format.js';
+
+const PRIVATE_KEY = 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef';
+const PUBLIC_KEY = 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659';
+const SCRIPT_PUBLIC_KEY = `000020${PUBLIC_KEY}ac`;
+
+// Fixtures produced by the Kaspa WASM SDK (1.1.0-rc): a constructor-role PSKT with two inputs, one holding u64::MAX
+// sompi, and its PSKB.serialize() JSON body and calculateId()
+const SDK_PSKT_JSON = `{"global":{"version":0,"txVersion":0,"fallbackLockTime":null,"inputsModifiable":false,"outputsModifiable":false,"inputCount":2,"outputCount":1,"xpubs":{},"id":null,"proprietaries":{},"payload":null},"inputs":[{"utxoEntry":{"amount":500000,"scriptPublicKey":"${SCRIPT_PUBLIC_KEY}","blockDaaScore":7,"isCoinbase":false},"previousOutpoint":{"transactionId":"${'1'.repeat(64)}","index":1},"sequence":null,"minTime":null,"partialSigs":{},"sighashType":1,"redeemScript":null,"sigOpCount":1,"bip32Derivations":{},"finalScriptSig":null,"proprietaries":{}},{"utxoEntry":{"amount":18446744073709551615,"scriptPublicKey":"${SCRIPT_PUBLIC_KEY}","blockDaaScore":7,"isCoinbase":false},"previousOutpoint":{"transactionId":"${'2'.repeat(64)}","index":2},"sequence":null,"minTime":null,"partialSigs":{},"sighashType":1,"redeemScript":null,"sigOpCount":1,"bip32Derivations":{},"finalScriptSig":null,"proprietaries":{}}],"outputs":[{"amount":400000,"scriptPublicKey":"${SCRIPT_PUBLIC_KEY}","redeemScript":null,"bip32Derivations":{},"proprietaries":{}}]}`;
+const SDK_PSKT_ID = '752e8af448ff43848c6d3ea6ce3654b745bde68c56f2b377bfbb83adf60f7ebc';
+
+// Transaction.serializeToSafeJSON() and input signatures from createInputSignature()
+const sdkUtxo = { address: 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae', amount: '500000', scriptPublicKey: SCRIPT_PUBLIC_KEY, blockDaaScore: '7', isCoinbase: false };
+const SDK_TRANSACTION = {
+  id: '018b518cb3f2d5703ae5613b00299910f6fad135c9e692b9ad046751c329221b',
+  version: 0,
+  inputs: [
+    { transactionId: '1'.repeat(64), index: 1, sequence: '0', sigOpCount: 1, signatureScript: '', utxo: sdkUtxo },
+    { transactionId: '2'.repeat(64), index: 2, sequence: '0', sigOpCount: 1, signatureScript: '', utxo: sdkUtxo }
+  ],
+  outputs: [{ value: '400000', scriptPublicKey: SCRIPT_PUBLIC_KEY }, { value: '90000', scriptPublicKey: SCRIPT_PUBLIC_KEY }],
+  subnetworkId: '0'.repeat(40),
+  lockTime: '0',
+  gas: '0',
+  mass: '0',
+  payload: '0201cafe'
+};
+const SDK_SIGNATURE_ALL = 'f8ad0a9e87e4ec3b2b8b0c9d7c9ec05df2249fe2e4c4e4d86b74276d50a865340409a983edab2963d5bd9266d4cd2bcbfbb3850f4fbc4cca46bf7d302bca1226';
+const SDK_SIGNATURE_SINGLE_ANYONECANPAY = 'f67ea9a6a82c75fce2ad752bd6722ee864a998882dab0879459c14a3b78fe8ba226199ecaa7dec72af443c14336b1eceb5d6d478fa45714a4f99681fb3848bd4';
+
+describe('PSKT serialization', () => {
+  test('round-trips SDK PSKB fixtures byte for byte', () => {
+    const sdkPskb = `PSKB${Buffer.from(`[${SDK_PSKT_JSON}]`, 'utf8').toString('hex')}`;
+    const [pskt] = deserializePskb(sdkPskb);
+    expect(pskt.inputs[1].utxoEntry.amount).toBe(BigInt('18446744073709551615'));
+    expect(pskt.inputs[0].sequence).toBeNull();
+    expect(serializePskb([pskt])).toBe(sdkPskb);
+    expect(serializePskt(pskt)).toBe(`PSKT${Buffer.from(SDK_PSKT_JSON, 'utf8').toString('hex')}`);
+    expect(calculatePsktId(pskt)).toBe(SDK_PSKT_ID);
+  });
+
+  test('builds the SDK fixture through the constructor role', () => {
+    let pskt = createPskt();
+    pskt = addPsktInput(pskt, { previousOutpoint: { transactionId: '1'.repeat(64), index: 1 }, utxoEntry: { ...sdkUtxo, blockDaaScore: 7 } });
+    pskt = addPsktInput(pskt, { transactionId: '2'.repeat(64), index: 2, utxo: { ...sdkUtxo, amount: BigInt('18446744073709551615') } });
+    pskt = addPsktOutput(pskt, { value: 400000, scriptPublicKey: { version: 0, script: SCRIPT_PUBLIC_KEY.slice(4) } });
+    expect(serializePskt(pskt)).toBe(`PSKT${Buffer.from(SDK_PSKT_JSON, 'utf8').toString('hex')}`);
+    expect(inferPsktStage(pskt)).toBe('signer');
+  });
+
+  test('accepts base64, JSON and SDK PSKT.serialize() forms', () => {
+    const pskt = deserializePskt(SDK_PSKT_JSON);
+    const base64 = serializePskt(pskt, { encoding: 'base64' });
+    expect(Buffer.from(base64, 'base64').toString('utf8').startsWith('PSKT{')).toBe(true);
+    expect(deserializePskt(base64)).toEqual(pskt);
+    expect(deserializePskt(`{"state":"Signer","payload":${SDK_PSKT_JSON}}`)).toEqual(pskt);
+    expect(deserializePskb(serializePskb([pskt, pskt], { encoding: 'base64' })).length).toBe(2);
+  });
+
+  test('rejects malformed input', () => {
+    expect(() => deserializePskt('PSKBzz')).toThrow(/hex/);
+    expect(() => deserializePskt('hello')).toThrow(/PSKT/);
+    expect(() => deserializePskt(serializePskb([createPskt(), createPskt()]))).toThrow(/bundle of 2/);
+    expect(() => deserializePskt(SDK_PSKT_JSON.replace('"sighashType":1', '"sighashType":3'))).toThrow(/sighash/);
+  });
+});
+
+describe('PSKT roles', () => {
+  test('sighashes match SDK signatures', () => {
+    const pskt = createPsktFromTransaction(JSON.stringify(SDK_TRANSACTION));
+    expect(calculatePsktId(pskt)).toBe(SDK_TRANSACTION.id);
+    expect(schnorr.verify(SDK_SIGNATURE_ALL, calculatePsktSighash(pskt, 1, PSKT_SIGHASH_TYPES.All), PUBLIC_KEY)).toBe(true);
+    expect(schnorr.verify(SDK_SIGNATURE_SINGLE_ANYONECANPAY, calculatePsktSighash(pskt, 1, PSKT_SIGHASH_TYPES.SingleAnyOneCanPay), PUBLIC_KEY)).toBe(true);
+    expect(schnorr.verify(SDK_SIGNATURE_ALL, calculatePsktSighash(pskt, 0, PSKT_SIGHASH_TYPES.All), PUBLIC_KEY)).toBe(false);
+  });
+
+  test('sign, finalize and extract a P2PK transaction', () => {
+    const unsigned = createPsktFromTransaction(SDK_TRANSACTION);
+    const signed = signPskt(unsigned, PRIVATE_KEY);
+    expect(inferPsktStage(signed)).toBe('finalizer');
+    expect(() => extractPsktTransaction(signed)).toThrow(/not finalized/);
+
+    const transaction = extractPsktTransaction(finalizePskt(signed));
+    expect(transaction.id).toBe(SDK_TRANSACTION.id);
+    expect(transaction.payload).toBe('0201cafe');
+    transaction.inputs.forEach((input, index) => {
+      expect(input.signatureScript.length).toBe(132);
+      expect(input.signatureScript.endsWith('01')).toBe(true);
+      expect(schnorr.verify(input.signatureScript.slice(2, 130), calculatePsktSighash(unsigned, index, PSKT_SIGHASH_TYPES.All), PUBLIC_KEY)).toBe(true);
+    });
+
+    expect(() => signPskt(unsigned, '11'.repeat(32))).toThrow(/does not control/);
+    expect(() => updatePsktInput(signed, 0, { sequence: 1 })).toThrow(/already signed/);
+    expect(() => addPsktInput(unsigned, SDK_TRANSACTION.inputs[0])).toThrow(/already/);
+  });
+
+  test('updater sighash types and lock times feed the signature hash', () => {
+    const base = createPsktFromTransaction(SDK_TRANSACTION);
+    const updated = updatePsktInput(base, 1, { sighashType: PSKT_SIGHASH_TYPES.SingleAnyOneCanPay, minTime: 100 });
+    expect(extractPsktTransaction(finalizePskt(signPskt(updated, PRIVATE_KEY))).lockTime).toBe('100');
+    expect(finalizePskt(signPskt(updated, PRIVATE_KEY)).inputs[1].finalScriptSig.endsWith('84')).toBe(true);
+    expect(calculatePsktSighash(updated, 1, PSKT_SIGHASH_TYPES.All).equals(calculatePsktSighash(base, 1, PSKT_SIGHASH_TYPES.All))).toBe(false);
+  });
+
+  test('combine and finalize a 2-of-3 multisig input', () => {
+    const keys = [PRIVATE_KEY, '11'.repeat(32), '22'.repeat(32)];
+    const publicKeys = keys.map(key => Buffer.from(schnorr.getPublicKey(key)).toString('hex'));
+    const redeemScript = `52${publicKeys.map(key => `20${key}`).join('')}53ae`;
+    // P2SH script public key for this redeem script, as the SDK's createMultisigAddress() derives it
+    const p2sh = '0000aa20b90db00de7626dc5d32eba7751d8f396436da5052d41b48815f23b68db65eb9f87';
+
+    let pskt = createPskt({ payload: 'cafe' });
+    pskt = addPsktInput(pskt, { transactionId: '4'.repeat(64), index: 0, utxoEntry: { amount: 9000, scriptPublicKey: p2sh }, redeemScript, sigOpCount: 3 });
+    pskt = addPsktOutput(pskt, { amount: 8000, scriptPublicKey: SCRIPT_PUBLIC_KEY });
+
+    const third = signPskt(pskt, keys[2]);
+    const first = signPskt(pskt, keys[0]);
+    expect(inferPsktStage(third)).toBe('signer');
+    expect(() => finalizePskt(third)).toThrow(/1 of 2/);
+
+    const combined = combinePskts(third, first);
+    expect(Object.keys(combined.inputs[0].partialSigs).length).toBe(2);
+    expect(inferPsktStage(combined)).toBe('finalizer');
+
+    const finalScriptSig = finalizePskt(combined).inputs[0].finalScriptSig;
+    const signatureOf = index => Object.entries(combined.inputs[0].partialSigs).find(([key]) => key.slice(2) === publicKeys[index])[1].schnorr;
+    // Signatures in redeem script key order, then the redeem script pushed with OP_PUSHDATA1
+    expect(finalScriptSig).toBe(`41${signatureOf(0)}0141${signatureOf(2)}014c66${redeemScript}`);
+
+    expect(() => combinePskts(pskt, addPsktOutput(pskt, { amount: 1, scriptPublicKey: SCRIPT_PUBLIC_KEY }))).toThrow(/different transactions/);
+  });
+});
+
+describe('PSKT combiner', () => {
+  const otherKey = '33'.repeat(32);
+  const otherPublicKey = Buffer.from(schnorr.getPublicKey(otherKey)).toString('hex');
+
+  // Two wallets co-funding one transaction: input 0 belongs to PRIVATE_KEY, input 1 to otherKey
+  const coFunded = () => {
+    const pskt = createPsktFromTransaction(SDK_TRANSACTION);
+    return updatePsktInput(pskt, 1, { utxoEntry: { amount: 500000, scriptPublicKey: `000020${otherPublicKey}ac` } });
+  };
+
+  test('reports unsigned inputs until every party has signed', () => {
+    const first = signPskt(coFunded(), PRIVATE_KEY);
+    const second = signPskt(coFunded(), otherKey);
+    const status = getPsktSigningStatus(first);
+    expect(status[0].complete).toBe(true);
+    expect(status[1].complete).toBe(false);
+    expect(status[1].missingKeys).toEqual([otherPublicKey]);
+
+    expect(findPsktConflicts([first, second])).toEqual([]);
+    const combined = combinePskts(first, second);
+    expect(getPsktSigningStatus(combined).every(input => input.complete)).toBe(true);
+    expect(extractPsktTransaction(finalizePskt(combined)).id).toBe(calculatePsktId(coFunded()));
+  });
+
+  test('detects conflicting inputs and bad signatures', () => {
+    const first = signPskt(coFunded(), PRIVATE_KEY);
+    const otherSighash = updatePsktInput(coFunded(), 1, { sighashType: PSKT_SIGHASH_TYPES.NoneAnyOneCanPay });
+    expect(findPsktConflicts([first, otherSighash])).toEqual([
+      { psktIndex: 1, inputIndex: 1, field: 'sighashType', message: 'Input 1: sighashType differs from PSKT 0' }
+    ]);
+    expect(() => combinePskts(first, otherSighash)).toThrow(/sighashType/);
+
+    const forged = signPskt(coFunded(), otherKey);
+    const [signer] = Object.keys(forged.inputs[1].partialSigs);
+    forged.inputs[1].partialSigs[signer].schnorr = forged.inputs[1].partialSigs[signer].schnorr.replace(/^../, '00');
+    expect(findPsktConflicts([first, forged]).map(conflict => conflict.field)).toEqual(['partialSigs']);
+
+    const otherTransaction = addPsktOutput(coFunded(), { amount: 1, scriptPublicKey: SCRIPT_PUBLIC_KEY });
+    expect(findPsktConflicts([first, otherTransaction])[0].field).toBe('transaction');
+  });
+
+  test('imports signatures from a wallet-signed transaction', () => {
+    // The wallet signs its own input with NoneAnyOneCanPay and returns a transaction, not a PSKT
+    const walletCopy = updatePsktInput(coFunded(), 0, { sighashType: PSKT_SIGHASH_TYPES.NoneAnyOneCanPay });
+    const [walletSignature] = Object.values(signPskt(walletCopy, PRIVATE_KEY).inputs[0].partialSigs);
+    const signatureScript = `41${walletSignature.schnorr}82`;
+    const signedTransaction = { ...SDK_TRANSACTION, inputs: SDK_TRANSACTION.inputs.map((input, index) => ({ ...input, signatureScript: index === 0 ? signatureScript : '' })) };
+
+    const imported = addPsktSignaturesFromTransaction(coFunded(), signedTransaction);
+    expect(imported.inputs[0].sighashType).toBe(PSKT_SIGHASH_TYPES.NoneAnyOneCanPay);
+    expect(imported.inputs[0].finalScriptSig).toBeNull();
+    expect(getPsktSigningStatus(imported)[0].complete).toBe(true);
+    expect(findPsktConflicts([imported, signPskt(walletCopy, otherKey)])).toEqual([]);
+
+    const tampered = { ...signedTransaction, inputs: [{ ...signedTransaction.inputs[0], signatureScript: signedTransaction.inputs[0].signatureScript.replace(/^41../, '4100') }, signedTransaction.inputs[1]] };
+    expect(() => addPsktSignaturesFromTransaction(coFunded(), tampered)).toThrow(/does not verify/);
+  });
+});
@@ -0,0 +1,256 @@
+// Kaspa PSKT Validation Module
+// Semantic checks on a PSKT before it is signed, finalized or broadcast. pskt-format.js only checks that a PSKT is
+// well formed; these checks ask whether the transaction it describes is one the network would accept and the user
+// meant to make. Every issue carries a machine-readable code (PSKT_VALIDATION_CODES) so the UI can block on errors.
+//
+// Mass follows rusty-kaspa consensus/core/src/mass and matches the SDK's calculateTransactionMass():
+//   compute mass = serialized size + 10 × script public key bytes of the outputs + 1000 × sigOpCount of the inputs
+//   storage mass (KIP-9) = C/output amounts − C/input amounts (harmonic when |O| ≤ |I|, otherwise |I|·C/mean input)
+//   mass = max(compute mass, storage mass)
+// Inputs without a signature script are counted with the scripts their signatures will add.
+
+import { Buffer } from 'buffer';
+import { normalizePskt, getPsktSigningStatus, findInvalidPsktSignatures } from './pskt-format.js';
+import { decodeKaspaAddress, addressToScriptPublicKey, getAddressPrefix, scriptPublicKeyToAddress } from './address.js';
+import { MINIMUM_RELAY_FEE_SOMPI_PER_GRAM } from './payload-codecs.js';
+
+export const PSKT_VALIDATION_CODES = {
+  INVALID_STRUCTURE: 'INVALID_STRUCTURE',
+  MISSING_UTXO_ENTRY: 'MISSING_UTXO_ENTRY',
+  INSUFFICIENT_INPUTS: 'INSUFFICIENT_INPUTS',
+  FEE_BELOW_MINIMUM: 'FEE_BELOW_MINIMUM',
+  FEE_ABOVE_MAXIMUM: 'FEE_ABOVE_MAXIMUM',
+  MASS_ABOVE_STANDARD: 'MASS_ABOVE_STANDARD',
+  NETWORK_MISMATCH: 'NETWORK_MISMATCH',
+  OUTPUT_ADDRESS_MISMATCH: 'OUTPUT_ADDRESS_MISMATCH',
+  NONSTANDARD_OUTPUT: 'NONSTANDARD_OUTPUT',
+  DUPLICATE_OUTPOINT: 'DUPLICATE_OUTPOINT',
+  DUST_OUTPUT: 'DUST_OUTPUT',
+  MISSING_SIGNATURE: 'MISSING_SIGNATURE',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE'
+};
+
+// Fee rates in sompi per gram of mass. The maximum guards against a mistyped fee (e.g. KAS entered as sompi).
+export const DEFAULT_PSKT_FEE_POLICY = { minFeeRate: MINIMUM_RELAY_FEE_SOMPI_PER_GRAM, maxFeeRate: 100 };
+
+export const MAXIMUM_STANDARD_TRANSACTION_MASS = 100000;
+
+const MASS_PER_SCRIPT_PUBLIC_KEY_BYTE = 10;
+const MASS_PER_SIG_OP = 1000;
+const STORAGE_MASS_PARAMETER = BigInt('1000000000000'); // SOMPI_PER_KASPA × 10,000
+const SCHNORR_SIGNATURE_SCRIPT_LENGTH = 66; // OP_DATA_65 <64-byte signature> <sighash type>
+const OP_RETURN = 0x6a;
+
+/**
+ * Length of a data push (opcode, length bytes and data)
+ * @param {number} length - Data length
+ * @returns {number} Bytes
+ */
+function pushLength(length) {
+  if (length <= 0x4b) return 1 + length;
+  if (length <= 0xff) return 2 + length;
+  return (length <= 0xffff ? 3 : 5) + length;
+}
+
+/**
+ * Signature script length of an input, estimated when it is not finalized yet
+ * @param {Object} input - Normalised PSKT input
+ * @param {Object} status - The input's entry from getPsktSigningStatus()
+ * @returns {number} Bytes
+ */
+function estimateSignatureScriptLength(input, status) {
+  if (input.finalScriptSig) return input.finalScriptSig.length / 2;
+  const redeemLength = input.redeemScript ? pushLength(input.redeemScript.length / 2) : 0;
+  return Math.max(status.required, 1) * SCHNORR_SIGNATURE_SCRIPT_LENGTH + redeemLength;
+}
+
+/**
+ * Serialized size of an output, as counted for mass
+ * @param {Object} output - Normalised PSKT output
+ * @returns {number} Bytes: value, script version, script length and script
+ */
+function outputSerializedSize(output) {
+  return 8 + 2 + 8 + (output.scriptPublicKey.length / 2 - 2);
+}
+
+/**
+ * KIP-9 storage mass
+ * @param {Array<BigInt>} inputAmounts - Input amounts
+ * @param {Array<BigInt>} outputAmounts - Output amounts
+ * @returns {BigInt} Storage mass
+ */
+function calculateStorageMass(inputAmounts, outputAmounts) {
+  if (inputAmounts.length === 0 || outputAmounts.some(amount => amount === BigInt(0))) return BigInt(0);
+  const harmonic = amounts => amounts.reduce((sum, amount) => sum + STORAGE_MASS_PARAMETER / amount, BigInt(0));
+  const outputs = harmonic(outputAmounts);
+  let inputs;
+  if (outputAmounts.length === 1 || outputAmounts.length <= inputAmounts.length) {
+    inputs = harmonic(inputAmounts);
+  } else {
+    const count = BigInt(inputAmounts.length);
+    const mean = inputAmounts.reduce((sum, amount) => sum + amount, BigInt(0)) / count;
+    inputs = mean > BigInt(0) ? count * (STORAGE_MASS_PARAMETER / mean) : BigInt(0);
+  }
+  return outputs > inputs ? outputs - inputs : BigInt(0);
+}
+
+/**
+ * Mass of the transaction a PSKT describes
+ * @param {Object} pskt - PSKT; every input needs its utxoEntry for the storage mass
+ * @returns {Object} { computeMass, storageMass, mass, estimated } - estimated is true while signature scripts are missing
+ */
+export function calculatePsktMass(pskt) {
+  const next = normalizePskt(pskt);
+  const status = getPsktSigningStatus(next);
+  const payloadLength = next.global.payload ? next.global.payload.length / 2 : 0;
+
+  // version, input count, output count, lock time, subnetwork, gas, payload hash, payload length, payload
+  let size = 2 + 8 + 8 + 8 + 20 + 8 + 32 + 8 + payloadLength;
+  next.inputs.forEach((input, index) => {
+    size += 36 + 8 + estimateSignatureScriptLength(input, status[index]) + 8;
+  });
+  next.outputs.forEach(output => { size += outputSerializedSize(output); });
+
+  const scriptBytes = next.outputs.reduce((sum, output) => sum + output.scriptPublicKey.length / 2, 0);
+  const sigOps = next.inputs.reduce((sum, input) => sum + input.sigOpCount, 0);
+  const computeMass = size + scriptBytes * MASS_PER_SCRIPT_PUBLIC_KEY_BYTE + sigOps * MASS_PER_SIG_OP;
+
+  const storageMass = next.inputs.every(input => input.utxoEntry)
+    ? Number(calculateStorageMass(next.inputs.map(input => input.utxoEntry.amount), next.outputs.map(output => output.amount)))
+    : 0;
+
+  return {
+    computeMass,
+    storageMass,
+    mass: Math.max(computeMass, storageMass),
+    estimated: next.inputs.some(input => !input.finalScriptSig)
+  };
+}
+
+/**
+ * Smallest amount an output can carry without being rejected as dust (rusty-kaspa is_transaction_output_dust)
+ * @param {Object} output - PSKT output ({ scriptPublicKey })
+ * @returns {BigInt} Threshold in sompi; outputs below it are dust
+ */
+export function getDustThreshold(output) {
+  const scriptPublicKey = String(output.scriptPublicKey);
+  // Three times the fee, at the minimum relay rate, of creating and later spending the output (148 bytes)
+  const size = 8 + 2 + 8 + (scriptPublicKey.length / 2 - 2) + 148;
+  return BigInt(3 * size * MINIMUM_RELAY_FEE_SOMPI_PER_GRAM);
+}
+
+/**
+ * Check that a PSKT describes a transaction the network will accept and the user intended
+ * @param {Object} pskt - PSKT
+ * @param {Object} options - Validation options
+ * @param {string} options.networkId - Network the transaction is for (default: 'testnet-10')
+ * @param {Array<string|null>} options.outputAddresses - Addresses the caller expects each output to pay (optional)
+ * @param {number} options.minFeeRate - Minimum fee in sompi per gram (default: DEFAULT_PSKT_FEE_POLICY.minFeeRate)
+ * @param {number} options.maxFeeRate - Maximum fee in sompi per gram (default: DEFAULT_PSKT_FEE_POLICY.maxFeeRate)
+ * @param {boolean} options.requireSignatures - Every input must be fully signed, as before finalization (default: false)
+ * @returns {Object} { valid, issues, summary } - issues: { code, severity: 'error'|'warning', message, inputIndex?, outputIndex? }
+ */
+export function validatePsktSemantics(pskt, options = {}) {
+  const {
+    networkId = 'testnet-10',
+    outputAddresses = [],
+    minFeeRate = DEFAULT_PSKT_FEE_POLICY.minFeeRate,
+    maxFeeRate = DEFAULT_PSKT_FEE_POLICY.maxFeeRate,
+    requireSignatures = false
+  } = options;
+  const next = normalizePskt(pskt);
+  const issues = [];
+  const error = (code, message, where = {}) => issues.push({ code, severity: 'error', message, ...where });
+  const warning = (code, message, where = {}) => issues.push({ code, severity: 'warning', message, ...where });
+
+  // Inputs: known amounts, each outpoint spent once
+  const seenOutpoints = new Map();
+  next.inputs.forEach((input, inputIndex) => {
+    if (!input.utxoEntry) error(PSKT_VALIDATION_CODES.MISSING_UTXO_ENTRY, `Input ${inputIndex}: UTXO entry is missing, so its amount is unknown`, { inputIndex });
+    const outpoint = `${input.previousOutpoint.transactionId}:${input.previousOutpoint.index}`;
+    if (seenOutpoints.has(outpoint)) {
+      error(PSKT_VALIDATION_CODES.DUPLICATE_OUTPOINT, `Input ${inputIndex}: spends ${outpoint}, already spent by input ${seenOutpoints.get(outpoint)}`, { inputIndex });
+    } else {
+      seenOutpoints.set(outpoint, inputIndex);
+    }
+  });
+
+  // Outputs: standard scripts for the right network, no dust
+  const prefix = getAddressPrefix(networkId);
+  next.outputs.forEach((output, outputIndex) => {
+    const script = Buffer.from(output.scriptPublicKey, 'hex').subarray(2);
+    if (script[0] === OP_RETURN || output.amount < getDustThreshold(output)) {
+      error(PSKT_VALIDATION_CODES.DUST_OUTPUT, `Output ${outputIndex}: ${output.amount} sompi is below the dust threshold of ${getDustThreshold(output)} sompi`, { outputIndex });
+    }
+    if (scriptPublicKeyToAddress(output.scriptPublicKey, { networkId }) === null) {
+      warning(PSKT_VALIDATION_CODES.NONSTANDARD_OUTPUT, `Output ${outputIndex}: non-standard script, funds may be unspendable`, { outputIndex });
+    }
+
+    const address = outputAddresses[outputIndex];
+    if (!address) return;
+    let decoded;
+    try {
+      decoded = decodeKaspaAddress(address);
+    } catch (decodeError) {
+      error(PSKT_VALIDATION_CODES.OUTPUT_ADDRESS_MISMATCH, `Output ${outputIndex}: ${decodeError.message}`, { outputIndex });
+      return;
+    }
+    if (decoded.prefix !== prefix) {
+      error(PSKT_VALIDATION_CODES.NETWORK_MISMATCH, `Output ${outputIndex}: address ${address} is not a ${networkId} address (expected prefix "${prefix}:")`, { outputIndex });
+    }
+    if (addressToScriptPublicKey(address) !== output.scriptPublicKey) {
+      error(PSKT_VALIDATION_CODES.OUTPUT_ADDRESS_MISMATCH, `Output ${outputIndex}: script does not pay ${address}`, { outputIndex });
+    }
+  });
+
+  // Balance, fee and mass
+  const totalInput = next.inputs.reduce((sum, input) => sum + (input.utxoEntry ? input.utxoEntry.amount : BigInt(0)), BigInt(0));
+  const totalOutput = next.outputs.reduce((sum, output) => sum + output.amount, BigInt(0));
+  const fee = totalInput - totalOutput;
+  const { mass, computeMass, storageMass, estimated } = calculatePsktMass(next);
+  const inputsKnown = next.inputs.every(input => input.utxoEntry);
+
+  if (mass > MAXIMUM_STANDARD_TRANSACTION_MASS) {
+    error(PSKT_VALIDATION_CODES.MASS_ABOVE_STANDARD, `Transaction mass ${mass} exceeds the standard limit of ${MAXIMUM_STANDARD_TRANSACTION_MASS}`);
+  }
+  if (inputsKnown) {
+    const minimumFee = BigInt(Math.ceil(mass * minFeeRate));
+    const maximumFee = BigInt(Math.floor(mass * maxFeeRate));
+    if (fee < BigInt(0)) {
+      error(PSKT_VALIDATION_CODES.INSUFFICIENT_INPUTS, `Inputs (${totalInput} sompi) do not cover outputs (${totalOutput} sompi)`);
+    } else if (fee < minimumFee) {
+      error(PSKT_VALIDATION_CODES.FEE_BELOW_MINIMUM, `Fee ${fee} sompi is below the minimum of ${minimumFee} sompi for mass ${mass} at ${minFeeRate} sompi/gram`);
+    } else if (fee > maximumFee) {
+      error(PSKT_VALIDATION_CODES.FEE_ABOVE_MAXIMUM, `Fee ${fee} sompi is above the maximum of ${maximumFee} sompi for mass ${mass} at ${maxFeeRate} sompi/gram`);
+    }
+  }
+
+  // Signatures
+  findInvalidPsktSignatures(next).forEach(({ inputIndex, publicKey }) => {
+    error(PSKT_VALIDATION_CODES.INVALID_SIGNATURE, `Input ${inputIndex}: signature by ${publicKey} does not verify`, { inputIndex });
+  });
+  if (requireSignatures) {
+    getPsktSigningStatus(next).forEach(status => {
+      if (status.complete) return;
+      const detail = status.keys.length > 0 ? `${status.signedKeys.length} of ${status.required} signature(s)` : 'no signature script and no known signing keys';
+      error(PSKT_VALIDATION_CODES.MISSING_SIGNATURE, `Input ${status.inputIndex}: ${detail}`, { inputIndex: status.inputIndex });
+    });
+  }
+
+  return {
+    valid: issues.every(issue => issue.severity !== 'error'),
+    issues,
+    summary: {
+      totalInput: inputsKnown ? totalInput : null,
+      totalOutput,
+      fee: inputsKnown ? fee : null,
+      mass,
+      computeMass,
+      storageMass,
+      massEstimated: estimated,
+      feeRate: inputsKnown && mass > 0 ? Number(fee) / mass : null
+    }
+  };
+}
+
+console.log('📦 Kaspa PSKT Validation module loaded successfully (pskt-validation.js)');
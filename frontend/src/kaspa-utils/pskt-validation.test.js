@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import { createPskt, addPsktInput, addPsktOutput, normalizePskt, signPskt, finalizePskt } from './pskt-format.js';
+import { PSKT_VALIDATION_CODES, calculatePsktMass, getDustThreshold, validatePsktSemantics } from './pskt-validation.js';
+
+const PRIVATE_KEY = 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef';
+const SCRIPT_PUBLIC_KEY = '000020dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659ac';
+const TESTNET_ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+const MAINNET_ADDRESS = 'kaspa:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jkdskewva';
+
+const buildPskt = (inputAmounts, outputAmounts, payload = null) => {
+  let pskt = createPskt({ payload });
+  inputAmounts.forEach((amount, index) => {
+    pskt = addPsktInput(pskt, { transactionId: String(index + 1).repeat(64), index, utxoEntry: { amount, scriptPublicKey: SCRIPT_PUBLIC_KEY } });
+  });
+  outputAmounts.forEach(amount => { pskt = addPsktOutput(pskt, { amount, scriptPublicKey: SCRIPT_PUBLIC_KEY }); });
+  return pskt;
+};
+const codes = result => result.issues.map(issue => issue.code);
+
+describe('PSKT mass', () => {
+  test('matches the SDK calculateTransactionMass()', () => {
+    expect(calculatePsktMass(buildPskt([1000000000], [1000000000])).mass).toBe(1624);
+    expect(calculatePsktMass(buildPskt([1000000000, 1000000000], [1000000000])).mass).toBe(2742);
+    expect(calculatePsktMass(buildPskt([1000000000], [1000000000, 1000000000])).mass).toBe(2036);
+    expect(calculatePsktMass(buildPskt([1000000000], [1000000000], 'ff'.repeat(10))).mass).toBe(1634);
+    // Storage mass dominates small outputs
+    expect(calculatePsktMass(buildPskt([1000000, 1000000, 1000000], [300000, 300000])).storageMass).toBe(3666666);
+    expect(calculatePsktMass(buildPskt([1000000], [300000, 300000, 200000])).mass).toBe(10666666);
+    expect(calculatePsktMass(buildPskt([100000, 900000], [300000, 300000, 300000])).mass).toBe(5999999);
+  });
+
+  test('counts finalized signature scripts as they are', () => {
+    const pskt = buildPskt([1000000000], [999990000]);
+    const finalized = finalizePskt(signPskt(pskt, PRIVATE_KEY));
+    expect(calculatePsktMass(finalized)).toEqual({ computeMass: 1624, storageMass: 0, mass: 1624, estimated: false });
+    expect(getDustThreshold({ scriptPublicKey: SCRIPT_PUBLIC_KEY })).toBe(BigInt(600));
+  });
+});
+
+describe('PSKT semantic validation', () => {
+  test('accepts a balanced transaction within the fee policy', () => {
+    const result = validatePsktSemantics(buildPskt([1000000000], [999990000]), { outputAddresses: [TESTNET_ADDRESS] });
+    expect(result.valid).toBe(true);
+    expect(result.issues).toEqual([]);
+    expect(result.summary.fee).toBe(BigInt(10000));
+    expect(result.summary.mass).toBe(1624);
+  });
+
+  test('flags balance and fee problems', () => {
+    expect(codes(validatePsktSemantics(buildPskt([100000], [200000])))).toEqual([PSKT_VALIDATION_CODES.INSUFFICIENT_INPUTS]);
+    expect(codes(validatePsktSemantics(buildPskt([1000000000], [999999000])))).toEqual([PSKT_VALIDATION_CODES.FEE_BELOW_MINIMUM]);
+    expect(codes(validatePsktSemantics(buildPskt([1000000000], [900000000])))).toEqual([PSKT_VALIDATION_CODES.FEE_ABOVE_MAXIMUM]);
+    expect(validatePsktSemantics(buildPskt([1000000000], [900000000]), { maxFeeRate: 100000 }).valid).toBe(true);
+    // 1,000,000 sompi split three ways costs over ten million grams of storage mass, which no fee here covers
+    expect(codes(validatePsktSemantics(buildPskt([1000000], [300000, 300000, 200000])))).toEqual([PSKT_VALIDATION_CODES.MASS_ABOVE_STANDARD, PSKT_VALIDATION_CODES.FEE_BELOW_MINIMUM]);
+  });
+
+  test('flags outputs for the wrong network, dust and duplicate outpoints', () => {
+    const pskt = buildPskt([1000000000], [999980000, 500]);
+    const result = validatePsktSemantics(pskt, { outputAddresses: [MAINNET_ADDRESS, null] });
+    expect(codes(result).slice(0, 2)).toEqual([PSKT_VALIDATION_CODES.NETWORK_MISMATCH, PSKT_VALIDATION_CODES.DUST_OUTPUT]);
+    expect(result.issues[1].outputIndex).toBe(1);
+    expect(validatePsktSemantics(pskt, { networkId: 'mainnet', outputAddresses: [MAINNET_ADDRESS] }).issues[0].code).toBe(PSKT_VALIDATION_CODES.DUST_OUTPUT);
+
+    const duplicated = normalizePskt(buildPskt([500000000, 500000000], [999990000]));
+    duplicated.inputs[1].previousOutpoint = { ...duplicated.inputs[0].previousOutpoint };
+    expect(codes(validatePsktSemantics(duplicated))).toEqual([PSKT_VALIDATION_CODES.DUPLICATE_OUTPOINT]);
+  });
+
+  test('requires valid signatures before finalization', () => {
+    const pskt = buildPskt([1000000000], [999990000]);
+    expect(validatePsktSemantics(pskt).valid).toBe(true);
+    expect(codes(validatePsktSemantics(pskt, { requireSignatures: true }))).toEqual([PSKT_VALIDATION_CODES.MISSING_SIGNATURE]);
+
+    const signed = signPskt(pskt, PRIVATE_KEY);
+    expect(validatePsktSemantics(signed, { requireSignatures: true }).valid).toBe(true);
+    const [publicKey] = Object.keys(signed.inputs[0].partialSigs);
+    signed.inputs[0].partialSigs[publicKey].schnorr = '00'.repeat(64);
+    expect(codes(validatePsktSemantics(signed, { requireSignatures: true }))).toEqual([PSKT_VALIDATION_CODES.INVALID_SIGNATURE]);
+  });
+});
@@ -1,22 +1,36 @@
 // Kaspa PSKT (Partially Signed Kaspa Transaction) Module
 
-import { Buffer } from 'buffer';
-import { WebBuf } from '@webbuf/webbuf';
-import { blake3Hash } from '@webbuf/blake3';
 import { isFrameworkInitialized, getKastleWalletFunctions, getKaspaWasmModule } from './sdk-init.js';
+import { parseEnvelope } from './envelope.js';
+import { addressToScriptPublicKey } from './address.js';
+import { normalizeUtxos, sumUtxoAmounts } from './utxo.js';
+import {
+  createPskt,
+  addPsktInput,
+  addPsktOutput,
+  normalizePskt,
+  serializePskb,
+  deserializePskt,
+  combinePskts,
+  findPsktConflicts,
+  getPsktSigningStatus
+} from './pskt-format.js';
+import { PSKT_VALIDATION_CODES, validatePsktSemantics } from './pskt-validation.js';
 
 /**
- * Generate PSKT (Partially Signed Kaspa Transaction) JSON for Kastle Wallet
- * Creates properly formatted PSKT with correct field names and data types
+ * Generate a PSKT (Partially Signed Kaspa Transaction) in the rusty-kaspa format
+ * Builds a constructor-role PSKT (see pskt-format.js) that the Kaspa SDK, wallets and CLI tools can import
  * @param {Object} options - PSKT generation options
- * @param {string} options.envelope - Transaction envelope in hex format
- * @param {Array} options.utxos - Array of UTXO objects from Kastle Wallet
+ * @param {string} options.envelope - Transaction envelope in hex format, written to the transaction payload
+ * @param {Array} options.utxos - UTXOs in any form normalizeUtxo() accepts (wallet, kaspa-wasm or REST API)
  * @param {string} options.toAddress - Destination address for the transaction
  * @param {number} options.amount - Amount to send in sompi (smallest unit)
  * @param {number} options.fee - Transaction fee in sompi
  * @param {string} options.changeAddress - Address for change output (optional)
+ * @param {string} options.networkId - Network the addresses must belong to (default: 'testnet-10')
  * @param {boolean} options.verbose - Enable detailed logging (default: false)
- * @returns {Object} PSKT generation result with JSON structure
+ * @returns {Object} PSKT generation result: { pskt, serialized, validation } where serialized is the PSKB hex string and
+ *   validation is the validatePsktSemantics() result, whose error issues should block signing
  */
 export async function generatePsktJson(options = {}) {
   try {
@@ -36,6 +50,7 @@ export async function generatePsktJson(options = {}) {
       amount,
       fee = 1000, // Default fee in sompi
       changeAddress = null,
+      networkId = 'testnet-10',
       verbose = false
     } = options;
 
@@ -45,6 +60,10 @@ export async function generatePsktJson(options = {}) {
     if (!envelope || typeof envelope !== 'string') {
       throw new Error('Invalid envelope: must be a non-empty hex string');
     }
+    const parsedEnvelope = parseEnvelope(envelope);
+    if (!parsedEnvelope.success) {
+      throw new Error(`Invalid envelope: ${parsedEnvelope.error}`);
+    }
     if (!utxos || !Array.isArray(utxos) || utxos.length === 0) {
       throw new Error('Invalid UTXOs: must be a non-empty array');
     }
@@ -55,126 +74,32 @@ export async function generatePsktJson(options = {}) {
       throw new Error('Invalid amount: must be a positive integer');
     }
 
-    const totalInput = utxos.reduce((sum, utxo) => sum + parseInt(utxo.amount || utxo.value || 0), 0);
-    
+    const canonicalUtxos = normalizeUtxos(utxos, { networkId });
+    const totalInput = sumUtxoAmounts(canonicalUtxos);
+    const required = BigInt(amount) + BigInt(fee);
+
     if (verbose) {
       console.log(`💰 Total input: ${totalInput} sompi`);
       console.log(`📤 Amount to send: ${amount} sompi`);
       console.log(`💸 Fee: ${fee} sompi`);
     }
 
-    if (totalInput < amount + fee) {
-      throw new Error(`Insufficient funds: need ${amount + fee} sompi, have ${totalInput} sompi`);
+    if (totalInput < required) {
+      throw new Error(`Insufficient funds: need ${required} sompi, have ${totalInput} sompi`);
     }
 
-    const inputs = utxos.map((utxo, index) => {
-      if (verbose) {
-        console.log(`🔍 UTXO ${index} structure:`, Object.keys(utxo));
-        console.log(`🔍 UTXO ${index} data:`, utxo);
-        console.log(`🔍 UTXO ${index} constructor:`, utxo.constructor ? utxo.constructor.name : 'N/A');
-      }
-
-      let txId, outputIndex, value, scriptPubKey;
-
-      if (utxo.constructor && (utxo.constructor.name.includes('UtxoEntryReference') || utxo.__wbg_ptr)) {
-        if (verbose) console.log(`🔧 Detected WASM UTXO object, attempting to extract data...`);
-        try {
-          if (typeof utxo.outpoint === 'function') {
-            const outpoint = utxo.outpoint();
-            if (outpoint && typeof outpoint === 'object') {
-              txId = outpoint.transactionId;
-              outputIndex = outpoint.index;
-            }
-            if (!txId && outpoint) {
-              const outpointJson = JSON.stringify(outpoint);
-              const parsed = JSON.parse(outpointJson);
-              txId = parsed.transactionId;
-              outputIndex = parsed.index;
-            }
-          }
-          if (!txId && typeof utxo.toJSON === 'function') {
-            const jsonData = utxo.toJSON();
-            if (jsonData && typeof jsonData === 'object' && jsonData.outpoint) {
-              txId = jsonData.outpoint.transactionId || jsonData.outpoint.transaction_id;
-              outputIndex = jsonData.outpoint.index || jsonData.outpoint.outputIndex;
-            }
-          }
-          if (!txId) {
-            txId = typeof utxo.transactionId === 'function' ? utxo.transactionId() : utxo.transactionId;
-            outputIndex = typeof utxo.index === 'function' ? utxo.index() : utxo.index || 0;
-          }
-
-          try {
-            value = typeof utxo.amount === 'function' ? utxo.amount() : utxo.amount || 0;
-          } catch (e) { value = utxo.value || 0; }
-
-          const addressObj = typeof utxo.address === 'function' ? utxo.address() : utxo.address;
-          if (addressObj && typeof addressObj === 'object') {
-            scriptPubKey = typeof addressObj.toString === 'function' ? addressObj.toString() : (addressObj.prefix && addressObj.payload ? `${addressObj.prefix}:${addressObj.payload}` : "");
-          } else if (typeof addressObj === 'string') {
-            scriptPubKey = addressObj;
-          } else {
-            scriptPubKey = typeof utxo.scriptPublicKey === 'function' ? utxo.scriptPublicKey() : utxo.scriptPublicKey || "";
-          }
-        } catch (wasmError) {
-          if (verbose) console.warn(`⚠️ Error extracting from WASM object (from pskt.js):`, wasmError);
-          // Fallbacks remain similar to original
-        }
-      } else {
-        txId = utxo.transactionId || utxo.txId || utxo.id || utxo.txid || 
-               utxo.transaction_id || utxo.tx_id || utxo.outpoint?.transactionId ||
-               utxo.outpoint?.txId || utxo.previousOutpoint?.transactionId;
-        outputIndex = utxo.index || utxo.outputIndex || utxo.vout || 
-                     utxo.outpoint?.index || utxo.outpoint?.outputIndex ||
-                     utxo.previousOutpoint?.index || 0;
-        value = parseInt(utxo.amount || utxo.value || utxo.satoshis || 0);
-        let addressFromRegularUtxo = utxo.address || utxo.scriptPubKey || utxo.script || utxo.scriptPubkey || "";
-        if (addressFromRegularUtxo && typeof addressFromRegularUtxo === 'object') {
-          scriptPubKey = typeof addressFromRegularUtxo.toString === 'function' ? addressFromRegularUtxo.toString() : (addressFromRegularUtxo.prefix && addressFromRegularUtxo.payload ? `${addressFromRegularUtxo.prefix}:${addressFromRegularUtxo.payload}` : "");
-        } else {
-            scriptPubKey = addressFromRegularUtxo;
-        }
-      }
-
-      if (typeof value === 'bigint') value = Number(value);
-      if (typeof outputIndex === 'bigint') outputIndex = Number(outputIndex);
-
-      if (!txId) {
-        console.error(`❌ UTXO ${index} missing transaction ID (from pskt.js). Fields:`, Object.keys(utxo));
-        throw new Error(`UTXO ${index} missing transaction ID. Constructor: ${utxo.constructor ? utxo.constructor.name : 'N/A'}`);
-      }
-      if (value <= 0) throw new Error(`UTXO ${index} has invalid value: ${value}`);
-
-      return {
-        previousOutpoint: { transactionId: txId, index: outputIndex },
-        previousOutput: { value: value, scriptPubKey: scriptPubKey || "" },
-        sequence: 0
-      };
-    });
+    const inputs = canonicalUtxos.map(utxo => ({
+      previousOutpoint: { transactionId: utxo.transactionId, index: utxo.index },
+      utxoEntry: { amount: utxo.amount, scriptPublicKey: utxo.scriptPublicKey, blockDaaScore: utxo.blockDaaScore, isCoinbase: utxo.isCoinbase }
+    }));
 
     const outputs = [];
-    outputs.push({ value: amount, scriptPubKey: toAddress });
+    const outputAddresses = [toAddress];
+    outputs.push({ value: amount, scriptPublicKey: addressToScriptPublicKey(toAddress) });
 
-    const changeAmount = totalInput - amount - fee;
-    if (changeAmount > 0) {
-      let changeAddr = changeAddress;
-      if (!changeAddr && utxos.length > 0) {
-        const firstUtxo = utxos[0];
-        try {
-          if (firstUtxo.constructor && (firstUtxo.constructor.name.includes('UtxoEntryReference') || firstUtxo.__wbg_ptr)) {
-            const addressObj = typeof firstUtxo.address === 'function' ? firstUtxo.address() : firstUtxo.address;
-            if (addressObj && typeof addressObj === 'object') {
-              changeAddr = typeof addressObj.toString === 'function' ? addressObj.toString() : (addressObj.prefix && addressObj.payload ? `${addressObj.prefix}:${addressObj.payload}` : null);
-            } else if (typeof addressObj === 'string') {
-              changeAddr = addressObj;
-            }
-          } else {
-            changeAddr = firstUtxo.address;
-          }
-        } catch (error) {
-          if (verbose) console.warn(`⚠️ Could not extract address from UTXO for change (from pskt.js):`, error);
-        }
-      }
+    const changeAmount = totalInput - required;
+    if (changeAmount > BigInt(0)) {
+      let changeAddr = changeAddress || canonicalUtxos[0].address;
       if (!changeAddr) {
         try {
           changeAddr = await kastleWalletFuncs.getWalletAddress();
@@ -184,49 +109,54 @@ export async function generatePsktJson(options = {}) {
           changeAddr = toAddress;
         }
       }
-      outputs.push({ value: changeAmount, scriptPubKey: changeAddr });
+      outputAddresses.push(changeAddr);
+      outputs.push({ value: changeAmount, scriptPublicKey: addressToScriptPublicKey(changeAddr) });
       if (verbose) console.log(`🔄 Change: ${changeAmount} sompi to ${changeAddr} (from pskt.js)`);
     }
 
-    const envelopeBuffer = Buffer.from(envelope, 'hex');
-    const envelopeWebBuf = new WebBuf(envelopeBuffer);
-    const txIdHash = blake3Hash(envelopeWebBuf);
-    const generatedTxId = Buffer.from(txIdHash.buf).toString('hex');
-
-    const psktJson = {
-      version: 1,
-      inputs: inputs,
-      outputs: outputs,
-      lockTime: 0
-    };
+    // The envelope is the on-chain payload; the TxID is only known once the wallet has filled in the input scripts
+    const payload = (envelope.startsWith('0x') ? envelope.slice(2) : envelope).toLowerCase();
+    let pskt = createPskt({ payload });
+    inputs.forEach(input => { pskt = addPsktInput(pskt, input); });
+    outputs.forEach(output => { pskt = addPsktOutput(pskt, output); });
 
+    const validation = validatePsktSemantics(pskt, { networkId, outputAddresses });
     if (verbose) {
-      console.log('✅ PSKT JSON generated successfully (from pskt.js)');
+      console.log('✅ PSKT generated successfully (from pskt.js)');
+      validation.issues.forEach(issue => console.log(`  ${issue.severity === 'error' ? '❌' : '⚠️'} [${issue.code}] ${issue.message} (from pskt.js)`));
     }
 
     return {
       success: true,
-      psktJson,
+      pskt,
+      serialized: serializePskb([pskt]),
+      validation,
       metadata: {
-        inputCount: inputs.length, outputCount: outputs.length, totalInput, amount, fee, changeAmount,
-        envelopeIncluded: false, txId: generatedTxId, note: "Using minimal PSKT structure (from pskt.js)"
+        inputCount: inputs.length, outputCount: outputs.length, totalInput: Number(totalInput), amount, fee,
+        changeAmount: changeAmount > BigInt(0) ? Number(changeAmount) : 0,
+        envelopeIncluded: true, payloadLength: payload.length / 2, contractTypeId: parsedEnvelope.contractTypeId,
+        mass: validation.summary.mass, format: 'rusty-kaspa PSKB'
       }
     };
 
   } catch (error) {
-    console.error('❌ Error generating PSKT JSON (from pskt.js):', error);
-    return { success: false, error: error.message, psktJson: null };
+    console.error('❌ Error generating PSKT (from pskt.js):', error);
+    return { success: false, error: error.message, pskt: null, serialized: null };
   }
 }
 
 /**
- * Validate PSKT JSON structure for Kastle Wallet compatibility
- * Checks for correct field names, data types, and required fields
- * @param {Object} psktJson - PSKT JSON object to validate
+ * Validate a PSKT against the rusty-kaspa format and check what its transaction does
+ * Checks for correct field names, data types and required fields, then runs validatePsktSemantics() (balance, fee
+ * rate, network, dust, duplicate outpoints and signatures). Every issue has a code from PSKT_VALIDATION_CODES
+ * (INVALID_STRUCTURE for format errors).
+ * @param {Object} psktJson - PSKT object ({ global, inputs, outputs }) to validate
  * @param {boolean} verbose - Enable detailed logging (default: false)
- * @returns {Object} Validation result with detailed feedback
+ * @param {Object} options - Semantic check options, passed to validatePsktSemantics() (networkId, outputAddresses,
+ *   minFeeRate, maxFeeRate, requireSignatures)
+ * @returns {Object} Validation result: { success, errors, warnings, issues, summary }
  */
-export function validatePsktJson(psktJson, verbose = false) {
+export function validatePsktJson(psktJson, verbose = false, options = {}) {
   try {
     if (verbose) console.log('🔍 Validating PSKT JSON structure (from pskt.js)...');
     const errors = [];
@@ -234,22 +164,22 @@ export function validatePsktJson(psktJson, verbose = false) {
 
     if (!psktJson || typeof psktJson !== 'object') {
       errors.push('PSKT must be a non-null object');
-      return { success: false, errors, warnings };
+      return { success: false, errors, warnings, issues: [{ code: PSKT_VALIDATION_CODES.INVALID_STRUCTURE, severity: 'error', message: errors[0] }] };
     }
 
-    if (!psktJson.hasOwnProperty('id')) warnings.push('Missing "id" field - will be calculated during signing');
-    if (psktJson.hasOwnProperty('txId')) warnings.push('Found "txId" field - should be "id" for Kastle Wallet compatibility');
+    if (!psktJson.global || typeof psktJson.global !== 'object') errors.push('Missing required field: "global"');
+    if (!Array.isArray(psktJson.inputs)) errors.push('Field "inputs" must be an array');
+    if (!Array.isArray(psktJson.outputs)) errors.push('Field "outputs" must be an array');
 
-    const requiredFields = ['version', 'inputs', 'outputs', 'lockTime'];
-    for (const field of requiredFields) {
-      if (!psktJson.hasOwnProperty(field)) errors.push(`Missing required field: "${field}"`);
+    if (psktJson.global && typeof psktJson.global === 'object') {
+      if (Array.isArray(psktJson.inputs) && psktJson.global.inputCount !== undefined && psktJson.global.inputCount !== psktJson.inputs.length) {
+        warnings.push(`Field "global.inputCount" is ${psktJson.global.inputCount} but there are ${psktJson.inputs.length} inputs`);
+      }
+      if (Array.isArray(psktJson.outputs) && psktJson.global.outputCount !== undefined && psktJson.global.outputCount !== psktJson.outputs.length) {
+        warnings.push(`Field "global.outputCount" is ${psktJson.global.outputCount} but there are ${psktJson.outputs.length} outputs`);
+      }
     }
 
-    if (psktJson.version !== undefined && !Number.isInteger(psktJson.version)) errors.push('Field "version" must be an integer');
-    if (psktJson.inputs !== undefined && !Array.isArray(psktJson.inputs)) errors.push('Field "inputs" must be an array');
-    if (psktJson.outputs !== undefined && !Array.isArray(psktJson.outputs)) errors.push('Field "outputs" must be an array');
-    if (psktJson.lockTime !== undefined && !Number.isInteger(psktJson.lockTime)) errors.push('Field "lockTime" must be an integer');
-
     if (Array.isArray(psktJson.inputs)) {
       psktJson.inputs.forEach((input, index) => {
         if (!input.previousOutpoint) errors.push(`Input ${index}: missing "previousOutpoint"`);
@@ -257,17 +187,35 @@ export function validatePsktJson(psktJson, verbose = false) {
           if (!input.previousOutpoint.transactionId) errors.push(`Input ${index}: missing "previousOutpoint.transactionId"`);
           if (input.previousOutpoint.index === undefined) errors.push(`Input ${index}: missing "previousOutpoint.index"`);
         }
-        if (!input.previousOutput) errors.push(`Input ${index}: missing "previousOutput"`);
-        else {
-          if (input.previousOutput.value === undefined) errors.push(`Input ${index}: missing "previousOutput.value"`);
-        }
+        if (!input.utxoEntry) warnings.push(`Input ${index}: missing "utxoEntry" - required before signing`);
       });
     }
 
     if (Array.isArray(psktJson.outputs)) {
       psktJson.outputs.forEach((output, index) => {
-        if (output.value === undefined) errors.push(`Output ${index}: missing "value"`);
-        if (!output.scriptPubKey) warnings.push(`Output ${index}: missing "scriptPubKey"`);
+        if (output.amount === undefined) errors.push(`Output ${index}: missing "amount"`);
+        if (!output.scriptPublicKey) errors.push(`Output ${index}: missing "scriptPublicKey"`);
+      });
+    }
+
+    // Field types and encodings, as the rusty-kaspa deserializer would check them
+    if (errors.length === 0) {
+      try {
+        normalizePskt(psktJson);
+      } catch (formatError) {
+        errors.push(formatError.message);
+      }
+    }
+    const issues = errors.map(message => ({ code: PSKT_VALIDATION_CODES.INVALID_STRUCTURE, severity: 'error', message }))
+      .concat(warnings.map(message => ({ code: PSKT_VALIDATION_CODES.INVALID_STRUCTURE, severity: 'warning', message })));
+
+    // What the transaction does, once it is known to be well formed
+    let semantics = null;
+    if (errors.length === 0) {
+      semantics = validatePsktSemantics(psktJson, options);
+      semantics.issues.forEach(issue => {
+        issues.push(issue);
+        (issue.severity === 'error' ? errors : warnings).push(`[${issue.code}] ${issue.message}`);
       });
     }
 
@@ -282,15 +230,80 @@ export function validatePsktJson(psktJson, verbose = false) {
       }
     }
     return {
-      success: isValid, errors, warnings,
+      success: isValid, errors, warnings, issues,
       summary: {
         totalErrors: errors.length, totalWarnings: warnings.length,
         inputCount: Array.isArray(psktJson.inputs) ? psktJson.inputs.length : 0,
-        outputCount: Array.isArray(psktJson.outputs) ? psktJson.outputs.length : 0
+        outputCount: Array.isArray(psktJson.outputs) ? psktJson.outputs.length : 0,
+        ...(semantics ? semantics.summary : {})
       }
     };
   } catch (error) {
-    return { success: false, errors: [`Validation error: ${error.message} (from pskt.js)`], warnings: [] };
+    const message = `Validation error: ${error.message} (from pskt.js)`;
+    return { success: false, errors: [message], warnings: [], issues: [{ code: PSKT_VALIDATION_CODES.INVALID_STRUCTURE, severity: 'error', message }] };
+  }
+}
+
+/**
+ * Combine partial signatures from several signers of the same transaction
+ * Each signer (a co-funding wallet, or one key of an m-of-n multisig input) signs its own copy of the PSKT; this
+ * merges the copies, refusing if they disagree about the transaction or carry signatures that do not verify.
+ * @param {Array<Object|string>} pskts - PSKTs (objects or any serialized form, see deserializePskt)
+ * @param {Object} options - Combine options
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @returns {Object} { success, pskt, serialized, conflicts, signingStatus, unsignedInputs, complete }
+ */
+export function combinePsktSignatures(pskts, options = {}) {
+  const { verbose = false } = options;
+  try {
+    if (!Array.isArray(pskts) || pskts.length === 0) {
+      throw new Error('Invalid PSKTs: must be a non-empty array');
+    }
+    const copies = pskts.map((pskt, index) => {
+      try {
+        return typeof pskt === 'string' ? deserializePskt(pskt) : normalizePskt(pskt);
+      } catch (error) {
+        throw new Error(`PSKT ${index}: ${error.message}`);
+      }
+    });
+
+    if (verbose) console.log(`🔧 Combining ${copies.length} PSKT(s) (from pskt.js)...`);
+
+    const conflicts = findPsktConflicts(copies);
+    if (conflicts.length > 0) {
+      if (verbose) conflicts.forEach(conflict => console.log(`  ❌ PSKT ${conflict.psktIndex}: ${conflict.message}`));
+      return {
+        success: false,
+        error: `Cannot combine PSKTs: ${conflicts.length} conflict(s), first: ${conflicts[0].message}`,
+        conflicts,
+        pskt: null,
+        serialized: null
+      };
+    }
+
+    const pskt = copies.slice(1).reduce((combined, copy) => combinePskts(combined, copy), copies[0]);
+    const signingStatus = getPsktSigningStatus(pskt);
+    const unsignedInputs = signingStatus.filter(input => !input.complete).map(input => input.inputIndex);
+
+    if (verbose) {
+      signingStatus.forEach(input => {
+        const progress = input.finalized ? 'finalized' : `${input.signedKeys.length}/${input.required} signature(s)`;
+        console.log(`  ${input.complete ? '✅' : '⏳'} Input ${input.inputIndex}: ${progress} (from pskt.js)`);
+      });
+    }
+
+    return {
+      success: true,
+      pskt,
+      serialized: serializePskb([pskt]),
+      conflicts,
+      signingStatus,
+      unsignedInputs,
+      complete: unsignedInputs.length === 0
+    };
+  } catch (error) {
+    console.error('❌ Error combining PSKTs (from pskt.js):', error);
+    return { success: false, error: error.message, conflicts: [], pskt: null, serialized: null };
   }
 }
 
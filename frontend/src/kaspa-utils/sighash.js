@@ -0,0 +1,128 @@
+// Kaspa Sighash Module
+// A signature's sighash type decides which parts of the transaction it commits to. Whatever it leaves out can be
+// changed by anyone who sees the signed transaction before it confirms, without invalidating the signature:
+//
+//   All                 every input and output (the safe default)
+//   None                every input, no outputs: the funds can be sent anywhere
+//   Single              every input, only the output at the signing input's index
+//   *AnyOneCanPay       only the signing input: other inputs can be added or removed
+//
+// Any change also changes the TxID, so a mined TxID pattern only survives if nobody takes up the offer.
+
+import { PSKT_SIGHASH_TYPES } from './pskt-format.js';
+
+export const SIGHASH_TYPE_NAMES = Object.keys(PSKT_SIGHASH_TYPES);
+export const DEFAULT_SIGHASH_TYPE = 'All';
+
+const OUTPUT_COVERAGE = { All: 'all', None: 'none', Single: 'matching' };
+
+/**
+ * Resolve a sighash type name or value
+ * @param {string|number} type - Name (e.g. 'All', 'SingleAnyOneCanPay') or consensus value (e.g. 0x81)
+ * @returns {string} Name
+ */
+function toSighashTypeName(type) {
+  if (typeof type === 'number') {
+    const name = SIGHASH_TYPE_NAMES.find(candidate => PSKT_SIGHASH_TYPES[candidate] === type);
+    if (name) return name;
+  } else if (SIGHASH_TYPE_NAMES.includes(type)) {
+    return type;
+  }
+  throw new Error(`Unknown sighash type: ${type}. Use ${SIGHASH_TYPE_NAMES.join(', ')}`);
+}
+
+/**
+ * Describe what a sighash type protects
+ * @param {string|number} type - Sighash type name or value
+ * @returns {Object} { name, value, outputs: 'all'|'matching'|'none', otherInputs: boolean, risk: 'none'|'low'|'high', summary }
+ */
+export function describeSighashType(type) {
+  const name = toSighashTypeName(type);
+  const anyoneCanPay = name.endsWith('AnyOneCanPay');
+  const outputs = OUTPUT_COVERAGE[anyoneCanPay ? name.slice(0, -'AnyOneCanPay'.length) : name];
+  const summaries = {
+    all: 'signs every output',
+    matching: 'signs only the output at the same index as the input',
+    none: 'signs no outputs'
+  };
+  return {
+    name,
+    value: PSKT_SIGHASH_TYPES[name],
+    outputs,
+    otherInputs: !anyoneCanPay,
+    // Losing output coverage lets others take the funds; losing input coverage only lets them add funds
+    risk: outputs === 'all' ? (anyoneCanPay ? 'low' : 'none') : 'high',
+    summary: `${summaries[outputs]}, ${anyoneCanPay ? 'and only this input' : 'and every input'}`
+  };
+}
+
+/**
+ * Expand a sighash selection to one type per input
+ * @param {string|number|Array|Object|null} selection - One type for every input, an array with one type per input, or
+ *   { [inputIndex]: type, default?: type }; inputs without a type get the default, or DEFAULT_SIGHASH_TYPE
+ * @param {number} inputCount - Number of inputs
+ * @returns {Array<string>} Sighash type names, by input index
+ */
+export function resolveSighashTypes(selection, inputCount) {
+  const types = new Array(inputCount).fill(DEFAULT_SIGHASH_TYPE);
+  if (selection === null || selection === undefined) return types;
+  if (typeof selection === 'string' || typeof selection === 'number') return types.fill(toSighashTypeName(selection));
+
+  const { default: defaultType = DEFAULT_SIGHASH_TYPE, ...perInput } = Array.isArray(selection) ? {} : selection;
+  types.fill(toSighashTypeName(defaultType));
+  const entries = Array.isArray(selection) ? selection.map((type, index) => [index, type]) : Object.entries(perInput);
+  entries.forEach(([key, type]) => {
+    const index = Number(key);
+    if (!Number.isInteger(index) || index < 0 || index >= inputCount) {
+      throw new Error(`Sighash type given for input ${key}, but the transaction has ${inputCount} input(s)`);
+    }
+    if (type !== null && type !== undefined) types[index] = toSighashTypeName(type);
+  });
+  return types;
+}
+
+/**
+ * Warnings for sighash types that let a third party change the transaction
+ * @param {Array<string|number>} types - Sighash type per input (see resolveSighashTypes)
+ * @param {Object} options - Options
+ * @param {number} options.outputCount - Number of outputs, to spot Single inputs without a matching output (optional)
+ * @returns {Array<Object>} { inputIndex, sighashType, risk, message }
+ */
+export function getSighashWarnings(types, options = {}) {
+  const { outputCount = null } = options;
+  const warnings = [];
+  types.forEach((type, inputIndex) => {
+    const description = describeSighashType(type);
+    let message = null;
+    if (description.outputs === 'none') {
+      message = 'Outputs are not signed: anyone who sees the transaction before it confirms can redirect these funds.';
+    } else if (description.outputs === 'matching') {
+      if (outputCount !== null && inputIndex >= outputCount) {
+        message = `There is no output ${inputIndex} to sign, so no outputs are signed: anyone can redirect these funds.`;
+      } else {
+        message = `Only output ${inputIndex} is signed: the other outputs, including change, can be changed or added by anyone.`;
+      }
+    } else if (!description.otherInputs) {
+      message = 'Other inputs are not signed: anyone can add or remove inputs, which changes the TxID and its pattern.';
+    }
+    if (message === null) return;
+    warnings.push({ inputIndex, sighashType: description.name, risk: description.risk, message: `Input ${inputIndex} (${description.name}): ${message}` });
+  });
+  return warnings;
+}
+
+/**
+ * Kastle script options for signPskt() / kas:sign_and_broadcast_tx
+ * @param {Array<string|number>} types - Sighash type per input
+ * @param {Object} signTypes - The Kastle SDK SignType enum (optional; the names are used as-is without it)
+ * @returns {Array<Object>} { inputIndex, signType }
+ */
+export function toKastleScriptOptions(types, signTypes = null) {
+  return types.map((type, inputIndex) => {
+    const name = toSighashTypeName(type);
+    if (signTypes && signTypes[name] === undefined) throw new Error(`Kastle does not support sighash type ${name}`);
+    return { inputIndex, signType: signTypes ? signTypes[name] : name };
+  });
+}
+
+console.log('📦 Kaspa Sighash module loaded successfully (sighash.js)');
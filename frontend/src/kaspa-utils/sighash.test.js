@@ -0,0 +1,44 @@
+import {
+  DEFAULT_SIGHASH_TYPE,
+  describeSighashType,
+  resolveSighashTypes,
+  getSighashWarnings,
+  toKastleScriptOptions
+} from './sighash.js';
+
+describe('Sighash types', () => {
+  test('describe what each type protects', () => {
+    expect(describeSighashType('All')).toEqual({ name: 'All', value: 0x01, outputs: 'all', otherInputs: true, risk: 'none', summary: 'signs every output, and every input' });
+    expect(describeSighashType(0x84).name).toBe('SingleAnyOneCanPay');
+    expect(describeSighashType('NoneAnyOneCanPay').risk).toBe('high');
+    expect(describeSighashType('AllAnyOneCanPay').risk).toBe('low');
+    expect(() => describeSighashType('Some')).toThrow(/Unknown sighash type/);
+  });
+
+  test('resolve per-input selections with safe defaults', () => {
+    expect(resolveSighashTypes(null, 2)).toEqual([DEFAULT_SIGHASH_TYPE, DEFAULT_SIGHASH_TYPE]);
+    expect(resolveSighashTypes('Single', 2)).toEqual(['Single', 'Single']);
+    expect(resolveSighashTypes(['None'], 2)).toEqual(['None', 'All']);
+    expect(resolveSighashTypes({ 1: 0x82 }, 3)).toEqual(['All', 'NoneAnyOneCanPay', 'All']);
+    expect(resolveSighashTypes({ default: 'AllAnyOneCanPay', 0: 'All' }, 2)).toEqual(['All', 'AllAnyOneCanPay']);
+    expect(() => resolveSighashTypes({ 3: 'All' }, 2)).toThrow(/2 input/);
+  });
+
+  test('warn when third parties can change the transaction', () => {
+    expect(getSighashWarnings(['All', 'All'])).toEqual([]);
+    const warnings = getSighashWarnings(['None', 'Single', 'AllAnyOneCanPay', 'Single'], { outputCount: 2 });
+    expect(warnings.map(warning => warning.risk)).toEqual(['high', 'high', 'low', 'high']);
+    expect(warnings[0].message).toMatch(/redirect/);
+    expect(warnings[1].message).toMatch(/Only output 1 is signed/);
+    expect(warnings[3].message).toMatch(/no output 3/);
+  });
+
+  test('map to Kastle script options', () => {
+    const SignType = { All: 'All', NoneAnyOneCanPay: 'NoneAnyOneCanPay' };
+    expect(toKastleScriptOptions(['All', 'NoneAnyOneCanPay'], SignType)).toEqual([
+      { inputIndex: 0, signType: 'All' },
+      { inputIndex: 1, signType: 'NoneAnyOneCanPay' }
+    ]);
+    expect(() => toKastleScriptOptions(['Single'], SignType)).toThrow(/does not support/);
+  });
+});
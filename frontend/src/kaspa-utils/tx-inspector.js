@@ -0,0 +1,173 @@
+// Kaspa Transaction Inspector Module
+// Decodes what a transaction will do before anyone signs it: the unsigned transaction the miner produced
+// (serializeToSafeJSON() output) or a PSKT/PSKB in any serialized form. Everything is computed locally, so a pasted
+// PSKT can be inspected without a wallet or a node. Transactions are read through their PSKT form, which makes the
+// TxID, mass and validation code the same for both.
+
+import { Buffer } from 'buffer';
+import {
+  deserializePskb,
+  createPsktFromTransaction,
+  addPsktSignaturesFromTransaction,
+  getPsktSigningStatus,
+  calculatePsktId,
+  inferPsktStage
+} from './pskt-format.js';
+import { calculatePsktMass, validatePsktSemantics } from './pskt-validation.js';
+import { describeSighashType } from './sighash.js';
+import { scriptPublicKeyToAddress } from './address.js';
+import { extractEnvelopeFromPayload } from './envelope-reader.js';
+import { compilePatternSpec } from './pattern-spec.js';
+import { getTrailingZeroBits } from './mining-core.js';
+
+/**
+ * Read the input as PSKTs or as a transaction
+ * @param {string|Object} data - PSKT, PSKB, or transaction (object or any serialized form)
+ * @returns {Object} { kind: 'pskt'|'transaction', pskts, transaction }
+ */
+function decodeInspectorInput(data) {
+  let transaction = data;
+  if (typeof data === 'string') {
+    const trimmed = data.trim();
+    if (!trimmed) throw new Error('Nothing to inspect');
+    try {
+      return { kind: 'pskt', pskts: deserializePskb(trimmed), transaction: null };
+    } catch (psktError) {
+      if (!trimmed.startsWith('{')) throw psktError;
+    }
+    transaction = JSON.parse(trimmed);
+  } else if (Array.isArray(data) || (data && (data.global || data.state !== undefined))) {
+    return { kind: 'pskt', pskts: deserializePskb(data), transaction: null };
+  }
+  if (!transaction || typeof transaction !== 'object' || !Array.isArray(transaction.inputs)) {
+    throw new Error('Not a PSKT, PSKB or transaction');
+  }
+  return { kind: 'transaction', pskts: [createPsktFromTransaction(transaction)], transaction };
+}
+
+/**
+ * Decode the payload and any envelope it carries
+ * @param {string|null} payload - Payload hex
+ * @param {string} networkId - Network for envelope author addresses
+ * @returns {Object} { hex, length, text, envelope, envelopeError }
+ */
+function inspectPayload(payload, networkId) {
+  if (!payload) return { hex: '', length: 0, text: null, envelope: null, envelopeError: null };
+  const extracted = extractEnvelopeFromPayload(payload, { networkId });
+  const bytes = Buffer.from(payload, 'hex');
+  const text = bytes.toString('utf8');
+  return {
+    hex: payload,
+    length: bytes.length,
+    // Only worth showing when the bytes really are text
+    text: /^[\x20-\x7e\s]*$/.test(text) ? text : null,
+    envelope: extracted.success
+      ? {
+        version: extracted.envelope.version,
+        contractTypeId: extracted.envelope.contractTypeId,
+        contractType: extracted.envelope.contractType,
+        codec: extracted.envelope.codec,
+        encrypted: extracted.envelope.encrypted,
+        signed: extracted.envelope.signed,
+        author: extracted.envelope.author,
+        payloadText: extracted.envelope.payloadText,
+        payload: extracted.envelope.payload,
+        length: extracted.envelope.totalLength,
+        nonceTrailer: extracted.nonceTrailer
+      }
+      : null,
+    envelopeError: extracted.success ? null : extracted.error
+  };
+}
+
+/**
+ * Decode a transaction or PSKT into what it spends, pays, costs and carries
+ * @param {string|Object} data - serializeToSafeJSON() output, a PSKT or PSKB (hex, base64 or JSON), or their objects
+ * @param {Object} options - Inspection options
+ * @param {string} options.networkId - Network for addresses and validation (default: 'testnet-10')
+ * @param {number|string|Object} options.pattern - TxID pattern spec to test (optional; see pattern-spec.js)
+ * @param {number} options.psktIndex - PSKT of a bundle to inspect (default: 0)
+ * @returns {Object} { success, kind, bundleSize, txId, stage, inputs, outputs, totalInput, totalOutput, fee, mass, feeRate,
+ *   lockTime, payload, pattern, issues, warnings } or { success: false, error }
+ */
+export function inspectTransaction(data, options = {}) {
+  try {
+    const { networkId = 'testnet-10', pattern = null, psktIndex = 0 } = options;
+    const decoded = decodeInspectorInput(data);
+    const warnings = [];
+    let pskt = decoded.pskts[psktIndex];
+    if (!pskt) throw new Error(`PSKT ${psktIndex} not found: the bundle has ${decoded.pskts.length}`);
+
+    // Signature scripts of a signed transaction show up as signatures, like a PSKT's
+    if (decoded.transaction && decoded.transaction.inputs.some(input => input.signatureScript)) {
+      try {
+        pskt = addPsktSignaturesFromTransaction(pskt, decoded.transaction);
+      } catch (error) {
+        warnings.push(`Signature scripts could not be read: ${error.message}`);
+      }
+    }
+
+    const txId = calculatePsktId(pskt);
+    if (decoded.transaction && decoded.transaction.id && decoded.transaction.id !== txId) {
+      warnings.push(`The transaction's id field (${decoded.transaction.id}) does not match its contents (${txId})`);
+    }
+
+    const signingStatus = getPsktSigningStatus(pskt);
+    const inputs = pskt.inputs.map((input, index) => ({
+      index,
+      transactionId: input.previousOutpoint.transactionId,
+      outputIndex: input.previousOutpoint.index,
+      amount: input.utxoEntry ? input.utxoEntry.amount : null,
+      address: input.utxoEntry ? scriptPublicKeyToAddress(input.utxoEntry.scriptPublicKey, { networkId }) : null,
+      sequence: input.sequence,
+      sighashType: describeSighashType(input.sighashType).name,
+      signed: signingStatus[index].complete,
+      signatures: `${signingStatus[index].signedKeys.length}/${signingStatus[index].required}`
+    }));
+    const outputs = pskt.outputs.map((output, index) => ({
+      index,
+      amount: output.amount,
+      address: scriptPublicKeyToAddress(output.scriptPublicKey, { networkId }),
+      scriptPublicKey: output.scriptPublicKey
+    }));
+
+    const validation = validatePsktSemantics(pskt, { networkId });
+    const { mass } = calculatePsktMass(pskt);
+    // A bad pattern spec should not hide the rest of the transaction
+    let patternResult = { trailingZeroBits: getTrailingZeroBits(txId), description: null, matches: null, error: null };
+    if (pattern !== null && pattern !== undefined && pattern !== '') {
+      try {
+        const matcher = compilePatternSpec(pattern);
+        patternResult = { ...patternResult, description: matcher.description, matches: matcher.test(txId) };
+      } catch (error) {
+        patternResult = { ...patternResult, error: error.message };
+      }
+    }
+
+    const lockTimes = pskt.inputs.map(input => input.minTime).filter(minTime => minTime !== null);
+    return {
+      success: true,
+      kind: decoded.kind,
+      bundleSize: decoded.pskts.length,
+      txId,
+      stage: inferPsktStage(pskt),
+      inputs,
+      outputs,
+      totalInput: validation.summary.totalInput,
+      totalOutput: validation.summary.totalOutput,
+      fee: validation.summary.fee,
+      mass,
+      massEstimated: validation.summary.massEstimated,
+      feeRate: validation.summary.feeRate,
+      lockTime: lockTimes.length > 0 ? lockTimes.reduce((max, minTime) => (minTime > max ? minTime : max)) : (pskt.global.fallbackLockTime ?? BigInt(0)),
+      payload: inspectPayload(pskt.global.payload, networkId),
+      pattern: patternResult,
+      issues: validation.issues,
+      warnings
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+console.log('📦 Kaspa Transaction Inspector module loaded successfully (tx-inspector.js)');
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+import { createPsktFromTransaction, signPskt, finalizePskt, extractPsktTransaction, serializePskb } from './pskt-format.js';
+import { PSKT_VALIDATION_CODES } from './pskt-validation.js';
+import { constructEnvelope } from './envelope.js';
+import { inspectTransaction } from './tx-inspector.js';
+
+const PRIVATE_KEY = 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef';
+const SCRIPT_PUBLIC_KEY = '000020dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659ac';
+const TESTNET_ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+
+// Transaction.serializeToSafeJSON() of an unsigned two-input transaction (see pskt-format.test.js)
+const utxo = { address: TESTNET_ADDRESS, amount: '500000', scriptPublicKey: SCRIPT_PUBLIC_KEY, blockDaaScore: '7', isCoinbase: false };
+const UNSIGNED_TRANSACTION = {
+  id: '018b518cb3f2d5703ae5613b00299910f6fad135c9e692b9ad046751c329221b',
+  version: 0,
+  inputs: [
+    { transactionId: '1'.repeat(64), index: 1, sequence: '0', sigOpCount: 1, signatureScript: '', utxo },
+    { transactionId: '2'.repeat(64), index: 2, sequence: '0', sigOpCount: 1, signatureScript: '', utxo }
+  ],
+  outputs: [{ value: '400000', scriptPublicKey: SCRIPT_PUBLIC_KEY }, { value: '90000', scriptPublicKey: SCRIPT_PUBLIC_KEY }],
+  subnetworkId: '0'.repeat(40),
+  lockTime: '0',
+  gas: '0',
+  mass: '0',
+  payload: '0201cafe'
+};
+
+describe('Transaction inspector', () => {
+  test('decodes an unsigned transaction from its safe JSON', () => {
+    const result = inspectTransaction(JSON.stringify(UNSIGNED_TRANSACTION), { pattern: 1 });
+    expect(result.success).toBe(true);
+    expect(result.kind).toBe('transaction');
+    expect(result.txId).toBe(UNSIGNED_TRANSACTION.id);
+    expect(result.inputs[1]).toEqual({
+      index: 1,
+      transactionId: '2'.repeat(64),
+      outputIndex: 2,
+      amount: BigInt(500000),
+      address: TESTNET_ADDRESS,
+      sequence: BigInt(0),
+      sighashType: 'All',
+      signed: false,
+      signatures: '0/1'
+    });
+    expect(result.outputs.map(output => output.address)).toEqual([TESTNET_ADDRESS, TESTNET_ADDRESS]);
+    expect(result.totalInput).toBe(BigInt(1000000));
+    expect(result.fee).toBe(BigInt(510000));
+    // The 90,000 sompi change output costs far more storage mass than the transaction could pay for
+    expect(result.mass).toBe(9611111);
+    expect(result.pattern.trailingZeroBits).toBe(0);
+    expect(result.pattern.matches).toBe(false);
+    expect(result.issues.map(issue => issue.code)).toEqual([PSKT_VALIDATION_CODES.MASS_ABOVE_STANDARD, PSKT_VALIDATION_CODES.FEE_BELOW_MINIMUM]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('reads signatures and envelopes, and flags a stale id', () => {
+    const { envelope } = constructEnvelope({ payloadData: 'hello inspector', authorPrivateKey: PRIVATE_KEY });
+    const payload = `${envelope.toString('hex')}${'00'.repeat(8)}`;
+    const signed = extractPsktTransaction(finalizePskt(signPskt(createPsktFromTransaction({ ...UNSIGNED_TRANSACTION, payload }), PRIVATE_KEY)));
+    const result = inspectTransaction({ ...signed, id: UNSIGNED_TRANSACTION.id, inputs: signed.inputs.map(input => ({ ...input, utxo })) });
+    expect(result.inputs.map(input => input.signed)).toEqual([true, true]);
+    expect(result.payload.envelope.payloadText).toBe('hello inspector');
+    expect(result.payload.envelope.author.address).toBe(TESTNET_ADDRESS);
+    expect(result.payload.envelope.nonceTrailer).toBe('00'.repeat(8));
+    expect(result.warnings.length).toBe(1);
+    expect(result.warnings[0]).toMatch(/does not match its contents/);
+  });
+
+  test('decodes a pasted PSKB without a wallet, and reports what it cannot read', () => {
+    const pskb = serializePskb([createPsktFromTransaction(UNSIGNED_TRANSACTION)]);
+    const result = inspectTransaction(pskb);
+    expect(result.kind).toBe('pskt');
+    expect(result.stage).toBe('signer');
+    expect(result.txId).toBe(UNSIGNED_TRANSACTION.id);
+    expect(result.payload.envelope).toBeNull();
+    expect(result.payload.length).toBe(4);
+
+    expect(inspectTransaction('').success).toBe(false);
+    expect(inspectTransaction('not a transaction').success).toBe(false);
+    expect(inspectTransaction(pskb, { psktIndex: 1 }).error).toMatch(/not found/);
+    expect(inspectTransaction(pskb, { pattern: 'nonsense' }).pattern.error).toMatch(/pattern/i);
+  });
+});
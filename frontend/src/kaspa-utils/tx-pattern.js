@@ -1,90 +1,35 @@
 // Kaspa Transaction ID Pattern Logic Module
 
-import { Buffer } from 'buffer';
-import { blake3Hash } from '@webbuf/blake3';
-import { WebBuf } from '@webbuf/webbuf';
-
-// Placeholder for constructEnvelope, will be imported from ./envelope.js later
-// For now, if createTransactionWithIdPattern is used, it might rely on the global kaspa-utils.js version
-import { constructEnvelope } from './envelope.js'; // Adjusted to anticipated path
-
 import { isFrameworkInitialized, getKastleWalletFunctions } from './sdk-init.js';
-
-/**
- * Check if a transaction ID matches the specified bit pattern
- * Simplified and robust implementation that converts hex to binary and checks trailing zeros
- * @param {string} txId - Transaction ID in hex format
- * @param {number} zeroBits - Number of trailing zero bits required (1-64)
- * @param {boolean} verbose - Enable detailed logging (default: false)
- * @returns {boolean} True if TxID matches the pattern
- */
-export function checkTxIdPattern(txId, zeroBits, verbose = false) {
-  try {
-    // Input validation
-    if (!txId || typeof txId !== 'string') {
-      if (verbose) console.error('❌ Invalid TxID: must be a non-empty string');
-      return false;
-    }
-    
-    if (!Number.isInteger(zeroBits) || zeroBits < 1 || zeroBits > 64) {
-      if (verbose) console.error('❌ Invalid zeroBits: must be integer between 1-64');
-      return false;
-    }
-    
-    // Remove '0x' prefix if present and validate hex format
-    const cleanTxId = txId.startsWith('0x') ? txId.slice(2) : txId;
-    
-    if (!/^[0-9a-fA-F]+$/.test(cleanTxId)) {
-      if (verbose) console.error('❌ Invalid TxID format: must be valid hexadecimal');
-      return false;
-    }
-    
-    // Convert hex to binary string for easy bit checking
-    let binaryString = '';
-    for (let i = 0; i < cleanTxId.length; i++) {
-      const hexChar = cleanTxId[i];
-      const value = parseInt(hexChar, 16);
-      const binary = value.toString(2).padStart(4, '0');
-      binaryString += binary;
-    }
-    
-    // Check if we have enough bits
-    if (binaryString.length < zeroBits) {
-      if (verbose) console.error(`❌ TxID binary length ${binaryString.length} < required ${zeroBits} bits`);
-      return false;
-    }
-    
-    // Check the last N bits to see if they're all zeros
-    const lastNBits = binaryString.slice(-zeroBits);
-    const allZeros = '0'.repeat(zeroBits);
-    const matches = lastNBits === allZeros;
-    
-    if (verbose) {
-      console.log(`🔍 TxID: ${cleanTxId} (from tx-pattern.js)`);
-      console.log(`🔍 Binary: ...${binaryString.slice(-Math.min(32, binaryString.length))}`);
-      console.log(`🔍 Last ${zeroBits} bits: ${lastNBits}`);
-      console.log(`🔍 Expected: ${allZeros}`);
-      console.log(`${matches ? '✅' : '❌'} Pattern match: ${matches}`);
-    }
-    
-    return matches;
-    
-  } catch (error) {
-    if (verbose) console.error('❌ Error checking TxID pattern (from tx-pattern.js):', error);
-    return false;
-  }
-}
+import {
+  getDefaultWorkerCount,
+  createEnvelopeAttempt,
+  isMiningAborted,
+  createCancelledMiningResult,
+  createWasmUtxoEntries,
+  createAttemptFailureTracker
+} from './mining-core.js';
+import { compilePatternSpec } from './pattern-spec.js';
+import { estimatePatternSearch } from './pattern-estimator.js';
+import { mineWasmPatternTransaction } from './wasm-pattern-miner.js';
+import { normalizeUtxos } from './utxo.js';
+
+// The pattern helpers moved to mining-core.js so the mining Web Workers can share them
+export { checkTxIdPattern, getTrailingZeroBits } from './mining-core.js';
 
 /**
  * Create a transaction envelope and iterate nonce to find matching TxID pattern
  * Enhanced version with performance optimization and detailed progress tracking
  * @param {Object} options - Configuration options
- * @param {number} options.zeroBits - Number of trailing zero bits required in TxID
+ * @param {number|string|Object} options.zeroBits - Number of trailing zero bits required in TxID, or a pattern spec (see pattern-spec.js)
  * @param {string} options.contractTypeId - Contract type identifier  
  * @param {string} options.payloadData - Transaction payload data
  * @param {number} options.maxIterations - Maximum iterations before giving up (default: 1000000)
  * @param {Function} options.progressCallback - Callback function for progress updates (optional)
  * @param {number} options.progressInterval - Progress reporting interval in attempts (default: 1000)
+ * @param {boolean} options.useWorkers - Mine across a Web Worker pool instead of the main thread (default: false)
+ * @param {number} options.workerCount - Number of mining workers (default: navigator.hardwareConcurrency)
+ * @param {AbortSignal} options.signal - Cancels the search; resolves with a cancelled result keeping the best pattern (optional)
  * @returns {Promise<Object>} Object containing the transaction with matching TxID and metadata
  */
 export async function createTransactionWithIdPattern(options = {}) {
@@ -99,12 +44,88 @@ export async function createTransactionWithIdPattern(options = {}) {
       payloadData = 'Hello Kaspa Pattern Matching!',
       maxIterations = 1000000,
       progressCallback = null,
-      progressInterval = 1000
+      progressInterval = 1000,
+      useWorkers = false,
+      workerCount = getDefaultWorkerCount(),
+      signal = null
     } = options;
     
-    console.log(`🎯 Starting optimized pattern search for ${zeroBits} zero bits (from tx-pattern.js)...`);
+    const matcher = compilePatternSpec(zeroBits);
+    const expectedIterations = matcher.difficulty.expectedAttempts;
+    
+    if (useWorkers) {
+      const { mineWithWorkerPool } = await import('./mining-pool.js');
+      const job = { kind: 'envelope', contractTypeId, payloadData };
+      const poolResult = await mineWithWorkerPool({ job, zeroBits, maxIterations, workerCount, progressCallback, signal, verbose: true });
+      
+      if (poolResult.cancelled) {
+        console.log(`🛑 Pattern search cancelled after ${poolResult.attempts.toLocaleString()} attempts (from tx-pattern.js)`);
+        return createCancelledMiningResult({
+          signal,
+          attempts: poolResult.attempts,
+          duration: poolResult.duration,
+          zeroBits,
+          bestPatternFound: poolResult.bestPattern,
+          workerCount: poolResult.workerCount
+        });
+      }
+      
+      if (!poolResult.fallback) {
+        const performanceMetrics = {
+          iterationsPerSecond: poolResult.iterationsPerSecond,
+          totalDuration: poolResult.duration,
+          averageTimePerIteration: poolResult.attempts > 0 ? poolResult.duration / poolResult.attempts : 0,
+          workerCount: poolResult.workerCount
+        };
+        
+        if (!poolResult.success) {
+          console.log(`❌ Pattern (${matcher.description}) not found by ${poolResult.workerCount} workers (from tx-pattern.js)`);
+          return {
+            success: false,
+            attempts: poolResult.attempts,
+            duration: poolResult.duration,
+            iterationsPerSecond: poolResult.iterationsPerSecond,
+            zeroBits,
+            bestPatternFound: poolResult.bestPattern,
+            error: poolResult.error,
+            workerCount: poolResult.workerCount,
+            performanceMetrics
+          };
+        }
+        
+        // Rebuild the winning envelope on the main thread; workers only report the nonce
+        const winner = createEnvelopeAttempt(job, poolResult.nonce);
+        if (winner.txId !== poolResult.txId) {
+          throw new Error(`Worker TxID ${poolResult.txId} does not match rebuilt TxID ${winner.txId}`);
+        }
+        
+        console.log(`🎉 SUCCESS! Pattern found by worker ${poolResult.workerIndex} after ${poolResult.attempts.toLocaleString()} attempts in ${poolResult.duration}ms (from tx-pattern.js)`);
+        return {
+          success: true,
+          txId: winner.txId,
+          nonce: winner.nonce,
+          paddedNonce: winner.paddedNonce,
+          attempts: poolResult.attempts,
+          duration: poolResult.duration,
+          iterationsPerSecond: poolResult.iterationsPerSecond,
+          efficiency: (poolResult.attempts / expectedIterations),
+          envelope: winner.envelope.toString('hex'),
+          envelopeMetadata: winner.envelopeMetadata,
+          payloadWithNonce: winner.payloadWithNonce,
+          zeroBits,
+          bestPatternFound: poolResult.bestPattern,
+          workerCount: poolResult.workerCount,
+          performanceMetrics
+        };
+      }
+      console.warn(`⚠️ Worker pool unavailable, mining on the main thread instead (from tx-pattern.js): ${poolResult.error}`);
+    }
+    
+    console.log(`🎯 Starting optimized pattern search for ${matcher.description} (from tx-pattern.js)...`);
     console.log(`📊 Max iterations: ${maxIterations.toLocaleString()}`);
-    console.log(`⚡ Expected iterations for ${zeroBits} bits: ~${Math.pow(2, zeroBits).toLocaleString()}`);
+    const estimate = estimatePatternSearch(matcher.spec, { maxIterations });
+    console.log(`⚡ Expected iterations for ${matcher.description}: ~${Math.round(expectedIterations).toLocaleString()} (${estimate.percentiles.map(p => `${p.confidence * 100}%: ${p.attempts.toLocaleString()}`).join(', ')})`);
+    console.log(`🎲 Chance of a match within max iterations: ${(estimate.successProbability * 100).toFixed(1)}%`);
     
     let nonce = 0;
     let attempts = 0;
@@ -118,42 +139,33 @@ export async function createTransactionWithIdPattern(options = {}) {
       memoryUsage: typeof process !== 'undefined' && process.memoryUsage ? process.memoryUsage() : null // Browser-safe
     };
     
-    const batchSize = zeroBits <= 4 ? 100 : (zeroBits <= 8 ? 1000 : 5000);
-    const expectedIterations = Math.pow(2, zeroBits);
+    const difficultyBits = matcher.difficulty.bits;
+    const batchSize = difficultyBits <= 4 ? 100 : (difficultyBits <= 8 ? 1000 : 5000);
     
-    console.log(`🔧 Using batch size: ${batchSize} (optimized for ${zeroBits}-bit pattern)`);
+    console.log(`🔧 Using batch size: ${batchSize} (optimized for ${difficultyBits.toFixed(1)}-bit pattern)`);
     
     while (attempts < maxIterations) {
+      if (isMiningAborted(signal)) {
+        const duration = Date.now() - startTime;
+        console.log(`🛑 Pattern search cancelled after ${attempts.toLocaleString()} attempts (from tx-pattern.js)`);
+        console.log(`🎯 Best pattern found: ${bestPattern.zeroBits} zero bits`);
+        return createCancelledMiningResult({ signal, attempts, duration, zeroBits, bestPatternFound: bestPattern });
+      }
+      
       const batchStartTime = Date.now();
       
       for (let batchIndex = 0; batchIndex < batchSize && attempts < maxIterations; batchIndex++) {
         attempts++;
         
-        const paddedNonce = nonce.toString().padStart(10, '0');
-        const payloadWithNonce = `${payloadData}_nonce_${paddedNonce}`;
-        
-        const envelopeResult = constructEnvelope({ // This function will be from ./envelope.js
-          version: 0x01,
-          contractTypeId,
-          payloadData: payloadWithNonce,
-          verbose: false 
-        });
-        
-        if (!envelopeResult.success) {
-          throw new Error(`Envelope construction failed: ${envelopeResult.error}`);
-        }
-        
-        const envelope = envelopeResult.envelope;
-        const envelopeWebBuf = new WebBuf(envelope);
-        const txIdHash = blake3Hash(envelopeWebBuf);
-        const txId = Buffer.from(txIdHash.buf).toString('hex');
+        const { txId, paddedNonce, payloadWithNonce, envelope, envelopeMetadata } =
+          createEnvelopeAttempt({ contractTypeId, payloadData }, nonce);
         
-        const currentZeroBits = getTrailingZeroBits(txId); // Uses local getTrailingZeroBits
+        const currentZeroBits = matcher.score(txId);
         if (currentZeroBits > bestPattern.zeroBits) {
           bestPattern = { zeroBits: currentZeroBits, txId, attempts };
         }
         
-        if (checkTxIdPattern(txId, zeroBits)) { // Uses local checkTxIdPattern
+        if (matcher.test(txId)) {
           const endTime = Date.now();
           const duration = endTime - startTime;
           const iterationsPerSecond = (attempts / duration) * 1000;
@@ -174,7 +186,7 @@ export async function createTransactionWithIdPattern(options = {}) {
             iterationsPerSecond: Math.round(iterationsPerSecond),
             efficiency: (attempts / expectedIterations),
             envelope: envelope.toString('hex'),
-            envelopeMetadata: envelopeResult.metadata,
+            envelopeMetadata,
             payloadWithNonce,
             zeroBits,
             bestPatternFound: bestPattern,
@@ -225,13 +237,18 @@ export async function createTransactionWithIdPattern(options = {}) {
         lastProgressTime = batchEndTime;
       }
       
+      if (signal) {
+        // Yield between batches so an abort can be delivered
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      
       if (attempts > 10000) {
         const currentTime = Date.now();
         const elapsedSeconds = (currentTime - startTime) / 1000;
         if (elapsedSeconds > 0) {
             const currentRate = attempts / elapsedSeconds;
             const projectedTimeFor8Bit = (Math.pow(2, 8) / currentRate);
-            if (zeroBits === 8 && projectedTimeFor8Bit > 10) {
+            if (matcher.spec.type === 'trailingZeroBits' && matcher.spec.bits === 8 && projectedTimeFor8Bit > 10) {
               console.warn(`⚠️  Performance warning: Current rate (${currentRate.toFixed(0)}/sec) may not meet 5-second target for 8-bit patterns (from tx-pattern.js)`);
             }
         }
@@ -243,7 +260,7 @@ export async function createTransactionWithIdPattern(options = {}) {
     const iterationsPerSecond = (attempts > 0 && duration > 0) ? (attempts / duration) * 1000 : 0;
     
     console.log(`⏰ Max iterations reached (${maxIterations.toLocaleString()}) in ${duration}ms (from tx-pattern.js)`);
-    console.log(`❌ Pattern with ${zeroBits} zero bits not found`);
+    console.log(`❌ Pattern (${matcher.description}) not found`);
     console.log(`📊 Final performance: ${iterationsPerSecond.toFixed(0)} iterations/second`);
     console.log(`🎯 Best pattern found: ${bestPattern.zeroBits} zero bits`);
     
@@ -273,49 +290,19 @@ export async function createTransactionWithIdPattern(options = {}) {
   }
 }
 
-/**
- * Helper function to count trailing zero bits in a hex string
- * Used for tracking best patterns found during iteration
- * @param {string} hexString - Hex string to analyze
- * @returns {number} Number of trailing zero bits
- */
-export function getTrailingZeroBits(hexString) {
-  try {
-    let binaryString = '';
-    for (let i = 0; i < hexString.length; i++) {
-      const hexChar = hexString[i];
-      const value = parseInt(hexChar, 16);
-      const binary = value.toString(2).padStart(4, '0');
-      binaryString += binary;
-    }
-    
-    let zeroBits = 0;
-    for (let i = binaryString.length - 1; i >= 0; i--) {
-      if (binaryString[i] === '0') {
-        zeroBits++;
-      } else {
-        break;
-      }
-    }
-    return zeroBits;
-  } catch (error) {
-    // console.error('Error in getTrailingZeroBits (from tx-pattern.js):', error); // Optional: log error
-    return 0;
-  }
-}
-
 /**
  * ✅ METHOD 2: Build transaction with pattern integration using correct SDK approach
  * Combines pattern generation with buildTransaction() for proper SDK compliance
  * @param {Object} options - Transaction building options
- * @param {Array} options.utxos - Array of UTXO objects from getUtxosByAddress
+ * @param {Array} options.utxos - UTXOs in any form normalizeUtxo() accepts (see utxo.js)
  * @param {string} options.toAddress - Destination address
  * @param {number} options.amount - Amount to send in sompi
  * @param {number} options.fee - Transaction fee in sompi
  * @param {string} options.changeAddress - Change address (optional)
- * @param {number} options.zeroBits - Number of trailing zero bits for pattern matching
+ * @param {number|string|Object} options.zeroBits - Number of trailing zero bits for pattern matching, or a pattern spec (see pattern-spec.js)
  * @param {number} options.maxIterations - Maximum pattern matching iterations
  * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @param {AbortSignal} options.signal - Cancels the search; resolves with a cancelled result keeping the best pattern (optional)
  * @returns {Promise<Object>} Transaction building result with pattern integration
  */
 export async function buildPatternTransactionWithSdk(options = {}) {
@@ -333,11 +320,14 @@ export async function buildPatternTransactionWithSdk(options = {}) {
       changeAddress = null,
       zeroBits = 8,
       maxIterations = 1000000,
-      verbose = false
+      verbose = false,
+      signal = null
     } = options;
 
     if (verbose) console.log('🔧 Building pattern transaction with SDK approach (from tx-pattern.js)...');
 
+    const matcher = compilePatternSpec(zeroBits);
+
     if (!Array.isArray(utxos) || utxos.length === 0) {
       throw new Error('Invalid UTXOs: must be a non-empty array');
     }
@@ -348,24 +338,13 @@ export async function buildPatternTransactionWithSdk(options = {}) {
       throw new Error('Invalid amount: must be a positive integer');
     }
 
-    const sortedUtxos = [...utxos].sort((a, b) => {
-      const amountA = typeof a.amount === 'function' ? a.amount() : a.amount || 0;
-      const amountB = typeof b.amount === 'function' ? b.amount() : b.amount || 0;
-      return Number(amountA) - Number(amountB);
-    });
-    
-    const singleUtxo = [sortedUtxos[0]];
-    if (verbose) {
-      const utxoAmount = typeof singleUtxo[0].amount === 'function' ? singleUtxo[0].amount() : singleUtxo[0].amount || 0;
-      console.log('🔧 Using smallest UTXO to avoid duplicates:', utxoAmount, 'sompi');
-    }
+    const canonicalUtxos = normalizeUtxos(utxos);
+    const smallestUtxo = canonicalUtxos.reduce((smallest, utxo) => (utxo.amount < smallest.amount ? utxo : smallest));
+    // buildTransaction() takes kaspa-wasm UTXO entries
+    const singleUtxo = createWasmUtxoEntries([smallestUtxo]);
+    if (verbose) console.log('🔧 Using smallest UTXO to avoid duplicates:', smallestUtxo.amount.toString(), 'sompi');
 
-    const totalInput = (() => {
-      try {
-        const value = typeof singleUtxo[0].amount === 'function' ? singleUtxo[0].amount() : singleUtxo[0].amount || 0;
-        return Number(value);
-      } catch (e) { return 0; }
-    })();
+    const totalInput = Number(smallestUtxo.amount);
     
     if (verbose) {
       console.log(`💰 Total input: ${totalInput} sompi`);
@@ -390,7 +369,7 @@ export async function buildPatternTransactionWithSdk(options = {}) {
     }
 
     if (verbose) {
-      console.log(`🎯 Starting ${zeroBits}-bit pattern search using REAL transaction IDs (from tx-pattern.js)...`);
+      console.log(`🎯 Starting pattern search for ${matcher.description} using REAL transaction IDs (from tx-pattern.js)...`);
       console.log(`🔧 Pattern strategy: Use real transaction.id from SDK buildTransaction()`);
       console.log(`💰 Amount: Base 0.2 KAS + nonce variation (0-999 sompi)`);
       console.log(`🔄 Structure: Single UTXO → Single output (self-send) with amount variation`);
@@ -399,8 +378,22 @@ export async function buildPatternTransactionWithSdk(options = {}) {
     let nonce = 0;
     let attempts = 0;
     const startTime = Date.now();
+    let bestPattern = { zeroBits: 0, txId: '', attempts: 0 };
+    const failures = createAttemptFailureTracker();
 
     while (attempts < maxIterations) {
+      if (isMiningAborted(signal)) {
+        if (verbose) console.log(`🛑 Real TxID pattern search cancelled after ${attempts} attempts (from tx-pattern.js)`);
+        return {
+          ...createCancelledMiningResult({ signal, attempts, duration: Date.now() - startTime, zeroBits, bestPatternFound: bestPattern }),
+          method: 'Real TxID Pattern Matching (SDK-based) - cancelled'
+        };
+      }
+      if (signal && attempts > 0 && attempts % 100 === 0) {
+        // buildTransaction() is synchronous, so yield periodically to let an abort through
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
       attempts++;
       const paddedNonce = nonce.toString().padStart(6, '0');
       const baseAmountSompi = 20000000; 
@@ -419,6 +412,7 @@ export async function buildPatternTransactionWithSdk(options = {}) {
       try {
         const transaction = kastleFuncs.buildTransaction(singleUtxo, outputs);
         if (!transaction) throw new Error('buildTransaction returned null');
+        failures.succeed();
 
         if (verbose && attempts === 1 && typeof transaction.addData === 'function') {
            console.log('🧪 Attempting to add payload data to transaction (from tx-pattern.js)');
@@ -449,7 +443,12 @@ export async function buildPatternTransactionWithSdk(options = {}) {
           console.log(`🔍 Attempt ${attempts}: nonce=${nonce}, amount=${amountWithNonce}, TxID=${txId}`);
         }
 
-        if (checkTxIdPattern(txId, zeroBits)) { // Uses local checkTxIdPattern
+        const currentZeroBits = matcher.score(txId);
+        if (currentZeroBits > bestPattern.zeroBits) {
+          bestPattern = { zeroBits: currentZeroBits, txId, attempts };
+        }
+
+        if (matcher.test(txId)) {
           const endTime = Date.now();
           const duration = endTime - startTime;
           if (verbose) {
@@ -475,8 +474,14 @@ export async function buildPatternTransactionWithSdk(options = {}) {
           console.log(`🔄 Real TxID pattern search progress: ${attempts} attempts (${((attempts/maxIterations)*100).toFixed(1)}%) (from tx-pattern.js)`);
         }
       } catch (buildError) {
-        if (attempts % 10000 === 0 && verbose) {
-          console.warn(`⚠️ buildTransaction error at attempt ${attempts} (from tx-pattern.js):`, buildError.message);
+        const failure = failures.fail(buildError, nonce);
+        if (failure) {
+          if (verbose) console.warn(`⚠️ ${failure} (from tx-pattern.js)`);
+          return {
+            success: false, attempts, duration: Date.now() - startTime, zeroBits, maxIterations, bestPatternFound: bestPattern,
+            error: failure,
+            method: 'Real TxID Pattern Matching (SDK-based) - failed'
+          };
         }
         nonce++; 
       }
@@ -486,10 +491,10 @@ export async function buildPatternTransactionWithSdk(options = {}) {
     const duration = endTime - startTime;
     if (verbose) {
       console.log(`⏰ Pattern search completed: ${attempts} attempts in ${duration}ms (from tx-pattern.js)`);
-      console.log(`❌ ${zeroBits}-bit pattern not found within ${maxIterations} iterations`);
+      console.log(`❌ Pattern (${matcher.description}) not found within ${maxIterations} iterations`);
     }
     return {
-      success: false, attempts, duration, zeroBits, maxIterations,
+      success: false, attempts, duration, zeroBits, maxIterations, bestPatternFound: bestPattern,
       error: `Pattern not found within ${maxIterations} iterations`,
       method: 'Real TxID Pattern Matching (SDK-based) - failed'
     };
@@ -502,17 +507,9 @@ export async function buildPatternTransactionWithSdk(options = {}) {
 /**
  * 🎯 TASK 7.1 FIX: Build pattern transaction with WASM SDK (Official Kastle Documentation Approach)
  * Uses kaspaWasm.createTransactions() instead of kastleFuncs.buildTransaction() for Kastle API compatibility
- * @param {Object} options - Transaction building options
- * @param {Array} options.utxos - Array of UTXO objects from getUtxosByAddress
- * @param {string} options.toAddress - Destination address
- * @param {number} options.amount - Amount to send in sompi
- * @param {number} options.fee - Transaction fee in sompi
- * @param {string} options.changeAddress - Change address (optional)
- * @param {number} options.zeroBits - Number of trailing zero bits for pattern matching
- * @param {number} options.maxIterations - Maximum pattern matching iterations
- * @param {boolean} options.verbose - Enable detailed logging (default: false)
- * @param {string} options.networkId - Network ID for kaspaWasm.createTransactions() (default: 'testnet-10')
- * @returns {Promise<Object>} Transaction building result with WASM SDK transaction
+ * Runs mineWasmPatternTransaction() (wasm-pattern-miner.js) with the kaspa-wasm instance loaded by sdk-init.js.
+ * @param {Object} options - Transaction building options, see mineWasmPatternTransaction()
+ * @returns {Promise<Object>} Transaction building result with WASM SDK transaction (failed and cancelled results include nonceCursor)
  */
 export async function buildPatternTransactionWithWasmSdk(options = {}) {
   try {
@@ -524,126 +521,7 @@ export async function buildPatternTransactionWithWasmSdk(options = {}) {
       throw new Error('WASM SDK not properly initialized');
     }
 
-    const {
-      utxos,
-      toAddress,
-      amount,
-      fee = 1000,
-      changeAddress = null,
-      zeroBits = 8,
-      maxIterations = 1000000,
-      verbose = false,
-      networkId = "testnet-10"
-    } = options;
-
-    if (verbose) console.log(`Building pattern transaction with WASM SDK for network: ${networkId}`);
-
-    // Simplified validation
-    if (!Array.isArray(utxos) || !utxos.length || !toAddress || !Number.isInteger(amount) || amount <= 0) {
-      throw new Error('Invalid input parameters');
-    }
-
-    // Simplified UTXO conversion
-    const entries = utxos.map(utxo => ({
-      address: utxo.address || utxo.scriptPublicKey || '',
-      amount: BigInt(utxo.amount || 0),
-      outpoint: {
-        transactionId: utxo.transactionId || utxo.outpoint?.transactionId || '',
-        index: parseInt(utxo.index || utxo.outpoint?.index || 0, 10)
-      },
-      utxoEntry: {
-        amount: BigInt(utxo.amount || 0),
-        scriptPublicKey: utxo.scriptPublicKey || utxo.scriptPubKey || '',
-        blockDaaScore: BigInt(utxo.blockDaaScore || 0),
-        isCoinbase: utxo.isCoinbase || false
-      }
-    }));
-
-    let nonce = 0;
-    let attempts = 0;
-    const startTime = Date.now();
-
-    while (attempts < maxIterations) {
-      attempts++;
-      
-      // Simplified nonce variation
-      const amountWithNonce = amount + (nonce % 1000);
-      
-      try {
-        const pending = await kaspaWasm.createTransactions({
-          entries,
-          outputs: [{
-            address: changeAddress || toAddress,
-            amount: kaspaWasm.kaspaToSompi((amountWithNonce / 100000000).toFixed(8))
-          }],
-          priorityFee: kaspaWasm.kaspaToSompi((fee / 100000000).toFixed(8)),
-          changeAddress: changeAddress || toAddress,
-          networkId
-        });
-
-        if (!pending?.transactions?.length) {
-          throw new Error('No transactions created');
-        }
-
-        const transaction = pending.transactions[0];
-        const txJson = transaction.serializeToSafeJSON?.() || transaction;
-        const txId = txJson?.id || transaction.id;
-
-        if (!txId) {
-          throw new Error('No transaction ID available');
-        }
-
-        if (checkTxIdPattern(txId, zeroBits)) {
-          const duration = Date.now() - startTime;
-          
-          if (verbose) {
-            console.log(`Pattern found! ${attempts} attempts in ${duration}ms`);
-            console.log(`TxID: ${txId}, Nonce: ${nonce}, Amount: ${amountWithNonce} sompi`);
-          }
-
-          return {
-            success: true,
-            transaction,
-            txJson,
-            txId,
-            nonce,
-            attempts,
-            duration,
-            winningAmount: amountWithNonce,
-            zeroBits,
-            method: 'WASM SDK Pattern Matching'
-          };
-        }
-
-        nonce++;
-        
-        if (verbose && attempts % 5000 === 0) {
-          console.log(`Progress: ${attempts}/${maxIterations} attempts`);
-        }
-
-      } catch (error) {
-        if (verbose && attempts % 10000 === 0) {
-          console.warn(`Error at attempt ${attempts}:`, error.message);
-        }
-        nonce++;
-      }
-    }
-
-    const duration = Date.now() - startTime;
-    
-    if (verbose) {
-      console.log(`Pattern search completed: ${attempts} attempts in ${duration}ms`);
-      console.log(`No ${zeroBits}-bit pattern found within ${maxIterations} iterations`);
-    }
-
-    return {
-      success: false,
-      attempts,
-      duration,
-      zeroBits,
-      error: `Pattern not found within ${maxIterations} iterations`
-    };
-
+    return await mineWasmPatternTransaction(kaspaWasm, options);
   } catch (error) {
     console.error('Error in buildPatternTransactionWithWasmSdk:', error);
     return {
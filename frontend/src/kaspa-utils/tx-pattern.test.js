@@ -0,0 +1,49 @@
+import { buildPatternTransactionWithSdk } from './tx-pattern.js';
+import { getKastleWalletFunctions } from './sdk-init.js';
+
+jest.mock('./sdk-init.js', () => ({
+  isFrameworkInitialized: () => true,
+  getKastleWalletFunctions: jest.fn()
+}));
+
+const PUBLIC_KEY = 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659';
+const ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+const UTXO = {
+  transactionId: '11'.repeat(32),
+  index: 0,
+  amount: BigInt(100000000),
+  scriptPublicKey: `000020${PUBLIC_KEY}ac`,
+  address: ADDRESS,
+  blockDaaScore: BigInt(7),
+  isCoinbase: false
+};
+
+describe('SDK pattern search', () => {
+  test('an abort stops the synchronous build loop at its next yield', async () => {
+    // TxIDs that never match, so only the abort can end the search early
+    const buildTransaction = jest.fn(() => ({ id: 'ab'.repeat(32) }));
+    getKastleWalletFunctions.mockReturnValue({
+      buildTransaction,
+      kaspaWasm: { kaspaToSompi: (kas) => BigInt(Math.round(Number(kas) * 100000000)) }
+    });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 0);
+    const result = await buildPatternTransactionWithSdk({
+      utxos: [UTXO], toAddress: ADDRESS, changeAddress: ADDRESS, amount: 1000000, zeroBits: 'tz:8', maxIterations: 100000, signal: controller.signal
+    });
+
+    expect(result).toMatchObject({
+      success: false,
+      cancelled: true,
+      status: 'cancelled',
+      error: expect.stringMatching(/^Pattern mining cancelled: /),
+      zeroBits: 'tz:8'
+    });
+    // The loop yields every 100 attempts; the timer fires at the first yield
+    expect(result.attempts).toBeGreaterThanOrEqual(100);
+    expect(result.attempts).toBeLessThan(200);
+    expect(buildTransaction).toHaveBeenCalledTimes(result.attempts);
+    expect(result.bestPatternFound).toEqual({ zeroBits: 0, txId: '', attempts: 0 });
+  });
+});
@@ -0,0 +1,209 @@
+// Kaspa Local Transaction ID Module
+// Computes transaction IDs in-process, matching rusty-kaspa consensus hashing (consensus/core/src/hashing/tx.rs):
+// keyed BLAKE2b-256 (key "TransactionID") over the transaction encoded without signature scripts or the mass field.
+// Used by the mining fast path: build the transaction once with the SDK, then only re-hash the nonce bytes.
+
+import { blake2b } from '@noble/hashes/blake2b';
+
+const TRANSACTION_ID_KEY = new TextEncoder().encode('TransactionID');
+const SUBNETWORK_ID_BYTES = 20;
+
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - Hex string (optional 0x prefix)
+ * @returns {Uint8Array} Bytes
+ */
+function hexToBytes(hex = '') {
+  const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
+  if (clean.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(clean)) {
+    throw new Error(`Invalid hex string: ${hex.slice(0, 20)}...`);
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Convert bytes to a hex string
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Lowercase hex
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Encode an unsigned integer as little-endian bytes
+ * @param {number|string|bigint} value - Value (strings and BigInt accepted for u64 fields)
+ * @param {number} byteLength - 2, 4 or 8
+ * @returns {Uint8Array} Little-endian bytes
+ */
+function uintLE(value, byteLength) {
+  let remaining = BigInt(value);
+  const bytes = new Uint8Array(byteLength);
+  for (let i = 0; i < byteLength; i++) {
+    bytes[i] = Number(remaining % BigInt(256));
+    remaining /= BigInt(256);
+  }
+  if (remaining !== BigInt(0)) throw new Error(`Value ${value} does not fit in ${byteLength} bytes`);
+  return bytes;
+}
+
+/**
+ * Split a script public key into version and script bytes
+ * Accepts { version, script } objects and the serde hex form (2-byte big-endian version followed by the script)
+ * @param {Object|string} scriptPublicKey - Script public key
+ * @returns {Object} { version, script }
+ */
+function parseScriptPublicKey(scriptPublicKey) {
+  if (typeof scriptPublicKey === 'string') {
+    const bytes = hexToBytes(scriptPublicKey);
+    return { version: (bytes[0] << 8) | bytes[1], script: bytes.slice(2) };
+  }
+  if (scriptPublicKey && typeof scriptPublicKey === 'object') {
+    return {
+      version: Number(scriptPublicKey.version || 0),
+      script: hexToBytes(scriptPublicKey.script || scriptPublicKey.scriptPublicKey || '')
+    };
+  }
+  throw new Error('Invalid scriptPublicKey');
+}
+
+/**
+ * Normalise a transaction from the SDK (serializeToSafeJSON string, safe JSON object, or toJSON() output)
+ * @param {string|Object} transactionJson - Serialized transaction
+ * @returns {Object} Plain transaction with byte fields decoded
+ */
+export function normalizeTransactionForId(transactionJson) {
+  const tx = typeof transactionJson === 'string' ? JSON.parse(transactionJson) : transactionJson;
+  if (!tx || !Array.isArray(tx.inputs) || !Array.isArray(tx.outputs)) {
+    throw new Error('Invalid transaction JSON: inputs and outputs are required');
+  }
+
+  const subnetworkId = hexToBytes(tx.subnetworkId || '00'.repeat(SUBNETWORK_ID_BYTES));
+  if (subnetworkId.length !== SUBNETWORK_ID_BYTES) {
+    throw new Error(`Invalid subnetworkId: expected ${SUBNETWORK_ID_BYTES} bytes`);
+  }
+
+  return {
+    version: tx.version || 0,
+    inputs: tx.inputs.map(input => {
+      const outpoint = input.previousOutpoint || input.outpoint || input;
+      const transactionId = hexToBytes(outpoint.transactionId);
+      if (transactionId.length !== 32) throw new Error('Invalid input transactionId: expected 32 bytes');
+      return { transactionId, index: outpoint.index || 0, sequence: input.sequence || 0 };
+    }),
+    outputs: tx.outputs.map(output => ({
+      value: output.value ?? output.amount,
+      scriptPublicKey: parseScriptPublicKey(output.scriptPublicKey)
+    })),
+    lockTime: tx.lockTime ?? tx.lock_time ?? 0,
+    subnetworkId,
+    gas: tx.gas || 0,
+    payload: hexToBytes(tx.payload || '')
+  };
+}
+
+/**
+ * Encode a normalised transaction as the ordered byte segments hashed for its ID
+ * Field order follows rusty-kaspa write_transaction() with EXCLUDE_SIGNATURE_SCRIPT and no mass.
+ * @param {Object} tx - Normalised transaction
+ * @returns {Array<Object>} Segments { field, bytes }, so callers can locate a field's offset
+ */
+function encodeTransactionForId(tx) {
+  const segments = [];
+  const push = (field, bytes) => segments.push({ field, bytes });
+
+  push('version', uintLE(tx.version, 2));
+  push('inputCount', uintLE(tx.inputs.length, 8));
+  tx.inputs.forEach((input, index) => {
+    push(`inputs.${index}.transactionId`, input.transactionId);
+    push(`inputs.${index}.index`, uintLE(input.index, 4));
+    push(`inputs.${index}.signatureScript`, uintLE(0, 8)); // empty var-bytes: signature scripts are not part of the ID
+    push(`inputs.${index}.sequence`, uintLE(input.sequence, 8));
+  });
+  push('outputCount', uintLE(tx.outputs.length, 8));
+  tx.outputs.forEach((output, index) => {
+    push(`outputs.${index}.value`, uintLE(output.value, 8));
+    push(`outputs.${index}.scriptVersion`, uintLE(output.scriptPublicKey.version, 2));
+    push(`outputs.${index}.scriptLength`, uintLE(output.scriptPublicKey.script.length, 8));
+    push(`outputs.${index}.script`, output.scriptPublicKey.script);
+  });
+  push('lockTime', uintLE(tx.lockTime, 8));
+  push('subnetworkId', tx.subnetworkId);
+  push('gas', uintLE(tx.gas, 8));
+  push('payloadLength', uintLE(tx.payload.length, 8));
+  push('payload', tx.payload);
+  return segments;
+}
+
+/**
+ * Compute a transaction ID locally
+ * @param {string|Object} transactionJson - Serialized transaction (see normalizeTransactionForId)
+ * @returns {string} Transaction ID hex, identical to the SDK's transaction.id for non-coinbase transactions
+ */
+export function computeTransactionId(transactionJson) {
+  const hasher = blake2b.create({ key: TRANSACTION_ID_KEY, dkLen: 32 });
+  encodeTransactionForId(normalizeTransactionForId(transactionJson)).forEach(segment => hasher.update(segment.bytes));
+  return bytesToHex(hasher.digest());
+}
+
+/**
+ * Build a reusable ID template where one 8-byte field is the mining nonce
+ * Everything before the nonce is hashed once; each attempt clones that state and hashes only the nonce and the tail.
+ * @param {string|Object} transactionJson - Template transaction, built with the SDK
+ * @param {Object} options - Template options
+ * @param {string} options.nonceStrategy - 'payload' | 'sequence' | 'lockTime'
+ * @param {number} options.payloadPrefixLength - Bytes of payload before the u64 nonce (payload strategy, default: 0)
+ * @returns {Object} { computeId(nonce), nonceStrategy }
+ */
+export function createTxIdTemplate(transactionJson, options = {}) {
+  const { nonceStrategy, payloadPrefixLength = 0 } = options;
+  const tx = normalizeTransactionForId(transactionJson);
+  const segments = encodeTransactionForId(tx);
+
+  // Locate the nonce: the whole 8-byte field, or the 8 bytes after the payload prefix
+  let fieldName;
+  let offsetInField = 0;
+  if (nonceStrategy === 'payload') {
+    if (tx.payload.length !== payloadPrefixLength + 8) {
+      throw new Error(`Template payload is ${tx.payload.length} bytes, expected ${payloadPrefixLength + 8}`);
+    }
+    fieldName = 'payload';
+    offsetInField = payloadPrefixLength;
+  } else if (nonceStrategy === 'sequence') {
+    fieldName = 'inputs.0.sequence';
+  } else if (nonceStrategy === 'lockTime') {
+    fieldName = 'lockTime';
+  } else {
+    throw new Error(`Nonce strategy ${nonceStrategy} is not supported by the local TxID fast path`);
+  }
+
+  const fieldIndex = segments.findIndex(segment => segment.field === fieldName);
+  if (fieldIndex === -1) throw new Error(`Template transaction has no ${fieldName} field`);
+
+  const prefixHasher = blake2b.create({ key: TRANSACTION_ID_KEY, dkLen: 32 });
+  segments.slice(0, fieldIndex).forEach(segment => prefixHasher.update(segment.bytes));
+  prefixHasher.update(segments[fieldIndex].bytes.subarray(0, offsetInField));
+
+  const tailParts = [segments[fieldIndex].bytes.subarray(offsetInField + 8), ...segments.slice(fieldIndex + 1).map(segment => segment.bytes)];
+  const tail = new Uint8Array(tailParts.reduce((sum, part) => sum + part.length, 0));
+  tailParts.reduce((offset, part) => {
+    tail.set(part, offset);
+    return offset + part.length;
+  }, 0);
+
+  return {
+    nonceStrategy,
+    computeId: (nonce) => {
+      const hasher = prefixHasher.clone();
+      hasher.update(uintLE(nonce, 8));
+      hasher.update(tail);
+      return bytesToHex(hasher.digest());
+    }
+  };
+}
+
+console.log('📦 Kaspa Local TxID module loaded successfully (txid.js)');
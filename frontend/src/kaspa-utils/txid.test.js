@@ -0,0 +1,67 @@
+import { computeTransactionId, createTxIdTemplate } from './txid.js';
+
+const SCRIPT_PUBLIC_KEY = '000020dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659ac';
+
+// A kaspa-wasm Transaction.serializeToSafeJSON() fixture, and the transaction.id the SDK reports for it and for
+// copies with a nonce written into the sequence, lockTime and payload
+const SDK_TRANSACTION = {
+  id: '018b518cb3f2d5703ae5613b00299910f6fad135c9e692b9ad046751c329221b',
+  version: 0,
+  inputs: [
+    { transactionId: '1'.repeat(64), index: 1, sequence: '0', sigOpCount: 1, signatureScript: '' },
+    { transactionId: '2'.repeat(64), index: 2, sequence: '0', sigOpCount: 1, signatureScript: '' }
+  ],
+  outputs: [{ value: '400000', scriptPublicKey: SCRIPT_PUBLIC_KEY }, { value: '90000', scriptPublicKey: SCRIPT_PUBLIC_KEY }],
+  subnetworkId: '0'.repeat(40),
+  lockTime: '0',
+  gas: '0',
+  mass: '0',
+  payload: '0201cafe'
+};
+const SDK_IDS = {
+  sequence123456789: '730ebcbaf026057cc012a1693f038ee3abc63d75ab4e105b82ec52f13c3e43b8',
+  lockTime98765: '8c1ced33f13f1589845c6bc4abe4a1a32dfc03af988120cb6a0a1903bcba5254',
+  payloadNonce0: 'bfda68d3d913008b9885ea938074fe6451c0d4ec49dc83dea4ae9208f2b1642a',
+  payloadNonce4294967301: '64107ba29751ffca7a90dec451947ac2af04c66afff2201c00d6a4bfde60045f'
+};
+
+const withSequence = (sequence) => ({
+  ...SDK_TRANSACTION,
+  inputs: [{ ...SDK_TRANSACTION.inputs[0], sequence: String(sequence) }, SDK_TRANSACTION.inputs[1]]
+});
+
+describe('Local TxIDs', () => {
+  test('match the SDK transaction.id', () => {
+    expect(computeTransactionId(SDK_TRANSACTION)).toBe(SDK_TRANSACTION.id);
+    expect(computeTransactionId(JSON.stringify(SDK_TRANSACTION))).toBe(SDK_TRANSACTION.id);
+    // Signature scripts and mass are not part of the ID
+    const signed = { ...SDK_TRANSACTION, mass: '1234', inputs: SDK_TRANSACTION.inputs.map(input => ({ ...input, signatureScript: 'ab'.repeat(66) })) };
+    expect(computeTransactionId(signed)).toBe(SDK_TRANSACTION.id);
+
+    expect(computeTransactionId(withSequence(123456789))).toBe(SDK_IDS.sequence123456789);
+    expect(computeTransactionId({ ...SDK_TRANSACTION, lockTime: '98765' })).toBe(SDK_IDS.lockTime98765);
+  });
+
+  test('templates re-hash only the nonce and still match the SDK', () => {
+    const sequence = createTxIdTemplate(SDK_TRANSACTION, { nonceStrategy: 'sequence' });
+    expect(sequence.computeId(0)).toBe(SDK_TRANSACTION.id);
+    expect(sequence.computeId(123456789)).toBe(SDK_IDS.sequence123456789);
+
+    const lockTime = createTxIdTemplate(withSequence(123456789), { nonceStrategy: 'lockTime' });
+    expect(lockTime.computeId(0)).toBe(SDK_IDS.sequence123456789);
+    expect(createTxIdTemplate(SDK_TRANSACTION, { nonceStrategy: 'lockTime' }).computeId(98765)).toBe(SDK_IDS.lockTime98765);
+
+    // The payload strategy puts a u64 little-endian nonce after the prefix (here the fixture's 4 payload bytes)
+    const payloadTemplate = { ...SDK_TRANSACTION, payload: `0201cafe${'ff'.repeat(8)}` };
+    const payload = createTxIdTemplate(payloadTemplate, { nonceStrategy: 'payload', payloadPrefixLength: 4 });
+    expect(payload.computeId(0)).toBe(SDK_IDS.payloadNonce0);
+    expect(payload.computeId(4294967301)).toBe(SDK_IDS.payloadNonce4294967301);
+    expect(computeTransactionId({ ...SDK_TRANSACTION, payload: '0201cafe0500000001000000' })).toBe(SDK_IDS.payloadNonce4294967301);
+  });
+
+  test('reject templates without room for the nonce', () => {
+    expect(() => createTxIdTemplate(SDK_TRANSACTION, { nonceStrategy: 'payload' })).toThrow(/Template payload is 4 bytes, expected 8/);
+    expect(() => createTxIdTemplate(SDK_TRANSACTION, { nonceStrategy: 'changeAmount' })).toThrow(/not supported by the local TxID fast path/);
+    expect(() => computeTransactionId({ ...SDK_TRANSACTION, inputs: [{ transactionId: 'abcd', index: 0 }] })).toThrow(/expected 32 bytes/);
+  });
+});
@@ -0,0 +1,186 @@
+// Kaspa UTXO Module
+// One UTXO shape for every transaction builder. Wallets, kaspa-wasm and the REST API each describe UTXOs differently
+// (getters on WASM UtxoEntryReference objects, nested utxoEntry/entry objects, amounts as numbers, strings or
+// BigInts), so anything that takes UTXOs normalises them here first. The canonical UTXO is a plain, structured-cloneable
+// object:
+//
+//   { transactionId, index, amount, scriptPublicKey, address, blockDaaScore, isCoinbase }
+//
+// amount and blockDaaScore are BigInt; scriptPublicKey is serde hex (2-byte version, then the script); address is null
+// when the UTXO neither names one nor pays to a standard script on a known network.
+// Must not import sdk-init.js: mining workers use this through mining-core.js.
+
+import { addressToScriptPublicKey, scriptPublicKeyToAddress } from './address.js';
+
+// Standard scripts, which the REST API hands out without their version
+const UNVERSIONED_STANDARD_SCRIPT = /^(20[0-9a-f]{64}ac|21[0-9a-f]{66}ab|aa20[0-9a-f]{64}87)$/;
+
+/**
+ * Read a UTXO field that may be a plain property or a WASM getter method
+ * @param {Object} source - UTXO-like object
+ * @param {string} name - Field name
+ * @returns {*} Field value, or undefined
+ */
+function readField(source, name) {
+  if (!source || typeof source !== 'object') return undefined;
+  const value = source[name];
+  return typeof value === 'function' ? value.call(source) : value;
+}
+
+/**
+ * First of several field names that is set
+ * @param {Object} source - UTXO-like object
+ * @param {Array<string>} names - Field names, most common first
+ * @returns {*} Field value, or undefined
+ */
+function readFirstField(source, names) {
+  for (const name of names) {
+    const value = readField(source, name);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+/**
+ * Read an address field, which may be a string or a WASM Address object
+ * @param {*} value - Address field
+ * @returns {string|null} Address with its network prefix
+ */
+function toAddressString(value) {
+  if (!value) return null;
+  const address = typeof value === 'string' ? value : String(value);
+  return address.includes(':') ? address : null;
+}
+
+/**
+ * Serde hex of a script public key in any of the forms UTXO sources use
+ * @param {*} value - Version-prefixed hex, unversioned standard script hex, { version, script }, REST
+ *   { scriptPublicKey }, a WASM ScriptPublicKey, or an address
+ * @returns {string} Version-prefixed hex
+ */
+function toScriptPublicKeyHex(value) {
+  if (typeof value === 'string') {
+    if (value.includes(':')) return addressToScriptPublicKey(value);
+    const hex = (value.startsWith('0x') ? value.slice(2) : value).toLowerCase();
+    if (!/^([0-9a-f]{2})+$/.test(hex)) throw new Error('script public key is not hex');
+    return UNVERSIONED_STANDARD_SCRIPT.test(hex) ? `0000${hex}` : hex;
+  }
+  if (value && typeof value === 'object') {
+    const script = readFirstField(value, ['script', 'scriptPublicKey']);
+    if (typeof script !== 'string' && !(script instanceof Uint8Array)) throw new Error('script public key has no script');
+    const scriptHex = typeof script === 'string' ? script.toLowerCase() : Array.from(script, byte => byte.toString(16).padStart(2, '0')).join('');
+    const version = Number(readField(value, 'version') || 0);
+    return `${version.toString(16).padStart(4, '0')}${scriptHex}`;
+  }
+  throw new Error('missing script public key');
+}
+
+/**
+ * Read an unsigned integer field as BigInt
+ * @param {*} value - Number, numeric string or BigInt
+ * @param {string} label - Field name for errors
+ * @returns {BigInt} Value
+ */
+function toBigIntField(value, label) {
+  let result;
+  try {
+    result = BigInt(value);
+  } catch (error) {
+    throw new Error(`invalid ${label}: ${value}`);
+  }
+  if (result < BigInt(0)) throw new Error(`invalid ${label}: ${value}`);
+  return result;
+}
+
+/**
+ * Outpoint of a UTXO, read as leniently as possible
+ * @param {Object} utxo - UTXO in any supported form
+ * @returns {Object} { transactionId, index } - transactionId is '' when missing
+ */
+function readUtxoOutpoint(utxo) {
+  const outpoint = readFirstField(utxo, ['outpoint', 'previousOutpoint']);
+  const transactionId = readFirstField(utxo, ['transactionId', 'txId', 'txid'])
+    || readFirstField(outpoint, ['transactionId', 'txId'])
+    || '';
+  const index = readFirstField(utxo, ['index', 'outputIndex', 'vout']) ?? readFirstField(outpoint, ['index', 'outputIndex']) ?? 0;
+  return { transactionId: String(transactionId).toLowerCase(), index: Number(index) };
+}
+
+/**
+ * Outpoint key ("txid:index") identifying a UTXO; never throws
+ * @param {Object} utxo - UTXO in any supported form
+ * @returns {string} Outpoint key
+ */
+export function getUtxoOutpointKey(utxo) {
+  const { transactionId, index } = readUtxoOutpoint(utxo);
+  return `${transactionId}:${index}`;
+}
+
+/**
+ * Normalise a UTXO from a wallet, kaspa-wasm or the REST API to the canonical UTXO
+ * Accepts canonical UTXOs too, so normalising twice is harmless.
+ * @param {Object} utxo - WASM UtxoEntryReference, Kastle/RPC entry ({ address, outpoint, utxoEntry|entry }), REST API
+ *   entry, or a flat { transactionId, index, amount, scriptPublicKey, ... } object
+ * @param {Object} options - Options
+ * @param {string} options.address - Address to assume when the UTXO names none, e.g. the one it was fetched for (optional)
+ * @param {string} options.networkId - Network for deriving a missing address from the script (optional)
+ * @returns {Object} Canonical UTXO (throws when a required field is missing or invalid)
+ */
+export function normalizeUtxo(utxo, options = {}) {
+  const { address: defaultAddress = null, networkId = null } = options;
+  if (!utxo || typeof utxo !== 'object') throw new Error('UTXO must be an object');
+
+  // Amount and script live on the entry for RPC/REST entries and on the UTXO itself otherwise
+  const entry = readFirstField(utxo, ['utxoEntry', 'entry']) || utxo;
+  const { transactionId, index } = readUtxoOutpoint(utxo);
+  if (!/^[0-9a-f]{64}$/.test(transactionId)) throw new Error(`invalid transaction ID: ${transactionId || 'missing'}`);
+  if (!Number.isInteger(index) || index < 0 || index > 0xffffffff) throw new Error(`invalid output index: ${index}`);
+
+  const amount = readFirstField(entry, ['amount', 'value', 'satoshis']) ?? readFirstField(utxo, ['amount', 'value']);
+  if (amount === undefined) throw new Error('missing amount');
+  const scriptPublicKey = toScriptPublicKeyHex(
+    readFirstField(entry, ['scriptPublicKey', 'scriptPubKey', 'script']) ?? readFirstField(utxo, ['scriptPublicKey', 'scriptPubKey'])
+  );
+  const address = toAddressString(readField(utxo, 'address'))
+    || toAddressString(readField(entry, 'address'))
+    || defaultAddress
+    || (networkId ? scriptPublicKeyToAddress(scriptPublicKey, { networkId }) : null);
+
+  return {
+    transactionId,
+    index,
+    amount: toBigIntField(amount, 'amount'),
+    scriptPublicKey,
+    address,
+    blockDaaScore: toBigIntField(readFirstField(entry, ['blockDaaScore']) ?? readField(utxo, 'blockDaaScore') ?? 0, 'blockDaaScore'),
+    isCoinbase: Boolean(readField(entry, 'isCoinbase') ?? readField(utxo, 'isCoinbase'))
+  };
+}
+
+/**
+ * Normalise a list of UTXOs
+ * @param {Array} utxos - UTXOs in any supported form
+ * @param {Object} options - See normalizeUtxo()
+ * @returns {Array<Object>} Canonical UTXOs (throws naming the first bad UTXO)
+ */
+export function normalizeUtxos(utxos, options = {}) {
+  if (!Array.isArray(utxos)) throw new Error('UTXOs must be an array');
+  return utxos.map((utxo, index) => {
+    try {
+      return normalizeUtxo(utxo, options);
+    } catch (error) {
+      throw new Error(`UTXO ${index}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Total amount of canonical UTXOs
+ * @param {Array<Object>} utxos - Canonical UTXOs
+ * @returns {BigInt} Sum in sompi
+ */
+export function sumUtxoAmounts(utxos) {
+  return utxos.reduce((total, utxo) => total + utxo.amount, BigInt(0));
+}
+
+console.log('📦 Kaspa UTXO module loaded successfully (utxo.js)');
@@ -0,0 +1,74 @@
+import { normalizeUtxo, normalizeUtxos, sumUtxoAmounts, getUtxoOutpointKey } from './utxo.js';
+
+const PUBLIC_KEY = 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659';
+const ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+const SCRIPT_PUBLIC_KEY = `000020${PUBLIC_KEY}ac`;
+const TX_ID = '11'.repeat(32);
+
+const CANONICAL = {
+  transactionId: TX_ID,
+  index: 1,
+  amount: BigInt(500000),
+  scriptPublicKey: SCRIPT_PUBLIC_KEY,
+  address: ADDRESS,
+  blockDaaScore: BigInt(7),
+  isCoinbase: false
+};
+
+describe('UTXO normalisation', () => {
+  test('reads REST API, Kastle/RPC and flat UTXOs alike', () => {
+    const rest = {
+      address: ADDRESS,
+      outpoint: { transactionId: TX_ID, index: 1 },
+      utxoEntry: { amount: '500000', scriptPublicKey: { version: 0, scriptPublicKey: `20${PUBLIC_KEY}ac` }, blockDaaScore: '7', isCoinbase: false }
+    };
+    const kastle = {
+      address: ADDRESS,
+      outpoint: { transactionId: TX_ID.toUpperCase(), index: 1 },
+      entry: { amount: BigInt(500000), scriptPublicKey: { version: 0, script: `20${PUBLIC_KEY}ac` }, blockDaaScore: BigInt(7) }
+    };
+    const flat = { address: ADDRESS, txId: TX_ID, index: '1', value: 500000, scriptPubKey: `20${PUBLIC_KEY}ac`, blockDaaScore: 7 };
+
+    expect(normalizeUtxo(rest)).toEqual(CANONICAL);
+    expect(normalizeUtxo(kastle)).toEqual(CANONICAL);
+    expect(normalizeUtxo(flat)).toEqual(CANONICAL);
+    expect(normalizeUtxo(CANONICAL)).toEqual(CANONICAL);
+  });
+
+  test('reads WASM UtxoEntryReference getters and Address objects', () => {
+    const wasmAddress = { toString: () => ADDRESS };
+    const reference = {
+      address: () => wasmAddress,
+      outpoint: () => ({ transactionId: TX_ID, index: 1 }),
+      amount: () => BigInt(500000),
+      scriptPublicKey: () => ({ version: 0, script: Uint8Array.from(Buffer.from(`20${PUBLIC_KEY}ac`, 'hex')) }),
+      blockDaaScore: () => BigInt(7),
+      isCoinbase: () => false
+    };
+    expect(normalizeUtxo(reference)).toEqual(CANONICAL);
+  });
+
+  test('fills in the address from options or the script', () => {
+    const { address, ...withoutAddress } = CANONICAL;
+    expect(normalizeUtxo(withoutAddress).address).toBeNull();
+    expect(normalizeUtxo(withoutAddress, { address: ADDRESS }).address).toBe(address);
+    expect(normalizeUtxo(withoutAddress, { networkId: 'testnet-10' }).address).toBe(address);
+    expect(normalizeUtxo({ ...withoutAddress, scriptPublicKey: ADDRESS }).scriptPublicKey).toBe(SCRIPT_PUBLIC_KEY);
+  });
+
+  test('rejects UTXOs the builders cannot spend, naming the bad one', () => {
+    expect(() => normalizeUtxo({ ...CANONICAL, transactionId: 'abc' })).toThrow(/invalid transaction ID: abc/);
+    expect(() => normalizeUtxo({ ...CANONICAL, amount: '-1' })).toThrow(/invalid amount/);
+    expect(() => normalizeUtxo({ ...CANONICAL, amount: undefined })).toThrow(/missing amount/);
+    expect(() => normalizeUtxo({ ...CANONICAL, scriptPublicKey: 'xyz' })).toThrow(/not hex/);
+    expect(() => normalizeUtxos([CANONICAL, { ...CANONICAL, index: -1 }])).toThrow(/UTXO 1: invalid output index/);
+  });
+
+  test('sums amounts and keys outpoints', () => {
+    const utxos = normalizeUtxos([CANONICAL, { ...CANONICAL, index: 2, amount: 250 }]);
+    expect(sumUtxoAmounts(utxos)).toBe(BigInt(500250));
+    expect(getUtxoOutpointKey(utxos[1])).toBe(`${TX_ID}:2`);
+    expect(getUtxoOutpointKey({ outpoint: { transactionId: TX_ID, index: 3 } })).toBe(`${TX_ID}:3`);
+    expect(getUtxoOutpointKey({})).toBe(':0');
+  });
+});
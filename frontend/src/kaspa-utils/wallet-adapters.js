@@ -0,0 +1,351 @@
+// Kaspa Wallet Adapter Module
+// One interface over the browser wallets the workflows can use, so nothing above wallet.js needs to know which
+// extension it is talking to. An adapter is a plain object; every method is async:
+//
+//   id, name                                      registry key and display name
+//   isInstalled()                                 → boolean
+//   connect() / disconnect()
+//   getAddress()                                  → address, or null while not connected
+//   getNetwork()                                  → network ID, e.g. 'testnet-10'
+//   getBalance()                                  → sompi
+//   getUtxos(address)                             → UTXOs in any form normalizeUtxo() accepts (utxo.js)
+//   signPskt(txJson, { networkId, sighashTypes }) → signed transaction
+//   signAndBroadcast(txJson, { networkId, sighashTypes }) → TxID, or the wallet's broadcast result
+//   signMessage(message)                          → Kaspa personal message signature (hex)
+//
+// Adapters may also have a synchronous subscribe(onChange) that calls onChange(type) whenever the wallet's own events
+// fire (type: 'accountChanged', 'networkChanged', 'balanceChanged' or null) and returns an unsubscribe function, or
+// null when the wallet has no events. wallet-events.js polls wallets without it.
+//
+// txJson is Transaction.serializeToSafeJSON() output and sighashTypes one sighash type name per input (or null for
+// the wallet's default). Kastle, KasWare and a generic injected provider are registered by default.
+
+import { getKastleWalletFunctions } from './sdk-init.js';
+import { PSKT_SIGHASH_TYPES } from './pskt-format.js';
+import { toKastleScriptOptions } from './sighash.js';
+import { normalizeUtxo } from './utxo.js';
+
+const WALLET_ADAPTERS = new Map();
+
+export const WALLET_ADAPTER_METHODS = [
+  'isInstalled',
+  'connect',
+  'disconnect',
+  'getAddress',
+  'getNetwork',
+  'getBalance',
+  'getUtxos',
+  'signPskt',
+  'signAndBroadcast',
+  'signMessage'
+];
+export const DEFAULT_WALLET_ADAPTER_ID = 'kastle';
+
+// Used to fetch UTXOs for wallets that do not expose them
+export const REST_API_URLS = {
+  mainnet: 'https://api.kaspa.org',
+  'testnet-10': 'https://api-tn10.kaspa.org',
+  'testnet-11': 'https://api-tn11.kaspa.org'
+};
+
+// Native provider events → wallet event types (see wallet-events.js)
+const KASTLE_PROVIDER_EVENTS = {
+  'kas:account_changed': 'accountChanged',
+  'kas:network_changed': 'networkChanged'
+};
+const KASWARE_PROVIDER_EVENTS = {
+  accountsChanged: 'accountChanged',
+  networkChanged: 'networkChanged',
+  balanceChanged: 'balanceChanged'
+};
+
+let activeWalletAdapterId = DEFAULT_WALLET_ADAPTER_ID;
+
+/**
+ * Normalise a wallet's network name to a network ID
+ * @param {string} network - e.g. 'testnet-10', 'kaspa_testnet_10' (KasWare) or 'kaspa_mainnet'
+ * @returns {string|null} Network ID, e.g. 'testnet-10'
+ */
+export function normalizeWalletNetworkId(network) {
+  if (!network) return null;
+  const name = typeof network === 'string' ? network : (network.networkId || network.id || String(network));
+  return name.toLowerCase().replace(/^kaspa[_-]/, '').replace(/_/g, '-');
+}
+
+/**
+ * Safe JSON text of a transaction
+ * @param {string|Object} txJson - serializeToSafeJSON() output
+ * @returns {string} JSON text
+ */
+function toTxJsonString(txJson) {
+  return typeof txJson === 'string' ? txJson : JSON.stringify(txJson);
+}
+
+/**
+ * Forward an injected provider's events to a subscriber
+ * @param {Object|null} provider - Provider with on() and removeListener() or off()
+ * @param {Object} events - Provider event name → wallet event type
+ * @param {Function} onChange - Receives the wallet event type
+ * @returns {Function|null} Unsubscribe, or null when the provider has no events
+ */
+function subscribeToProviderEvents(provider, events, onChange) {
+  if (!provider || typeof provider.on !== 'function') return null;
+  const handlers = Object.entries(events).map(([name, type]) => {
+    const handler = () => onChange(type);
+    provider.on(name, handler);
+    return [name, handler];
+  });
+  return () => handlers.forEach(([name, handler]) => {
+    if (typeof provider.removeListener === 'function') provider.removeListener(name, handler);
+    else if (typeof provider.off === 'function') provider.off(name, handler);
+  });
+}
+
+/**
+ * Fetch the UTXOs of an address from the Kaspa REST API
+ * @param {string} address - Kaspa address
+ * @param {Object} options - Fetch options
+ * @param {string} options.networkId - Network, to pick the REST API (default: 'testnet-10')
+ * @param {string} options.restApiUrl - REST API URL (default: REST_API_URLS[networkId])
+ * @returns {Promise<Array>} Canonical UTXOs (see utxo.js)
+ */
+export async function fetchRestApiUtxos(address, options = {}) {
+  const { networkId = 'testnet-10', restApiUrl = REST_API_URLS[networkId] } = options;
+  if (!restApiUrl) throw new Error(`No REST API known for ${networkId}: pass restApiUrl`);
+
+  const response = await fetch(`${restApiUrl}/addresses/${address}/utxos`);
+  if (!response.ok) throw new Error(`REST API returned ${response.status} for ${address}`);
+  const entries = await response.json();
+
+  // The REST API leaves out the script version; normalizeUtxo() puts it back
+  return entries.map(entry => normalizeUtxo(entry));
+}
+
+/**
+ * Adapter for the Kastle browser extension (through @forbole/kastle-sdk and window.kastle)
+ * Needs initialiseKaspaFramework() for the SDK functions.
+ * @returns {Object} WalletAdapter
+ */
+export function createKastleWalletAdapter() {
+  const kastle = () => {
+    const functions = getKastleWalletFunctions();
+    if (!functions) throw new Error('Kastle Wallet functions not available. Call initialiseKaspaFramework() first.');
+    return functions;
+  };
+  const provider = () => {
+    if (typeof window === 'undefined' || !window.kastle) throw new Error('Kastle wallet extension not available');
+    return window.kastle;
+  };
+  const request = (method, { networkId, sighashTypes }, txJson) => provider().request(method, {
+    networkId,
+    txJson,
+    ...(sighashTypes ? { scripts: toKastleScriptOptions(sighashTypes, getKastleWalletFunctions()?.SignType) } : {})
+  });
+
+  return {
+    id: 'kastle',
+    name: 'Kastle',
+    isInstalled: async () => Boolean(getKastleWalletFunctions()) && kastle().isWalletInstalled(),
+    connect: async () => kastle().connect(),
+    disconnect: async () => kastle().disconnect(),
+    getAddress: async () => kastle().getWalletAddress(),
+    getNetwork: async () => normalizeWalletNetworkId(await kastle().getNetwork()),
+    getBalance: async () => kastle().getBalance(),
+    getUtxos: async (address) => kastle().getUtxosByAddress(address),
+    signPskt: async (txJson, options = {}) => request('kas:sign_tx', options, txJson),
+    signAndBroadcast: async (txJson, options = {}) => request('kas:sign_and_broadcast_tx', options, txJson),
+    signMessage: async (message) => {
+      const result = await provider().request('kas:sign_message', message);
+      return typeof result === 'string' ? result : result?.signature;
+    },
+    subscribe: (onChange) => subscribeToProviderEvents(typeof window === 'undefined' ? null : window.kastle, KASTLE_PROVIDER_EVENTS, onChange)
+  };
+}
+
+/**
+ * Adapter for the KasWare browser extension (window.kasware)
+ * KasWare does not list UTXOs, so they come from the REST API of the wallet's network.
+ * @param {Object} options - Adapter options
+ * @param {Object} options.restApiUrls - REST API URL per network ID (default: REST_API_URLS)
+ * @returns {Object} WalletAdapter
+ */
+export function createKasWareWalletAdapter(options = {}) {
+  const { restApiUrls = REST_API_URLS } = options;
+  const kasware = (method) => {
+    if (typeof window === 'undefined' || !window.kasware) throw new Error('KasWare wallet extension not available');
+    if (method && typeof window.kasware[method] !== 'function') throw new Error(`This KasWare version does not support ${method}()`);
+    return window.kasware;
+  };
+  const getNetwork = async () => normalizeWalletNetworkId(await kasware('getNetwork').getNetwork());
+  const signPskt = async (txJson, { sighashTypes = null } = {}) => {
+    const txJsonString = toTxJsonString(txJson);
+    const signInputs = sighashTypes
+      ? sighashTypes.map((type, index) => ({ index, sighashType: PSKT_SIGHASH_TYPES[type] }))
+      : JSON.parse(txJsonString).inputs.map((input, index) => ({ index, sighashType: PSKT_SIGHASH_TYPES.All }));
+    return kasware('signPskt').signPskt({ txJsonString, options: { signInputs } });
+  };
+
+  return {
+    id: 'kasware',
+    name: 'KasWare',
+    isInstalled: async () => typeof window !== 'undefined' && Boolean(window.kasware),
+    connect: async () => kasware('requestAccounts').requestAccounts(),
+    disconnect: async () => kasware('disconnect').disconnect(window.location.origin),
+    getAddress: async () => (await kasware('getAccounts').getAccounts())[0] || null,
+    getNetwork,
+    getBalance: async () => {
+      const balance = await kasware('getBalance').getBalance();
+      return typeof balance === 'object' && balance !== null ? balance.total : balance;
+    },
+    getUtxos: async (address) => {
+      const networkId = await getNetwork();
+      return fetchRestApiUtxos(address, { networkId, restApiUrl: restApiUrls[networkId] });
+    },
+    signPskt,
+    signAndBroadcast: async (txJson, signOptions = {}) => {
+      const signed = await signPskt(txJson, signOptions);
+      return kasware('pushTx').pushTx({ rawtx: toTxJsonString(signed) });
+    },
+    signMessage: async (message) => kasware('signMessage').signMessage(message, { type: 'schnorr' }),
+    subscribe: (onChange) => subscribeToProviderEvents(typeof window === 'undefined' ? null : window.kasware, KASWARE_PROVIDER_EVENTS, onChange)
+  };
+}
+
+/**
+ * Adapter for any injected provider with a request(method, params) API, e.g. wallets that speak Kastle's kas:*
+ * protocol under another global
+ * @param {Object} options - Adapter options
+ * @param {string} options.id - Registry ID (default: 'injected')
+ * @param {string} options.name - Display name (default: 'Injected wallet')
+ * @param {string} options.providerName - Global the provider is injected as (default: 'kaspa', i.e. window.kaspa)
+ * @param {Object} options.methods - Request method names, overriding the kas:* defaults; a null getUtxos fetches
+ *   UTXOs from the REST API instead
+ * @param {Object} options.events - Provider event name → wallet event type (default: Kastle's kas:* events)
+ * @param {Object} options.restApiUrls - REST API URL per network ID (default: REST_API_URLS)
+ * @returns {Object} WalletAdapter
+ */
+export function createInjectedWalletAdapter(options = {}) {
+  const {
+    id = 'injected',
+    name = 'Injected wallet',
+    providerName = 'kaspa',
+    events = KASTLE_PROVIDER_EVENTS,
+    restApiUrls = REST_API_URLS
+  } = options;
+  const methods = {
+    connect: 'kas:connect',
+    disconnect: 'kas:disconnect',
+    getAccount: 'kas:get_account',
+    getNetwork: 'kas:get_network',
+    getBalance: 'kas:get_balance',
+    getUtxos: null,
+    signPskt: 'kas:sign_tx',
+    signAndBroadcast: 'kas:sign_and_broadcast_tx',
+    signMessage: 'kas:sign_message',
+    ...options.methods
+  };
+  const request = (method, params) => {
+    const provider = typeof window === 'undefined' ? null : window[providerName];
+    if (!provider || typeof provider.request !== 'function') throw new Error(`No wallet provider injected as window.${providerName}`);
+    return provider.request(method, params);
+  };
+  const getAddress = async () => {
+    const account = await request(methods.getAccount);
+    return (typeof account === 'string' ? account : account?.address) || null;
+  };
+  const getNetwork = async () => normalizeWalletNetworkId(await request(methods.getNetwork));
+  const sign = (method, txJson, { networkId, sighashTypes = null } = {}) => request(method, {
+    networkId,
+    txJson,
+    ...(sighashTypes ? { scripts: toKastleScriptOptions(sighashTypes) } : {})
+  });
+
+  return {
+    id,
+    name,
+    isInstalled: async () => typeof window !== 'undefined' && typeof window[providerName]?.request === 'function',
+    connect: async () => request(methods.connect),
+    disconnect: async () => request(methods.disconnect),
+    getAddress,
+    getNetwork,
+    getBalance: async () => {
+      const balance = await request(methods.getBalance);
+      return typeof balance === 'object' && balance !== null ? balance.total ?? balance.balance : balance;
+    },
+    getUtxos: async (address) => {
+      if (methods.getUtxos) return request(methods.getUtxos, { address });
+      const networkId = await getNetwork();
+      return fetchRestApiUtxos(address, { networkId, restApiUrl: restApiUrls[networkId] });
+    },
+    signPskt: async (txJson, signOptions) => sign(methods.signPskt, txJson, signOptions),
+    signAndBroadcast: async (txJson, signOptions) => sign(methods.signAndBroadcast, txJson, signOptions),
+    signMessage: async (message) => {
+      const result = await request(methods.signMessage, message);
+      return typeof result === 'string' ? result : result?.signature;
+    },
+    subscribe: (onChange) => subscribeToProviderEvents(typeof window === 'undefined' ? null : window[providerName], events, onChange)
+  };
+}
+
+/**
+ * Register a wallet adapter
+ * @param {Object} adapter - WalletAdapter (see the top of this file)
+ * @param {Object} options - Options
+ * @param {boolean} options.replace - Replace an adapter registered under the same ID (default: false)
+ * @returns {Object} The adapter
+ */
+export function registerWalletAdapter(adapter, options = {}) {
+  const { replace = false } = options;
+  if (!adapter || typeof adapter.id !== 'string' || !adapter.id) throw new Error('Wallet adapter needs an id');
+  if (typeof adapter.name !== 'string' || !adapter.name) throw new Error(`Wallet adapter "${adapter.id}" needs a name`);
+  const missing = WALLET_ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) throw new Error(`Wallet adapter "${adapter.id}" is missing ${missing.join(', ')}`);
+  if (WALLET_ADAPTERS.has(adapter.id) && !replace) throw new Error(`Wallet adapter "${adapter.id}" is already registered`);
+  WALLET_ADAPTERS.set(adapter.id, adapter);
+  return adapter;
+}
+
+/**
+ * Look up a wallet adapter
+ * @param {string|null} id - Adapter ID (default: the active adapter)
+ * @returns {Object} WalletAdapter (throws for unknown IDs)
+ */
+export function getWalletAdapter(id = null) {
+  const adapterId = id || activeWalletAdapterId;
+  const adapter = WALLET_ADAPTERS.get(adapterId);
+  if (!adapter) throw new Error(`Unknown wallet "${adapterId}". Registered: ${[...WALLET_ADAPTERS.keys()].join(', ')}`);
+  return adapter;
+}
+
+/**
+ * List registered wallet adapters
+ * @returns {Array<Object>} { id, name }
+ */
+export function listWalletAdapters() {
+  return [...WALLET_ADAPTERS.values()].map(adapter => ({ id: adapter.id, name: adapter.name }));
+}
+
+/**
+ * Choose the wallet the workflows use when none is given
+ * @param {string} id - Adapter ID
+ * @returns {Object} WalletAdapter
+ */
+export function setActiveWalletAdapter(id) {
+  const adapter = getWalletAdapter(id);
+  activeWalletAdapterId = adapter.id;
+  return adapter;
+}
+
+/**
+ * ID of the wallet the workflows use when none is given
+ * @returns {string} Adapter ID
+ */
+export function getActiveWalletAdapterId() {
+  return activeWalletAdapterId;
+}
+
+registerWalletAdapter(createKastleWalletAdapter());
+registerWalletAdapter(createKasWareWalletAdapter());
+registerWalletAdapter(createInjectedWalletAdapter());
+
+console.log('📦 Kaspa Wallet Adapters module loaded successfully (wallet-adapters.js)');
@@ -0,0 +1,135 @@
+import {
+  WALLET_ADAPTER_METHODS,
+  normalizeWalletNetworkId,
+  fetchRestApiUtxos,
+  createKasWareWalletAdapter,
+  createInjectedWalletAdapter,
+  registerWalletAdapter,
+  getWalletAdapter,
+  listWalletAdapters,
+  setActiveWalletAdapter,
+  getActiveWalletAdapterId
+} from './wallet-adapters.js';
+
+const ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+const TX_JSON = JSON.stringify({ id: 'ab'.repeat(32), inputs: [{}, {}], outputs: [{}] });
+
+// REST API /addresses/{address}/utxos entry
+const REST_UTXO = {
+  address: ADDRESS,
+  outpoint: { transactionId: '11'.repeat(32), index: 1 },
+  utxoEntry: {
+    amount: '500000',
+    scriptPublicKey: { scriptPublicKey: '20dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659ac' },
+    blockDaaScore: '7',
+    isCoinbase: false
+  }
+};
+
+const respondWith = (body) => async (url) => ({ ok: true, status: 200, url, json: async () => body });
+
+describe('Wallet adapter registry', () => {
+  test('registers Kastle, KasWare and an injected provider by default', () => {
+    expect(listWalletAdapters().map(adapter => adapter.id)).toEqual(['kastle', 'kasware', 'injected']);
+    expect(getActiveWalletAdapterId()).toBe('kastle');
+    expect(getWalletAdapter().name).toBe('Kastle');
+  });
+
+  test('checks adapters and switches the active one', () => {
+    const adapter = { id: 'test-wallet', name: 'Test' };
+    expect(() => registerWalletAdapter(adapter)).toThrow(/missing isInstalled/);
+    WALLET_ADAPTER_METHODS.forEach(method => { adapter[method] = async () => null; });
+    registerWalletAdapter(adapter);
+    expect(() => registerWalletAdapter(adapter)).toThrow(/already registered/);
+
+    expect(setActiveWalletAdapter('test-wallet')).toBe(adapter);
+    expect(getWalletAdapter()).toBe(adapter);
+    expect(() => setActiveWalletAdapter('nope')).toThrow(/Unknown wallet "nope"/);
+    setActiveWalletAdapter('kastle');
+  });
+
+  test('normalises network names', () => {
+    expect(normalizeWalletNetworkId('kaspa_testnet_10')).toBe('testnet-10');
+    expect(normalizeWalletNetworkId('kaspa_mainnet')).toBe('mainnet');
+    expect(normalizeWalletNetworkId('testnet-11')).toBe('testnet-11');
+    expect(normalizeWalletNetworkId(null)).toBeNull();
+  });
+});
+
+describe('Wallet adapters', () => {
+  test('fetches REST API UTXOs in the shape the builders take', async () => {
+    const originalFetch = global.fetch;
+    const requested = [];
+    global.fetch = async (url) => { requested.push(url); return respondWith([REST_UTXO])(url); };
+    try {
+      const [utxo] = await fetchRestApiUtxos(ADDRESS, { networkId: 'testnet-10' });
+      expect(requested).toEqual([`https://api-tn10.kaspa.org/addresses/${ADDRESS}/utxos`]);
+      expect(utxo).toEqual({
+        transactionId: '11'.repeat(32),
+        index: 1,
+        amount: BigInt(500000),
+        scriptPublicKey: '000020dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659ac',
+        address: ADDRESS,
+        blockDaaScore: BigInt(7),
+        isCoinbase: false
+      });
+      await expect(fetchRestApiUtxos(ADDRESS, { networkId: 'devnet' })).rejects.toThrow(/No REST API known for devnet/);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  test('KasWare signs every input with the chosen sighash type and pushes the result', async () => {
+    const calls = [];
+    window.kasware = {
+      getAccounts: async () => [ADDRESS],
+      getNetwork: async () => 'kaspa_testnet_10',
+      getBalance: async () => ({ confirmed: 700, unconfirmed: 0, total: 700 }),
+      signPskt: async (request) => { calls.push(['signPskt', request]); return '{"signed":true}'; },
+      pushTx: async (request) => { calls.push(['pushTx', request]); return 'cd'.repeat(32); }
+    };
+    try {
+      const kasware = createKasWareWalletAdapter();
+      expect(await kasware.isInstalled()).toBe(true);
+      expect(await kasware.getAddress()).toBe(ADDRESS);
+      expect(await kasware.getNetwork()).toBe('testnet-10');
+      expect(await kasware.getBalance()).toBe(700);
+
+      const txId = await kasware.signAndBroadcast(TX_JSON, { networkId: 'testnet-10', sighashTypes: ['All', 'SingleAnyOneCanPay'] });
+      expect(txId).toBe('cd'.repeat(32));
+      expect(calls).toEqual([
+        ['signPskt', { txJsonString: TX_JSON, options: { signInputs: [{ index: 0, sighashType: 0x01 }, { index: 1, sighashType: 0x84 }] } }],
+        ['pushTx', { rawtx: '{"signed":true}' }]
+      ]);
+      await expect(kasware.signMessage('hello')).rejects.toThrow(/does not support signMessage/);
+    } finally {
+      delete window.kasware;
+    }
+  });
+
+  test('injected providers get Kastle-style requests', async () => {
+    const calls = [];
+    window.testKaspa = {
+      request: async (method, params) => {
+        calls.push([method, params]);
+        if (method === 'kas:get_account') return { address: ADDRESS };
+        if (method === 'kas:sign_message') return { signature: 'ef'.repeat(64) };
+        return 'ok';
+      }
+    };
+    try {
+      const injected = createInjectedWalletAdapter({ id: 'test-injected', providerName: 'testKaspa' });
+      expect(await injected.getAddress()).toBe(ADDRESS);
+      await injected.signAndBroadcast(TX_JSON, { networkId: 'testnet-10', sighashTypes: ['All', 'None'] });
+      expect(calls[1]).toEqual(['kas:sign_and_broadcast_tx', {
+        networkId: 'testnet-10',
+        txJson: TX_JSON,
+        scripts: [{ inputIndex: 0, signType: 'All' }, { inputIndex: 1, signType: 'None' }]
+      }]);
+      expect(await injected.signMessage('hello')).toBe('ef'.repeat(64));
+      expect(await createInjectedWalletAdapter({ providerName: 'missing' }).isInstalled()).toBe(false);
+    } finally {
+      delete window.testKaspa;
+    }
+  });
+});
@@ -0,0 +1,221 @@
+// Kaspa Wallet Events Module
+// Tells subscribers when the wallet's account, network or balance changes, or when it disconnects, instead of every
+// caller polling the extension. One watcher runs per wallet however many subscribers it has:
+//   - Wallets with native events (adapter.subscribe, see wallet-adapters.js) are re-read only when they fire, plus a
+//     balance check every balanceInterval, since few wallets announce incoming funds.
+//   - Other wallets are re-read every pollInterval.
+// The first read is the baseline and emits nothing: events always describe a change.
+
+import { getWalletAdapter } from './wallet-adapters.js';
+
+export const WALLET_EVENT_TYPES = ['accountChanged', 'networkChanged', 'balanceChanged', 'disconnected'];
+export const DEFAULT_WALLET_POLL_INTERVAL = 10000;
+export const DEFAULT_WALLET_BALANCE_INTERVAL = 30000;
+
+const WALLET_WATCHERS = new Map();
+
+/**
+ * Read what a wallet currently reports; wallet errors read as "not installed" or "not connected"
+ * @param {Object} adapter - WalletAdapter
+ * @returns {Promise<Object>} { installed, connected, address, network, balance }
+ */
+async function readWalletState(adapter) {
+  const state = { installed: false, connected: false, address: null, network: null, balance: null };
+  try {
+    state.installed = Boolean(await adapter.isInstalled());
+  } catch (error) {
+    return state;
+  }
+  if (!state.installed) return state;
+
+  try {
+    state.address = (await adapter.getAddress()) || null;
+  } catch (error) {
+    state.address = null;
+  }
+  state.connected = Boolean(state.address);
+  if (!state.connected) return state;
+
+  try {
+    state.network = (await adapter.getNetwork()) || null;
+  } catch (error) {
+    state.network = null;
+  }
+  try {
+    state.balance = (await adapter.getBalance()) ?? null;
+  } catch (error) {
+    state.balance = null;
+  }
+  return state;
+}
+
+/**
+ * Events describing the difference between two wallet states
+ * @param {Object} previous - Earlier state
+ * @param {Object} current - Later state
+ * @returns {Array<Object>} { type, previous, current }
+ */
+function diffWalletStates(previous, current) {
+  // A disconnect clears everything; reporting the cleared fields too would only add noise
+  if (previous.connected && !current.connected) {
+    return [{ type: 'disconnected', previous: previous.address, current: null }];
+  }
+  const events = [];
+  if (previous.address !== current.address) events.push({ type: 'accountChanged', previous: previous.address, current: current.address });
+  if (previous.network !== current.network) events.push({ type: 'networkChanged', previous: previous.network, current: current.network });
+  // Wallets report balances as numbers or BigInts
+  if (String(previous.balance) !== String(current.balance)) events.push({ type: 'balanceChanged', previous: previous.balance, current: current.balance });
+  return events;
+}
+
+/**
+ * Re-read a watched wallet and notify subscribers of what changed
+ * Reads run one at a time; requests made while one runs are merged into a single follow-up read.
+ * @param {Object} watcher - Wallet watcher
+ * @param {Object} options - Refresh options
+ * @param {boolean} options.balanceOnly - Only re-read the balance (default: false)
+ * @returns {Promise<Object>} The wallet state after the read
+ */
+function refreshWatcher(watcher, options = {}) {
+  const { balanceOnly = false } = options;
+  watcher.pendingFullRead = watcher.pendingFullRead || !balanceOnly;
+  if (watcher.pending) return watcher.pending;
+
+  watcher.pending = watcher.running.then(async () => {
+    const fullRead = watcher.pendingFullRead || !watcher.state;
+    watcher.pending = null;
+    watcher.pendingFullRead = false;
+
+    const previous = watcher.state;
+    let current;
+    if (fullRead) {
+      current = await readWalletState(watcher.adapter);
+    } else if (previous.connected) {
+      let balance = null;
+      try {
+        balance = (await watcher.adapter.getBalance()) ?? null;
+      } catch (error) {
+        balance = previous.balance;
+      }
+      current = { ...previous, balance };
+    } else {
+      current = previous;
+    }
+    if (watcher.stopped) return current;
+
+    watcher.state = current;
+    if (previous) {
+      diffWalletStates(previous, current).forEach(change => {
+        const event = { ...change, walletId: watcher.adapter.id, state: current };
+        watcher.listeners.forEach(listener => {
+          try {
+            listener(event);
+          } catch (error) {
+            console.error(`❌ Wallet ${event.type} listener failed (from wallet-events.js):`, error);
+          }
+        });
+      });
+    }
+    return current;
+  });
+  watcher.running = watcher.pending.catch(() => {});
+  return watcher.pending;
+}
+
+/**
+ * Start watching a wallet
+ * @param {Object} adapter - WalletAdapter
+ * @param {number} pollInterval - Full re-read interval for wallets without events (ms)
+ * @param {number} balanceInterval - Balance re-read interval for wallets with events (ms)
+ * @returns {Object} Wallet watcher
+ */
+function startWalletWatcher(adapter, pollInterval, balanceInterval) {
+  const watcher = {
+    adapter,
+    listeners: new Set(),
+    state: null,
+    running: Promise.resolve(),
+    pending: null,
+    pendingFullRead: false,
+    stopped: false,
+    timer: null,
+    unsubscribeAdapter: null
+  };
+
+  const onWalletEvent = (type) => refreshWatcher(watcher, { balanceOnly: type === 'balanceChanged' });
+  try {
+    watcher.unsubscribeAdapter = typeof adapter.subscribe === 'function' ? adapter.subscribe(onWalletEvent) : null;
+  } catch (error) {
+    console.warn(`⚠️ ${adapter.name} events unavailable, polling instead (from wallet-events.js):`, error.message);
+  }
+  watcher.timer = watcher.unsubscribeAdapter
+    ? setInterval(() => refreshWatcher(watcher, { balanceOnly: true }), balanceInterval)
+    : setInterval(() => refreshWatcher(watcher), pollInterval);
+
+  refreshWatcher(watcher);
+  return watcher;
+}
+
+/**
+ * Stop watching a wallet
+ * @param {Object} watcher - Wallet watcher
+ */
+function stopWalletWatcher(watcher) {
+  watcher.stopped = true;
+  clearInterval(watcher.timer);
+  if (watcher.unsubscribeAdapter) watcher.unsubscribeAdapter();
+}
+
+/**
+ * Subscribe to a wallet's changes
+ * @param {Function} listener - Receives { type, walletId, previous, current, state }; type is one of WALLET_EVENT_TYPES
+ *   and state the full { installed, connected, address, network, balance } after the change
+ * @param {Object} options - Subscription options
+ * @param {string} options.walletId - Wallet adapter (default: the active adapter)
+ * @param {number} options.pollInterval - Re-read interval for wallets without events, in ms (default: 10000; the first
+ *   subscriber's value is used)
+ * @param {number} options.balanceInterval - Balance re-read interval for wallets with events, in ms (default: 30000)
+ * @returns {Function} Unsubscribe; the watcher stops with its last subscriber
+ */
+export function subscribeToWalletEvents(listener, options = {}) {
+  const {
+    walletId = null,
+    pollInterval = DEFAULT_WALLET_POLL_INTERVAL,
+    balanceInterval = DEFAULT_WALLET_BALANCE_INTERVAL
+  } = options;
+  if (typeof listener !== 'function') throw new Error('Wallet event listener must be a function');
+
+  const adapter = getWalletAdapter(walletId);
+  let watcher = WALLET_WATCHERS.get(adapter.id);
+  if (!watcher) {
+    watcher = startWalletWatcher(adapter, pollInterval, balanceInterval);
+    WALLET_WATCHERS.set(adapter.id, watcher);
+  }
+  // The same function may be subscribed twice; each subscription gets its own entry
+  const subscription = (event) => listener(event);
+  watcher.listeners.add(subscription);
+
+  let subscribed = true;
+  return () => {
+    if (!subscribed) return;
+    subscribed = false;
+    watcher.listeners.delete(subscription);
+    if (watcher.listeners.size === 0 && WALLET_WATCHERS.get(adapter.id) === watcher) {
+      stopWalletWatcher(watcher);
+      WALLET_WATCHERS.delete(adapter.id);
+    }
+  };
+}
+
+/**
+ * Read a wallet now, e.g. right after connecting; subscribers are told about any change
+ * @param {string|null} walletId - Wallet adapter (default: the active adapter)
+ * @returns {Promise<Object>} { installed, connected, address, network, balance }
+ */
+export async function refreshWalletState(walletId = null) {
+  const adapter = getWalletAdapter(walletId);
+  const watcher = WALLET_WATCHERS.get(adapter.id);
+  return watcher ? refreshWatcher(watcher) : readWalletState(adapter);
+}
+
+console.log('📦 Kaspa Wallet Events module loaded successfully (wallet-events.js)');
@@ -0,0 +1,71 @@
+import { subscribeToWalletEvents, refreshWalletState } from './wallet-events.js';
+import { WALLET_ADAPTER_METHODS, registerWalletAdapter } from './wallet-adapters.js';
+
+const ADDRESS = 'kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae';
+const OTHER_ADDRESS = 'kaspatest:qr8x7gdgqsdcy92et2g35pfcqkl55sqm89t2qke5y7ark39yyr9zhadpa7m3w';
+
+// A wallet whose reported state the test controls
+function registerFakeWallet(id, extra = {}) {
+  const wallet = { address: ADDRESS, network: 'testnet-10', balance: 1000 };
+  const adapter = { id, name: id };
+  WALLET_ADAPTER_METHODS.forEach(method => { adapter[method] = async () => null; });
+  adapter.isInstalled = async () => true;
+  adapter.getAddress = async () => wallet.address;
+  adapter.getNetwork = async () => wallet.network;
+  adapter.getBalance = async () => wallet.balance;
+  registerWalletAdapter(Object.assign(adapter, extra));
+  return wallet;
+}
+
+describe('Wallet events', () => {
+  test('reports changes against the first read, and a disconnect on its own', async () => {
+    const wallet = registerFakeWallet('events-polled');
+    const events = [];
+    const unsubscribe = subscribeToWalletEvents(event => events.push(event), { walletId: 'events-polled', pollInterval: 60000 });
+    try {
+      await refreshWalletState('events-polled');
+      expect(events).toEqual([]);
+
+      wallet.address = OTHER_ADDRESS;
+      wallet.balance = BigInt(2500);
+      const state = await refreshWalletState('events-polled');
+      expect(state).toEqual({ installed: true, connected: true, address: OTHER_ADDRESS, network: 'testnet-10', balance: BigInt(2500) });
+      expect(events.map(event => [event.type, event.previous, event.current])).toEqual([
+        ['accountChanged', ADDRESS, OTHER_ADDRESS],
+        ['balanceChanged', 1000, BigInt(2500)]
+      ]);
+
+      wallet.address = null;
+      await refreshWalletState('events-polled');
+      expect(events.slice(2).map(event => [event.type, event.walletId, event.state.connected])).toEqual([['disconnected', 'events-polled', false]]);
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  test('follows native wallet events and stops with the last subscriber', async () => {
+    let onWalletChange = null;
+    let unsubscribed = 0;
+    const wallet = registerFakeWallet('events-native', {
+      subscribe: (onChange) => {
+        onWalletChange = onChange;
+        return () => { unsubscribed++; };
+      }
+    });
+    const first = [];
+    const second = [];
+    const unsubscribeFirst = subscribeToWalletEvents(event => first.push(event.type), { walletId: 'events-native', balanceInterval: 60000 });
+    const unsubscribeSecond = subscribeToWalletEvents(event => second.push(event.type), { walletId: 'events-native' });
+
+    await refreshWalletState('events-native');
+    wallet.network = 'testnet-11';
+    await onWalletChange('networkChanged');
+    expect(first).toEqual(['networkChanged']);
+    expect(second).toEqual(['networkChanged']);
+
+    unsubscribeFirst();
+    expect(unsubscribed).toBe(0);
+    unsubscribeSecond();
+    expect(unsubscribed).toBe(1);
+  });
+});
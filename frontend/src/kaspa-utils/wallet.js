@@ -1,39 +1,42 @@
 // Kaspa Wallet Interaction Module
+// Wallet functions take a wallet adapter ID (see wallet-adapters.js); the *Kastle* functions are kept for callers
+// that predate adapters.
 
 import { isFrameworkInitialized, getKastleWalletFunctions } from './sdk-init.js';
+import { getWalletAdapter } from './wallet-adapters.js';
+import { normalizeUtxos, sumUtxoAmounts } from './utxo.js';
+import { DEFAULT_SIGHASH_TYPE, resolveSighashTypes, getSighashWarnings, toKastleScriptOptions } from './sighash.js';
 
 /**
- * Connect to Kastle Wallet
- * Establishes connection with the user's Kastle Wallet extension
+ * Connect to a wallet
+ * Asks the wallet extension for access to the user's account
+ * @param {string|null} walletId - Wallet adapter ID, e.g. 'kastle' or 'kasware' (default: the active adapter; see wallet-adapters.js)
  * @param {boolean} verbose - Enable detailed logging (default: false)
  * @returns {Promise<Object>} Connection result with wallet info
  */
-export async function connectKastleWallet(verbose = false) {
+export async function connectWallet(walletId = null, verbose = false) {
   try {
     if (!isFrameworkInitialized()) {
       throw new Error('Kaspa Framework not initialized. Call initialiseKaspaFramework() first. (from wallet.js)');
     }
-    const kastleWalletFuncs = getKastleWalletFunctions();
-    if (!kastleWalletFuncs) {
-        throw new Error('Kastle Wallet functions not available. (from wallet.js)');
-    }
+    const wallet = getWalletAdapter(walletId);
 
-    if (verbose) console.log('Connecting to Kastle Wallet (from wallet.js)...');
+    if (verbose) console.log(`Connecting to ${wallet.name} Wallet (from wallet.js)...`);
 
-    const walletInstalled = await kastleWalletFuncs.isWalletInstalled();
+    const walletInstalled = await wallet.isInstalled();
     if (!walletInstalled) {
-      throw new Error('Kastle Wallet not installed. Please install the Kastle Wallet browser extension.');
+      throw new Error(`${wallet.name} Wallet not installed. Please install the ${wallet.name} Wallet browser extension.`);
     }
 
-    const connectionResult = await kastleWalletFuncs.connect();
+    const connectionResult = await wallet.connect();
     if (verbose) console.log('Connection result:', connectionResult);
 
-    const walletAddress = await kastleWalletFuncs.getWalletAddress();
-    const network = await kastleWalletFuncs.getNetwork();
-    const balance = await kastleWalletFuncs.getBalance();
+    const walletAddress = await wallet.getAddress();
+    const network = await wallet.getNetwork();
+    const balance = await wallet.getBalance();
 
     if (verbose) {
-      console.log('Kastle Wallet connected successfully (from wallet.js)');
+      console.log(`${wallet.name} Wallet connected successfully (from wallet.js)`);
       console.log(`Address: ${walletAddress}`);
       console.log(`Network: ${network}`);
       console.log(`Balance: ${balance} sompi`);
@@ -42,6 +45,7 @@ export async function connectKastleWallet(verbose = false) {
     return {
       success: true,
       connected: true,
+      walletId: wallet.id,
       walletAddress,
       network,
       balance,
@@ -49,7 +53,7 @@ export async function connectKastleWallet(verbose = false) {
     };
 
   } catch (error) {
-    console.error('Error connecting to Kastle Wallet (from wallet.js):', error);
+    console.error('Error connecting to wallet (from wallet.js):', error);
     return {
       success: false,
       error: error.message,
@@ -59,34 +63,32 @@ export async function connectKastleWallet(verbose = false) {
 }
 
 /**
- * Disconnect from Kastle Wallet
- * Closes the connection to the user's Kastle Wallet
+ * Disconnect from a wallet
+ * @param {string|null} walletId - Wallet adapter ID (default: the active adapter)
  * @param {boolean} verbose - Enable detailed logging (default: false)
  * @returns {Promise<Object>} Disconnection result
  */
-export async function disconnectKastleWallet(verbose = false) {
+export async function disconnectWallet(walletId = null, verbose = false) {
   try {
     if (!isFrameworkInitialized()) {
       throw new Error('Kaspa Framework not initialized. Call initialiseKaspaFramework() first. (from wallet.js)');
     }
-    const kastleWalletFuncs = getKastleWalletFunctions();
-    if (!kastleWalletFuncs) {
-        throw new Error('Kastle Wallet functions not available. (from wallet.js)');
-    }
+    const wallet = getWalletAdapter(walletId);
 
-    if (verbose) console.log('Disconnecting from Kastle Wallet (from wallet.js)...');
+    if (verbose) console.log(`Disconnecting from ${wallet.name} Wallet (from wallet.js)...`);
 
-    const result = await kastleWalletFuncs.disconnect();
-    if (verbose) console.log('Kastle Wallet disconnected successfully (from wallet.js)');
+    const result = await wallet.disconnect();
+    if (verbose) console.log(`${wallet.name} Wallet disconnected successfully (from wallet.js)`);
 
     return {
       success: true,
       disconnected: true,
+      walletId: wallet.id,
       result
     };
 
   } catch (error) {
-    console.error('Error disconnecting from Kastle Wallet (from wallet.js):', error);
+    console.error('Error disconnecting from wallet (from wallet.js):', error);
     return {
       success: false,
       error: error.message,
@@ -96,74 +98,40 @@ export async function disconnectKastleWallet(verbose = false) {
 }
 
 /**
- * Fetch UTXOs from Kastle Wallet for a specific address
+ * Fetch UTXOs from a wallet for a specific address
  * Retrieves all available unspent transaction outputs for the address
  * @param {string} address - Kaspa address to fetch UTXOs for (optional, uses wallet address if not provided)
  * @param {boolean} verbose - Enable detailed logging (default: false)
- * @returns {Promise<Object>} UTXO fetching result with array of UTXOs
+ * @param {string|null} walletId - Wallet adapter ID (default: the active adapter)
+ * @returns {Promise<Object>} UTXO fetching result with canonical UTXOs (see utxo.js) and totalBalance in sompi
  */
-export async function fetchKastleUtxos(address = null, verbose = false) {
+export async function fetchWalletUtxos(address = null, verbose = false, walletId = null) {
   try {
     if (!isFrameworkInitialized()) {
       throw new Error('Kaspa Framework not initialized. Call initialiseKaspaFramework() first. (from wallet.js)');
     }
-    const kastleWalletFuncs = getKastleWalletFunctions();
-     if (!kastleWalletFuncs) {
-        throw new Error('Kastle Wallet functions not available. (from wallet.js)');
-    }
+    const wallet = getWalletAdapter(walletId);
 
-    if (verbose) console.log('Fetching UTXOs from Kastle Wallet (from wallet.js)...');
+    if (verbose) console.log(`Fetching UTXOs from ${wallet.name} Wallet (from wallet.js)...`);
 
     let targetAddress = address;
     if (!targetAddress) {
-      targetAddress = await kastleWalletFuncs.getWalletAddress();
+      targetAddress = await wallet.getAddress();
       if (verbose) console.log(`Using wallet address: ${targetAddress}`);
     }
 
-    const utxos = await kastleWalletFuncs.getUtxosByAddress(targetAddress);
+    // Every wallet's UTXOs leave here in the canonical shape (see utxo.js)
+    const utxos = normalizeUtxos(await wallet.getUtxos(targetAddress), { address: targetAddress });
     
     if (verbose) {
       console.log(`Found ${utxos.length} UTXOs (from wallet.js)`);
       utxos.forEach((utxo, index) => {
-        let displayValue = 0;
-        let displayTxId = 'unknown';
-        try {
-          if (utxo.constructor && (utxo.constructor.name.includes('UtxoEntryReference') || utxo.__wbg_ptr)) {
-            displayValue = typeof utxo.amount === 'function' ? utxo.amount() : utxo.amount || 0;
-            displayTxId = typeof utxo.transactionId === 'function' ? utxo.transactionId() : utxo.transactionId || 'unknown';
-          } else {
-            displayValue = utxo.amount || utxo.value || 0;
-            displayTxId = utxo.transactionId || utxo.txId || utxo.id || 'unknown';
-          }
-        } catch (error) {
-          console.warn(`Warning: Error extracting UTXO ${index + 1} info (from wallet.js):`, error);
-        }
-        const shortTxId = typeof displayTxId === 'string' ? displayTxId.substring(0, 16) + '...' : 'unknown';
-        console.log(`   ${index + 1}. ${displayValue} sompi (${shortTxId})`);
+        console.log(`   ${index + 1}. ${utxo.amount} sompi (${utxo.transactionId.substring(0, 16)}...:${utxo.index})`);
       });
     }
 
-    const totalBalance = utxos.reduce((sum, utxo) => {
-      let utxoValue = 0;
-      try {
-        if (utxo.constructor && (utxo.constructor.name.includes('UtxoEntryReference') || utxo.__wbg_ptr)) {
-            try { utxoValue = typeof utxo.amount === 'function' ? utxo.amount() : utxo.amount || 0; } 
-            catch (e) { 
-                try { utxoValue = typeof utxo.getAmount === 'function' ? utxo.getAmount() : 0; } 
-                catch (e2) { 
-                    try { utxoValue = typeof utxo.value === 'function' ? utxo.value() : 0; } 
-                    catch (e3) { utxoValue = 0; }
-                }
-            }
-        } else {
-          utxoValue = parseInt(utxo.amount || utxo.value || 0);
-        }
-        if (typeof utxoValue === 'bigint') utxoValue = Number(utxoValue);
-      } catch (error) {
-        console.warn(`Warning: Error calculating balance for UTXO (from wallet.js):`, error);
-      }
-      return sum + utxoValue;
-    }, 0);
+    // Sompi totals stay far below 2^53, and callers do arithmetic with it as a number
+    const totalBalance = Number(sumUtxoAmounts(utxos));
 
     return {
       success: true,
@@ -174,7 +142,7 @@ export async function fetchKastleUtxos(address = null, verbose = false) {
     };
 
   } catch (error) {
-    console.error('Error fetching UTXOs from Kastle Wallet (from wallet.js):', error);
+    console.error('Error fetching UTXOs from wallet (from wallet.js):', error);
     return {
       success: false,
       error: error.message,
@@ -186,12 +154,13 @@ export async function fetchKastleUtxos(address = null, verbose = false) {
 }
 
 /**
- * Get Kastle Wallet status and information
+ * Get wallet status and information
  * Comprehensive function to check wallet state and connectivity
+ * @param {string|null} walletId - Wallet adapter ID (default: the active adapter)
  * @param {boolean} verbose - Enable detailed logging (default: false)
  * @returns {Promise<Object>} Wallet status information
  */
-export async function getKastleWalletStatus(verbose = false) {
+export async function getWalletStatus(walletId = null, verbose = false) {
   try {
     if (!isFrameworkInitialized()) {
        return {
@@ -200,39 +169,30 @@ export async function getKastleWalletStatus(verbose = false) {
         frameworkReady: false
       };
     }
-    const kastleWalletFuncs = getKastleWalletFunctions();
-    if (!kastleWalletFuncs) {
-        return {
-            success: false,
-            error: 'Kastle Wallet functions not available. (from wallet.js)',
-            frameworkReady: true, // Framework might be init, but funcs are not there
-            walletInstalled: false,
-            connected: false
-        };
-    }
+    const wallet = getWalletAdapter(walletId);
 
-    if (verbose) console.log('Checking Kastle Wallet status (from wallet.js)...');
+    if (verbose) console.log(`Checking ${wallet.name} Wallet status (from wallet.js)...`);
 
     const status = {
       frameworkReady: true,
+      walletId: wallet.id,
+      walletName: wallet.name,
       walletInstalled: false,
       connected: false,
       walletAddress: null,
       network: null,
-      balance: null,
-      availableFunctions: []
+      balance: null
     };
 
     try {
-      status.walletInstalled = await kastleWalletFuncs.isWalletInstalled();
-      status.availableFunctions = Object.keys(kastleWalletFuncs);
+      status.walletInstalled = await wallet.isInstalled();
     } catch (error) {
       if (verbose) console.warn('Warning: Could not check wallet installation (from wallet.js):', error.message);
     }
 
     if (status.walletInstalled) {
       try {
-        status.walletAddress = await kastleWalletFuncs.getWalletAddress();
+        status.walletAddress = await wallet.getAddress();
         status.connected = !!status.walletAddress; // If address is fetched, assume connected
       } catch (error) {
         // Not necessarily an error if wallet is installed but not connected by user yet
@@ -244,8 +204,8 @@ export async function getKastleWalletStatus(verbose = false) {
 
       if (status.connected) {
         try {
-          status.network = await kastleWalletFuncs.getNetwork();
-          status.balance = await kastleWalletFuncs.getBalance();
+          status.network = await wallet.getNetwork();
+          status.balance = await wallet.getBalance();
         } catch (error) {
           if (verbose) console.warn('Warning: Could not get network/balance info (from wallet.js):', error.message);
         }
@@ -253,7 +213,7 @@ export async function getKastleWalletStatus(verbose = false) {
     }
 
     if (verbose) {
-      console.log('Kastle Wallet Status (from wallet.js):');
+      console.log(`${wallet.name} Wallet Status (from wallet.js):`);
       console.log(`   Framework Ready: ${status.frameworkReady}`);
       console.log(`   Wallet Installed: ${status.walletInstalled}`);
       console.log(`   Connected: ${status.connected}`);
@@ -268,7 +228,7 @@ export async function getKastleWalletStatus(verbose = false) {
     };
 
   } catch (error) {
-    console.error('Error getting Kastle Wallet status (from wallet.js):', error);
+    console.error('Error getting wallet status (from wallet.js):', error);
     return {
       success: false,
       error: error.message,
@@ -277,6 +237,43 @@ export async function getKastleWalletStatus(verbose = false) {
   }
 }
 
+/**
+ * Connect to Kastle Wallet
+ * @param {boolean} verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} Connection result with wallet info (see connectWallet)
+ */
+export async function connectKastleWallet(verbose = false) {
+  return connectWallet('kastle', verbose);
+}
+
+/**
+ * Disconnect from Kastle Wallet
+ * @param {boolean} verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} Disconnection result (see disconnectWallet)
+ */
+export async function disconnectKastleWallet(verbose = false) {
+  return disconnectWallet('kastle', verbose);
+}
+
+/**
+ * Fetch UTXOs from Kastle Wallet for a specific address
+ * @param {string} address - Kaspa address to fetch UTXOs for (optional, uses wallet address if not provided)
+ * @param {boolean} verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} UTXO fetching result (see fetchWalletUtxos)
+ */
+export async function fetchKastleUtxos(address = null, verbose = false) {
+  return fetchWalletUtxos(address, verbose, 'kastle');
+}
+
+/**
+ * Get Kastle Wallet status and information
+ * @param {boolean} verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} Wallet status information (see getWalletStatus)
+ */
+export async function getKastleWalletStatus(verbose = false) {
+  return getWalletStatus('kastle', verbose);
+}
+
 /**
  * ✅ METHOD 2: Enhanced signing function using correct Kastle SDK approach
  * Uses buildTransaction() + signPskt(transaction, scriptOptions) instead of manual PSKT JSON
@@ -284,10 +281,15 @@ export async function getKastleWalletStatus(verbose = false) {
  * @param {Array} outputs - Array of output objects with address and amount
  * @param {boolean} verbose - Enable detailed logging (default: false)
  * @param {Object} preBuiltTransaction - Pre-built transaction object (optional, if provided, skips buildTransaction)
- * @returns {Promise<Object>} Signing result with signed transaction
+ * @param {Object} options - Signing options
+ * @param {string|Array|Object} options.sighashTypes - Sighash type for every input, or per input (see resolveSighashTypes
+ *   in sighash.js; default: 'All')
+ * @returns {Promise<Object>} Signing result with signed transaction and sighashWarnings for types that leave outputs or
+ *   inputs open to change
  */
-export async function signTransactionWithKastle(utxos, outputs, verbose = false, preBuiltTransaction = null) {
+export async function signTransactionWithKastle(utxos, outputs, verbose = false, preBuiltTransaction = null, options = {}) {
   try {
+    const { sighashTypes: sighashSelection = DEFAULT_SIGHASH_TYPE } = options;
     if (!isFrameworkInitialized()) {
       throw new Error('Kaspa Framework not initialized. Call initialiseKaspaFramework() first. (from wallet.js)');
     }
@@ -314,10 +316,10 @@ export async function signTransactionWithKastle(utxos, outputs, verbose = false,
       if (!transaction) throw new Error('buildTransaction() returned null/undefined');
     }
 
-    const scriptOptions = utxos.map((_, index) => ({
-      inputIndex: index,
-      signType: kastleWalletFuncs.SignType.NoneAnyOneCanPay,
-    }));
+    const sighashTypes = resolveSighashTypes(sighashSelection, utxos.length);
+    const sighashWarnings = getSighashWarnings(sighashTypes, { outputCount: outputs.length });
+    sighashWarnings.forEach(warning => console.warn(`⚠️ ${warning.message} (from wallet.js)`));
+    const scriptOptions = toKastleScriptOptions(sighashTypes, kastleWalletFuncs.SignType);
 
     if (verbose) console.log(`Calling signPskt(transaction, scriptOptions) with ${scriptOptions.length} script options... (from wallet.js)`);
     const signedResult = await kastleWalletFuncs.signPskt(transaction, scriptOptions);
@@ -329,11 +331,12 @@ export async function signTransactionWithKastle(utxos, outputs, verbose = false,
       signedTransaction: signedResult,
       transaction, // The transaction object that was signed (either preBuilt or newly built)
       scriptOptions,
+      sighashWarnings,
       metadata: {
         inputCount: utxos.length,
         outputCount: outputs.length,
         method: preBuiltTransaction ? 'Pre-built pattern transaction + signPskt' : 'buildTransaction + signPskt',
-        signType: 'NoneAnyOneCanPay',
+        sighashTypes,
         usedPreBuiltTransaction: !!preBuiltTransaction
       }
     };
@@ -351,6 +354,7 @@ export async function signTransactionWithKastle(utxos, outputs, verbose = false,
 /**
  * Sign transaction using Kastle Wallet (Alias for enhanced implementation)
  * @param {Object} psktData - PSKT (Partially Signed Kaspa Transaction) data - Note: This param might be misleading if utxos & outputs are expected.
+ *   An optional sighashTypes field is passed on to signTransactionWithKastle.
  * @param {boolean} verbose - Enable detailed logging (default: false)
  * @returns {Promise<Object>} Signed transaction result
  */
@@ -369,7 +373,47 @@ export async function signWithKastle(psktData, verbose = false) {
     };
   }
   // The signTransactionWithKastle function handles the logic of whether to use preBuiltTransaction or build one from utxos/outputs.
-  return await signTransactionWithKastle(psktData.utxos, psktData.outputs, verbose, psktData.preBuiltTransaction);
+  return await signTransactionWithKastle(psktData.utxos, psktData.outputs, verbose, psktData.preBuiltTransaction, { sighashTypes: psktData.sighashTypes });
+}
+
+/**
+ * Create an envelope signer for the connected wallet account (see signEnvelope in envelope.js)
+ * Wallets sign with Kaspa's personal message scheme, which is what envelope signatures use.
+ * @param {boolean} verbose - Enable detailed logging (default: false)
+ * @param {string|null} walletId - Wallet adapter ID (default: the active adapter)
+ * @returns {Promise<Object>} { success, signer: { address, signMessage } } or { success: false, error }
+ */
+export async function createWalletMessageSigner(verbose = false, walletId = null) {
+  try {
+    if (!isFrameworkInitialized()) {
+      throw new Error('Kaspa Framework not initialized. Call initialiseKaspaFramework() first. (from wallet.js)');
+    }
+    const wallet = getWalletAdapter(walletId);
+
+    const address = await wallet.getAddress();
+    if (!address) throw new Error(`${wallet.name} Wallet is not connected`);
+    if (verbose) console.log(`✍️ Envelope signer ready for ${address} (from wallet.js)`);
+
+    return {
+      success: true,
+      signer: {
+        address,
+        signMessage: (message) => wallet.signMessage(message)
+      }
+    };
+  } catch (error) {
+    console.error('Error creating wallet message signer (from wallet.js):', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create an envelope signer for the connected Kastle account
+ * @param {boolean} verbose - Enable detailed logging (default: false)
+ * @returns {Promise<Object>} { success, signer: { address, signMessage } } or { success: false, error }
+ */
+export async function createKastleMessageSigner(verbose = false) {
+  return createWalletMessageSigner(verbose, 'kastle');
 }
 
 console.log('📦 Kaspa Wallet Actions module loaded successfully (wallet.js)'); 
\ No newline at end of file
@@ -0,0 +1,350 @@
+// Kaspa WASM Pattern Miner Module
+// Searches nonces for a real transaction whose TxID matches a pattern spec, on the main thread or a worker pool.
+// Shared by buildPatternTransactionWithWasmSdk() in the browser and the headless CLI (cli/kaspa-pattern.mjs).
+
+import { Buffer } from 'buffer';
+import {
+  getDefaultWorkerCount,
+  createWasmTransactionAttempt,
+  createWasmAttemptRunner,
+  createWasmUtxoEntries,
+  isMiningAborted,
+  createCancelledMiningResult,
+  createAttemptFailureTracker
+} from './mining-core.js';
+import { compilePatternSpec } from './pattern-spec.js';
+import { DEFAULT_NONCE_STRATEGY, getNonceSpaceSize } from './nonce-strategies.js';
+import { parseEnvelope } from './envelope.js';
+import { DEFAULT_COIN_SELECTION_STRATEGY, selectCoins, summarizeCoinSelection } from './coin-selection.js';
+
+/**
+ * Validate an envelope to embed in the transaction payload
+ * @param {string|Buffer|Uint8Array} envelope - Envelope bytes or hex (see envelope.js)
+ * @returns {string} Envelope hex
+ */
+function getEnvelopePayloadHex(envelope) {
+  const parsed = parseEnvelope(envelope);
+  if (!parsed.success) throw new Error(`Invalid envelope: ${parsed.error}`);
+  return typeof envelope === 'string' ? envelope.replace(/^0x/, '').toLowerCase() : Buffer.from(envelope).toString('hex');
+}
+
+/**
+ * Mine a real pattern transaction with kaspaWasm.createTransactions()
+ * Works with any loaded kaspa-wasm instance (browser or Node), so it must not import sdk-init.js.
+ * @param {Object} kaspaWasm - Loaded kaspa-wasm module
+ * @param {Object} options - Transaction building options
+ * @param {Array} options.utxos - Array of UTXO objects from getUtxosByAddress
+ * @param {string|Object|null} options.coinSelection - Coin selection strategy choosing the inputs among utxos (see
+ *   coin-selection.js), a selectCoins() report to spend its inputs as already announced, or null to spend utxos as given,
+ *   e.g. a resumed session's pinned inputs (default: 'smallestSufficient')
+ * @param {Object} options.coinSelectionOptions - Strategy options, e.g. dustThreshold (optional)
+ * @param {string} options.toAddress - Destination address
+ * @param {number} options.amount - Amount to send in sompi
+ * @param {number} options.fee - Transaction fee in sompi
+ * @param {string} options.changeAddress - Change address (optional)
+ * @param {number|string|Object} options.zeroBits - Number of trailing zero bits for pattern matching, or a pattern spec (see pattern-spec.js)
+ * @param {number} options.maxIterations - Maximum pattern matching iterations
+ * @param {boolean} options.verbose - Enable detailed logging (default: false)
+ * @param {string} options.networkId - Network ID for kaspaWasm.createTransactions() (default: 'testnet-10')
+ * @param {boolean} options.useWorkers - Mine across a Web Worker pool, each with its own kaspa-wasm instance (default: false)
+ * @param {number} options.workerCount - Number of mining workers (default: navigator.hardwareConcurrency)
+ * @param {Function} options.progressCallback - Merged worker progress callback (optional, worker pool only)
+ * @param {AbortSignal} options.signal - Cancels the search; resolves with a cancelled result keeping the best pattern (optional)
+ * @param {number} options.startNonce - First nonce to try, e.g. a resumed session's cursor (default: 0)
+ * @param {Function} options.checkpointCallback - Receives { nonceCursor, attempts, bestPattern } periodically and when the search stops (optional)
+ * @param {number} options.checkpointIntervalMs - Minimum time between checkpoints (default: 5000)
+ * @param {string} options.nonceStrategy - Where the nonce goes: 'payload' | 'sequence' | 'lockTime' | 'changeAmount' | 'outputAmount' (default: 'payload')
+ * @param {Object} options.nonceOptions - Strategy options, e.g. payloadPrefix, maxLockTime, maxChangeVariation (optional)
+ * @param {boolean} options.fastTxId - Hash TxIDs locally from a transaction template for payload/sequence/lockTime nonces, cross-checked against the SDK (default: true)
+ * @param {string|Buffer} options.envelope - Envelope to embed in the transaction payload (optional; with the payload strategy the nonce follows it)
+ * @returns {Promise<Object>} Transaction building result with WASM SDK transaction and the coinSelection report (failed and
+ *   cancelled results include nonceCursor)
+ */
+export async function mineWasmPatternTransaction(kaspaWasm, options = {}) {
+  try {
+    if (!kaspaWasm || typeof kaspaWasm.createTransactions !== 'function') {
+      throw new Error('A loaded kaspa-wasm module is required');
+    }
+
+    const {
+      utxos,
+      coinSelection: coinSelectionOption = DEFAULT_COIN_SELECTION_STRATEGY,
+      coinSelectionOptions = {},
+      toAddress,
+      amount,
+      fee = 1000,
+      changeAddress = null,
+      zeroBits = 8,
+      maxIterations = 1000000,
+      verbose = false,
+      networkId = "testnet-10",
+      useWorkers = false,
+      workerCount = getDefaultWorkerCount(),
+      progressCallback = null,
+      signal = null,
+      startNonce = 0,
+      checkpointCallback = null,
+      checkpointIntervalMs = 5000,
+      nonceStrategy = DEFAULT_NONCE_STRATEGY,
+      nonceOptions = {},
+      fastTxId = true,
+      envelope = null
+    } = options;
+
+    if (verbose) console.log(`Building pattern transaction with WASM SDK for network: ${networkId}`);
+
+    let lastCheckpointTime = Date.now();
+    const checkpoint = (progress, force = false) => {
+      if (!checkpointCallback) return;
+      const now = Date.now();
+      if (!force && now - lastCheckpointTime < checkpointIntervalMs) return;
+      lastCheckpointTime = now;
+      try {
+        checkpointCallback({ nonceCursor: progress.nonceCursor, attempts: progress.attempts, bestPattern: progress.bestPattern });
+      } catch (error) {
+        console.warn('Checkpoint callback failed:', error);
+      }
+    };
+
+    const matcher = compilePatternSpec(zeroBits);
+
+    // Never search past the end of the strategy's nonce space (the legacy outputAmount strategy only has 1000 nonces)
+    const nonceSpace = getNonceSpaceSize(nonceStrategy, nonceOptions);
+    const searchIterations = Math.min(maxIterations, Math.max(0, nonceSpace - startNonce));
+    if (verbose && searchIterations < maxIterations) {
+      console.warn(`Nonce strategy ${nonceStrategy} only allows ${searchIterations} more attempts from nonce ${startNonce}`);
+    }
+
+    // Simplified validation
+    if (!Array.isArray(utxos) || !utxos.length || !toAddress || !Number.isInteger(amount) || amount <= 0) {
+      throw new Error('Invalid input parameters');
+    }
+
+    // Readers find the envelope at the start of the payload, so nothing may sit between it and the nonce
+    const envelopeHex = envelope ? getEnvelopePayloadHex(envelope) : null;
+    if (envelopeHex && nonceOptions.payloadPrefix) {
+      throw new Error('payloadPrefix cannot be combined with an embedded envelope');
+    }
+    if (verbose && envelopeHex) console.log(`Embedding ${envelopeHex.length / 2}-byte envelope in the transaction payload`);
+
+    // createTransactions() spends entries in order until the spend is covered, so it only gets the selected inputs
+    const spend = {
+      ...coinSelectionOptions, toAddress, changeAddress, amount, fee, payload: envelopeHex, nonceStrategy, nonceOptions, networkId
+    };
+    let coinSelection;
+    if (coinSelectionOption && typeof coinSelectionOption === 'object') {
+      if (!Array.isArray(coinSelectionOption.inputs)) throw new Error('coinSelection report has no inputs');
+      coinSelection = coinSelectionOption;
+    } else {
+      coinSelection = coinSelectionOption
+        ? selectCoins(utxos, { ...spend, strategy: coinSelectionOption })
+        : summarizeCoinSelection(utxos, spend);
+    }
+    if (verbose) {
+      console.log(`Coin selection (${coinSelection.strategy || 'given inputs'}): ${coinSelection.inputCount} input(s), ${coinSelection.totalInput} sompi in, change ${coinSelection.change}, fee ${coinSelection.fee} sompi`);
+    }
+    const entries = createWasmUtxoEntries(coinSelection.inputs, { networkId });
+
+    const job = {
+      kind: 'wasm-transaction',
+      entries,
+      toAddress,
+      changeAddress,
+      amount,
+      fee,
+      networkId,
+      nonceStrategy,
+      nonceOptions,
+      fastTxId,
+      ...(envelopeHex ? { payload: envelopeHex } : {}),
+      wasmBaseUrl: typeof window !== 'undefined' ? `${window.location.origin}/kaspa-wasm` : '/kaspa-wasm'
+    };
+
+    if (useWorkers) {
+      const { mineWithWorkerPool } = await import('./mining-pool.js');
+      const poolProgressCallback = (progressCallback || checkpointCallback)
+        ? (progress) => {
+          if (progressCallback) progressCallback(progress);
+          checkpoint(progress);
+        }
+        : null;
+      const poolResult = await mineWithWorkerPool({
+        job, zeroBits, maxIterations: searchIterations, startNonce, workerCount, progressCallback: poolProgressCallback, signal, verbose
+      });
+
+      if (poolResult.cancelled) {
+        if (verbose) console.log(`Pattern search cancelled after ${poolResult.attempts} attempts across ${poolResult.workerCount} workers`);
+        checkpoint(poolResult, true);
+        return createCancelledMiningResult({
+          signal,
+          attempts: poolResult.attempts,
+          duration: poolResult.duration,
+          zeroBits,
+          bestPatternFound: poolResult.bestPattern,
+          workerCount: poolResult.workerCount,
+          nonceCursor: poolResult.nonceCursor
+        });
+      }
+
+      if (!poolResult.fallback) {
+        if (!poolResult.success) {
+          if (verbose) console.log(`Worker pool search for ${matcher.description} ended without a match: ${poolResult.error}`);
+          checkpoint(poolResult, true);
+          return {
+            success: false,
+            attempts: poolResult.attempts,
+            duration: poolResult.duration,
+            zeroBits,
+            bestPatternFound: poolResult.bestPattern,
+            workerCount: poolResult.workerCount,
+            nonceCursor: poolResult.nonceCursor,
+            error: poolResult.error
+          };
+        }
+
+        // Workers hold their own kaspa-wasm instances, so rebuild the winner here to get a main-thread transaction object
+        const winner = await createWasmTransactionAttempt(kaspaWasm, job, poolResult.nonce);
+        if (winner.txId !== poolResult.txId) {
+          throw new Error(`Worker TxID ${poolResult.txId} does not match rebuilt TxID ${winner.txId}`);
+        }
+
+        if (verbose) {
+          console.log(`Pattern found by worker ${poolResult.workerIndex}! ${poolResult.attempts} attempts in ${poolResult.duration}ms`);
+          console.log(`TxID: ${winner.txId}, Nonce: ${winner.nonce}, Amount: ${winner.winningAmount} sompi`);
+        }
+
+        return {
+          success: true,
+          transaction: winner.transaction,
+          txJson: winner.txJson,
+          txId: winner.txId,
+          nonce: winner.nonce,
+          attempts: poolResult.attempts,
+          duration: poolResult.duration,
+          iterationsPerSecond: poolResult.iterationsPerSecond,
+          winningAmount: winner.winningAmount,
+          nonceStrategy,
+          zeroBits,
+          workerCount: poolResult.workerCount,
+          fastTxIdWorkers: poolResult.fastTxIdWorkers,
+          envelope: envelopeHex,
+          coinSelection,
+          method: 'WASM SDK Pattern Matching (Worker Pool)'
+        };
+      }
+      console.warn(`Worker pool unavailable, mining on the main thread instead: ${poolResult.error}`);
+    }
+
+    const runner = await createWasmAttemptRunner(kaspaWasm, job, { startNonce, verbose });
+    let nonce = startNonce;
+    let attempts = 0;
+    const startTime = Date.now();
+    let bestPattern = { zeroBits: 0, txId: '', attempts: 0 };
+    const failures = createAttemptFailureTracker();
+
+    while (attempts < searchIterations) {
+      if (isMiningAborted(signal)) {
+        if (verbose) console.log(`Pattern search cancelled after ${attempts} attempts`);
+        checkpoint({ nonceCursor: nonce, attempts, bestPattern }, true);
+        return createCancelledMiningResult({ signal, attempts, duration: Date.now() - startTime, zeroBits, bestPatternFound: bestPattern, nonceCursor: nonce });
+      }
+      checkpoint({ nonceCursor: nonce, attempts, bestPattern });
+      if (signal && attempts > 0 && attempts % 50 === 0) {
+        // createTransactions() resolves without yielding to the event loop, so give an abort a chance to land
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      attempts++;
+      
+      let txId;
+      try {
+        txId = await runner.computeTxId(nonce);
+      } catch (error) {
+        const failure = failures.fail(error, nonce);
+        if (failure) {
+          if (verbose) console.warn(failure);
+          checkpoint({ nonceCursor: nonce, attempts, bestPattern }, true);
+          return {
+            success: false,
+            attempts,
+            duration: Date.now() - startTime,
+            zeroBits,
+            bestPatternFound: bestPattern,
+            nonceCursor: nonce,
+            error: failure
+          };
+        }
+        nonce++;
+        continue;
+      }
+      failures.succeed();
+
+      const currentZeroBits = matcher.score(txId);
+      if (currentZeroBits > bestPattern.zeroBits) {
+        bestPattern = { zeroBits: currentZeroBits, txId, attempts };
+      }
+
+      if (matcher.test(txId)) {
+        // With the fast path only the ID was computed; build the real transaction (and re-check its ID) now
+        const { transaction, txJson, winningAmount: amountWithNonce } = await runner.buildAttempt(nonce);
+        const duration = Date.now() - startTime;
+        
+        if (verbose) {
+          console.log(`Pattern found! ${attempts} attempts in ${duration}ms`);
+          console.log(`TxID: ${txId}, Nonce: ${nonce}, Amount: ${amountWithNonce} sompi`);
+        }
+
+        return {
+          success: true,
+          transaction,
+          txJson,
+          txId,
+          nonce,
+          attempts,
+          duration,
+          winningAmount: amountWithNonce,
+          nonceStrategy,
+          zeroBits,
+          fastTxId: runner.fastTxId,
+          envelope: envelopeHex,
+          coinSelection,
+          method: 'WASM SDK Pattern Matching'
+        };
+      }
+
+      nonce++;
+      
+      if (verbose && attempts % 5000 === 0) {
+        console.log(`Progress: ${attempts}/${searchIterations} attempts`);
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    
+    if (verbose) {
+      console.log(`Pattern search completed: ${attempts} attempts in ${duration}ms`);
+      console.log(`No match for ${matcher.description} found within ${searchIterations} iterations`);
+    }
+
+    checkpoint({ nonceCursor: nonce, attempts, bestPattern }, true);
+    return {
+      success: false,
+      attempts,
+      duration,
+      zeroBits,
+      bestPatternFound: bestPattern,
+      nonceCursor: nonce,
+      error: `Pattern not found within ${searchIterations} iterations`
+    };
+
+  } catch (error) {
+    console.error('Error in mineWasmPatternTransaction (from wasm-pattern-miner.js):', error);
+    return {
+      success: false,
+      error: error.message,
+      zeroBits: options.zeroBits || 8
+    };
+  }
+}
+
+console.log('📦 Kaspa WASM Pattern Miner module loaded successfully (wasm-pattern-miner.js)');
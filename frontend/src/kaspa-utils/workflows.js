@@ -4,13 +4,30 @@ import {
     getKastleWalletStatus,
     connectKastleWallet,
     fetchKastleUtxos,
-    signTransactionWithKastle
+    signTransactionWithKastle,
+    connectWallet,
+    fetchWalletUtxos,
+    createWalletMessageSigner
 } from './wallet.js';
 import { buildPatternTransactionWithSdk, buildPatternTransactionWithWasmSdk, checkTxIdPattern } from './tx-pattern.js';
 import { verifyPatternPreservation } from './pattern-verification.js';
+import { describePatternSpec } from './pattern-spec.js';
+import {
+  createMiningSession,
+  loadMiningSession,
+  validateMiningSessionUtxos,
+  checkpointMiningSession,
+  completeMiningSession
+} from './mining-session.js';
+import { getUtxoOutpointKey, normalizeUtxo } from './utxo.js';
+import { DEFAULT_COIN_SELECTION_STRATEGY, selectCoins, summarizeCoinSelection } from './coin-selection.js';
+import { subscribeToWalletEvents } from './wallet-events.js';
+import { isIndexedDbAvailable } from './indexed-db.js';
+import { DEFAULT_SIGHASH_TYPE, resolveSighashTypes, getSighashWarnings } from './sighash.js';
+import { constructEnvelope, signEnvelope, ENVELOPE_VERSION_CODEC } from './envelope.js';
 // Leo's Solution: Direct Kastle API for pattern preservation
 import { broadcastPatternTransactionDirect } from './broadcast.js'; 
-import { getKastleWalletFunctions, initialiseKaspaFramework } from './sdk-init.js'; // For kaspaToSompi if needed directly
+import { getKastleWalletFunctions, initialiseKaspaFramework, getRpcClient } from './sdk-init.js'; // For kaspaToSompi if needed directly
 
 /**
  * Core Pattern Transaction Flow with TxID Preservation
@@ -24,6 +41,7 @@ import { getKastleWalletFunctions, initialiseKaspaFramework } from './sdk-init.j
  * @param {string} options.networkId - Network identifier: "mainnet" or "testnet-10" (default: "testnet-10")
  * @param {boolean} options.waitForConfirmation - Wait for transaction confirmation (default: false)
  * @param {number} options.confirmationTimeout - Max time to wait for confirmation in seconds (default: 60)
+ * @param {string|Array|Object} options.sighashTypes - Sighash type for every input, or per input (see sighash.js; default: 'All')
  * @param {boolean} options.verbose - Enable detailed logging (default: false)
  * @returns {Promise<Object>} Complete transaction result with pattern preservation status
  */
@@ -37,6 +55,7 @@ export async function createAndBroadcastPatternTransaction(options = {}) {
       networkId = "testnet-10",
       waitForConfirmation = false,
       confirmationTimeout = 60,
+      sighashTypes = DEFAULT_SIGHASH_TYPE,
       verbose = false
     } = options;
 
@@ -92,7 +111,8 @@ export async function createAndBroadcastPatternTransaction(options = {}) {
       buildResult.utxos,       
       buildResult.outputs,     
       verbose,
-      buildResult.transaction  // Pass the actual transaction object with the pattern TxID
+      buildResult.transaction, // Pass the actual transaction object with the pattern TxID
+      { sighashTypes }
     );
 
     if (!signResult.success) {
@@ -109,6 +129,8 @@ export async function createAndBroadcastPatternTransaction(options = {}) {
         networkId,
         waitForConfirmation,
         confirmationTimeout,
+        sighashTypes,
+        walletId: 'kastle', // Built and signed with the Kastle SDK above
         verbose,
         progressCallback: options.progressCallback // Pass through any progress callback
       }
@@ -190,6 +212,7 @@ export async function createAndBroadcastPatternTransaction(options = {}) {
         
         const fallbackBroadcastResult = await broadcastPatternTransactionDirect(signResult.signedTransaction, buildResult.txId, {
           networkId: 'testnet-10',
+          walletId: 'kastle',
           verbose,
           progressCallback: options.progressCallback
         });
@@ -371,17 +394,19 @@ export async function testSimplifiedWorkflow(options = {}) {
 
 /**
  * ✅ Task 1.2: Implement Steps 1-2 of the 5-Step Workflow
- * Step 1: kastle - Connect wallet, get address
- * Step 2: Kastle - Get UTXOs
+ * Step 1: wallet - Connect wallet, get address
+ * Step 2: wallet - Get UTXOs
  * Also verifies UTXO format compatibility with kaspa-wasm createTransactions()
  * @param {Object} options - Configuration options
  * @param {string} options.network - Network to connect to (default: "testnet-10")
+ * @param {string} options.walletId - Wallet adapter to use (default: the active adapter; see wallet-adapters.js)
  * @param {boolean} options.verbose - Enable detailed logging (default: false)
  * @returns {Promise<Object>} Result with wallet connection info and UTXOs
  */
 export async function implementWorkflowSteps1And2(options = {}) {
   const {
     network = "testnet-10",
+    walletId = null,
     verbose = false
   } = options;
 
@@ -394,16 +419,17 @@ export async function implementWorkflowSteps1And2(options = {}) {
       throw new Error(`Framework initialization failed: ${initResult.error}`);
     }
 
-    // ===== STEP 1: kastle - Connect wallet, get address =====
-    if (verbose) console.log('Step 1: Connecting to Kastle Wallet...');
+    // ===== STEP 1: wallet - Connect wallet, get address =====
+    if (verbose) console.log('Step 1: Connecting to wallet...');
     
-    const connectionResult = await connectKastleWallet(verbose);
+    const connectionResult = await connectWallet(walletId, verbose);
     if (!connectionResult.success) {
       throw new Error(`Wallet connection failed: ${connectionResult.error}`);
     }
 
     const walletInfo = {
       connected: connectionResult.connected,
+      walletId: connectionResult.walletId,
       address: connectionResult.walletAddress,
       network: connectionResult.network,
       balance: connectionResult.balance
@@ -416,10 +442,10 @@ export async function implementWorkflowSteps1And2(options = {}) {
       console.log(`   Balance: ${walletInfo.balance} sompi`);
     }
 
-    // ===== STEP 2: Kastle - Get UTXOs =====
-    if (verbose) console.log('Step 2: Fetching UTXOs from Kastle Wallet...');
+    // ===== STEP 2: wallet - Get UTXOs =====
+    if (verbose) console.log('Step 2: Fetching UTXOs from wallet...');
     
-    const utxoResult = await fetchKastleUtxos(walletInfo.address, verbose);
+    const utxoResult = await fetchWalletUtxos(walletInfo.address, verbose, walletInfo.walletId);
     if (!utxoResult.success) {
       throw new Error(`UTXO fetching failed: ${utxoResult.error}`);
     }
@@ -486,8 +512,8 @@ export async function implementWorkflowSteps1And2(options = {}) {
 
 /**
  * Verify UTXO format compatibility with kaspa-wasm createTransactions()
- * Checks if UTXOs from Kastle can be used directly with WASM SDK
- * @param {Array} utxos - Array of UTXO objects from Kastle
+ * Checks that every UTXO normalises (see utxo.js), which is all createWasmUtxoEntries() needs
+ * @param {Array} utxos - Array of UTXO objects from the wallet
  * @param {boolean} verbose - Enable detailed logging (default: false)
  * @returns {Promise<Object>} Compatibility analysis result
  */
@@ -507,55 +533,24 @@ async function verifyUtxoCompatibility(utxos, verbose = false) {
 
     if (verbose) {
       console.log('Analyzing UTXO format compatibility...');
-      console.log('Sample UTXO structure:', {
-        hasAmount: 'amount' in sampleUtxo || 'value' in sampleUtxo,
-        hasTxId: 'transactionId' in sampleUtxo || 'txId' in sampleUtxo,
-        hasIndex: 'index' in sampleUtxo || 'outpoint' in sampleUtxo,
-        hasAddress: 'address' in sampleUtxo,
-        hasScriptPubKey: 'scriptPubKey' in sampleUtxo,
-        actualKeys: Object.keys(sampleUtxo)
-      });
+      console.log('Sample UTXO keys:', Object.keys(sampleUtxo));
     }
 
-    // Check required fields for kaspa-wasm createTransactions()
-    // Based on the kaspa-wasm documentation, entries should have:
-    // - amount (or value)
-    // - transactionId (or txId)  
-    // - index
-    // - address
-    // - scriptPubKey
-
+    // A UTXO is usable when normalizeUtxo() can read it; createWasmUtxoEntries() does the rest
     utxos.forEach((utxo, index) => {
-      // Check amount/value field
-      if (!('amount' in utxo) && !('value' in utxo)) {
-        issues.push(`UTXO ${index}: Missing amount/value field`);
-      }
-
-      // Check transaction ID field
-      if (!('transactionId' in utxo) && !('txId' in utxo)) {
-        issues.push(`UTXO ${index}: Missing transactionId/txId field`);
-      }
-
-      // Check index field
-      if (!('index' in utxo)) {
-        issues.push(`UTXO ${index}: Missing index field`);
-      }
-
-      // Check address field
-      if (!('address' in utxo)) {
-        issues.push(`UTXO ${index}: Missing address field`);
-      }
-
-      // Check scriptPubKey field
-      if (!('scriptPubKey' in utxo)) {
-        issues.push(`UTXO ${index}: Missing scriptPubKey field`);
+      try {
+        const canonical = normalizeUtxo(utxo);
+        if (!canonical.address) {
+          recommendations.push(`UTXO ${index}: No address; pass networkId so it can be derived from the script`);
+        }
+      } catch (error) {
+        issues.push(`UTXO ${index}: ${error.message}`);
       }
     });
 
     // Generate recommendations based on issues found
     if (issues.length > 0) {
-      recommendations.push('Transform UTXO format to match kaspa-wasm expectations');
-      recommendations.push('Create UTXO adapter function to normalize field names');
+      recommendations.push('Check the wallet returned complete UTXO entries (outpoint, amount and script public key)');
       recommendations.push('Consider using RPC client UTXOs as alternative');
     }
 
@@ -592,41 +587,73 @@ async function verifyUtxoCompatibility(utxos, verbose = false) {
 
 /**
  * Execute the full 5-Step Kaspa Workflow for TxID pattern generation and broadcast.
- * Step 1: kastle - Connect wallet, get address
- * Step 2: Kastle - Get UTXOs
+ * Step 1: wallet - Connect wallet, get address
+ * Step 2: wallet - Get UTXOs
  * Step 3: kaspa-wasm - Construct and mine for ideal TxID pattern (using buildPatternTransactionWithWasmSdk)
  * Step 4: kaspa-wasm - Serialize transaction to safe JSON (handled by broadcastPatternTransactionDirect)
- * Step 5: kastle - Sign and broadcast via Kastle (using broadcastPatternTransactionDirect)
+ * Step 5: wallet - Sign and broadcast via the wallet (using broadcastPatternTransactionDirect)
  *
  * @param {Object} options - Configuration options
  * @param {string} options.network - Network to connect to (e.g., "testnet-10", "mainnet")
  * @param {string} options.recipientAddress - The final recipient address for the transaction.
  * @param {number} options.amountKas - The amount to send to the recipient, in KAS.
  * @param {number} options.feeKas - The transaction fee, in KAS.
- * @param {number} options.patternBits - Number of trailing zero bits for the TxID pattern.
+ * @param {number|string|Object} options.patternBits - Number of trailing zero bits for the TxID pattern, or a pattern spec (see pattern-spec.js).
  * @param {number} options.maxPatternIterations - Max iterations for pattern mining (default: 100000).
+ * @param {boolean} options.useWorkerPool - Mine across a Web Worker pool to keep the UI responsive (default: true).
+ * @param {number} options.workerCount - Number of mining workers (default: navigator.hardwareConcurrency).
  * @param {boolean} options.waitForConfirmation - Whether to wait for broadcast confirmation (default: false).
  * @param {number} options.confirmationTimeout - Timeout for confirmation in seconds (default: 60).
  * @param {boolean} options.verbose - Enable detailed logging (default: false).
  * @param {Function} options.progressCallback - Callback for progress updates (e.g., for UI).
- * @returns {Promise<Object>} Result object with success status, TxIDs, logs, and other details.
+ * @param {AbortSignal} options.signal - Cancels the workflow before broadcast; mining stops and the best pattern so far is returned (optional).
+ * @param {string} options.nonceStrategy - Where the mining nonce goes: 'payload' | 'sequence' | 'lockTime' | 'changeAmount' | 'outputAmount' (default: 'payload').
+ * @param {Object} options.nonceOptions - Nonce strategy options, e.g. payloadPrefix or maxLockTime (optional; lockTime defaults maxLockTime to the node's virtual DAA score).
+ * @param {string} options.coinSelection - Coin selection strategy picking the inputs before mining starts (see coin-selection.js; default: 'smallestSufficient'). The report is logged and sent as a 'coin_selection' progress event.
+ * @param {Object} options.coinSelectionOptions - Strategy options, e.g. dustThreshold (optional).
+ * @param {string|Object} options.envelope - Envelope to embed in the transaction payload: hex, or constructEnvelope() options (optional).
+ * @param {boolean} options.signEnvelope - Sign an envelope built from options with the connected wallet account (default: false).
+ * @param {boolean} options.persistSession - Checkpoint the search to IndexedDB so it can be resumed after a reload (default: true).
+ * @param {string} options.resumeSessionId - Resume a stored mining session; its UTXOs, outputs and pattern replace the options above (optional).
+ * @param {string|Array|Object} options.sighashTypes - Sighash type the wallet signs each input with: one type for every input, or per input (see sighash.js; default: 'All').
+ * @param {string} options.walletId - Wallet adapter to connect, fetch UTXOs, and sign with (default: the active adapter; see wallet-adapters.js).
+ * @param {boolean} options.watchWallet - Stop mining when the wallet's account or network changes, it disconnects, or an input is spent elsewhere; balance changes trigger a UTXO recheck (default: true).
+ * @returns {Promise<Object>} Result object with success status, TxIDs, logs, sighash warnings, and other details; a run stopped by a wallet change is cancelled with walletChange set.
  */
 export async function executeKaspaFiveStepWorkflow(options = {}) {
   const {
     network = "testnet-10",
-    recipientAddress,
-    amountKas = 0.001, // Min amount for example
-    feeKas = 0.0001,
-    patternBits = 8,
     maxPatternIterations = 100000,
+    useWorkerPool = true,
+    workerCount,
     waitForConfirmation = false,
     confirmationTimeout = 60,
     verbose = false,
-    progressCallback = null
+    progressCallback = null,
+    signal = null,
+    persistSession = true,
+    resumeSessionId = null,
+    signEnvelope: signEnvelopeWithWallet = false,
+    sighashTypes = DEFAULT_SIGHASH_TYPE,
+    walletId = null,
+    watchWallet = true,
+    coinSelection: coinSelectionStrategy = DEFAULT_COIN_SELECTION_STRATEGY,
+    coinSelectionOptions = {}
+  } = options;
+  // A resumed session overrides these with the values it was created with
+  let {
+    recipientAddress,
+    amountKas = 0.001, // Min amount for example
+    feeKas = 0.0001,
+    patternBits = 8,
+    nonceStrategy = 'payload',
+    nonceOptions = {},
+    envelope = null
   } = options;
 
   const overallStartTime = Date.now();
   let stepLogs = [];
+  let miningSession = null;
 
   const log = (message, data) => {
     const logEntry = { time: new Date().toISOString(), message, data: data || null };
@@ -635,70 +662,314 @@ export async function executeKaspaFiveStepWorkflow(options = {}) {
     if (progressCallback) progressCallback({ type: 'log', payload: logEntry });
   };
 
+  // Nothing has been signed or broadcast when this is returned, so a cancelled run leaves the wallet untouched
+  const cancelWorkflow = (stage, buildResult = null, walletChange = null) => {
+    const overallDuration = Date.now() - overallStartTime;
+    const bestPatternFound = buildResult?.bestPatternFound || null;
+    const message = `Workflow cancelled during ${stage}` +
+      (walletChange ? ` because ${walletChange.reason}` : '') +
+      (bestPatternFound ? `. Best pattern so far: ${bestPatternFound.zeroBits} bits (${bestPatternFound.txId || 'n/a'})` : '');
+    log(message);
+    if (progressCallback) progressCallback({ type: 'final_result', payload: { success: false, cancelled: true, message, bestPatternFound, walletChange } });
+    return {
+      success: false,
+      cancelled: true,
+      error: message,
+      stage,
+      walletChange,
+      bestPatternFound,
+      miningSessionId: miningSession?.id || null,
+      attempts: buildResult?.attempts || 0,
+      durationMs: overallDuration,
+      logs: stepLogs,
+      metadata: {
+        network,
+        patternBits,
+        recipientAddress,
+        amountKas,
+        feeKas,
+      }
+    };
+  };
+
   try {
-    log(`Starting 5-Step Kaspa Workflow: Target ${patternBits}-bit pattern, send ${amountKas} KAS to ${recipientAddress} on ${network}`);
+    if (resumeSessionId) {
+      const loaded = await loadMiningSession(resumeSessionId);
+      if (!loaded.success) {
+        throw new Error(`Cannot resume mining session: ${loaded.error}`);
+      }
+      miningSession = loaded.session;
+      if (miningSession.status !== 'active') {
+        throw new Error(`Mining session ${resumeSessionId} is ${miningSession.status} and cannot be resumed.`);
+      }
+      if (miningSession.networkId !== network) {
+        throw new Error(`Mining session ${resumeSessionId} was created on ${miningSession.networkId}, not ${network}.`);
+      }
+      recipientAddress = miningSession.outputs[0].address;
+      amountKas = miningSession.outputs[0].amount / 100000000;
+      feeKas = miningSession.fee / 100000000;
+      patternBits = miningSession.pattern;
+      // Sessions saved before nonce strategies existed varied the output amount
+      nonceStrategy = miningSession.nonceStrategy || 'outputAmount';
+      nonceOptions = miningSession.nonceOptions || {};
+      envelope = miningSession.envelope || null;
+    }
+
+    // The envelope is fixed for the whole search: every mined candidate carries the same bytes
+    let envelopeHex = null;
+    const envelopeNeedsSignature = Boolean(signEnvelopeWithWallet && envelope && typeof envelope === 'object');
+    if (envelope && typeof envelope === 'object') {
+      // Only version 0x04 envelopes carry signatures
+      const envelopeResult = constructEnvelope(envelopeNeedsSignature ? { version: ENVELOPE_VERSION_CODEC, ...envelope } : envelope);
+      if (!envelopeResult.success) {
+        throw new Error(`Envelope construction failed: ${envelopeResult.error}`);
+      }
+      envelopeHex = envelopeResult.envelope.toString('hex');
+    } else if (envelope) {
+      envelopeHex = envelope;
+    }
+
+    const patternDescription = describePatternSpec(patternBits);
+    log(`Starting 5-Step Kaspa Workflow: Target pattern ${patternDescription}, send ${amountKas} KAS to ${recipientAddress} on ${network}`);
 
     if (!recipientAddress) {
       throw new Error('Recipient address is required.');
     }
 
     // ===== Step 1 & 2: Connect Wallet & Get UTXOs =====
-    log('Step 1 & 2: Connecting to Kastle Wallet and fetching UTXOs...');
+    log('Step 1 & 2: Connecting to wallet and fetching UTXOs...');
     if (progressCallback) progressCallback({ type: 'status', step: 1, message: 'Connecting wallet & fetching UTXOs...' });
     
     // Ensure Kaspa framework is initialized (idempotent)
     await initialiseKaspaFramework();
 
-    const steps1And2Result = await implementWorkflowSteps1And2({ network, verbose });
+    const steps1And2Result = await implementWorkflowSteps1And2({ network, walletId, verbose });
     if (!steps1And2Result.success) {
       throw new Error(`Wallet connection or UTXO fetching failed: ${steps1And2Result.error}`);
     }
     const { walletInfo } = steps1And2Result.workflow.step1;
     const { utxos } = steps1And2Result.workflow.step2;
     log('Step 1 & 2 Complete: Wallet connected, UTXOs fetched.', { address: walletInfo.address, utxoCount: utxos.length, balanceSompi: steps1And2Result.workflow.step2.totalBalance });
+    if (signal?.aborted) return cancelWorkflow('wallet connection');
 
     if (utxos.length === 0) {
         throw new Error('No UTXOs found in the wallet. Cannot proceed.');
     }
+
+    // The wallet signs the envelope before mining, since every candidate commits to its bytes
+    if (envelopeNeedsSignature) {
+      const signerResult = await createWalletMessageSigner(verbose, walletInfo.walletId);
+      if (!signerResult.success) {
+        throw new Error(`Envelope signer unavailable: ${signerResult.error}`);
+      }
+      const signed = await signEnvelope(envelopeHex, signerResult.signer, { networkId: network });
+      if (!signed.success) {
+        throw new Error(`Envelope signing failed: ${signed.error}`);
+      }
+      envelopeHex = signed.envelope.toString('hex');
+      log(`Envelope signed by ${signed.author.address}.`);
+      if (signal?.aborted) return cancelWorkflow('envelope signing');
+    }
     
-    const amountSompi = Math.round(amountKas * 100000000);
-    const feeSompi = Math.round(feeKas * 100000000);
+    // lockTime nonces must stay below the virtual DAA score, or the mined transaction is non-final
+    if (nonceStrategy === 'lockTime' && (nonceOptions.maxLockTime === undefined || nonceOptions.maxLockTime === null)) {
+      const rpcClient = getRpcClient();
+      if (!rpcClient) throw new Error('The lockTime nonce strategy needs nonceOptions.maxLockTime or a node connection to read the virtual DAA score');
+      const { virtualDaaScore } = await rpcClient.getBlockDagInfo();
+      nonceOptions = { ...nonceOptions, maxLockTime: Number(virtualDaaScore) };
+      log(`lockTime nonces bounded by the current virtual DAA score ${nonceOptions.maxLockTime}.`);
+    }
+
+    const amountSompi = miningSession ? miningSession.outputs[0].amount : Math.round(amountKas * 100000000);
+    const feeSompi = miningSession ? miningSession.fee : Math.round(feeKas * 100000000);
 
     if (steps1And2Result.workflow.step2.totalBalance < amountSompi + feeSompi) {
         throw new Error(`Insufficient funds. Need ${amountKas + feeKas} KAS (${amountSompi + feeSompi} sompi), but wallet has ${steps1And2Result.workflow.step2.totalBalance / 100000000} KAS (${steps1And2Result.workflow.step2.totalBalance} sompi).`);
     }
 
-    // ===== Step 3: Construct and Mine for Ideal TxID Pattern =====
-    log(`Step 3: Constructing transaction to ${recipientAddress} for ${amountKas} KAS (fee ${feeKas} KAS) and mining for ${patternBits}-bit TxID pattern...`);
-    if (progressCallback) progressCallback({ type: 'status', step: 3, message: `Mining for ${patternBits}-bit TxID pattern...` });
-    
-    const buildResult = await buildPatternTransactionWithWasmSdk({
-      utxos,
+    const coinSelectionSpend = {
+      ...coinSelectionOptions,
       toAddress: recipientAddress,
-      amount: amountSompi, // expects sompi
-      fee: feeSompi, // expects sompi
-      changeAddress: walletInfo.address,
-      zeroBits: patternBits,
-      networkId: network, // Pass the networkId to WASM SDK step
-      maxIterations: maxPatternIterations,
-      verbose,
-      // progressCallback for buildPattern... can be a sub-progress if needed for finer grain updates
+      changeAddress: miningSession?.changeAddress || walletInfo.address,
+      amount: amountSompi,
+      fee: feeSompi,
+      payload: envelopeHex,
+      nonceStrategy,
+      nonceOptions,
+      networkId: network
+    };
+    let coinSelection;
+    let miningUtxos;
+    let startNonce = 0;
+    // A session pins the search to one UTXO set so a resumed nonce cursor still refers to the same transactions
+    if (miningSession) {
+      const validation = await validateMiningSessionUtxos(miningSession, utxos, { verbose });
+      if (!validation.success) {
+        throw new Error(`Could not validate mining session UTXOs: ${validation.error}`);
+      }
+      if (!validation.valid) {
+        throw new Error(`Mining session ${miningSession.id} is stale and has been invalidated: ${validation.session.invalidatedReason}.`);
+      }
+      miningUtxos = miningSession.utxos;
+      startNonce = miningSession.nonceCursor;
+      coinSelection = summarizeCoinSelection(miningUtxos, coinSelectionSpend);
+      log(`Resuming mining session ${miningSession.id} at nonce ${startNonce}.`, { attempts: miningSession.attempts, bestPattern: miningSession.bestPattern });
+    } else {
+      coinSelection = selectCoins(utxos, { ...coinSelectionSpend, strategy: coinSelectionStrategy });
+      miningUtxos = coinSelection.inputs;
+    }
+    log(`Coin selection (${coinSelection.strategy || 'session inputs'}${coinSelection.fallback ? `, fell back to ${coinSelection.fallback}` : ''}): ${coinSelection.inputCount} input(s) totalling ${coinSelection.totalInput} sompi; expected change ${coinSelection.change} sompi, fee ${coinSelection.fee} sompi.`, {
+      inputs: coinSelection.inputs.map(getUtxoOutpointKey),
+      mass: coinSelection.mass,
+      warnings: coinSelection.warnings
     });
+    coinSelection.warnings.forEach(warning => log(`Warning: ${warning}`));
+    if (progressCallback) progressCallback({ type: 'coin_selection', payload: coinSelection });
+
+    if (!miningSession && persistSession && isIndexedDbAvailable()) {
+      const created = await createMiningSession({
+        networkId: network,
+        utxos: miningUtxos,
+        toAddress: recipientAddress,
+        amount: amountSompi,
+        fee: feeSompi,
+        changeAddress: walletInfo.address,
+        pattern: patternBits,
+        nonceStrategy,
+        nonceOptions,
+        envelope: envelopeHex,
+        verbose
+      });
+      if (created.success) {
+        miningSession = created.session;
+        miningUtxos = miningSession.utxos;
+        log(`Mining session ${miningSession.id} created; progress will be checkpointed.`);
+      } else {
+        log(`Mining session could not be persisted, continuing without checkpoints: ${created.error}`);
+      }
+    }
+
+    // Warn before mining, while there is still time to cancel; exact warnings follow once the outputs are known
+    getSighashWarnings(resolveSighashTypes(sighashTypes, miningUtxos.length)).forEach(warning => log(`Warning: ${warning.message}`, warning));
+
+    // Checkpoints are written in order so a slow write never overwrites a newer cursor
+    let checkpointWrites = Promise.resolve();
+    const sessionAtStart = miningSession;
+    const checkpointCallback = sessionAtStart
+      ? (progress) => {
+        checkpointWrites = checkpointWrites.then(() => checkpointMiningSession(sessionAtStart, progress));
+      }
+      : null;
 
+    // ===== Step 3: Construct and Mine for Ideal TxID Pattern =====
+    log(`Step 3: Constructing transaction to ${recipientAddress} for ${amountKas} KAS (fee ${feeKas} KAS) and mining for TxID pattern ${patternDescription} (nonce strategy: ${nonceStrategy})...`);
+    if (progressCallback) progressCallback({ type: 'status', step: 3, message: `Mining for TxID pattern ${patternDescription}...` });
+    
+    // Mining stops on the caller's signal or on a wallet change that would make the result unsignable
+    const miningController = new AbortController();
+    const abortMining = () => miningController.abort();
+    if (signal?.aborted) abortMining();
+    signal?.addEventListener('abort', abortMining, { once: true });
+
+    let walletChange = null;
+    const stopForWalletChange = (event, reason) => {
+      if (walletChange) return;
+      walletChange = { type: event.type, reason, previous: event.previous, current: event.current };
+      log(`Wallet change during mining: ${reason}. Stopping before anything is signed.`, walletChange);
+      abortMining();
+    };
+    let recheckingUtxos = false;
+    const recheckMiningUtxos = async (event) => {
+      if (recheckingUtxos) return;
+      recheckingUtxos = true;
+      try {
+        const current = await fetchWalletUtxos(walletInfo.address, verbose, walletInfo.walletId);
+        if (!current.success) {
+          log(`Balance changed during mining; UTXOs could not be rechecked: ${current.error}`);
+          return;
+        }
+        const unspent = new Set(current.utxos.map(getUtxoOutpointKey));
+        const spent = miningUtxos.filter(utxo => !unspent.has(getUtxoOutpointKey(utxo)));
+        if (spent.length > 0) {
+          stopForWalletChange(event, `${spent.length} of its inputs were spent elsewhere`);
+        } else {
+          log('Balance changed during mining; every input is still unspent, continuing.');
+        }
+      } finally {
+        recheckingUtxos = false;
+      }
+    };
+    const unsubscribeWallet = watchWallet
+      ? subscribeToWalletEvents((event) => {
+        if (event.type === 'disconnected') {
+          stopForWalletChange(event, 'the wallet disconnected');
+        } else if (event.type === 'accountChanged' && event.current !== walletInfo.address) {
+          stopForWalletChange(event, `the wallet switched to account ${event.current || 'none'}`);
+        } else if (event.type === 'networkChanged' && event.previous !== null) {
+          // A network first seen now is not a change
+          stopForWalletChange(event, `the wallet switched to ${event.current || 'an unknown network'}`);
+        } else if (event.type === 'balanceChanged') {
+          recheckMiningUtxos(event);
+        }
+      }, { walletId: walletInfo.walletId })
+      : null;
+
+    let buildResult;
+    try {
+      buildResult = await buildPatternTransactionWithWasmSdk({
+        utxos: miningUtxos,
+        toAddress: recipientAddress,
+        amount: amountSompi, // expects sompi
+        fee: feeSompi, // expects sompi
+        changeAddress: miningSession?.changeAddress || walletInfo.address,
+        // Spend exactly the inputs chosen and reported above (or pinned by the session)
+        coinSelection,
+        zeroBits: patternBits,
+        networkId: network, // Pass the networkId to WASM SDK step
+        maxIterations: maxPatternIterations,
+        verbose,
+        useWorkers: useWorkerPool,
+        ...(workerCount ? { workerCount } : {}),
+        progressCallback: progressCallback ? (payload) => progressCallback({ type: 'mining_progress', payload }) : null,
+        signal: miningController.signal,
+        startNonce,
+        checkpointCallback,
+        nonceStrategy,
+        nonceOptions,
+        envelope: envelopeHex
+      });
+    } finally {
+      if (unsubscribeWallet) unsubscribeWallet();
+      signal?.removeEventListener('abort', abortMining);
+    }
+    await checkpointWrites;
+
+    if (walletChange) {
+      return cancelWorkflow('pattern mining', buildResult, walletChange);
+    }
+    if (buildResult.cancelled || signal?.aborted) {
+      return cancelWorkflow('pattern mining', buildResult);
+    }
     if (!buildResult.success) {
       throw new Error(`Pattern transaction construction failed: ${buildResult.error}`);
     }
-    log('Step 3 Complete: Pattern transaction constructed.', { patternTxId: buildResult.txId, attempts: buildResult.attempts, durationMs: buildResult.duration });
+    log('Step 3 Complete: Pattern transaction constructed.', { patternTxId: buildResult.txId, attempts: buildResult.attempts, durationMs: buildResult.duration, workerCount: buildResult.workerCount || 1, envelopeBytes: envelopeHex ? envelopeHex.length / 2 : 0 });
     const { transaction: unsignedPatternTransaction, txId: originalPatternTxId } = buildResult;
+    // Lets the UI show what is about to be signed while the wallet prompt is open
+    if (progressCallback) {
+      progressCallback({ type: 'unsigned_transaction', payload: { txId: originalPatternTxId, transaction: unsignedPatternTransaction.serializeToSafeJSON() } });
+    }
 
-    // ===== Step 4 & 5: Serialize Transaction to Safe JSON and Sign & Broadcast via Kastle =====
-    log('Step 4 & 5: Serializing and Broadcasting transaction via Kastle (Leo\'s method)...');
+    // ===== Step 4 & 5: Serialize Transaction to Safe JSON and Sign & Broadcast via the wallet =====
+    log('Step 4 & 5: Serializing and Broadcasting transaction via the wallet (Leo\'s method)...');
     if (progressCallback) progressCallback({ type: 'status', step: 4, message: 'Serializing & Broadcasting...' });
 
     const broadcastOptions = {
-        networkId: network, // networkId for Kastle (e.g. "testnet-10", "mainnet")
+        networkId: network, // networkId for the wallet (e.g. "testnet-10", "mainnet")
         waitForConfirmation,
         confirmationTimeout,
+        sighashTypes,
+        walletId: walletInfo.walletId,
         verbose,
         progressCallback: progressCallback ? (payload) => progressCallback({ type: 'broadcast_log', payload}) : null
     };
@@ -713,7 +984,13 @@ export async function executeKaspaFiveStepWorkflow(options = {}) {
     if (!broadcastResult.success) {
       throw new Error(`Broadcast failed: ${broadcastResult.error}`);
     }
+    // The TxID commits to the payload, so a preserved TxID means the envelope survived signing unchanged
+    if (envelopeHex && !broadcastResult.txIdPreserved) {
+      log(`Warning: the wallet broadcast ${broadcastResult.txId}, not the mined ${originalPatternTxId}; the embedded envelope may have been altered.`);
+    }
     log('Step 4 & 5 Complete: Transaction broadcasted.', { finalTxId: broadcastResult.txId, preserved: broadcastResult.txIdPreserved, durationMs: broadcastResult.broadcastDuration });
+    // Completed only after broadcast: if broadcasting fails the session stays resumable from a cursor before the winner
+    if (sessionAtStart) await completeMiningSession(sessionAtStart, buildResult);
     if (progressCallback) progressCallback({ type: 'status', step: 5, message: 'Broadcast complete!' });
 
     // ===== Workflow Complete =====
@@ -727,7 +1004,12 @@ export async function executeKaspaFiveStepWorkflow(options = {}) {
       finalTxId: broadcastResult.txId,
       originalPatternTxId,
       txIdPreserved: broadcastResult.txIdPreserved,
+      envelope: envelopeHex,
+      sighashTypes: broadcastResult.sighashTypes,
+      sighashWarnings: broadcastResult.sighashWarnings,
       attempts: buildResult.attempts,
+      coinSelection,
+      miningSessionId: sessionAtStart?.id || null,
       durationMs: overallDuration,
       steps: {
         walletAndUtxos: steps1And2Result,
@@ -752,6 +1034,7 @@ export async function executeKaspaFiveStepWorkflow(options = {}) {
     return {
       success: false,
       error: error.message,
+      miningSessionId: miningSession?.id || null,
       durationMs: overallDuration,
       logs: stepLogs,
       metadata: {
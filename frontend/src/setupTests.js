@@ -3,3 +3,15 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+
+// jsdom (jest 27) lacks TextEncoder and Web Crypto, which the @noble/* libraries need when they load
+if (typeof global.TextEncoder === 'undefined') global.TextEncoder = TextEncoder;
+if (typeof global.TextDecoder === 'undefined') global.TextDecoder = TextDecoder;
+if (typeof global.crypto === 'undefined' || !global.crypto.getRandomValues) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
+
+// Suites that hand Node Buffers to code checking `instanceof Uint8Array` (@noble/*, pako, the envelope modules)
+// declare `@jest-environment node`: under jsdom, Uint8Array comes from another realm and those checks fail